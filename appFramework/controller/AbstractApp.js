@@ -8,6 +8,10 @@ import { EventTypes } from './EventTypes.js';
 import { BindingManager } from '../binding/BindingManager.js';
 import MatlabResourceLoader from '../utils/MatlabResourceLoader.js';
 import { UIHTMLServiceLayer } from '../controller/service/UIHTMLServiceLayer.js';
+import { ScriptedMATLABComponent } from './ScriptedMATLABComponent.js';
+import { SessionRecorder } from './SessionRecorder.js';
+import { DocumentManager } from './DocumentManager.js';
+import { IndexedDBSnapshotStore } from '../model/SnapshotStore.js';
 
 /**
  * Abstract base class for applications
@@ -64,7 +68,135 @@ export class AbstractApp {
      * @type {ServiceLayer}
      * @protected
      */
-    this._serviceLayer = new UIHTMLServiceLayer(this);
+    this._serviceLayer = this._createServiceLayer();
+    
+    /**
+     * Recorder for the MATLAB traffic, or null when not recording
+     * @type {SessionRecorder|null}
+     * @protected
+     */
+    this._sessionRecorder = null;
+    
+    /**
+     * Saves and loads the model as document files; created once the model exists
+     * @type {DocumentManager|null}
+     * @protected
+     */
+    this._documentManager = null;
+    
+    // Buffer server calls while MATLAB is disconnected if the app asks for it
+    const offlineQueueOptions = this.getOfflineQueueOptions();
+    if (offlineQueueOptions) {
+      this._serviceLayer.enableOfflineQueue(offlineQueueOptions);
+    }
+  }
+  
+  /**
+   * Create the service layer used to talk to the server
+   * Override to use another backend, e.g. a WebSocketServiceLayer for a non-MATLAB server.
+   * @returns {ServiceLayer}
+   * @protected
+   */
+  _createServiceLayer() {
+    return new UIHTMLServiceLayer(this);
+  }
+  
+  /**
+   * Create the manager that saves and loads the model as document files
+   * Override to pass DocumentManager options, e.g. another confirmation dialog.
+   * @returns {DocumentManager}
+   * @protected
+   */
+  _createDocumentManager() {
+    return new DocumentManager(this);
+  }
+  
+  /**
+   * Get the options for the offline queue of server calls
+   * Override to return an options object (see UIHTMLServiceLayer.enableOfflineQueue)
+   * to keep method calls made while MATLAB is disconnected and send them on reconnect.
+   * @returns {Object|null} Offline queue options, or null to leave the queue disabled
+   */
+  getOfflineQueueOptions() {
+    return null;
+  }
+  
+  /**
+   * Get the options for autosaving snapshots of the model
+   * Override to return an options object (see ClientModel.enableAutosave) to keep edits
+   * across a reload or crash of the page. The store defaults to an IndexedDBSnapshotStore.
+   * On start-up a snapshot newer than the model sent by the server is offered for restoring.
+   * @returns {Object|null} Autosave options, or null to leave autosave disabled
+   */
+  getAutosaveOptions() {
+    return null;
+  }
+  
+  /**
+   * Ask the user whether to restore a snapshot of unsaved edits
+   * Override to use another dialog.
+   * @param {Object} snapshot - The snapshot (see ClientModel.saveSnapshot)
+   * @returns {boolean|Promise<boolean>} True to restore the snapshot, false to discard it
+   */
+  confirmSnapshotRestore(snapshot) {
+    const saved = new Date(snapshot.Saved).toLocaleString();
+    return window.confirm(`Unsaved changes from ${saved} were found. Restore them?`);
+  }
+  
+  /**
+   * Get the path of a ScriptedMATLABComponent fixture to use outside MATLAB
+   * Defaults to the mockFixture URL parameter (e.g. index.html?mockFixture=test/session.json);
+   * override to always replay a fixture in the standalone browser mode.
+   * @returns {string|null} Path relative to the app root, or null to run without a backend
+   */
+  getMockFixturePath() {
+    if (typeof window === 'undefined' || !window.location) {
+      return null;
+    }
+    return new URLSearchParams(window.location.search).get('mockFixture');
+  }
+  
+  /**
+   * Start recording the traffic with MATLAB
+   * The current and any later HTML component are wrapped by the recorder.
+   * @returns {SessionRecorder} The recorder
+   */
+  startSessionRecording() {
+    if (!this._sessionRecorder) {
+      this._sessionRecorder = new SessionRecorder();
+      
+      const htmlComponent = this._serviceLayer && this._serviceLayer.getHTMLComponent();
+      if (htmlComponent) {
+        this.setHTMLComponent(htmlComponent);
+      }
+    }
+    return this._sessionRecorder;
+  }
+  
+  /**
+   * Stop recording the traffic with MATLAB
+   * @returns {Object|null} The recording as a ScriptedMATLABComponent fixture, or null if not recording
+   */
+  stopSessionRecording() {
+    const recorder = this._sessionRecorder;
+    if (!recorder) {
+      return null;
+    }
+    this._sessionRecorder = null;
+    
+    const htmlComponent = this._serviceLayer && this._serviceLayer.getHTMLComponent();
+    if (htmlComponent && recorder.unwrap(htmlComponent) !== htmlComponent) {
+      this._serviceLayer.setHTMLComponent(recorder.unwrap(htmlComponent));
+    }
+    return recorder.toFixture();
+  }
+  
+  /**
+   * Get the server connection and offline queue status
+   * @returns {{Connected: boolean, QueueEnabled: boolean, QueuedCount: number}|null} The status, or null without a service layer
+   */
+  getServerConnectionStatus() {
+    return this._serviceLayer ? this._serviceLayer.getQueueStatus() : null;
   }
 
   /**
@@ -78,6 +210,9 @@ export class AbstractApp {
     }
 
     try {
+      // Replay a fixture instead of waiting for MATLAB if one is configured
+      await this._connectMockBackend();
+      
       // Initialize both components in parallel and capture results
       const [_, model] = await Promise.all([
         this._serviceLayer.init(), // Waits for HTML component or timeout
@@ -89,6 +224,8 @@ export class AbstractApp {
       
       // Initialize the model
       await this._model.init();
+      this._documentManager = this._createDocumentManager();
+      await this._enableAutosave();
       
       // Once both are ready, continue with app initialization
       this._view = await this._createView();
@@ -97,6 +234,9 @@ export class AbstractApp {
       // Set up app-specific event subscriptions
       this._setupEventSubscriptions();
       
+      // Offer to restore edits that were not saved before the page was last closed
+      this._scheduleSnapshotRecovery();
+      
       // Mark as initialized and dispatch event
       this._initialized = true;
       this._eventManager.dispatchEvent(EventTypes.APP_INITIALIZED, {
@@ -111,6 +251,112 @@ export class AbstractApp {
     }
   }
 
+  /**
+   * Connect a ScriptedMATLABComponent if a fixture is configured outside MATLAB
+   * A fixture that cannot be loaded is reported as CLIENT_ERROR and the app runs without a backend.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _connectMockBackend() {
+    const fixturePath = this.isMatlabEnvironment() ? null : this.getMockFixturePath();
+    if (!fixturePath) {
+      return;
+    }
+    
+    try {
+      const fixture = await this.loadJsonResource(fixturePath);
+      this.setHTMLComponent(new ScriptedMATLABComponent(fixture));
+      console.log(`Replaying MATLAB session from ${fixturePath}`);
+    } catch (error) {
+      console.error('Error loading mock fixture:', error);
+      this.dispatchClientEvent(EventTypes.CLIENT_ERROR, {
+        ID: 'load-mock-fixture-failed',
+        Message: `Failed to load mock fixture ${fixturePath}`,
+        Error: error.message
+      });
+    }
+  }
+
+  /**
+   * Enable autosave of the model if the app asks for it
+   * Failures are reported as CLIENT_WARNING and the app runs without autosave.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _enableAutosave() {
+    const options = this.getAutosaveOptions();
+    if (!options) {
+      return;
+    }
+    
+    try {
+      const store = options.store || new IndexedDBSnapshotStore();
+      await this._model.enableAutosave({ ...options, store });
+    } catch (error) {
+      console.warn('Autosave is not available:', error);
+      this.dispatchClientEvent(EventTypes.CLIENT_WARNING, {
+        ID: 'AUTOSAVE_UNAVAILABLE',
+        Message: `Autosave is not available: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Offer the recovery snapshot once the model to compare it with is known
+   * That is the model from the server, or the current model without a server connection.
+   * @private
+   */
+  _scheduleSnapshotRecovery() {
+    if (!this._model.getRecoverySnapshot?.()) {
+      return;
+    }
+    
+    if (this._model.getRootInstance() || !this.getServerConnectionStatus()?.Connected) {
+      this._offerSnapshotRecovery();
+      return;
+    }
+    
+    const unsubscribe = this._eventManager.addEventListener(EventTypes.CLIENT_MODEL_UPDATED, () => {
+      unsubscribe();
+      this._offerSnapshotRecovery();
+    });
+  }
+
+  /**
+   * Restore or discard the recovery snapshot
+   * Snapshots that are not newer than the model from the server, or that match it, are
+   * discarded without asking.
+   * @returns {Promise<boolean>} True if the snapshot was restored
+   * @protected
+   */
+  async _offerSnapshotRecovery() {
+    const model = this._model;
+    const snapshot = model?.getRecoverySnapshot();
+    if (!snapshot) {
+      return false;
+    }
+    
+    try {
+      const serverTimestamp = model.getServerTimestamp();
+      const isStale = serverTimestamp && serverTimestamp >= new Date(snapshot.Saved);
+      if (isStale || !model.hasSnapshotChanges(snapshot) || !(await this.confirmSnapshotRestore(snapshot))) {
+        await model.discardSnapshot();
+        return false;
+      }
+      
+      await model.restoreSnapshot(snapshot);
+      return true;
+    } catch (error) {
+      console.error('Error restoring model snapshot:', error);
+      this.dispatchClientEvent(EventTypes.CLIENT_ERROR, {
+        ID: 'SNAPSHOT_RESTORE_ERROR',
+        Message: 'Failed to restore unsaved changes',
+        Error: error.message
+      });
+      return false;
+    }
+  }
+
   /**
    * Create binding manager
    * @returns {BindingManager}
@@ -481,10 +727,30 @@ export class AbstractApp {
     }
   }
 
+  /**
+   * Call a server method and wait for its results
+   * @param {string} methodName - The method to call (without the handle_ prefix)
+   * @param {string} [objectPath=''] - Path to the target object (empty for the controller)
+   * @param {Object} [args={}] - Arguments for the method call
+   * @param {Object} [options] - Call options
+   * @param {number} [options.timeout] - Timeout in milliseconds (0 disables it; omit for the service default)
+   * @param {AbortSignal} [options.signal] - Signal that cancels the call when aborted
+   * @returns {Promise<any>} Promise resolving to the method results; rejects with a
+   *   ServerCallTimeoutError on timeout and an AbortError when cancelled
+   */
+  callServer(methodName, objectPath = '', args = {}, options = {}) {
+    if (!this._serviceLayer) {
+      return Promise.reject(new Error(`Cannot call ${methodName}: service layer not available`));
+    }
+    return this._serviceLayer.callMethod(methodName, objectPath, args, options);
+  }
+
   /**
    * Load and apply test data to the application
-   * Sends MATLAB_METHOD_CALL_REQUEST if connected to MATLAB, otherwise
-   * dispatches SERVER_MODEL_UPDATED event directly with the loaded data
+   * Sends MATLAB_METHOD_CALL_REQUEST if connected to MATLAB or another backend, otherwise
+   * dispatches SERVER_MODEL_UPDATED event directly with the loaded data.
+   * Test data is bare model data without SchemaVersions, so it is not migrated; keep it at the
+   * current versions of the model definitions.
    * @returns {Promise<void>}
    */
   async loadTestData() {
@@ -493,8 +759,8 @@ export class AbstractApp {
       const testData = await this.loadTestDataJson();
       
       // Check if we're connected to MATLAB
-      if (this.isMatlabEnvironment() && this._serviceLayer) {
-        console.log('MATLAB environment detected, sending setRootModel request to server');
+      if (this._serviceLayer && (this.isMatlabEnvironment() || this._serviceLayer.isMATLABConnected())) {
+        console.log('Server connected, sending setRootModel request to server');
         
         // Define success callback
         const successCallback = (response) => {
@@ -698,6 +964,14 @@ export class AbstractApp {
     return this._view;
   }
   
+  /**
+   * Get the document manager
+   * @returns {DocumentManager|null} The document manager, or null before the model is created
+   */
+  get documentManager() {
+    return this._documentManager;
+  }
+  
   /**
    * Get the binding manager
    * @returns {BindingManager} The binding manager
@@ -724,6 +998,11 @@ export class AbstractApp {
       return;
     }
 
+    // Record the traffic with the new component if a recording is running
+    if (this._sessionRecorder) {
+      htmlComponent = this._sessionRecorder.wrap(htmlComponent);
+    }
+
     // Pass the HTML component to the service layer
     if (this._serviceLayer) {
       this._serviceLayer.setHTMLComponent(htmlComponent);
@@ -755,6 +1034,11 @@ export class AbstractApp {
       this._view = null;
     }
     
+    if (this._documentManager) {
+      this._documentManager.destroy();
+      this._documentManager = null;
+    }
+    
     // Clear references
     if (this._model) {
       this._model.destroy();
@@ -0,0 +1,347 @@
+/**
+ * DocumentManager - Saves and loads the client model as a JSON document file
+ * Downloads the current model to a file, loads a user-chosen file after checking it
+ * against the model definitions, and tracks whether there are unsaved changes so the
+ * user is asked before they are discarded.
+ */
+import { EventTypes } from './EventTypes.js';
+
+/**
+ * Format identifier written to saved documents
+ */
+export const DOCUMENT_FORMAT = 'appFramework-model';
+
+/**
+ * Persistence of the model as document files
+ */
+export class DocumentManager {
+    /**
+     * Creates a new DocumentManager
+     * @param {AbstractApp} app - The application instance
+     * @param {Object} [options] - Options
+     * @param {Function} [options.confirm] - (message) => boolean; asks the user to confirm discarding changes
+     * @param {Function} [options.download] - (fileName, text) => void; offers a file for download
+     * @param {Function} [options.pickFile] - () => Promise<File|null>; lets the user choose a file
+     */
+    constructor(app, options = {}) {
+        if (!app) {
+            throw new Error('App instance is required');
+        }
+
+        /** @private */
+        this._app = app;
+
+        /** @private */
+        this._confirm = options.confirm || (message => window.confirm(message));
+
+        /** @private */
+        this._download = options.download || downloadFile;
+
+        /** @private */
+        this._pickFile = options.pickFile || pickFile;
+
+        /** @private Model revision that matches the last saved or loaded document */
+        this._cleanRevision = this._getRevision();
+
+        /** @private */
+        this._fileName = null;
+
+        /** @private Last state dispatched as DOCUMENT_STATE_CHANGED */
+        this._lastState = { Dirty: false, FileName: null };
+
+        const eventManager = app.eventManager;
+        const update = () => this._updateState();
+
+        /** @private Functions that remove our event listeners */
+        this._unsubscribers = eventManager ? [
+            eventManager.addEventListener(EventTypes.MODEL_TO_VIEW_PROPERTY_CHANGED, update),
+            eventManager.addEventListener(EventTypes.MODEL_TO_VIEW_ARRAY_CHANGED, update),
+            // A newly loaded model has no unsaved changes
+            eventManager.addEventListener(EventTypes.CLIENT_MODEL_UPDATED, () => {
+                this._fileName = null;
+                this.markClean();
+            })
+        ] : [];
+
+        /** @private */
+        this._boundHandleBeforeUnload = this._handleBeforeUnload.bind(this);
+        if (typeof window !== 'undefined') {
+            window.addEventListener('beforeunload', this._boundHandleBeforeUnload);
+        }
+    }
+
+    /**
+     * Whether the model has changes that have not been saved
+     * @returns {boolean} True if there are unsaved changes
+     */
+    isDirty() {
+        const revision = this._getRevision();
+        return revision !== null && revision !== this._cleanRevision;
+    }
+
+    /**
+     * Get the name of the file the model was last saved to or loaded from
+     * @returns {string|null} The file name, or null for a model that did not come from a file
+     */
+    getFileName() {
+        return this._fileName;
+    }
+
+    /**
+     * Treat the current model as saved
+     */
+    markClean() {
+        this._cleanRevision = this._getRevision();
+        this._updateState();
+    }
+
+    /**
+     * Create the document for the current model
+     * @returns {Object|null} The document ({Format, RootClass, SchemaVersions, Saved, Data}), or null if no model is loaded
+     */
+    serialize() {
+        const model = this._app.getModel?.();
+        const data = model?.toJSON?.();
+        if (!data) {
+            return null;
+        }
+
+        return {
+            Format: DOCUMENT_FORMAT,
+            RootClass: this._app.getRootClassName?.() || null,
+            SchemaVersions: model.getSchemaVersions ? model.getSchemaVersions() : {},
+            Saved: new Date().toISOString(),
+            Data: JSON.parse(JSON.stringify(data))
+        };
+    }
+
+    /**
+     * Save the current model to a file
+     * @param {string} [fileName] - The file name (defaults to the current file or the root class name)
+     * @returns {boolean} True if the model was saved
+     */
+    save(fileName) {
+        const documentData = this.serialize();
+        if (!documentData) {
+            this._reportError('DOCUMENT_SAVE_ERROR', 'Cannot save: No model loaded');
+            return false;
+        }
+
+        const name = fileName || this._fileName || `${documentData.RootClass || 'model'}.json`;
+        try {
+            this._download(name, JSON.stringify(documentData, null, 2));
+        } catch (error) {
+            this._reportError('DOCUMENT_SAVE_ERROR', `Failed to save ${name}`, error.message);
+            return false;
+        }
+
+        this._fileName = name;
+        this.markClean();
+        return true;
+    }
+
+    /**
+     * Ask the user to choose a file and load it
+     * The user is asked first if there are unsaved changes.
+     * @returns {Promise<boolean>} True if a document was loaded
+     */
+    async open() {
+        if (!this.confirmDiscard()) {
+            return false;
+        }
+
+        const file = await this._pickFile();
+        if (!file) {
+            return false;
+        }
+
+        let text;
+        try {
+            text = await file.text();
+        } catch (error) {
+            this._reportError('DOCUMENT_LOAD_ERROR', `Failed to read ${file.name}`, error.message);
+            return false;
+        }
+
+        return this.loadDocument(text, file.name);
+    }
+
+    /**
+     * Load a document into the model
+     * Documents saved by save() and bare root model data are accepted. Documents saved with
+     * older model definitions are upgraded (see ClientModel.migrateData); documents without
+     * SchemaVersions are taken to be at version 1, bare data at the current versions. The data
+     * is checked against the model definitions first and rejected with a DOCUMENT_LOAD_ERROR if it
+     * does not match. Without a server the model is loaded directly; otherwise the server
+     * is asked to set its root model and sends the new model back.
+     * @param {string|Object} content - The document, as JSON text or parsed
+     * @param {string} [fileName] - The name of the file it came from
+     * @returns {Promise<boolean>} True if the document was loaded
+     */
+    async loadDocument(content, fileName = null) {
+        const name = fileName || 'document';
+        const model = this._app.getModel?.();
+        if (!model) {
+            this._reportError('DOCUMENT_LOAD_ERROR', `Cannot load ${name}: No model available`);
+            return false;
+        }
+
+        let documentData = content;
+        if (typeof content === 'string') {
+            try {
+                documentData = JSON.parse(content);
+            } catch (error) {
+                this._reportError('DOCUMENT_LOAD_ERROR', `${name} is not a valid JSON file`, error.message);
+                return false;
+            }
+        }
+
+        const isWrapped = documentData && documentData.Format === DOCUMENT_FORMAT;
+        let data = isWrapped ? documentData.Data : documentData;
+        const rootClassName = this._app.getRootClassName?.();
+
+        if (isWrapped && rootClassName && documentData.RootClass && documentData.RootClass !== rootClassName) {
+            this._reportError('DOCUMENT_LOAD_ERROR',
+                `${name} contains a ${documentData.RootClass} model, expected ${rootClassName}`);
+            return false;
+        }
+
+        if (isWrapped && data && typeof data === 'object') {
+            try {
+                data = model.migrateData(data, documentData.SchemaVersions || {}).data;
+            } catch (error) {
+                this._reportError('DOCUMENT_LOAD_ERROR', `${name} cannot be upgraded to the current model definitions`, error.message);
+                return false;
+            }
+        }
+
+        const errors = model.validateSchema(data);
+        if (errors.length > 0) {
+            this._reportError('DOCUMENT_LOAD_ERROR', `${name} does not match the model definitions`, errors.join('\n'));
+            return false;
+        }
+
+        try {
+            if (this._app.getServerConnectionStatus?.()?.Connected) {
+                await this._app.callServer('setRootModel', '', { RootModelData: data });
+            } else {
+                const rootInstance = model.loadData(data, true);
+                this._app.eventManager?.dispatchEvent(EventTypes.CLIENT_MODEL_UPDATED, { Data: rootInstance });
+            }
+        } catch (error) {
+            this._reportError('DOCUMENT_LOAD_ERROR', `Failed to load ${name}`, error.message);
+            return false;
+        }
+
+        this._fileName = fileName;
+        this.markClean();
+        return true;
+    }
+
+    /**
+     * Ask the user whether unsaved changes may be discarded
+     * @param {string} [message] - The question to ask
+     * @returns {boolean} True if there are no unsaved changes or the user agreed to discard them
+     */
+    confirmDiscard(message = 'The model has unsaved changes. Discard them?') {
+        return !this.isDirty() || Boolean(this._confirm(message));
+    }
+
+    /**
+     * Stop tracking changes
+     */
+    destroy() {
+        this._unsubscribers.forEach(unsubscribe => unsubscribe && unsubscribe());
+        this._unsubscribers = [];
+
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('beforeunload', this._boundHandleBeforeUnload);
+        }
+    }
+
+    /**
+     * @returns {number|null} The revision of the model, or null without a model
+     * @private
+     */
+    _getRevision() {
+        const model = this._app.getModel?.();
+        return model?.getRevision ? model.getRevision() : null;
+    }
+
+    /**
+     * Dispatch DOCUMENT_STATE_CHANGED if the state changed
+     * @private
+     */
+    _updateState() {
+        const state = { Dirty: this.isDirty(), FileName: this._fileName };
+        if (state.Dirty === this._lastState.Dirty && state.FileName === this._lastState.FileName) {
+            return;
+        }
+
+        this._lastState = state;
+        const eventData = { Dirty: state.Dirty };
+        if (state.FileName) {
+            eventData.FileName = state.FileName;
+        }
+        this._app.eventManager?.dispatchEvent(EventTypes.DOCUMENT_STATE_CHANGED, eventData);
+    }
+
+    /**
+     * Make the browser ask before the page is left with unsaved changes
+     * @param {BeforeUnloadEvent} event - The event
+     * @private
+     */
+    _handleBeforeUnload(event) {
+        if (this.isDirty()) {
+            event.preventDefault();
+            event.returnValue = '';
+        }
+    }
+
+    /**
+     * Log and report a document error
+     * @private
+     */
+    _reportError(id, message, details) {
+        console.error(message, details || '');
+        const eventData = { ID: id, Message: message };
+        if (details) {
+            eventData.Error = details;
+        }
+        this._app.eventManager?.dispatchEvent(EventTypes.CLIENT_ERROR, eventData);
+    }
+}
+
+/**
+ * Offer text as a file download in the browser
+ * @private
+ */
+function downloadFile(fileName, text) {
+    const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.style.display = 'none';
+
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Let the user choose a JSON file in the browser
+ * @returns {Promise<File|null>} The file, or null if none was chosen
+ * @private
+ */
+function pickFile() {
+    return new Promise(resolve => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.addEventListener('change', () => resolve(input.files && input.files[0] ? input.files[0] : null));
+        // Resolves with null when the dialog is cancelled, in browsers that report it
+        input.addEventListener('cancel', () => resolve(null));
+        input.click();
+    });
+}
@@ -22,9 +22,16 @@ export const EventTypes = Object.freeze({
   MATLAB_METHOD_CALL_REQUEST: 'matlab_method_call_request',
   SERVER_NOTIFICATION: 'server_notification',
   PROPERTY_CHANGE_REJECTED: 'property_change_rejected',
+  MODEL_HISTORY_CHANGED: 'model_history_changed',
+  VIEW_TO_MODEL_ARRAY_CHANGED: 'view_to_model_array_changed',
+  MODEL_TO_VIEW_ARRAY_CHANGED: 'model_to_view_array_changed',
+  SERVER_CONNECTION_STATUS_CHANGED: 'server_connection_status_changed',
+  MODEL_VALIDATION_CHANGED: 'model_validation_changed',
+  DOCUMENT_STATE_CHANGED: 'document_state_changed',
 
   // Server events
   SERVER_MODEL_PROPERTY_UPDATED: 'server_model_property_updated',
+  SERVER_MODEL_ARRAY_CHANGED: 'server_model_array_changed',
   
   /**
    * Event definitions map
@@ -38,7 +45,7 @@ export const EventTypes = Object.freeze({
         Data: { type: 'object', description: 'The model data' }
       },
       optional: {
-        // Removed Source and Timestamp as they'll be handled by the event system
+        Timestamp: { type: 'string', description: 'ISO 8601 time the server set the model; older recovery snapshots are discarded' }
       }
     },
     
@@ -149,7 +156,9 @@ export const EventTypes = Object.freeze({
       optional: {
         Args: { type: 'object', description: 'Arguments for method call' },
         Callback: { type: 'function', description: 'Function to call when the response is received' },
-        ErrorCallback: { type: 'function', description: 'Function to call when an error occurs' }
+        ErrorCallback: { type: 'function', description: 'Function to call when an error occurs' },
+        Timeout: { type: 'any', description: 'Timeout in milliseconds (0 disables it, null uses the service default)' },
+        Signal: { type: 'any', description: 'AbortSignal that cancels the call' }
       }
     },
     
@@ -187,6 +196,93 @@ export const EventTypes = Object.freeze({
         CurrentValue: { type: 'any', description: 'The current valid value of the property' },
         Source: { type: 'string', description: 'Source of the validation check' }
       }
+    },
+    
+    // View-to-Model Array Changed Event (when view inserts, removes or reorders array items)
+    VIEW_TO_MODEL_ARRAY_CHANGED: {
+      required: {
+        ObjectPath: { type: 'string', description: 'The path to the object containing the array property' },
+        Property: { type: 'string', description: 'The name of the array property' },
+        Operation: { type: 'string', description: 'The operation: "insert", "remove", "move" or "duplicate"' },
+        Index: { type: 'number', description: 'The index of the affected item (insertion index for "insert")' }
+      },
+      optional: {
+        ToIndex: { type: 'number', description: 'The destination index for "move"' },
+        Data: { type: 'object', description: 'The data of the new item for "insert"' },
+        Source: { type: 'string', description: 'The source of the change (e.g., "view", "component")' }
+      }
+    },
+    
+    // Model-to-View Array Changed Event (when the model has changed the structure of an array)
+    MODEL_TO_VIEW_ARRAY_CHANGED: {
+      required: {
+        ObjectPath: { type: 'string', description: 'The path to the object containing the array property' },
+        Property: { type: 'string', description: 'The name of the array property' },
+        Operation: { type: 'string', description: 'The operation: "insert", "remove" or "move"' },
+        Index: { type: 'number', description: 'The index of the affected item' }
+      },
+      optional: {
+        ToIndex: { type: 'number', description: 'The destination index for "move"' },
+        Length: { type: 'number', description: 'The length of the array after the change' },
+        Source: { type: 'string', description: 'The source of the change (e.g., "view", "server", "undo")' }
+      }
+    },
+    
+    // Server Connection Status Changed Event
+    SERVER_CONNECTION_STATUS_CHANGED: {
+      required: {
+        Connected: { type: 'boolean', description: 'Whether MATLAB is connected' },
+        QueuedCount: { type: 'number', description: 'The number of method calls waiting to be sent' }
+      },
+      optional: {
+        QueueEnabled: { type: 'boolean', description: 'Whether calls are queued while disconnected' }
+      }
+    },
+    
+    // Server Model Array Changed Event
+    SERVER_MODEL_ARRAY_CHANGED: {
+      required: {
+        ObjectPath: { type: 'string', description: 'Path to the object containing the array property' },
+        PropertyName: { type: 'string', description: 'Name of the array property' },
+        Operation: { type: 'string', description: 'The operation: "insert", "remove" or "move"' },
+        Index: { type: 'number', description: 'Index of the affected item (0-based)' }
+      },
+      optional: {
+        ToIndex: { type: 'number', description: 'Destination index for "move" (0-based)' },
+        Item: { type: 'object', description: 'Data of the inserted item for "insert"' },
+        Source: { type: 'string', description: 'Source of the array change' }
+      }
+    },
+    
+    // Model History Changed Event (undo/redo availability changed)
+    MODEL_HISTORY_CHANGED: {
+      required: {
+        CanUndo: { type: 'boolean', description: 'Whether there is an edit that can be undone' },
+        CanRedo: { type: 'boolean', description: 'Whether there is an undone edit that can be redone' }
+      },
+      optional: {
+        UndoLabel: { type: 'string', description: 'Label of the step that would be undone' },
+        RedoLabel: { type: 'string', description: 'Label of the step that would be redone' }
+      }
+    },
+    
+    // Model Validation Changed Event (result of ClientModel.validateAll)
+    MODEL_VALIDATION_CHANGED: {
+      required: {
+        Valid: { type: 'boolean', description: 'Whether the whole model is valid' },
+        Violations: { type: 'array', description: 'Violations ({Path, ClassName, Type, PropertyName, ConstraintId, Message})' }
+      },
+      optional: {}
+    },
+    
+    // Document State Changed Event (saved/unsaved state of the model document)
+    DOCUMENT_STATE_CHANGED: {
+      required: {
+        Dirty: { type: 'boolean', description: 'Whether the model has changes that are not saved' }
+      },
+      optional: {
+        FileName: { type: 'string', description: 'Name of the file the model was last saved to or loaded from' }
+      }
     }
   },
 
@@ -0,0 +1,284 @@
+/**
+ * ScriptedMATLABComponent - Scriptable stand-in for MATLAB's HTML component
+ * Answers matlab_method_call_request events from a JSON fixture, so apps can run
+ * in Jest and in the standalone browser mode against a predictable backend.
+ * Fixtures can be written by hand or recorded from a MATLAB session with SessionRecorder.
+ *
+ * Fixture format:
+ * {
+ *   "ProtocolVersion": "1.0.0",                  // optional, used for the handshake
+ *   "Notifications": [{EventID, EventData, Delay}], // optional, sent once the app listens
+ *   "Rules": [{
+ *     "MethodName": "updateProperty",            // required
+ *     "ObjectPath": "RootModel",                 // optional, must match exactly
+ *     "Args": {"PropertyName": "Name"},          // optional, matches a subset of the arguments
+ *     "Results": {},                             // reply with matlab_method_call_response...
+ *     "Error": {"id": "", "message": ""},        // ...or with matlab_method_call_error...
+ *     "NoReply": true,                           // ...or not at all
+ *     "Delay": 0,                                // milliseconds before the reply
+ *     "Notifications": [{EventID, EventData, Delay}], // server_notification events for the call
+ *     "Times": 1                                 // optional, number of calls the rule answers
+ *   }]
+ * }
+ *
+ * Rules are tried in order and the first one that matches answers the call. Placeholders
+ * such as "{{Args.Value}}" in Results, Error and Notifications are replaced with the matching
+ * field of the request (RequestId, MethodName, ObjectPath or Args).
+ */
+import { PROTOCOL_VERSION, HANDSHAKE_METHOD } from './service/WireProtocol.js';
+
+/**
+ * Component that replays scripted MATLAB replies
+ * Unlike MockMATLABComponent it counts as a connected MATLAB (isMock is false),
+ * so the service layer sends calls to it.
+ */
+export class ScriptedMATLABComponent {
+    /**
+     * Creates a new ScriptedMATLABComponent
+     * @param {Object} [fixture={}] - The fixture (see the module documentation)
+     */
+    constructor(fixture = {}) {
+        ScriptedMATLABComponent.validateFixture(fixture);
+
+        /** @private */
+        this._rules = (fixture.Rules || []).map(rule => ({
+            rule,
+            remaining: typeof rule.Times === 'number' ? rule.Times : Infinity
+        }));
+
+        /** @private */
+        this._startupNotifications = fixture.Notifications || [];
+
+        /** @private */
+        this._protocolVersion = fixture.ProtocolVersion || PROTOCOL_VERSION;
+
+        /** @private */
+        this._listeners = {};
+
+        /** @private Requests received so far, for assertions in tests */
+        this._requests = [];
+
+        /** @private */
+        this._timers = new Set();
+
+        /** @private */
+        this._startupSent = false;
+
+        this.isMock = false;
+    }
+
+    /**
+     * Check that a fixture has the expected structure
+     * @param {Object} fixture - The fixture to check
+     * @throws {Error} If the fixture is invalid
+     */
+    static validateFixture(fixture) {
+        if (!fixture || typeof fixture !== 'object' || Array.isArray(fixture)) {
+            throw new Error('Fixture must be an object');
+        }
+        if (fixture.Rules !== undefined && !Array.isArray(fixture.Rules)) {
+            throw new Error('Fixture Rules must be an array');
+        }
+
+        (fixture.Rules || []).forEach((rule, index) => {
+            if (!rule || typeof rule.MethodName !== 'string' || !rule.MethodName) {
+                throw new Error(`Fixture rule ${index} must have a MethodName`);
+            }
+            const replies = ['Results', 'Error', 'NoReply'].filter(key => rule[key] !== undefined);
+            if (replies.length > 1) {
+                throw new Error(`Fixture rule ${index} (${rule.MethodName}) must have only one of Results, Error and NoReply`);
+            }
+            if (rule.Notifications !== undefined && !Array.isArray(rule.Notifications)) {
+                throw new Error(`Fixture rule ${index} (${rule.MethodName}) Notifications must be an array`);
+            }
+        });
+    }
+
+    /**
+     * Add an event listener
+     * The fixture's startup notifications are sent once the first server_notification listener is added.
+     * @param {string} eventName - The name of the event to listen for
+     * @param {Function} callback - The callback function, called with {Data}
+     */
+    addEventListener(eventName, callback) {
+        if (!this._listeners[eventName]) {
+            this._listeners[eventName] = [];
+        }
+        this._listeners[eventName].push(callback);
+
+        if (eventName === 'server_notification' && !this._startupSent) {
+            this._startupSent = true;
+            this._startupNotifications.forEach(notification => this._sendNotification(notification, {}));
+        }
+    }
+
+    /**
+     * Remove an event listener
+     * @param {string} eventName - The name of the event
+     * @param {Function} callback - The callback function to remove
+     */
+    removeEventListener(eventName, callback) {
+        const listeners = this._listeners[eventName];
+        if (!listeners) return;
+
+        const index = listeners.indexOf(callback);
+        if (index > -1) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * Receive an event from the client and answer it from the fixture
+     * @param {string} eventName - The event name
+     * @param {Object} eventData - The event data
+     */
+    sendEventToMATLAB(eventName, eventData) {
+        if (eventName !== 'matlab_method_call_request') {
+            console.warn(`[ScriptedMATLAB] Ignoring event: ${eventName}`);
+            return;
+        }
+
+        const request = JSON.parse(JSON.stringify(eventData));
+        this._requests.push(request);
+
+        const entry = this._rules.find(candidate => candidate.remaining > 0 && this._matches(candidate.rule, request));
+        if (entry) {
+            entry.remaining--;
+            this._play(entry.rule, request);
+        } else if (request.MethodName === HANDSHAKE_METHOD) {
+            this._play({ Results: { ProtocolVersion: this._protocolVersion, Server: 'ScriptedMATLABComponent' } }, request);
+        } else {
+            console.warn(`[ScriptedMATLAB] No fixture rule matches ${request.MethodName}`, request);
+            this._play({
+                Error: {
+                    id: 'ScriptedMATLABComponent:noMatchingRule',
+                    message: `No fixture rule matches ${request.MethodName} on "${request.ObjectPath}"`
+                }
+            }, request);
+        }
+    }
+
+    /**
+     * Get the requests received so far
+     * @returns {Object[]} The requests ({RequestId, MethodName, ObjectPath, Args}) in order
+     */
+    getReceivedRequests() {
+        return [...this._requests];
+    }
+
+    /**
+     * Get the rules that still expect calls
+     * Useful to check that a recorded session was replayed completely.
+     * @returns {Object[]} Rules with a Times limit that was not reached
+     */
+    getPendingRules() {
+        return this._rules
+            .filter(({ remaining }) => remaining > 0 && remaining !== Infinity)
+            .map(({ rule }) => rule);
+    }
+
+    /**
+     * Cancel replies and notifications that have not been sent yet
+     */
+    destroy() {
+        this._timers.forEach(timer => clearTimeout(timer));
+        this._timers.clear();
+        this._listeners = {};
+    }
+
+    /**
+     * Check whether a rule answers a request
+     * @private
+     */
+    _matches(rule, request) {
+        if (rule.MethodName !== request.MethodName) return false;
+        if (rule.ObjectPath !== undefined && rule.ObjectPath !== request.ObjectPath) return false;
+        return rule.Args === undefined || matchesSubset(rule.Args, request.Args || {});
+    }
+
+    /**
+     * Send the notifications and reply of a rule
+     * Notifications due at the same time as the reply are sent first, as MATLAB does.
+     * @private
+     */
+    _play(rule, request) {
+        const delay = rule.Delay || 0;
+
+        (rule.Notifications || []).forEach(notification => {
+            this._sendNotification({ Delay: delay, ...notification }, request);
+        });
+
+        if (rule.NoReply) return;
+
+        const { Args, ...reply } = request;
+        if (rule.Error !== undefined) {
+            reply.Error = resolveTemplate(rule.Error, request);
+            this._emit('matlab_method_call_error', reply, delay);
+        } else {
+            reply.Results = resolveTemplate(rule.Results || {}, request);
+            this._emit('matlab_method_call_response', reply, delay);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _sendNotification({ EventID, EventData, Delay }, request) {
+        this._emit('server_notification', {
+            EventID,
+            EventData: resolveTemplate(EventData || {}, request)
+        }, Delay || 0);
+    }
+
+    /**
+     * Deliver an event to the listeners after a delay
+     * @private
+     */
+    _emit(eventName, data, delay) {
+        const timer = setTimeout(() => {
+            this._timers.delete(timer);
+            (this._listeners[eventName] || []).forEach(callback => {
+                try {
+                    callback({ Data: data });
+                } catch (error) {
+                    console.error(`[ScriptedMATLAB] Error in event handler for ${eventName}:`, error);
+                }
+            });
+        }, delay);
+        this._timers.add(timer);
+    }
+}
+
+/**
+ * Check that every field of an expected value is present and equal in the actual value
+ * @private
+ */
+function matchesSubset(expected, actual) {
+    if (expected && typeof expected === 'object' && !Array.isArray(expected)) {
+        return Boolean(actual) && typeof actual === 'object' &&
+            Object.keys(expected).every(key => matchesSubset(expected[key], actual[key]));
+    }
+    return JSON.stringify(expected) === JSON.stringify(actual);
+}
+
+/**
+ * Replace "{{path}}" strings with values from the request
+ * @private
+ */
+function resolveTemplate(value, request) {
+    if (typeof value === 'string') {
+        const lookup = (path) => path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), request);
+
+        // A string that is only a placeholder takes the value as is, e.g. an object or a number
+        const match = value.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+        if (match) return lookup(match[1]);
+        return value.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (placeholder, path) => String(lookup(path)));
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => resolveTemplate(item, request));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveTemplate(item, request)]));
+    }
+    return value;
+}
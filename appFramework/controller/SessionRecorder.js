@@ -0,0 +1,207 @@
+/**
+ * SessionRecorder - Captures the traffic between the app and MATLAB
+ * Wraps the uihtml HTML component, logs every event in both directions and turns the
+ * log into a fixture for ScriptedMATLABComponent, so a real MATLAB session can be
+ * replayed in Jest and in the standalone browser mode.
+ */
+import { PROTOCOL_VERSION, HANDSHAKE_METHOD } from './service/WireProtocol.js';
+
+/**
+ * Recorder for uihtml events
+ */
+export class SessionRecorder {
+    /**
+     * Creates a new SessionRecorder
+     * @param {Object} [options] - Recorder options
+     * @param {Function} [options.now=Date.now] - Clock used for timestamps, in milliseconds
+     */
+    constructor(options = {}) {
+        const { now = () => Date.now() } = options;
+
+        /** @private */
+        this._now = now;
+
+        /** @private */
+        this._startTime = now();
+
+        /** @private Recorded events ({Direction, Event, Data, Time}) */
+        this._entries = [];
+
+        /** @private */
+        this._protocolVersion = null;
+    }
+
+    /**
+     * Wrap an HTML component so that its traffic is recorded
+     * The wrapper forwards everything to the component and can be passed to setHTMLComponent.
+     * @param {Object} htmlComponent - The uihtml HTML component (or any object with its interface)
+     * @returns {Object} The recording wrapper
+     */
+    wrap(htmlComponent) {
+        if (htmlComponent && htmlComponent._recordedComponent) {
+            htmlComponent = htmlComponent._recordedComponent;
+        }
+
+        const recorder = this;
+        const listenerWrappers = new Map();
+
+        return {
+            _recordedComponent: htmlComponent,
+
+            get isMock() {
+                return htmlComponent.isMock;
+            },
+
+            addEventListener(eventName, callback) {
+                const wrapper = (event) => {
+                    recorder._record('in', eventName, event && event.Data);
+                    callback(event);
+                };
+                listenerWrappers.set(callback, wrapper);
+                htmlComponent.addEventListener(eventName, wrapper);
+            },
+
+            removeEventListener(eventName, callback) {
+                const wrapper = listenerWrappers.get(callback);
+                if (!wrapper) return;
+
+                listenerWrappers.delete(callback);
+                htmlComponent.removeEventListener(eventName, wrapper);
+            },
+
+            sendEventToMATLAB(eventName, eventData) {
+                recorder._record('out', eventName, eventData);
+                htmlComponent.sendEventToMATLAB(eventName, eventData);
+            }
+        };
+    }
+
+    /**
+     * Get the component wrapped by a recording wrapper
+     * @param {Object} htmlComponent - A component returned by wrap(), or any other component
+     * @returns {Object} The original component
+     */
+    unwrap(htmlComponent) {
+        return (htmlComponent && htmlComponent._recordedComponent) || htmlComponent;
+    }
+
+    /**
+     * Get the recorded events
+     * @returns {Array<{Direction: string, Event: string, Data: Object, Time: number}>}
+     *   Events in order; Direction is 'out' for events sent to MATLAB and 'in' for events
+     *   received from it, Time is in milliseconds since the recording started
+     */
+    getEntries() {
+        return this._entries.map(entry => ({ ...entry }));
+    }
+
+    /**
+     * Forget all recorded events and restart the clock
+     */
+    clear() {
+        this._entries = [];
+        this._startTime = this._now();
+    }
+
+    /**
+     * Convert the recording into a ScriptedMATLABComponent fixture
+     * Every request becomes a rule that answers once, in recorded order, with the recorded
+     * reply and delay. Notifications are attached to the last request sent before them;
+     * notifications received before the first request become startup notifications.
+     * @returns {Object} The fixture
+     */
+    toFixture() {
+        const fixture = {
+            ProtocolVersion: this._protocolVersion || PROTOCOL_VERSION,
+            Notifications: [],
+            Rules: []
+        };
+        const requests = new Map();
+        let lastRequest = null;
+
+        this._entries.forEach(({ Direction, Event, Data, Time }) => {
+            if (Direction === 'out' && Event === 'matlab_method_call_request') {
+                const rule = {
+                    MethodName: Data.MethodName,
+                    ObjectPath: Data.ObjectPath,
+                    Args: Data.Args,
+                    NoReply: true,
+                    Delay: 0,
+                    Notifications: [],
+                    Times: 1
+                };
+                fixture.Rules.push(rule);
+                requests.set(Data.RequestId, { rule, time: Time });
+                lastRequest = { rule, time: Time };
+            } else if (Event === 'matlab_method_call_response' || Event === 'matlab_method_call_error') {
+                const request = Data && requests.get(Data.RequestId);
+                if (!request) return;
+
+                delete request.rule.NoReply;
+                request.rule.Delay = Time - request.time;
+                if (Event === 'matlab_method_call_response') {
+                    request.rule.Results = Data.Results;
+                } else {
+                    request.rule.Error = Data.Error;
+                }
+            } else if (Event === 'server_notification' && Data) {
+                const notification = { EventID: Data.EventID, EventData: Data.EventData };
+                if (lastRequest) {
+                    lastRequest.rule.Notifications.push({ ...notification, Delay: Time - lastRequest.time });
+                } else {
+                    fixture.Notifications.push({ ...notification, Delay: Time });
+                }
+            }
+        });
+
+        fixture.Rules.forEach(rule => {
+            if (rule.Notifications.length === 0) delete rule.Notifications;
+        });
+        return fixture;
+    }
+
+    /**
+     * Save the fixture as a JSON file through the browser
+     * @param {string} [filename='session.json'] - Name of the downloaded file
+     */
+    download(filename = 'session.json') {
+        const blob = new Blob([JSON.stringify(this.toFixture(), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Record an event
+     * @private
+     */
+    _record(direction, eventName, data) {
+        const copy = data === undefined ? undefined : JSON.parse(JSON.stringify(data));
+        this._entries.push({
+            Direction: direction,
+            Event: eventName,
+            Data: copy,
+            Time: this._now() - this._startTime
+        });
+
+        // Replay with the protocol version of the recorded server
+        if (direction === 'in' && eventName === 'matlab_method_call_response' && copy && copy.Results &&
+            this._isHandshakeReply(copy)) {
+            this._protocolVersion = copy.Results.ProtocolVersion;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _isHandshakeReply(reply) {
+        return this._entries.some(({ Direction, Data }) =>
+            Direction === 'out' && Data && Data.RequestId === reply.RequestId && Data.MethodName === HANDSHAKE_METHOD);
+    }
+}
@@ -6,6 +6,25 @@
 import { EventListener } from '../EventListener.js';
 import { EventTypes } from '../EventTypes.js';
 
+/**
+ * Error raised when a server method call does not complete within its timeout
+ */
+export class ServerCallTimeoutError extends Error {
+    /**
+     * Creates a new ServerCallTimeoutError
+     * @param {string} methodName - The method that timed out
+     * @param {number} timeout - The timeout that elapsed, in milliseconds
+     * @param {string} [requestId] - The ID of the timed out request
+     */
+    constructor(methodName, timeout, requestId) {
+        super(`Server method call ${methodName} timed out after ${timeout}ms`);
+        this.name = 'ServerCallTimeoutError';
+        this.methodName = methodName;
+        this.timeout = timeout;
+        this.requestId = requestId;
+    }
+}
+
 /**
  * Base ServiceLayer class that defines the interface for service implementations
  * Handles routing of service calls and manages request IDs
@@ -50,6 +69,57 @@ export class ServiceLayer extends EventListener {
         throw new Error('handle_matlab_method_call_request must be implemented by a subclass');
     }
     
+    /**
+     * Call a server method and wait for its results
+     * Resolves with whatever the Callback of a MATLAB_METHOD_CALL_REQUEST would receive
+     * and rejects with whatever its ErrorCallback would receive. Unlike model edits, which
+     * are kept locally while MATLAB is not connected, the call rejects when it cannot be sent.
+     * @param {string} methodName - The method to call (without the handle_ prefix)
+     * @param {string} [objectPath=''] - Path to the target object (empty for the controller)
+     * @param {Object} [args={}] - Arguments for the method call
+     * @param {Object} [options] - Call options
+     * @param {number} [options.timeout] - Timeout in milliseconds (0 disables it; omit for the service default)
+     * @param {AbortSignal} [options.signal] - Signal that cancels the call when aborted
+     * @returns {Promise<any>} Promise resolving to the method results
+     */
+    callMethod(methodName, objectPath = '', args = {}, options = {}) {
+        const { timeout = null, signal = null } = options;
+        
+        return new Promise((resolve, reject) => {
+            try {
+                this.handle_matlab_method_call_request({
+                    MethodName: methodName,
+                    ObjectPath: objectPath,
+                    Args: args,
+                    Callback: resolve,
+                    ErrorCallback: reject,
+                    Timeout: timeout,
+                    Signal: signal,
+                    RejectWhenDisconnected: true
+                });
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+    
+    /**
+     * Create the error used to reject a cancelled method call
+     * @param {string} methodName - The method that was cancelled
+     * @param {AbortSignal} [signal] - The signal that cancelled the call
+     * @returns {Error} The abort error
+     * @protected
+     */
+    _createAbortError(methodName, signal) {
+        if (signal && signal.reason instanceof Error) {
+            return signal.reason;
+        }
+        
+        const error = new Error(`Server method call ${methodName} was aborted`);
+        error.name = 'AbortError';
+        return error;
+    }
+    
     /**
      * Generates a unique request ID for a service call
      * @returns {string} A unique request ID
@@ -2,9 +2,16 @@
  * UIHTMLServiceLayer - Implementation of ServiceLayer for MATLAB uihtml communication
  * Handles the specifics of communicating with MATLAB through the HTML component
  */
-import { ServiceLayer } from './ServiceLayer.js';
+import { ServiceLayer, ServerCallTimeoutError } from './ServiceLayer.js';
 import { EventTypes } from '../EventTypes.js';
 import { MockMATLABComponent } from '../MockMATLABComponent.js';
+import {
+    PROTOCOL_VERSION,
+    HANDSHAKE_METHOD,
+    ProtocolError,
+    validateMessage,
+    isCompatibleVersion
+} from './WireProtocol.js';
 
 /**
  * UIHTMLServiceLayer class that implements the ServiceLayer interface for MATLAB communication
@@ -31,6 +38,30 @@ export class UIHTMLServiceLayer extends ServiceLayer {
          */
         this._pendingCalls = new Map();
         
+        /**
+         * Timeout in milliseconds for method calls that do not specify one (0 disables it)
+         * @private
+         */
+        this._defaultTimeout = 30000;
+        
+        /**
+         * Calls waiting for MATLAB to connect, or null if the offline queue is disabled
+         * @private
+         */
+        this._offlineQueue = null;
+        
+        /**
+         * Offline queue settings ({storage, storageKey, maxSize})
+         * @private
+         */
+        this._offlineQueueOptions = null;
+        
+        /**
+         * Result of the last protocol handshake, or null before the first one
+         * @private
+         */
+        this._protocolInfo = null;
+        
         /**
          * Flag to track if the service layer has been initialized
          * @private
@@ -63,6 +94,11 @@ export class UIHTMLServiceLayer extends ServiceLayer {
         if (this._htmlComponent) {
             this._setupMatlabEventListeners();
             this._initialized = true;
+            this._startHandshake();
+            // Send the calls queued before the component was set up
+            if (this.isMATLABConnected()) {
+                this._flushOfflineQueue();
+            }
             return;
         }
         
@@ -82,6 +118,10 @@ export class UIHTMLServiceLayer extends ServiceLayer {
         // Set up event listeners
         this._setupMatlabEventListeners();
         this._initialized = true;
+        this._startHandshake();
+        if (this.isMATLABConnected()) {
+            this._flushOfflineQueue();
+        }
     }
     
     /**
@@ -94,9 +134,159 @@ export class UIHTMLServiceLayer extends ServiceLayer {
             return;
         }
         
+        // Move our listeners from the previous component (e.g. the mock used while disconnected)
+        if (this._initialized && this._htmlComponent && this._htmlComponent !== htmlComponent) {
+            this._removeMatlabEventListeners();
+        }
+        
         // Store the HTML component
+        const previousComponent = this._htmlComponent;
         this._htmlComponent = htmlComponent;
         console.log('MATLAB HTML component set in ServiceLayer');
+        
+        if (this._initialized && previousComponent !== htmlComponent) {
+            this._setupMatlabEventListeners();
+        }
+        
+        if (this._initialized && this.isMATLABConnected()) {
+            // Check the new server's protocol version before replaying queued calls
+            this._startHandshake();
+            this._flushOfflineQueue();
+        }
+        this._notifyQueueStatus();
+    }
+    
+    /**
+     * Get the HTML component used to talk to MATLAB
+     * @returns {Object|null} The HTML component, or null if none is set yet
+     */
+    getHTMLComponent() {
+        return this._htmlComponent;
+    }
+    
+    /**
+     * Exchange protocol versions with the server
+     * Runs automatically whenever the service layer connects. Dispatches a CLIENT_ERROR
+     * with ID 'PROTOCOL_VERSION_MISMATCH' if the server speaks an incompatible version.
+     * @returns {Promise<{ClientVersion: string, ServerVersion: string, Server: string, Compatible: boolean}>}
+     *   Promise resolving to the protocol info; rejects if the server is not connected,
+     *   does not support the handshake or sends an invalid reply
+     */
+    async performHandshake() {
+        if (!this.isMATLABConnected()) {
+            throw new Error('Cannot perform protocol handshake: server is not connected');
+        }
+        
+        const results = await this.callMethod(HANDSHAKE_METHOD, '', {
+            ProtocolVersion: PROTOCOL_VERSION,
+            Client: 'appFramework'
+        });
+        
+        const errors = validateMessage('HandshakeResults', results);
+        if (errors.length > 0) {
+            const error = new ProtocolError(`Invalid handshake reply from server: ${errors.join('; ')}`, 'HandshakeResults', errors);
+            this._reportProtocolError('PROTOCOL_INVALID_MESSAGE', error, results);
+            throw error;
+        }
+        
+        this._protocolInfo = {
+            ClientVersion: PROTOCOL_VERSION,
+            ServerVersion: results.ProtocolVersion,
+            Server: results.Server || '',
+            Compatible: isCompatibleVersion(results.ProtocolVersion)
+        };
+        
+        if (!this._protocolInfo.Compatible) {
+            const error = new ProtocolError(
+                `Server protocol version ${results.ProtocolVersion} is not compatible with client version ${PROTOCOL_VERSION}`,
+                'HandshakeResults'
+            );
+            this._reportProtocolError('PROTOCOL_VERSION_MISMATCH', error, results);
+        }
+        
+        return this._protocolInfo;
+    }
+    
+    /**
+     * Get the result of the last protocol handshake
+     * @returns {{ClientVersion: string, ServerVersion: string, Server: string, Compatible: boolean}|null}
+     *   The protocol info, or null if no handshake has completed
+     */
+    getProtocolInfo() {
+        return this._protocolInfo;
+    }
+    
+    /**
+     * Buffer method calls made while MATLAB is not connected and send them once it is
+     * Queued calls are also written to storage, so calls made before the uihtml
+     * component is reloaded are sent after it comes back. Calls restored from storage
+     * have lost their callbacks; their results are ignored.
+     * @param {Object} [options] - Queue options
+     * @param {Storage} [options.storage=localStorage] - Storage for the queue (null keeps it in memory only)
+     * @param {string} [options.storageKey='appFramework.offlineQueue'] - Key under which the queue is stored
+     * @param {number} [options.maxSize=500] - Maximum number of queued calls
+     */
+    enableOfflineQueue(options = {}) {
+        const {
+            storage = typeof localStorage !== 'undefined' ? localStorage : null,
+            storageKey = 'appFramework.offlineQueue',
+            maxSize = 500
+        } = options;
+        
+        if (!Number.isInteger(maxSize) || maxSize < 1) {
+            throw new Error(`Offline queue size must be a positive integer, got ${maxSize}`);
+        }
+        
+        this._offlineQueueOptions = { storage, storageKey, maxSize };
+        this._offlineQueue = this._loadPersistedQueue();
+        
+        if (this._initialized && this.isMATLABConnected()) {
+            this._flushOfflineQueue();
+        }
+        this._notifyQueueStatus();
+    }
+    
+    /**
+     * Stop buffering method calls
+     * Calls still in the queue are failed and removed from storage.
+     */
+    disableOfflineQueue() {
+        if (!this._offlineQueue) return;
+        
+        const queue = this._offlineQueue;
+        this._offlineQueue = null;
+        this._clearPersistedQueue();
+        this._offlineQueueOptions = null;
+        
+        queue.forEach(call => {
+            call.removeAbortListener?.();
+            this._failQueuedCall(call, new Error(`Server method call ${call.MethodName} was dropped: offline queue disabled`));
+        });
+        this._notifyQueueStatus();
+    }
+    
+    /**
+     * Get the connection and offline queue status
+     * @returns {{Connected: boolean, QueueEnabled: boolean, QueuedCount: number}} The current status
+     */
+    getQueueStatus() {
+        return {
+            Connected: Boolean(this.isMATLABConnected()),
+            QueueEnabled: this._offlineQueue !== null,
+            QueuedCount: this._offlineQueue ? this._offlineQueue.length : 0
+        };
+    }
+    
+    /**
+     * Set the timeout used for method calls that do not specify one
+     * Every pending call expires after its timeout, so unanswered requests do not accumulate.
+     * @param {number} timeoutMs - Timeout in milliseconds (0 disables it)
+     */
+    setDefaultTimeout(timeoutMs) {
+        if (!Number.isFinite(timeoutMs) || timeoutMs < 0) {
+            throw new Error(`Default timeout must be a non-negative number, got ${timeoutMs}`);
+        }
+        this._defaultTimeout = timeoutMs;
     }
     
     /**
@@ -119,6 +309,16 @@ export class UIHTMLServiceLayer extends ServiceLayer {
         this._htmlComponent.addEventListener('server_notification', this._handleServerNotification);
     }
     
+    /**
+     * Remove event listeners for MATLAB responses from the current HTML component
+     * @private
+     */
+    _removeMatlabEventListeners() {
+        this._htmlComponent.removeEventListener('matlab_method_call_response', this._handleMatlabResponse);
+        this._htmlComponent.removeEventListener('matlab_method_call_error', this._handleMatlabError);
+        this._htmlComponent.removeEventListener('server_notification', this._handleServerNotification);
+    }
+    
     /**
      * Check if MATLAB is connected
      * @returns {boolean} True if connected to real MATLAB, false if using MockMATLABComponent
@@ -140,68 +340,106 @@ export class UIHTMLServiceLayer extends ServiceLayer {
         }
         
         // Validate event data
-        const { MethodName, ObjectPath, Args, Callback, ErrorCallback } = event;
+        const { MethodName, ObjectPath, Args, Callback, ErrorCallback, Timeout, Signal, RejectWhenDisconnected } = event;
         
         if (!MethodName) {
             throw new Error('Invalid MATLAB method call request: missing MethodName');
         }
         
+        // Don't send requests that were cancelled before they were made
+        if (Signal && Signal.aborted) {
+            if (typeof ErrorCallback === 'function') {
+                ErrorCallback(this._createAbortError(MethodName, Signal));
+            }
+            return;
+        }
+        
+        // Serialize any model objects in the Args object
+        const call = {
+            MethodName,
+            ObjectPath: ObjectPath || '',
+            Args: Args ? this._serializeArgs(MethodName, Args) : {},
+            Callback,
+            ErrorCallback,
+            Timeout,
+            Signal,
+            RejectWhenDisconnected
+        };
+        
+        // Hold on to the call until MATLAB is back if the offline queue is enabled,
+        // and behind calls still queued so that MATLAB receives them in order
+        if (this._offlineQueue && (!this.isMATLABConnected() || this._offlineQueue.length > 0)) {
+            this._enqueueCall(call);
+            if (this.isMATLABConnected()) {
+                this._flushOfflineQueue();
+            }
+            return;
+        }
+        
+        this._sendCall(call);
+    }
+    
+    /**
+     * Send a method call to MATLAB and track it until its response arrives
+     * @param {Object} call - The call with MethodName, ObjectPath, serialized Args,
+     *   Callback, ErrorCallback, Timeout, Signal and RejectWhenDisconnected
+     * @private
+     */
+    _sendCall(call) {
+        const { MethodName, ObjectPath, Args, Callback, ErrorCallback, Timeout, Signal, RejectWhenDisconnected } = call;
+        
         // Generate a unique request ID for tracking this request
         const requestId = this._generateRequestId(MethodName);
         
         // Store the pending call along with callbacks
-        this._pendingCalls.set(requestId, {
+        const pendingCall = {
             timestamp: Date.now(),
             MethodName,
             ObjectPath,
             Callback,       // Store success callback function
-            ErrorCallback  // Store error callback function
-        });
-        
-        // Helper function to recursively serialize model objects
-        const serializeModelObjects = (data) => {
-            // Handle arrays
-            if (Array.isArray(data)) {
-                return data.map(item => serializeModelObjects(item));
-            }
-            // Handle objects (but not null)
-            else if (data && typeof data === 'object') {
-                // If it's a model object with toJSON method, serialize it
-                if (typeof data.toJSON === 'function') {
-                    console.log(`Serializing model object for MATLAB call: ${MethodName}`);
-                    return data.toJSON();
-                }
-                // Otherwise recursively process object properties
-                const result = {};
-                for (const key in data) {
-                    if (Object.prototype.hasOwnProperty.call(data, key)) {
-                        result[key] = serializeModelObjects(data[key]);
-                    }
-                }
-                return result;
-            }
-            // Handle Infinity values - convert to strings for MATLAB
-            else if (data === Infinity) {
-                return "Infinity";
-            }
-            else if (data === -Infinity) {
-                return "-Infinity";
-            }
-            // Return other primitives as-is
-            return data;
+            ErrorCallback,  // Store error callback function
+            timeoutId: null,
+            removeAbortListener: null
         };
+        this._pendingCalls.set(requestId, pendingCall);
         
-        // Serialize any model objects in the Args object
-        const serializedArgs = Args ? serializeModelObjects(Args) : {};
+        // Expire the call if no response arrives in time
+        const timeout = typeof Timeout === 'number' ? Timeout : this._defaultTimeout;
+        if (timeout > 0) {
+            pendingCall.timeoutId = setTimeout(() => this._handleCallTimeout(requestId, timeout), timeout);
+        }
+        
+        // Cancel the call when its signal is aborted
+        if (Signal && typeof Signal.addEventListener === 'function') {
+            const onAbort = () => this._handleCallAbort(requestId, Signal);
+            Signal.addEventListener('abort', onAbort, { once: true });
+            pendingCall.removeAbortListener = () => Signal.removeEventListener('abort', onAbort);
+        }
         
         // Prepare data for MATLAB
         const eventData = {
             RequestId: requestId,
             MethodName,
-            ObjectPath: ObjectPath || '',
-            Args: serializedArgs
+            ObjectPath,
+            Args
         };
         
+        const errors = validateMessage('matlab_method_call_request', eventData);
+        if (errors.length > 0) {
+            this._settlePendingCall(requestId);
+            const error = new ProtocolError(`Invalid method call request ${MethodName}: ${errors.join('; ')}`,
+                'matlab_method_call_request', errors);
+            if (typeof ErrorCallback === 'function') {
+                try {
+                    ErrorCallback(error);
+                } catch (callbackError) {
+                    console.error(`Error executing error callback for request ${requestId}:`, callbackError);
+                }
+            }
+            this._reportProtocolError('PROTOCOL_INVALID_REQUEST', error, eventData);
+            return;
+        }
+        
         try {
             // Check if we're connected to MATLAB
             if (this.isMATLABConnected()) {
@@ -212,15 +450,25 @@ export class UIHTMLServiceLayer extends ServiceLayer {
                 console.log(`MATLAB is not connected. Method call request ${MethodName} (ID: ${requestId}) not sent.`);
                 
                 // Clean up pending call
-                this._pendingCalls.delete(requestId);
+                this._settlePendingCall(requestId);
                 
-                // Execute callback with mock response if one is provided
-                if (typeof Callback === 'function') {
+                // Callers waiting for results fail; model edits are kept locally (standalone mode)
+                if (RejectWhenDisconnected) {
+                    if (typeof ErrorCallback === 'function') {
+                        setTimeout(() => {
+                            try {
+                                ErrorCallback(new Error('MATLAB is not connected'));
+                            } catch (callbackError) {
+                                console.error(`Error executing error callback for request ${requestId}:`, callbackError);
+                            }
+                        }, 0);
+                    }
+                } else if (typeof Callback === 'function') {
                     setTimeout(() => {
                         try {
                             Callback({ success: false, message: 'MATLAB is not connected', result: null });
                         } catch (callbackError) {
-                            console.warn(`Error executing callback for mock response:`, callbackError);
+                            console.warn(`Error executing callback for request ${requestId}:`, callbackError);
                         }
                     }, 0);
                 }
@@ -238,7 +486,7 @@ export class UIHTMLServiceLayer extends ServiceLayer {
             }
             
             // Clean up pending call
-            this._pendingCalls.delete(requestId);
+            this._settlePendingCall(requestId);
             
             // Dispatch server error event
             this._eventManager.dispatchEvent(EventTypes.SERVER_ERROR, {
@@ -253,27 +501,207 @@ export class UIHTMLServiceLayer extends ServiceLayer {
         }
     }
     
+    /**
+     * Add a call to the offline queue
+     * @param {Object} call - The call to queue (see _sendCall)
+     * @private
+     */
+    _enqueueCall(call) {
+        const { MethodName, Signal } = call;
+        
+        if (this._offlineQueue.length >= this._offlineQueueOptions.maxSize) {
+            this._failQueuedCall(call, new Error(`Server method call ${MethodName} was dropped: offline queue is full`));
+            this._eventManager.dispatchEvent(EventTypes.SERVER_ERROR, {
+                ID: 'OFFLINE_QUEUE_FULL',
+                Message: `Offline queue is full, method call ${MethodName} was dropped`,
+                Details: {
+                    Method: MethodName,
+                    MaxSize: this._offlineQueueOptions.maxSize
+                }
+            });
+            return;
+        }
+        
+        const queuedCall = { ...call, QueuedAt: Date.now(), removeAbortListener: null };
+        
+        // Drop the call from the queue if it is cancelled before it is sent
+        if (Signal && typeof Signal.addEventListener === 'function') {
+            const onAbort = () => {
+                const index = this._offlineQueue ? this._offlineQueue.indexOf(queuedCall) : -1;
+                if (index === -1) return;
+                
+                this._offlineQueue.splice(index, 1);
+                this._persistQueue();
+                this._failQueuedCall(queuedCall, this._createAbortError(MethodName, Signal));
+                this._notifyQueueStatus();
+            };
+            Signal.addEventListener('abort', onAbort, { once: true });
+            queuedCall.removeAbortListener = () => Signal.removeEventListener('abort', onAbort);
+        }
+        
+        this._offlineQueue.push(queuedCall);
+        this._persistQueue();
+        console.log(`MATLAB is not connected. Queued method call ${MethodName} (${this._offlineQueue.length} queued)`);
+        this._notifyQueueStatus();
+    }
+    
+    /**
+     * Send all queued calls in the order they were made
+     * @private
+     */
+    _flushOfflineQueue() {
+        if (!this._offlineQueue || this._offlineQueue.length === 0) return;
+        
+        const queue = this._offlineQueue;
+        this._offlineQueue = [];
+        this._persistQueue();
+        
+        console.log(`MATLAB connected. Sending ${queue.length} queued method call(s)`);
+        queue.forEach(call => {
+            call.removeAbortListener?.();
+            this._sendCall(call);
+        });
+        this._notifyQueueStatus();
+    }
+    
+    /**
+     * Invoke the error callback of a call that will not be sent
+     * @param {Object} call - The call
+     * @param {Error} error - The error to report
+     * @private
+     */
+    _failQueuedCall(call, error) {
+        if (typeof call.ErrorCallback !== 'function') return;
+        
+        try {
+            call.ErrorCallback(error);
+        } catch (callbackError) {
+            console.error(`Error executing error callback for queued call ${call.MethodName}:`, callbackError);
+        }
+    }
+    
+    /**
+     * Read queued calls left in storage by a previous session
+     * @returns {Array<Object>} The restored calls (without callbacks)
+     * @private
+     */
+    _loadPersistedQueue() {
+        const { storage, storageKey } = this._offlineQueueOptions;
+        if (!storage) return [];
+        
+        try {
+            const stored = JSON.parse(storage.getItem(storageKey) || '[]');
+            return Array.isArray(stored) ? stored.filter(call => call && call.MethodName) : [];
+        } catch (error) {
+            console.warn('Ignoring unreadable offline queue in storage:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Write the queued calls to storage
+     * @private
+     */
+    _persistQueue() {
+        const { storage, storageKey } = this._offlineQueueOptions || {};
+        if (!storage || !this._offlineQueue) return;
+        
+        try {
+            if (this._offlineQueue.length === 0) {
+                storage.removeItem(storageKey);
+                return;
+            }
+            
+            // Callbacks and signals cannot be stored; Timeout is kept so replays behave the same
+            const stored = this._offlineQueue.map(({ MethodName, ObjectPath, Args, Timeout, QueuedAt }) =>
+                ({ MethodName, ObjectPath, Args, Timeout, QueuedAt }));
+            storage.setItem(storageKey, JSON.stringify(stored));
+        } catch (error) {
+            console.warn('Failed to store offline queue:', error);
+        }
+    }
+    
+    /**
+     * Remove the stored queue
+     * @private
+     */
+    _clearPersistedQueue() {
+        const { storage, storageKey } = this._offlineQueueOptions || {};
+        if (!storage) return;
+        
+        try {
+            storage.removeItem(storageKey);
+        } catch (error) {
+            console.warn('Failed to clear stored offline queue:', error);
+        }
+    }
+    
+    /**
+     * Notify listeners of the current connection and queue status
+     * @private
+     */
+    _notifyQueueStatus() {
+        if (!this._app?.eventManager) return;
+        this._app.eventManager.dispatchEvent(EventTypes.SERVER_CONNECTION_STATUS_CHANGED, this.getQueueStatus());
+    }
+    
+    /**
+     * Recursively serialize model objects and infinite values in method call arguments
+     * @param {string} methodName - The method being called (for logging)
+     * @param {Object} args - The method call arguments
+     * @returns {Object} Arguments that can be sent to MATLAB
+     * @private
+     */
+    _serializeArgs(methodName, args) {
+        const serializeModelObjects = (data) => {
+            // Handle arrays
+            if (Array.isArray(data)) {
+                return data.map(item => serializeModelObjects(item));
+            }
+            // Handle objects (but not null)
+            else if (data && typeof data === 'object') {
+                // If it's a model object with toJSON method, serialize it
+                if (typeof data.toJSON === 'function') {
+                    console.log(`Serializing model object for MATLAB call: ${methodName}`);
+                    return data.toJSON();
+                }
+                // Otherwise recursively process object properties
+                const result = {};
+                for (const key in data) {
+                    if (Object.prototype.hasOwnProperty.call(data, key)) {
+                        result[key] = serializeModelObjects(data[key]);
+                    }
+                }
+                return result;
+            }
+            // Handle Infinity values - convert to strings for MATLAB
+            else if (data === Infinity) {
+                return "Infinity";
+            }
+            else if (data === -Infinity) {
+                return "-Infinity";
+            }
+            // Return other primitives as-is
+            return data;
+        };
+        
+        return serializeModelObjects(args);
+    }
+    
     /**
      * Handle responses from MATLAB method calls
      * @param {Object} UIHTMLEventData - The event data from MATLAB containing the response
      * @private
      */
     _handleMatlabResponse(UIHTMLEventData) {
-        // Extract the response data from the event
-        if (!UIHTMLEventData || !UIHTMLEventData.Data) {
-            console.error('Invalid MATLAB response event:', UIHTMLEventData);
+        if (!this._validateInboundMessage('matlab_method_call_response', UIHTMLEventData)) {
             return;
         }
         
         const responseData = UIHTMLEventData.Data;
         const { RequestId, Results, MethodName } = responseData;
         
-        if (!RequestId) {
-            // Hard error for invalid response
-            throw new Error('Invalid MATLAB response: missing RequestId');
-        }
-        
-        const pendingCall = this._pendingCalls.get(RequestId);
+        const pendingCall = this._settlePendingCall(RequestId);
         if (!pendingCall) {
             console.warn(`Received MATLAB response for unknown request ID: ${RequestId}`);
             return;
@@ -290,9 +718,6 @@ export class UIHTMLServiceLayer extends ServiceLayer {
             }
         }
         
-        // Remove from pending calls
-        this._pendingCalls.delete(RequestId);
-        
         console.log(`Received MATLAB response for ${MethodName || pendingCall.MethodName} (ID: ${RequestId})`);
     }
     
@@ -302,9 +727,7 @@ export class UIHTMLServiceLayer extends ServiceLayer {
      * @private
      */
     _handleServerNotification(UIHTMLEventData) {
-        // Extract the notification data from the event
-        if (!UIHTMLEventData || !UIHTMLEventData.Data) {
-            console.error('Invalid server notification received:', UIHTMLEventData);
+        if (!this._validateInboundMessage('server_notification', UIHTMLEventData)) {
             return;
         }
         
@@ -312,12 +735,6 @@ export class UIHTMLServiceLayer extends ServiceLayer {
         const notification = UIHTMLEventData.Data;
         console.log('Received server notification:', notification);
         
-        // Check if the notification has the expected structure
-        if (!notification.EventID || !notification.EventData) {
-            console.error('Invalid server notification format:', notification);
-            return;
-        }
-        
         const { EventID, EventData } = notification;
         
         // Forward the event to the appropriate handlers using the EventID
@@ -349,21 +766,17 @@ export class UIHTMLServiceLayer extends ServiceLayer {
      * @private
      */
     _handleMatlabError(UIHTMLEventData) {
-        // Extract the error data from the event
-        if (!UIHTMLEventData || !UIHTMLEventData.Data) {
-            console.error('Invalid MATLAB error event:', UIHTMLEventData);
+        if (!this._validateInboundMessage('matlab_method_call_error', UIHTMLEventData)) {
             return;
         }
         
         const errorData = UIHTMLEventData.Data;
-        const { RequestId, Error: errorMessage, Stack: errorStack } = errorData;
+        const { RequestId, Error: errorDetails, Stack: errorStack } = errorData;
         
-        if (!RequestId) {
-            // Hard error for invalid response
-            throw new Error('Invalid MATLAB error: missing RequestId');
-        }
+        // MATLAB reports errors as a struct with id and message fields
+        const errorMessage = errorDetails && typeof errorDetails === 'object' ? errorDetails.message : errorDetails;
         
-        const pendingCall = this._pendingCalls.get(RequestId);
+        const pendingCall = this._settlePendingCall(RequestId);
         if (!pendingCall) {
             console.warn(`Received MATLAB error for unknown request ID: ${RequestId}`);
             return;
@@ -386,9 +799,6 @@ export class UIHTMLServiceLayer extends ServiceLayer {
             }
         }
         
-        // Remove from pending calls
-        this._pendingCalls.delete(RequestId);
-        
         // Dispatch server error event
         this._app.eventManager.dispatchEvent(EventTypes.SERVER_ERROR, {
             ID: 'MATLAB_ERROR',
@@ -404,22 +814,190 @@ export class UIHTMLServiceLayer extends ServiceLayer {
         console.error(`MATLAB error for ${MethodName} (ID: ${RequestId}):`, errorMessage);
     }
     
+    /**
+     * Check a message received from the server against the protocol schema
+     * Invalid messages are reported as CLIENT_ERROR; if the message answers a pending
+     * call, that call fails instead of waiting for its timeout.
+     * @param {string} eventName - The uihtml event name (e.g. 'matlab_method_call_response')
+     * @param {Object} UIHTMLEventData - The event received from the HTML component
+     * @returns {boolean} True if the message is valid
+     * @private
+     */
+    _validateInboundMessage(eventName, UIHTMLEventData) {
+        const data = UIHTMLEventData ? UIHTMLEventData.Data : undefined;
+        const errors = validateMessage(eventName, data);
+        if (errors.length === 0) {
+            return true;
+        }
+        
+        const error = new ProtocolError(`Invalid ${eventName} message from server: ${errors.join('; ')}`, eventName, errors);
+        this._reportProtocolError('PROTOCOL_INVALID_MESSAGE', error, data);
+        
+        const requestId = data && typeof data.RequestId === 'string' ? data.RequestId : null;
+        const pendingCall = requestId ? this._settlePendingCall(requestId) : undefined;
+        if (pendingCall && typeof pendingCall.ErrorCallback === 'function') {
+            try {
+                pendingCall.ErrorCallback(error);
+            } catch (callbackError) {
+                console.error(`Error executing error callback for request ${requestId}:`, callbackError);
+            }
+        }
+        return false;
+    }
+    
+    /**
+     * Dispatch a CLIENT_ERROR for a protocol violation
+     * @param {string} id - The error ID (e.g. 'PROTOCOL_INVALID_MESSAGE')
+     * @param {ProtocolError} error - The error
+     * @param {*} data - The offending message data
+     * @private
+     */
+    _reportProtocolError(id, error, data) {
+        console.error(error.message);
+        this._app.eventManager.dispatchEvent(EventTypes.CLIENT_ERROR, {
+            ID: id,
+            Message: error.message,
+            Error: {
+                MessageType: error.messageType,
+                Errors: error.errors,
+                Data: data
+            }
+        });
+    }
+    
+    /**
+     * Run the protocol handshake in the background
+     * Version mismatches and invalid replies are reported by performHandshake.
+     * @private
+     */
+    _startHandshake() {
+        if (!this.isMATLABConnected()) return;
+        
+        this.performHandshake().catch(error => {
+            console.warn('Protocol handshake failed:', error.message);
+        });
+    }
+    
+    /**
+     * Remove a call from the pending calls and release its timer and abort listener
+     * @param {string} requestId - The request ID of the call
+     * @returns {Object|undefined} The pending call, or undefined if it is not pending
+     * @private
+     */
+    _settlePendingCall(requestId) {
+        const pendingCall = this._pendingCalls.get(requestId);
+        if (!pendingCall) return undefined;
+        
+        this._pendingCalls.delete(requestId);
+        if (pendingCall.timeoutId !== null) {
+            clearTimeout(pendingCall.timeoutId);
+        }
+        pendingCall.removeAbortListener?.();
+        
+        return pendingCall;
+    }
+    
+    /**
+     * Fail all calls that are waiting for a response
+     * @param {string} reason - Why no response will arrive (used in the error message)
+     * @protected
+     */
+    _failPendingCalls(reason) {
+        [...this._pendingCalls.keys()].forEach(requestId => {
+            const { MethodName, ErrorCallback } = this._settlePendingCall(requestId);
+            if (typeof ErrorCallback === 'function') {
+                try {
+                    ErrorCallback(new Error(`Server method call ${MethodName} was cancelled: ${reason}`));
+                } catch (callbackError) {
+                    console.error(`Error executing error callback for request ${requestId}:`, callbackError);
+                }
+            }
+        });
+    }
+    
+    /**
+     * Fail a call that did not receive a response within its timeout
+     * A late response for the call is ignored.
+     * @param {string} requestId - The request ID of the call
+     * @param {number} timeout - The timeout that elapsed, in milliseconds
+     * @private
+     */
+    _handleCallTimeout(requestId, timeout) {
+        const pendingCall = this._settlePendingCall(requestId);
+        if (!pendingCall) return;
+        
+        const { MethodName, ErrorCallback } = pendingCall;
+        const error = new ServerCallTimeoutError(MethodName, timeout, requestId);
+        
+        if (typeof ErrorCallback === 'function') {
+            try {
+                ErrorCallback(error);
+            } catch (callbackError) {
+                console.error(`Error executing error callback for request ${requestId}:`, callbackError);
+            }
+        }
+        
+        this._app.eventManager.dispatchEvent(EventTypes.SERVER_ERROR, {
+            ID: 'MATLAB_CALL_TIMEOUT',
+            Message: error.message,
+            Details: {
+                RequestId: requestId,
+                Method: MethodName,
+                Timeout: timeout
+            }
+        });
+        
+        console.error(`MATLAB call ${MethodName} (ID: ${requestId}) timed out after ${timeout}ms`);
+    }
+    
+    /**
+     * Fail a call whose abort signal fired
+     * @param {string} requestId - The request ID of the call
+     * @param {AbortSignal} signal - The signal that was aborted
+     * @private
+     */
+    _handleCallAbort(requestId, signal) {
+        const pendingCall = this._settlePendingCall(requestId);
+        if (!pendingCall) return;
+        
+        const { MethodName, ErrorCallback } = pendingCall;
+        
+        if (typeof ErrorCallback === 'function') {
+            try {
+                ErrorCallback(this._createAbortError(MethodName, signal));
+            } catch (callbackError) {
+                console.error(`Error executing error callback for request ${requestId}:`, callbackError);
+            }
+        }
+        
+        console.log(`MATLAB call ${MethodName} (ID: ${requestId}) was aborted`);
+    }
+    
     /**
      * Clean up MATLAB event listeners and pending calls
      */
     destroy() {
         if (this._htmlComponent) {
             // Remove MATLAB event listeners
-            this._htmlComponent.removeEventListener('matlab_method_call_response', this._handleMatlabResponse);
-            this._htmlComponent.removeEventListener('matlab_method_call_error', this._handleMatlabError);
+            this._removeMatlabEventListeners();
+        }
+        
+        // Queued calls stay in storage for the next session, but nobody here will see their results
+        if (this._offlineQueue) {
+            const queue = this._offlineQueue;
+            this._offlineQueue = null;
+            queue.forEach(call => {
+                call.removeAbortListener?.();
+                this._failQueuedCall(call, new Error(`Server method call ${call.MethodName} was not sent: service layer destroyed`));
+            });
         }
         
         // Clean up references
         this._htmlComponent = null;
         this._initialized = false;
         
-        // Clear pending calls
-        this._pendingCalls.clear();
+        // Fail pending calls so that nobody waits for a response that can no longer arrive
+        this._failPendingCalls('service layer destroyed');
         
         // Call parent destroy
         super.destroy();
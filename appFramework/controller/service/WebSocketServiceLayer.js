@@ -0,0 +1,270 @@
+/**
+ * WebSocketServiceLayer - Implementation of ServiceLayer for a backend reached over WebSocket
+ * Speaks the same RequestId/MethodName/ObjectPath/Args protocol as the MATLAB uihtml
+ * bridge, so apps can run in a plain browser against a non-MATLAB backend
+ * (see serverFramework/node/referenceServer.js).
+ */
+import { UIHTMLServiceLayer } from './UIHTMLServiceLayer.js';
+
+/**
+ * Adapter that gives a WebSocket the interface of the MATLAB HTML component
+ * Messages are JSON objects {Event, Data}; listeners receive {Data} like uihtml event listeners.
+ */
+export class WebSocketComponent {
+    /**
+     * Creates a new WebSocketComponent
+     * @param {Function} WebSocketImpl - The WebSocket constructor to use
+     */
+    constructor(WebSocketImpl) {
+        /** @private */
+        this._WebSocketImpl = WebSocketImpl;
+
+        /** @private */
+        this._socket = null;
+
+        /** @private */
+        this._listeners = {};
+
+        this.isMock = false;
+    }
+
+    /**
+     * Whether the socket is open
+     * @returns {boolean} True if messages can be sent
+     */
+    isOpen() {
+        return Boolean(this._socket) && this._socket.readyState === this._WebSocketImpl.OPEN;
+    }
+
+    /**
+     * Open a new socket, replacing the previous one
+     * @param {string} url - The WebSocket URL
+     * @param {Object} handlers - Connection handlers
+     * @param {Function} handlers.onOpen - Called when the socket opens
+     * @param {Function} handlers.onClose - Called when the socket closes
+     */
+    connect(url, { onOpen, onClose }) {
+        this.close();
+
+        const socket = new this._WebSocketImpl(url);
+        this._socket = socket;
+
+        socket.onopen = () => onOpen();
+        socket.onclose = () => {
+            if (this._socket === socket) {
+                this._socket = null;
+                onClose();
+            }
+        };
+        socket.onerror = (error) => console.warn('WebSocket error:', error);
+        socket.onmessage = (message) => this._handleMessage(message);
+    }
+
+    /**
+     * Close the socket without triggering the close handler
+     */
+    close() {
+        const socket = this._socket;
+        this._socket = null;
+        if (socket) {
+            socket.onclose = null;
+            socket.close();
+        }
+    }
+
+    /**
+     * Add an event listener
+     * @param {string} eventName - The event name
+     * @param {Function} callback - Called with {Data}
+     */
+    addEventListener(eventName, callback) {
+        if (!this._listeners[eventName]) {
+            this._listeners[eventName] = [];
+        }
+        this._listeners[eventName].push(callback);
+    }
+
+    /**
+     * Remove an event listener
+     * @param {string} eventName - The event name
+     * @param {Function} callback - The callback to remove
+     */
+    removeEventListener(eventName, callback) {
+        const listeners = this._listeners[eventName];
+        if (!listeners) return;
+
+        const index = listeners.indexOf(callback);
+        if (index > -1) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * Send an event to the backend
+     * @param {string} eventName - The event name
+     * @param {Object} eventData - The event data
+     */
+    sendEventToMATLAB(eventName, eventData) {
+        if (!this.isOpen()) {
+            throw new Error('WebSocket is not open');
+        }
+        this._socket.send(JSON.stringify({ Event: eventName, Data: eventData }));
+    }
+
+    /**
+     * Forward a message from the backend to the listeners of its event
+     * @param {MessageEvent} message - The WebSocket message
+     * @private
+     */
+    _handleMessage(message) {
+        let parsed;
+        try {
+            parsed = JSON.parse(message.data);
+        } catch (error) {
+            console.error('Invalid message from backend:', message.data);
+            return;
+        }
+
+        (this._listeners[parsed.Event] || []).forEach(callback => {
+            try {
+                callback({ Data: parsed.Data });
+            } catch (error) {
+                console.error(`Error in handler for ${parsed.Event}:`, error);
+            }
+        });
+    }
+}
+
+/**
+ * WebSocketServiceLayer class that talks to a backend over a WebSocket
+ * Timeouts, cancellation and the offline queue work as in UIHTMLServiceLayer;
+ * the socket reconnects automatically and queued calls are sent once it is open again.
+ */
+export class WebSocketServiceLayer extends UIHTMLServiceLayer {
+    /**
+     * Creates a new WebSocketServiceLayer
+     * @param {Object} app - The application instance
+     * @param {Object} options - Connection options
+     * @param {string} options.url - The WebSocket URL (e.g. 'ws://localhost:8080')
+     * @param {number} [options.reconnectDelay=1000] - Delay before the first reconnect attempt, in milliseconds
+     * @param {number} [options.maxReconnectDelay=30000] - Upper bound for the doubling reconnect delay
+     * @param {Function} [options.WebSocketImpl=WebSocket] - WebSocket constructor (for Node or tests)
+     */
+    constructor(app, options = {}) {
+        const {
+            url,
+            reconnectDelay = 1000,
+            maxReconnectDelay = 30000,
+            WebSocketImpl = globalThis.WebSocket
+        } = options;
+
+        if (!url) {
+            throw new Error('WebSocketServiceLayer requires a url');
+        }
+        if (typeof WebSocketImpl !== 'function') {
+            throw new Error('WebSocket is not available in this environment');
+        }
+
+        const component = new WebSocketComponent(WebSocketImpl);
+        super(app, component);
+
+        /** @private */
+        this._component = component;
+
+        /** @private */
+        this._url = url;
+
+        /** @private */
+        this._reconnectDelay = reconnectDelay;
+
+        /** @private */
+        this._maxReconnectDelay = maxReconnectDelay;
+
+        /** @private */
+        this._reconnectAttempts = 0;
+
+        /** @private */
+        this._reconnectTimer = null;
+    }
+
+    /**
+     * Initialize the service layer and connect to the backend
+     * Resolves once the socket is open or the timeout has passed; calls made
+     * before the connection is established follow the disconnected behaviour.
+     * @param {number} [timeoutMs=1000] - Time to wait for the connection, in milliseconds
+     * @returns {Promise<void>}
+     */
+    async init(timeoutMs = 1000) {
+        if (this._initialized) return;
+
+        await super.init(timeoutMs);
+
+        await new Promise(resolve => {
+            const timer = setTimeout(resolve, timeoutMs);
+            this._connect(() => {
+                clearTimeout(timer);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Check if the backend is connected
+     * @returns {boolean} True if the socket is open
+     */
+    isMATLABConnected() {
+        return this._htmlComponent === this._component && this._component.isOpen();
+    }
+
+    /**
+     * Open the socket
+     * @param {Function} [onFirstOpen] - Called once when the socket opens
+     * @private
+     */
+    _connect(onFirstOpen) {
+        this._reconnectTimer = null;
+
+        this._component.connect(this._url, {
+            onOpen: () => {
+                console.log(`Connected to ${this._url}`);
+                this._reconnectAttempts = 0;
+
+                // Re-registering the component flushes the offline queue and notifies the view
+                this.setHTMLComponent(this._component);
+                onFirstOpen?.();
+                onFirstOpen = null;
+            },
+            onClose: () => {
+                console.warn(`Connection to ${this._url} closed`);
+                this._failPendingCalls('connection closed');
+                this._notifyQueueStatus();
+                this._scheduleReconnect();
+            }
+        });
+    }
+
+    /**
+     * Try to reconnect after a delay that doubles with every failed attempt
+     * @private
+     */
+    _scheduleReconnect() {
+        if (!this._initialized || this._reconnectTimer) return;
+
+        const delay = Math.min(this._reconnectDelay * 2 ** this._reconnectAttempts, this._maxReconnectDelay);
+        this._reconnectAttempts++;
+        this._reconnectTimer = setTimeout(() => this._connect(), delay);
+    }
+
+    /**
+     * Close the connection and clean up
+     */
+    destroy() {
+        if (this._reconnectTimer) {
+            clearTimeout(this._reconnectTimer);
+            this._reconnectTimer = null;
+        }
+        this._component.close();
+
+        super.destroy();
+    }
+}
@@ -0,0 +1,245 @@
+/**
+ * WireProtocol - Specification of the messages exchanged between the client and the server
+ * The client sends matlab_method_call_request events; the server answers each request with
+ * matlab_method_call_response or matlab_method_call_error and sends server_notification
+ * events on its own. Messages are described by a JSON Schema (draft-07) and validated by
+ * the service layer in both directions.
+ *
+ * Versions follow semantic versioning: client and server are compatible when their major
+ * versions match. The client sends its version with the handshake method call at startup.
+ */
+
+/**
+ * Version of the wire protocol implemented by this client
+ * Keep in sync with AbstractController.ProtocolVersion and ReferenceController.PROTOCOL_VERSION.
+ * @type {string}
+ */
+export const PROTOCOL_VERSION = '1.0.0';
+
+/**
+ * Name of the method that performs the version handshake
+ * @type {string}
+ */
+export const HANDSHAKE_METHOD = 'handshake';
+
+/**
+ * JSON Schema describing every message of the protocol
+ * @type {Object}
+ */
+export const ProtocolSchema = Object.freeze({
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: `templateAppFramework/wire-protocol/${PROTOCOL_VERSION}`,
+    title: 'templateAppFramework wire protocol',
+    definitions: {
+        RequestId: {
+            type: 'string',
+            minLength: 1,
+            description: 'Identifier chosen by the client to match a reply to its request'
+        },
+        MethodName: {
+            type: 'string',
+            pattern: '^[A-Za-z][A-Za-z0-9_]*$',
+            description: 'Method to call, without the handle_ prefix'
+        },
+        ObjectPath: {
+            type: 'string',
+            description: "Path to the target object (e.g. 'RootModel.Parameters[0]'); empty for the controller"
+        },
+        ProtocolVersion: {
+            type: 'string',
+            pattern: '^\\d+\\.\\d+\\.\\d+$',
+            description: 'Semantic version of the wire protocol'
+        },
+
+        // client -> server
+        matlab_method_call_request: {
+            type: 'object',
+            required: ['RequestId', 'MethodName', 'ObjectPath', 'Args'],
+            properties: {
+                RequestId: { $ref: '#/definitions/RequestId' },
+                MethodName: { $ref: '#/definitions/MethodName' },
+                ObjectPath: { $ref: '#/definitions/ObjectPath' },
+                Args: { type: 'object', description: 'Named arguments of the method' }
+            },
+            additionalProperties: false
+        },
+
+        // server -> client; replies echo the request fields except Args
+        matlab_method_call_response: {
+            type: 'object',
+            required: ['RequestId', 'Results'],
+            properties: {
+                RequestId: { $ref: '#/definitions/RequestId' },
+                MethodName: { $ref: '#/definitions/MethodName' },
+                ObjectPath: { $ref: '#/definitions/ObjectPath' },
+                Results: { type: 'object', description: 'Struct returned by the method' }
+            }
+        },
+        matlab_method_call_error: {
+            type: 'object',
+            required: ['RequestId', 'Error'],
+            properties: {
+                RequestId: { $ref: '#/definitions/RequestId' },
+                MethodName: { $ref: '#/definitions/MethodName' },
+                ObjectPath: { $ref: '#/definitions/ObjectPath' },
+                Error: {
+                    anyOf: [
+                        { type: 'string' },
+                        {
+                            type: 'object',
+                            required: ['message'],
+                            properties: {
+                                id: { type: 'string' },
+                                message: { type: 'string' }
+                            }
+                        }
+                    ]
+                },
+                Stack: { type: 'string' }
+            }
+        },
+        server_notification: {
+            type: 'object',
+            required: ['EventID', 'EventData'],
+            properties: {
+                EventID: {
+                    type: 'string',
+                    pattern: '^[A-Z][A-Z0-9_]*$',
+                    description: 'Name of the EventTypes constant to dispatch'
+                },
+                EventData: { type: 'object' }
+            }
+        },
+
+        // Args and Results of the handshake method
+        HandshakeArgs: {
+            type: 'object',
+            required: ['ProtocolVersion'],
+            properties: {
+                ProtocolVersion: { $ref: '#/definitions/ProtocolVersion' },
+                Client: { type: 'string' }
+            }
+        },
+        HandshakeResults: {
+            type: 'object',
+            required: ['ProtocolVersion'],
+            properties: {
+                ProtocolVersion: { $ref: '#/definitions/ProtocolVersion' },
+                Server: { type: 'string' }
+            }
+        }
+    }
+});
+
+/**
+ * Error for messages that do not match the protocol schema or version
+ */
+export class ProtocolError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {string} messageType - The schema definition that was violated (e.g. 'matlab_method_call_response')
+     * @param {string[]} [errors=[]] - The individual validation errors
+     */
+    constructor(message, messageType, errors = []) {
+        super(message);
+        this.name = 'ProtocolError';
+        this.messageType = messageType;
+        this.errors = errors;
+    }
+}
+
+/**
+ * Validate a message against its schema definition
+ * @param {string} messageType - Name of the definition (e.g. 'matlab_method_call_request' or 'HandshakeResults')
+ * @param {*} data - The message data
+ * @returns {string[]} Validation errors; empty if the message is valid
+ */
+export function validateMessage(messageType, data) {
+    const schema = ProtocolSchema.definitions[messageType];
+    if (!schema) {
+        return [`Unknown message type: ${messageType}`];
+    }
+
+    const errors = [];
+    validateValue(schema, data, messageType, errors);
+    return errors;
+}
+
+/**
+ * Check whether a server protocol version can be used with this client
+ * @param {string} version - The server protocol version
+ * @returns {boolean} True if the major versions match
+ */
+export function isCompatibleVersion(version) {
+    const major = (v) => String(v).split('.')[0];
+    return typeof version === 'string' && major(version) === major(PROTOCOL_VERSION);
+}
+
+/**
+ * Validate a value against the subset of JSON Schema used by ProtocolSchema
+ * @param {Object} schema - The schema
+ * @param {*} value - The value to validate
+ * @param {string} path - Location of the value, used in error messages
+ * @param {string[]} errors - Array the errors are appended to
+ * @private
+ */
+function validateValue(schema, value, path, errors) {
+    if (schema.$ref) {
+        const name = schema.$ref.replace('#/definitions/', '');
+        validateValue(ProtocolSchema.definitions[name], value, path, errors);
+        return;
+    }
+
+    if (schema.anyOf) {
+        const matches = schema.anyOf.some(option => {
+            const optionErrors = [];
+            validateValue(option, value, path, optionErrors);
+            return optionErrors.length === 0;
+        });
+        if (!matches) {
+            errors.push(`${path} does not match any of the allowed formats`);
+        }
+        return;
+    }
+
+    if (schema.type && getJsonType(value) !== schema.type) {
+        errors.push(`${path} must be of type ${schema.type}, got ${getJsonType(value)}`);
+        return;
+    }
+
+    if (schema.type === 'string') {
+        if (schema.minLength && value.length < schema.minLength) {
+            errors.push(`${path} must not be empty`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${path} "${value}" does not match ${schema.pattern}`);
+        }
+    }
+
+    if (schema.type === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) {
+                errors.push(`${path}.${key} is required`);
+            }
+        });
+
+        Object.entries(value).forEach(([key, propValue]) => {
+            const propSchema = schema.properties && schema.properties[key];
+            if (propSchema) {
+                validateValue(propSchema, propValue, `${path}.${key}`, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key} is not allowed`);
+            }
+        });
+    }
+}
+
+/**
+ * Get the JSON Schema type name of a value
+ * @private
+ */
+function getJsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value === 'object' ? 'object' : typeof value;
+}
@@ -1,6 +1,7 @@
 // Core framework exports
 export * from './model/ModelClassDefinitionManager.js';
 export * from './model/AbstractModelObject.js';
+export * from './model/ModelValidationError.js';
 
 // View exports
 export * from './view/components/BaseComponent.js';
@@ -1,5 +1,9 @@
 // src/models/AbstractModelObject.js
 import { modelClassDefinitionManager } from './ModelClassDefinitionManager.js';
+import { convertToType, getTypeKind } from '../utils/TypeConversionUtils.js';
+import { ModelValidationError, ModelValidationReason } from './ModelValidationError.js';
+import { toReferenceValue } from './ModelReferences.js';
+import { CLASS_NAME_KEY } from '../utils/ModelDiff.js';
 
 export class AbstractModelObject {
     // This will be overridden by child classes
@@ -9,8 +13,10 @@ export class AbstractModelObject {
      * Create a new model instance
      * @param {Object} [data={}] - The data to initialize the model with
      * @param {Object} [manager=modelClassDefinitionManager] - The model class definition manager to use
+     * @param {Object} [options={}] - Additional options
+     * @param {string} [options.path='RootModel'] - The object path of this instance, used in error reports
      */
-    constructor(data = {}, manager) {
+    constructor(data = {}, manager, options = {}) {
         if (!manager) {
             throw new Error('ModelClassDefinitionManager is required');
         }
@@ -26,10 +32,10 @@ export class AbstractModelObject {
         this._className = className;
         
         // Initialize properties from the class definition
-        this._initializeProperties(className, data);
+        this._initializeProperties(className, data, options.path || 'RootModel');
     }
 
-    _initializeProperties(className, data) {
+    _initializeProperties(className, data, path) {
         //console.log(`\nInitializing properties for ${className}`);
         //console.log('Input data:', JSON.stringify(data, null, 2));
         
@@ -50,7 +56,11 @@ export class AbstractModelObject {
                     const value = data.hasOwnProperty(propName) ? data[propName] : undefined;
                     //console.log('Initial value:', value);
                     
-                    this._initializeProperty(propName, propDef, value);
+                    this._initializeProperty(propName, propDef, value, {
+                        className,
+                        property: propName,
+                        path: `${path}.${propName}`
+                    });
                     
                     //console.log(`After initialization: ${propName} =`, this[propName]);
                 });
@@ -70,21 +80,77 @@ export class AbstractModelObject {
         //console.log('\nFinal instance state:', JSON.stringify(this, null, 2));
     }
 
-    _initializeProperty(propName, propDef, value) {
+    _initializeProperty(propName, propDef, value, context) {
         const defaultValue = this._getDefaultValue(propDef);
         const finalValue = value !== undefined ? value : defaultValue;
         
         // Set the property directly with validated value
-        this[propName] = this._validateValue(finalValue, propDef);
+        this[propName] = this._validateValue(finalValue, propDef, context);
+    }
+
+    /**
+     * Report a value that cannot be used to the manager, which warns or (in strict mode) throws
+     * @param {string} message - Description of the problem
+     * @param {Object} context - The class name, property and path of the value
+     * @param {*} value - The rejected value
+     * @param {string} reason - Why the value was rejected (see ModelValidationReason)
+     * @private
+     */
+    _reportValueError(message, context, value, reason) {
+        const error = new ModelValidationError(message, { ...context, value, reason });
+        if (typeof this._manager.reportValueError === 'function') {
+            this._manager.reportValueError(error);
+        } else {
+            console.warn(`${error.path}: ${message}`);
+        }
+    }
+
+    /**
+     * Create an instance of a property's class from its data
+     * Data naming a subclass of the property's class in its ClassName becomes an instance of
+     * the subclass; an unknown or unrelated ClassName is reported and the property's class used.
+     * @param {Object} value - The data of the instance
+     * @param {Object} propDef - The property definition
+     * @param {Object} context - The class name, property and path of the value
+     * @returns {Object|undefined} The instance, or undefined if it could not be created
+     * @private
+     */
+    _createNestedObject(value, propDef, context) {
+        let className = propDef.Type;
+        try {
+            className = this._manager.resolveClassName(propDef.Type, value);
+        } catch (error) {
+            this._reportValueError(error.message, context, value[CLASS_NAME_KEY], ModelValidationReason.CLASS);
+        }
+        
+        try {
+            const Constructor = this._manager.getClass(className);
+            if (!Constructor) {
+                throw new Error(`Class ${className} is not registered`);
+            }
+            return new Constructor(value, this._manager, { path: context.path });
+        } catch (error) {
+            // Errors within the nested object have already been reported with their own path
+            if (error instanceof ModelValidationError) {
+                throw error;
+            }
+            this._reportValueError(`Failed to create instance of ${className}: ${error.message}`,
+                context, value, ModelValidationReason.NESTED);
+            return undefined;
+        }
     }
 
     _getDefaultValue(propDef) {
         let defaultValue;
         if (propDef.DefaultValue !== undefined) {
-            if (propDef.Type === "number" && typeof propDef.DefaultValue === "string") {
-                defaultValue = Number(propDef.DefaultValue);
-            } else {
-                defaultValue = propDef.DefaultValue;
+            defaultValue = propDef.DefaultValue;
+            // Defaults are written in the definition file's form, e.g. "Infinity" or "01:30:00"
+            if (getTypeKind(propDef.Type) && !propDef.IsArray) {
+                try {
+                    defaultValue = convertToType(defaultValue, propDef.Type, propDef);
+                } catch (error) {
+                    console.warn(`Invalid DefaultValue for type ${propDef.Type}:`, error.message);
+                }
             }
         } else {
             defaultValue = propDef.IsArray ? [] : undefined;
@@ -92,8 +158,19 @@ export class AbstractModelObject {
         return defaultValue;
     }
 
-    _validateValue(value, propDef) {
-        // Handle null/undefined values
+    _validateValue(value, propDef, context) {
+        // References store the Uid of their target, also when given the target itself
+        if (propDef.Reference === true) {
+            if (value === undefined) {
+                return this._getDefaultValue(propDef);
+            }
+            return propDef.IsArray && Array.isArray(value) ? value.map(toReferenceValue) : toReferenceValue(value);
+        }
+
+        // Handle null/undefined values; Nullable properties keep null
+        if (value === null && propDef.Nullable === true) {
+            return null;
+        }
         if (value === null || value === undefined) {
             return this._getDefaultValue(propDef);
         }
@@ -106,64 +183,58 @@ export class AbstractModelObject {
             
             // Validate array items if they are objects
             if (!propDef.IsPrimitive && propDef.Type) {
-                return value.map(item => {
+                return value.map((item, index) => {
                     if (item && typeof item === 'object' && !Array.isArray(item)) {
-                        const Constructor = this._manager.getClass(propDef.Type);
-                        return new Constructor(item, this._manager);
+                        const instance = this._createNestedObject(item, propDef,
+                            { ...context, path: `${context.path}[${index}]` });
+                        return instance !== undefined ? instance : item;
                     }
                     return item;
                 });
             }
             
+            // Convert the items of arrays of typed values
+            if (getTypeKind(propDef.Type)) {
+                return value.map((item, index) => {
+                    try {
+                        return convertToType(item, propDef.Type, propDef);
+                    } catch (error) {
+                        this._reportValueError(error.message, { ...context, path: `${context.path}[${index}]` },
+                            item, ModelValidationReason.CONVERSION);
+                        return item;
+                    }
+                });
+            }
+            
             return value;
         }
 
-        // Handle primitive types
-        if (propDef.IsPrimitive) {
-            const expectedType = propDef.Type.toLowerCase();
-            let convertedValue = value;
+        // Handle primitive and typed values (integer, date, datetime, duration, quantity, matrix, ...)
+        if (propDef.IsPrimitive || getTypeKind(propDef.Type)) {
+            const expectedType = propDef.Type;
             
             // Try to convert to the expected type
+            let convertedValue;
             try {
-                switch (expectedType) {
-                    case 'number':
-                        convertedValue = Number(value);
-                        if (isNaN(convertedValue)) throw new Error('Not a number');
-                        break;
-                    case 'boolean':
-                        if (typeof value === 'string') {
-                            convertedValue = value.toLowerCase() === 'true';
-                        } else {
-                            convertedValue = Boolean(value);
-                        }
-                        break;
-                    case 'string':
-                        convertedValue = String(value);
-                        break;
-                }
-                
-                // Validate enum values
-                if (propDef.Enum && !propDef.Enum.includes(convertedValue)) {
-                    console.warn(`Value "${convertedValue}" is not in enum: ${propDef.Enum.join(', ')}`);
-                }
-                
-                return convertedValue;
-                
+                convertedValue = convertToType(value, expectedType, propDef);
             } catch (error) {
-                console.warn(`Failed to convert value "${value}" to type ${expectedType}:`, error.message);
+                this._reportValueError(error.message, context, value, ModelValidationReason.CONVERSION);
                 return this._getDefaultValue(propDef);
             }
+            
+            // Validate enum values
+            if (propDef.Enum && !propDef.Enum.includes(convertedValue)) {
+                this._reportValueError(`Value "${convertedValue}" is not in enum: ${propDef.Enum.join(', ')}`,
+                    context, convertedValue, ModelValidationReason.ENUM);
+            }
+            
+            return convertedValue;
         }
         
         // Handle object types
         if (propDef.Type && typeof value === 'object' && value !== null) {
-            try {
-                const Constructor = this._manager.getClass(propDef.Type);
-                return new Constructor(value);
-            } catch (error) {
-                console.warn(`Failed to create instance of ${propDef.Type}:`, error.message);
-                return this._getDefaultValue(propDef);
-            }
+            const instance = this._createNestedObject(value, propDef, context);
+            return instance !== undefined ? instance : this._getDefaultValue(propDef);
         }
 
         return value;
@@ -199,7 +270,9 @@ export class AbstractModelObject {
     }
 
     toJSON() {
-        const result = {};
+        // Subclasses name their class, so they are loaded as the subclass again
+        const className = this.constructor.className;
+        const result = this._manager.getClassHierarchy(className).length > 1 ? { [CLASS_NAME_KEY]: className } : {};
         const properties = [
             ...this.getPrimitiveProperties(),
             ...this.getObjectProperties()
@@ -0,0 +1,385 @@
+// js/model/ArrayEditor.js
+import { EventTypes } from '../controller/EventTypes.js';
+import { ModelPathUtils } from '../utils/ModelPathUtils.js';
+
+/**
+ * Structural edits of the array properties of a ClientModel
+ * Items are inserted, removed and moved in the model first and the change is then sent to
+ * the server, which confirms it by echoing it back. Changes the server rejects are reverted.
+ * Every applied change is recorded for undo and dispatched as MODEL_TO_VIEW_ARRAY_CHANGED.
+ */
+export class ArrayEditor {
+  /**
+   * Create a new ArrayEditor
+   * @param {ClientModel} model - The model whose arrays are edited
+   * @param {App} app - The application instance, for dispatching events
+   */
+  constructor(model, app) {
+    /** @private */
+    this._model = model;
+
+    /** @private */
+    this._app = app;
+
+    /** @private Changes sent to the server that it has not echoed back yet */
+    this._pendingChanges = [];
+  }
+
+  /**
+   * Insert a new item into an array property
+   * For arrays of model objects the item is created from the array's item class.
+   * @param {string} arrayPath - The path to the array property (e.g. 'RootModel.Parameters')
+   * @param {number} index - The index to insert at (equal to the length to append)
+   * @param {Object} [data={}] - The data to initialise the new item with
+   * @returns {Object|null} The inserted item, or null if the insertion failed
+   */
+  insert(arrayPath, index, data = {}) {
+    const path = standardizePath(arrayPath);
+    const item = this.createItem(path, data);
+
+    const success = this.apply({ path, operation: 'insert', index, item }, 'view');
+    return success ? item : null;
+  }
+
+  /**
+   * Remove an item from an array property
+   * @param {string} arrayPath - The path to the array property
+   * @param {number} index - The index of the item to remove
+   * @returns {Object|null} The removed item, or null if the removal failed
+   */
+  remove(arrayPath, index) {
+    const path = standardizePath(arrayPath);
+    const array = ModelPathUtils.getValueFromObjectPath(this._model.getRootInstance(), path);
+    const item = Array.isArray(array) ? array[index] : undefined;
+
+    const success = this.apply({ path, operation: 'remove', index, item }, 'view');
+    return success ? item : null;
+  }
+
+  /**
+   * Move an item within an array property
+   * @param {string} arrayPath - The path to the array property
+   * @param {number} fromIndex - The current index of the item
+   * @param {number} toIndex - The index the item should end up at
+   * @returns {boolean} True if the item was moved
+   */
+  move(arrayPath, fromIndex, toIndex) {
+    if (fromIndex === toIndex) return false;
+
+    const path = standardizePath(arrayPath);
+    return this.apply({ path, operation: 'move', index: fromIndex, toIndex }, 'view');
+  }
+
+  /**
+   * Insert a copy of an array item directly after the original
+   * The copy does not keep the original's UID; the server assigns a new one.
+   * @param {string} arrayPath - The path to the array property
+   * @param {number} index - The index of the item to duplicate
+   * @returns {Object|null} The inserted copy, or null if duplication failed
+   */
+  duplicate(arrayPath, index) {
+    const path = standardizePath(arrayPath);
+    const array = ModelPathUtils.getValueFromObjectPath(this._model.getRootInstance(), path);
+
+    if (!Array.isArray(array) || index < 0 || index >= array.length) {
+      this._reportError(`Cannot duplicate item ${index} of ${path}: index out of range`);
+      return null;
+    }
+
+    const source = array[index];
+    const data = source && typeof source.toJSON === 'function' ? source.toJSON() : source;
+
+    return this.insert(path, index + 1, copyWithoutUids(data));
+  }
+
+  /**
+   * Apply an array change notified by the server
+   * Notifications that echo a change made by this client are treated as confirmations.
+   * @param {string} arrayPath - The path to the array property
+   * @param {Object} change - The change as notified
+   * @param {string} change.Operation - 'insert', 'remove' or 'move'
+   * @param {number} change.Index - The index of the affected item
+   * @param {number} [change.ToIndex] - The destination index for 'move'
+   * @param {Object} [change.Item] - The data of the inserted item for 'insert'
+   * @param {string} [change.Source='server'] - The source of the change
+   */
+  applyServerChange(arrayPath, { Operation, Index, ToIndex, Item, Source }) {
+    const path = standardizePath(arrayPath);
+
+    // Check if this confirms an array change made by this client
+    const pendingIndex = this._pendingChanges.findIndex(pending =>
+      pending.path === path &&
+      pending.operation === Operation &&
+      pending.index === Index &&
+      (Operation !== 'move' || pending.toIndex === ToIndex));
+
+    if (pendingIndex !== -1) {
+      const [pending] = this._pendingChanges.splice(pendingIndex, 1);
+
+      // Adopt the UID assigned to the new item by the server
+      if (Operation === 'insert' && pending.item && typeof pending.item === 'object' &&
+          Item && Item.Uid !== undefined) {
+        this._model._observer.silently(() => { pending.item.Uid = Item.Uid; });
+      }
+      console.debug(`Server confirmed ${Operation} on ${path}`);
+      return;
+    }
+
+    const change = { path, operation: Operation, index: Index, toIndex: ToIndex };
+    if (Operation === 'insert') {
+      change.item = this.createItem(path, Item || {});
+    }
+
+    this.apply(change, Source || 'server', { record: false, send: false });
+  }
+
+  /**
+   * Apply an array change to the model and propagate it
+   * @param {Object} change - The change to apply
+   * @param {string} change.path - The standardized path to the array property
+   * @param {string} change.operation - 'insert', 'remove' or 'move'
+   * @param {number} change.index - The index of the affected item
+   * @param {number} [change.toIndex] - The destination index for 'move'
+   * @param {any} [change.item] - The item to insert, or the item being removed
+   * @param {string} source - The source of the change
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.record=true] - Whether to record the change in the undo history
+   * @param {boolean} [options.send=true] - Whether to send the change to the server
+   * @param {Object} [options.historyEntry] - The undo history entry that the change undoes or redoes;
+   *   it is removed from the history if the server rejects the change
+   * @returns {boolean} True if the change was applied
+   */
+  apply(change, source, options = {}) {
+    const { record = true, send = true, historyEntry = null } = options;
+    const { path, operation, index, toIndex } = change;
+    const model = this._model;
+
+    if (model.isInTransaction() && send) {
+      throw new Error('Array items cannot be inserted, removed or moved inside a transaction');
+    }
+
+    const rootInstance = model.getRootInstance();
+    if (!rootInstance) {
+      console.warn('Cannot change array: No model loaded');
+      return false;
+    }
+
+    const array = ModelPathUtils.getValueFromObjectPath(rootInstance, path);
+    if (!Array.isArray(array)) {
+      this._reportError(`Cannot ${operation} item: ${path} is not an array`);
+      return false;
+    }
+
+    const maxIndex = operation === 'insert' ? array.length : array.length - 1;
+    const isValidIndex = i => Number.isInteger(i) && i >= 0 && i <= maxIndex;
+    if (!isValidIndex(index) || (operation === 'move' && !isValidIndex(toIndex))) {
+      this._reportError(`Cannot ${operation} item ${index} of ${path}: index out of range`);
+      return false;
+    }
+
+    const { objectPath, property } = ModelPathUtils.splitPropertyPath(path);
+    let entry;
+    switch (operation) {
+      case 'insert':
+        array.splice(index, 0, change.item);
+        model._index.add(change.item, ModelPathUtils.getValueFromObjectPath(rootInstance, objectPath), property);
+        entry = { kind: 'array', path, operation, index, item: change.item };
+        break;
+      case 'remove':
+        entry = { kind: 'array', path, operation, index, item: array.splice(index, 1)[0] };
+        model._index.remove(entry.item);
+        model._instanceTracker.unregister(entry.item);
+        break;
+      case 'move':
+        array.splice(toIndex, 0, array.splice(index, 1)[0]);
+        entry = { kind: 'array', path, operation, index, toIndex };
+        break;
+      default:
+        this._reportError(`Unknown array operation '${operation}' for ${path}`);
+        return false;
+    }
+
+    model._recordChange(entry);
+
+    if (record) {
+      model._history.record(entry);
+    }
+
+    if (send) {
+      this._sendToServer(entry, historyEntry || entry);
+    }
+
+    if (this._app?.eventManager) {
+      const eventData = {
+        ObjectPath: objectPath,
+        Property: property,
+        Operation: operation,
+        Index: index,
+        Length: array.length,
+        Source: source
+      };
+      if (operation === 'move') {
+        eventData.ToIndex = toIndex;
+      }
+
+      this._app.eventManager.dispatchEvent(EventTypes.MODEL_TO_VIEW_ARRAY_CHANGED, eventData);
+    }
+
+    return true;
+  }
+
+  /**
+   * Get the change that reverts an array change
+   * @param {Object} change - The array change
+   * @returns {Object} The inverse change
+   */
+  invert(change) {
+    switch (change.operation) {
+      case 'insert':
+        return { ...change, operation: 'remove' };
+      case 'remove':
+        return { ...change, operation: 'insert' };
+      case 'move':
+        return { ...change, index: change.toIndex, toIndex: change.index };
+      default:
+        return change;
+    }
+  }
+
+  /**
+   * Create a new item for an array property
+   * @param {string} arrayPath - The standardized path to the array property
+   * @param {any} data - The data for the new item
+   * @returns {any} A model instance if the array holds model objects, otherwise the data itself
+   */
+  createItem(arrayPath, data) {
+    const model = this._model;
+    const { objectPath, property } = ModelPathUtils.splitPropertyPath(arrayPath);
+    const parentObject = ModelPathUtils.getValueFromObjectPath(model.getRootInstance(), objectPath);
+
+    const propDef = parentObject?._className
+      ? model.modelManager.getPropertyInfo(parentObject._className, property)
+      : null;
+
+    if (propDef?.Type && model.modelManager.isClassRegistered(propDef.Type)) {
+      return model.createInstance(model.modelManager.resolveClassName(propDef.Type, data), data || {});
+    }
+
+    return data;
+  }
+
+  /**
+   * Send an array change to the server
+   * If the server rejects the change it is reverted locally and removed from the undo history.
+   * @param {Object} entry - The applied array change
+   * @param {Object} [historyEntry=entry] - The undo history entry of the change
+   * @private
+   */
+  _sendToServer(entry, historyEntry = entry) {
+    if (!this._app?.eventManager) {
+      console.warn('Cannot send array change to server: Event manager not available');
+      return;
+    }
+
+    const { objectPath, property } = ModelPathUtils.splitPropertyPath(entry.path);
+    const pending = {
+      path: entry.path,
+      operation: entry.operation,
+      index: entry.index,
+      toIndex: entry.toIndex,
+      item: entry.item
+    };
+    this._pendingChanges.push(pending);
+
+    const clearPending = () => {
+      const pendingIndex = this._pendingChanges.indexOf(pending);
+      if (pendingIndex !== -1) {
+        this._pendingChanges.splice(pendingIndex, 1);
+      }
+    };
+
+    const rejectChange = (errorMessage) => {
+      clearPending();
+
+      this._app.eventManager.dispatchEvent(EventTypes.CLIENT_ERROR, {
+        ID: 'ARRAY_CHANGE_REJECTED',
+        Message: `Array ${entry.operation} on ${entry.path} was rejected by the server`,
+        Error: errorMessage
+      });
+
+      // Revert locally and forget the change so undo does not replay it
+      this.apply(this.invert(entry), 'rollback', { record: false, send: false });
+      this._model._history.discard(historyEntry);
+    };
+
+    const args = { PropertyName: property, Index: entry.index, Source: 'Client' };
+    if (entry.operation === 'insert') {
+      args.Data = entry.item;
+    } else if (entry.operation === 'move') {
+      args.ToIndex = entry.toIndex;
+    }
+
+    this._app.eventManager.dispatchEvent(EventTypes.MATLAB_METHOD_CALL_REQUEST, {
+      MethodName: `${entry.operation}ArrayItem`,
+      ObjectPath: objectPath,
+      Args: args,
+      Callback: (response) => {
+        if (response && response.Success === false) {
+          rejectChange(response.Error || 'Server rejected the change');
+          return;
+        }
+        clearPending();
+      },
+      ErrorCallback: (error) => {
+        rejectChange(error?.message || 'Server communication error');
+      }
+    });
+  }
+
+  /**
+   * Log and report an array change error
+   * @param {string} message - The error message
+   * @private
+   */
+  _reportError(message) {
+    console.error(message);
+
+    if (this._app?.eventManager) {
+      this._app.eventManager.dispatchEvent(EventTypes.CLIENT_ERROR, {
+        ID: 'ARRAY_UPDATE_ERROR',
+        Message: message
+      });
+    }
+  }
+}
+
+/**
+ * Standardize a path to the 'RootModel.A[0].B' form
+ * @private
+ */
+function standardizePath(path) {
+  const { segments, indices } = ModelPathUtils.parseObjectPath(path);
+  return ModelPathUtils.createObjectPath(segments, indices);
+}
+
+/**
+ * Deep-copy plain data, dropping all Uid fields so the server assigns new identities
+ * @private
+ */
+function copyWithoutUids(value) {
+  if (Array.isArray(value)) {
+    return value.map(copyWithoutUids);
+  }
+
+  if (value && typeof value === 'object') {
+    const copy = {};
+    Object.entries(value).forEach(([key, propValue]) => {
+      if (key !== 'Uid') {
+        copy[key] = copyWithoutUids(propValue);
+      }
+    });
+    return copy;
+  }
+
+  return value;
+}
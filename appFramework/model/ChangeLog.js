@@ -0,0 +1,82 @@
+// js/model/ChangeLog.js
+import { JsonPatch } from '../utils/JsonPatch.js';
+
+/**
+ * Revisioned log of the changes made to the client model
+ * Every recorded change increases the revision and is stored as JSON Patch
+ * operations, so the changes made since any recent revision can be exported.
+ */
+export class ChangeLog {
+  /**
+   * Create a new ChangeLog
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.limit=1000] - Maximum number of changes kept
+   */
+  constructor(options = {}) {
+    const { limit = 1000 } = options;
+
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error(`Change log limit must be a positive integer, got ${limit}`);
+    }
+
+    /** @private */
+    this._limit = limit;
+
+    /** @private Entries of the form { revision, operations } */
+    this._entries = [];
+
+    /** @private */
+    this._revision = 0;
+
+    /** @private Oldest revision the log can produce a patch from */
+    this._baseRevision = 0;
+  }
+
+  /**
+   * Get the current revision
+   * @returns {number} The revision
+   */
+  get revision() {
+    return this._revision;
+  }
+
+  /**
+   * Record a change
+   * @param {Object} change - A change in the shape used by ModelDiff
+   * @returns {number} The new revision
+   */
+  record(change) {
+    this._revision++;
+    this._entries.push({ revision: this._revision, operations: JsonPatch.fromChanges([change]) });
+
+    if (this._entries.length > this._limit) {
+      this._baseRevision = this._entries.shift().revision;
+    }
+    return this._revision;
+  }
+
+  /**
+   * Discard the log, e.g. when a new model is loaded
+   * The revision still increases, so earlier revisions can no longer be patched from.
+   */
+  reset() {
+    this._entries = [];
+    this._revision++;
+    this._baseRevision = this._revision;
+  }
+
+  /**
+   * Get the operations that turn the model at a revision into the current model
+   * @param {number} revision - The revision to start from
+   * @returns {Array<Object>|null} The operations, or null if the log does not go back that far
+   */
+  getOperationsSince(revision) {
+    if (!Number.isInteger(revision) || revision < this._baseRevision || revision > this._revision) {
+      return null;
+    }
+
+    return this._entries
+      .filter(entry => entry.revision > revision)
+      .flatMap(entry => entry.operations);
+  }
+}
@@ -4,7 +4,23 @@ import { EventListener } from '../controller/EventListener.js';
 import { EventTypes } from '../controller/EventTypes.js';
 import { ModelPathUtils } from '../utils/ModelPathUtils.js';
 import ValidationManager from '../utils/ValidationManager.js';
-import { convertNumericProperty } from '../utils/TypeConversionUtils.js';
+import { UnitRegistry } from '../utils/UnitRegistry.js';
+import { ModelDiff, CLASS_NAME_KEY } from '../utils/ModelDiff.js';
+import { convertNumericProperty, convertToType, getTypeKind } from '../utils/TypeConversionUtils.js';
+import { ModelHistory } from './ModelHistory.js';
+import { ModelTransactions } from './ModelTransactions.js';
+import { ArrayEditor } from './ArrayEditor.js';
+import { ModelMerger } from './ModelMerger.js';
+import { ModelPatcher } from './ModelPatcher.js';
+import { ModelAutosave } from './ModelAutosave.js';
+import { ModelObserverBinding } from './ModelObserverBinding.js';
+import { ChangeLog } from './ChangeLog.js';
+import { MigrationRegistry } from './MigrationRegistry.js';
+import { ComputedProperties } from './ComputedProperties.js';
+import { ModelReferences, getInstanceUid, toReferenceValue } from './ModelReferences.js';
+import { InstanceIndex } from './InstanceIndex.js';
+import { InstanceTracker } from './InstanceTracker.js';
+import { ModelDataError, ModelValidationError, ModelValidationReason } from './ModelValidationError.js';
 
 /**
  * Client-side model that manages application data and state
@@ -19,9 +35,12 @@ export class ClientModel extends EventListener {
    * @param {string} options.rootClassName - The name of the root model class (required)
    * @param {Object} options.modelDefinitions - Map of model definitions keyed by class name (required)
    * @param {Array<Function>} options.modelClasses - Array of model class constructors (required)
+   * @param {number} [options.historyLimit=100] - Maximum number of undo steps to keep
+   * @param {boolean} [options.strictMode=false] - Reject loaded data with values that do not match
+   *   the model definitions instead of warning (see ModelClassDefinitionManager.setStrictMode)
    */
   constructor(options = {}) {
-    const { app, rootClassName, modelDefinitions, modelClasses } = options;
+    const { app, rootClassName, modelDefinitions, modelClasses, historyLimit = 100, strictMode = false } = options;
     
     if (!app) {
       throw new Error('App instance is required');
@@ -66,18 +85,70 @@ export class ClientModel extends EventListener {
     
     /** @private */
     this._modelManager = new ModelClassDefinitionManager();
+    this._modelManager.setStrictMode(strictMode);
+    
+    /** @private Versions and migrations declared in the model definitions */
+    this._migrations = new MigrationRegistry();
+    this._migrations.loadDefinitions(modelDefinitions);
+    
+    /** @private Properties derived from others, kept up to date as the model changes */
+    this._computedProperties = new ComputedProperties();
+    this._computedProperties.loadDefinitions(modelDefinitions);
+    
+    /** @private Properties that store the Uid of an object elsewhere in the model */
+    this._references = new ModelReferences();
+    this._references.loadDefinitions(modelDefinitions);
     
     /** @private */
     this.instances = new Map();
     
+    /** @private The objects of the loaded model by class and Uid, with their parents */
+    this._index = new InstanceIndex();
+    
+    /** @private Keeps the instance map and index up to date as objects enter and leave the model */
+    this._instanceTracker = new InstanceTracker(this, app);
+    
     /** @private */
     this._initialized = false;
     
     /** @private */
     this._pendingChanges = new Map();
     
+    /** @private Reports direct assignments to properties of generated model classes to the views */
+    this._observer = new ModelObserverBinding(this, app, this._modelManager.getObserver());
+    
+    /** @private Units of numeric properties, shared with the views */
+    this._unitRegistry = new UnitRegistry();
+    
     /** @private */
-    this._validationManager = new ValidationManager(app);
+    this._validationManager = new ValidationManager(app, { unitRegistry: this._unitRegistry });
+    
+    /** @private Result of the last validateAll() */
+    this._validationReport = { valid: true, violations: [] };
+    
+    /** @private Undo/redo of the edits made in the views */
+    this._history = new ModelHistory(this, app, { limit: historyLimit });
+    
+    /** @private Revisioned log of all changes, used by generatePatch() */
+    this._changeLog = new ChangeLog();
+    
+    /** @private Transactions of property changes, see transaction() */
+    this._transactions = new ModelTransactions(this, app);
+    
+    /** @private Structural edits of array properties */
+    this._arrays = new ArrayEditor(this, app);
+    
+    /** @private Applies the changes of merged data, patches and snapshots */
+    this._merger = new ModelMerger(this, app);
+    
+    /** @private JSON Patch import and export, see applyPatch() and generatePatch() */
+    this._patcher = new ModelPatcher(this);
+    
+    /** @private Snapshots of the model for crash recovery, see enableAutosave() */
+    this._autosave = new ModelAutosave(this, app);
+    
+    /** @private Time of the last full model sent by the server */
+    this._serverTimestamp = null;
   }
   
   /**
@@ -254,17 +325,63 @@ export class ClientModel extends EventListener {
    * @returns {Function} - Constructor function for the synthetic class
    */
   _createSyntheticModelClass(className, classDefinition) {
-    // Extract property definitions to understand types
-    const propertyDefs = classDefinition?.Properties || {};
-    
     // Store reference to the ClientModel instance for use in the constructor
     const clientModel = this;
     
     // Create a simple class constructor that accepts properties via object
-    const SyntheticModelClass = function(data = {}) {
+    const SyntheticModelClass = function(data = {}, manager, options = {}) {
       // Set the _className property first - critical for view components
       this._className = className;
       
+      // Property definitions to understand types, including those of parent classes
+      const propertyDefs = clientModel._modelManager.getProperties(className);
+      
+      // Values that cannot be used are reported with their path; in strict mode this is an error
+      const path = options.path || 'RootModel';
+      const reportValueError = (message, details) => {
+        clientModel._modelManager.reportValueError(new ModelValidationError(message, { className, ...details }));
+      };
+      const createNested = (NestedClass, nestedData, key, nestedPath) => {
+        try {
+          return new NestedClass(nestedData, clientModel._modelManager, { path: nestedPath });
+        } catch (error) {
+          // Errors within the nested object have already been reported with their own path
+          if (error instanceof ModelValidationError) {
+            throw error;
+          }
+          reportValueError(`Failed to create instance of ${NestedClass.className || propertyDefs[key].Type}: ${error.message}`, {
+            property: key, path: nestedPath, value: nestedData, reason: ModelValidationReason.NESTED
+          });
+          return nestedData;
+        }
+      };
+      // Data naming a subclass of the property's Type in its ClassName becomes an instance of the subclass
+      const createObject = (item, key, itemPath) => {
+        let type = propertyDefs[key].Type;
+        try {
+          type = clientModel._modelManager.resolveClassName(type, item);
+        } catch (error) {
+          reportValueError(error.message, {
+            property: key, path: itemPath, value: item[CLASS_NAME_KEY], reason: ModelValidationReason.CLASS
+          });
+        }
+        
+        // Check if we have a model class for this type
+        if (clientModel._modelClasses[type]) {
+          return createNested(clientModel._modelClasses[type], item, key, itemPath);
+        }
+        // If not, check if we have a definition and create a synthetic class
+        if (clientModel._modelDefinitions[type]) {
+          return createNested(clientModel._createSyntheticModelClass(type, clientModel._modelDefinitions[type]), item, key, itemPath);
+        }
+        return item; // Keep as is if we can't instantiate it
+      };
+      const convertValue = (item, key, itemPath) => convertTypedValue(item, propertyDefs[key], error => {
+        reportValueError(error.message, {
+          property: key, path: itemPath, value: item, reason: ModelValidationReason.CONVERSION
+        });
+      });
+      
       // Loop through all properties in the definition
       Object.entries(propertyDefs).forEach(([key, propDef]) => {
         // Get the value from data if present, or use default
@@ -280,7 +397,7 @@ export class ClientModel extends EventListener {
           } 
           // Case 2: Handle arrays for scalar properties
           // This is needed because MATLAB sometimes sends scalar strings as arrays
-          else if (propDef && propDef.IsArray === false && Array.isArray(value)) {
+          else if (propDef && propDef.IsArray === false && Array.isArray(value) && getTypeKind(propDef.Type) !== 'matrix') {
             if (value.length === 1) {
               // Unwrap single-element arrays for scalar properties
               value = value[0];
@@ -291,47 +408,41 @@ export class ClientModel extends EventListener {
           }
         }
         
+        // References store the Uid of their target, also when given the target itself
+        if (propDef?.Reference === true) {
+          this[key] = propDef.IsArray === true && Array.isArray(value)
+            ? value.map(toReferenceValue)
+            : (value === undefined ? value : toReferenceValue(value));
+        }
         // Handle array properties
-        if (propDef && propDef.IsArray === true && value !== null && value !== undefined) {
+        else if (propDef && propDef.IsArray === true && value !== null && value !== undefined) {
           
           // For arrays of complex types (non-primitive objects), we need to instantiate each item
-          if (propDef.Type && !propDef.IsPrimitive) {
+          if (propDef.Type && !propDef.IsPrimitive && !getTypeKind(propDef.Type)) {
             // Create a properly typed array by instantiating each element with the correct class
-            this[key] = value.map(item => {
+            this[key] = value.map((item, index) => {
               if (item === null || item === undefined) {
                 return item;
               }
               
-              try {
-                // Check if we have a model class for this type
-                if (clientModel._modelClasses[propDef.Type]) {
-                  return new clientModel._modelClasses[propDef.Type](item);
-                } 
-                // If not, check if we have a definition for the type
-                else if (clientModel._modelDefinitions[propDef.Type]) {
-                  // Create a synthetic class for this type if needed
-                  const ElementClass = clientModel._createSyntheticModelClass(
-                    propDef.Type, 
-                    clientModel._modelDefinitions[propDef.Type]
-                  );
-                  return new ElementClass(item);
-                }
-                return item; // Keep as is if we can't instantiate it
-              } catch (error) {
-                console.warn(`Failed to create instance of array element type ${propDef.Type}:`, error);
-                return item;
-              }
+              return createObject(item, key, `${path}.${key}[${index}]`);
             });
           } else {
             // For primitive types, convert if needed (e.g., Infinity strings for numbers)
             if (propDef.Type === 'Number' || propDef.Type === 'number') {
               this[key] = value.map(item => convertNumericProperty(item));
+            } else if (isConvertedType(propDef.Type)) {
+              this[key] = value.map((item, index) => convertValue(item, key, `${path}.${key}[${index}]`));
             } else {
               // For other primitive types, just assign the array directly
               this[key] = value;
             }
           }
         }
+        // Integers, dates, datetimes, durations, quantities and matrices are kept in their JSON form
+        else if (value !== null && value !== undefined && isConvertedType(propDef?.Type)) {
+          this[key] = convertValue(value, key, `${path}.${key}`);
+        }
         // Special handling for boolean values to ensure proper type
         else if (typeof value === 'boolean' || 
                 (propDef?.Type === 'Boolean' && (value === 'true' || value === 'false' || value === true || value === false))) {
@@ -342,26 +453,7 @@ export class ClientModel extends EventListener {
           this[key] = value;
         } else if (typeof value === 'object' && propDef?.Type) {
           // Handle complex object types
-          try {
-            // Check if we have a registered class for this type
-            if (clientModel._modelClasses[propDef.Type]) {
-              this[key] = new clientModel._modelClasses[propDef.Type](value);
-            } 
-            // If not, check if we have a definition and create a synthetic class
-            else if (clientModel._modelDefinitions[propDef.Type]) {
-              const ElementClass = clientModel._createSyntheticModelClass(
-                propDef.Type, 
-                clientModel._modelDefinitions[propDef.Type]
-              );
-              this[key] = new ElementClass(value);
-            } else {
-              // No definition or class, just use raw value
-              this[key] = value;
-            }
-          } catch (error) {
-            console.warn(`Failed to create object instance of ${propDef.Type}:`, error.message);
-            this[key] = value;
-          }
+          this[key] = createObject(value, key, `${path}.${key}`);
         } else if (typeof value === 'object') {
           // Object without Type specification
           this[key] = value;
@@ -379,6 +471,9 @@ export class ClientModel extends EventListener {
       if (!this.id && !this.ID) {
         this.id = Math.floor(Math.random() * 1000000);
       }
+      
+      // Direct assignments such as root.Species[0].Name = 'x' are reported to the views
+      clientModel._modelManager.getObserver().observe(this);
     };
     
     // Add static properties
@@ -387,7 +482,8 @@ export class ClientModel extends EventListener {
     // Add prototype methods
     SyntheticModelClass.prototype.toJSON = function() {
       // Simple serialization - convert the instance to a plain object
-      const serialized = {};
+      // Subclasses name their class, so they are loaded as the subclass again
+      const serialized = classDefinition?.Extends ? { [CLASS_NAME_KEY]: className } : {};
       for (const [key, value] of Object.entries(this)) {
         // Skip functions and private properties
         if (typeof value !== 'function' && !key.startsWith('_')) {
@@ -409,7 +505,9 @@ export class ClientModel extends EventListener {
     return [
       EventTypes.SERVER_MODEL_UPDATED,
       EventTypes.SERVER_MODEL_PROPERTY_UPDATED,
-      EventTypes.VIEW_TO_MODEL_PROPERTY_CHANGED
+      EventTypes.SERVER_MODEL_ARRAY_CHANGED,
+      EventTypes.VIEW_TO_MODEL_PROPERTY_CHANGED,
+      EventTypes.VIEW_TO_MODEL_ARRAY_CHANGED
     ];
   }
   
@@ -461,6 +559,12 @@ export class ClientModel extends EventListener {
         }
       }
       
+      // Computed properties are derived on the client
+      if (parentObject?._className && this._computedProperties.isComputed(parentObject._className, PropertyName)) {
+        console.debug(`Ignoring server update of computed property ${fullPath}`);
+        return;
+      }
+      
       // Check if this is confirming a pending change from this client
       if (this._pendingChanges.has(fullPath)) {
         // This is a confirmation of a client-initiated change - mark it confirmed
@@ -474,10 +578,11 @@ export class ClientModel extends EventListener {
       }
       
       // Update the property in the model using standardized utility
-      const success = ModelPathUtils.setValueAtObjectPath(rootInstance, fullPath, convertedValue);
+      const success = this._observer.setValue(rootInstance, fullPath, convertedValue);
       
       if (success) {
         console.debug(`Updated property at path ${fullPath} to:`, Value);
+        this._recordChange({ operation: 'set', path: fullPath, value: convertedValue, oldValue });
         
         // Let the BindingManager handle the view updates by dispatching a MODEL_TO_VIEW_PROPERTY_CHANGED event
         // The BindingManager subscribes to this event and will update all relevant view components
@@ -534,6 +639,15 @@ export class ClientModel extends EventListener {
       
       if (modelData) {
         console.log('Received model update from server:', timestamp.toISOString());
+        this._serverTimestamp = Timestamp ? timestamp : null;
+        
+        // Merge an update of the loaded model in place, so only the changed fields are refreshed
+        const currentRoot = this.getRootInstance();
+        if (currentRoot && ModelDiff.isSameObject(currentRoot, modelData)) {
+          const changes = this.mergeData(modelData, 'server');
+          console.log(`Applied ${changes.length} change(s) from server model update`);
+          return;
+        }
         
         // Load the data, clearing existing instances
         const rootInstance = this.loadData(modelData, true);
@@ -587,7 +701,8 @@ export class ClientModel extends EventListener {
   handle_view_to_model_property_changed(eventData) {
     try {
       // Extract data using PascalCase field names from event schema
-      const { Path, ObjectPath, Property, Value, OldValue, Source, SourceView } = eventData;
+      const { Path, ObjectPath, Property, OldValue, Source, SourceView } = eventData;
+      let { Value } = eventData;
       
       if (!Path || !Property) {
         console.error('Invalid property change event - missing required fields:', eventData);
@@ -626,8 +741,16 @@ export class ClientModel extends EventListener {
         return;
       }
       
+      // References store the Uid of their target, also when given the target itself
+      if (this._references.isReferencePath(rootInstance, standardizedFullPath)) {
+        Value = Array.isArray(Value) ? Value.map(toReferenceValue) : toReferenceValue(Value);
+      }
+      
       // Perform validation before updating the property
-      const validationResult = this._validatePropertyChange(rootInstance, standardizedFullPath, Value);
+      // Inside a transaction, validation is deferred until all changes have been made
+      const validationResult = this._transactions.isOpen()
+        ? { errors: [] }
+        : this._validatePropertyChange(rootInstance, standardizedFullPath, Value);
       if (validationResult.errors.length > 0) {
         console.warn(`Validation failed for ${standardizedFullPath}:`, validationResult.errors);
         
@@ -648,17 +771,29 @@ export class ClientModel extends EventListener {
         return;
       }
       
+      // Capture the value actually held by the model so the edit can be undone
+      const previousValue = ModelPathUtils.getValueFromObjectPath(rootInstance, standardizedFullPath);
+      
       // Update the property in the model using standardized utility
-      const success = ModelPathUtils.setValueAtObjectPath(rootInstance, standardizedFullPath, Value);
+      const success = this._observer.setValue(rootInstance, standardizedFullPath, Value);
       
       if (success) {
         console.debug(`Updated property at path ${standardizedFullPath} to:`, Value);
+        this._recordChange({ operation: 'set', path: standardizedFullPath, value: Value, oldValue: previousValue });
         
-        // Track this change as pending until confirmed by server
-        this.trackPendingChange(standardizedFullPath, Value, OldValue);
-        
-        // Send the change to the server
-        this.sendPropertyChangeToServer(standardizedFullPath, Value);
+        if (this._transactions.isOpen()) {
+          // Batch the change; it is validated, recorded and sent when the transaction commits
+          this._transactions.record(standardizedFullPath, previousValue, Value);
+        } else {
+          // Record the edit in the undo history
+          this._history.record({ path: standardizedFullPath, oldValue: previousValue, value: Value });
+          
+          // Track this change as pending until confirmed by server
+          this.trackPendingChange(standardizedFullPath, Value, OldValue);
+          
+          // Send the change to the server
+          this.sendPropertyChangeToServer(standardizedFullPath, Value);
+        }
         
         // Dispatch MODEL_TO_VIEW_PROPERTY_CHANGED to update all views
         if (this._app?.eventManager) {
@@ -787,21 +922,22 @@ export class ClientModel extends EventListener {
     }
     
     // Restore the old value in the model
-    const success = ModelPathUtils.setValueAtPath(rootInstance, path, oldValue);
+    const rejectedValue = ModelPathUtils.getValueFromObjectPath(rootInstance, path);
+    const success = this._observer.setValue(rootInstance, path, oldValue);
     
     if (success) {
       console.debug(`Rolled back rejected change for ${path} to:`, oldValue);
+      this._recordChange({ operation: 'set', path, value: oldValue, oldValue: rejectedValue });
       
       // Dispatch MODEL_TO_VIEW_PROPERTY_CHANGED to update all views with the original value
       if (this._app?.eventManager) {
-        // Parse the path to get property name using standardized utilities
-        const { segments } = ModelPathUtils.parseObjectPath(path);
-        const propertyName = segments[segments.length - 1];
+        const { objectPath, property } = ModelPathUtils.splitPropertyPath(path);
         
         this._app.eventManager.dispatchEvent(EventTypes.MODEL_TO_VIEW_PROPERTY_CHANGED, {
-          Path: path,
-          Property: propertyName,
+          ObjectPath: objectPath,
+          Property: property,
           Value: oldValue,
+          OldValue: rejectedValue,
           Source: 'rollback'
         });
         console.debug(`Dispatched MODEL_TO_VIEW_PROPERTY_CHANGED for rolled back value at ${path}`);
@@ -876,167 +1012,184 @@ export class ClientModel extends EventListener {
     
     console.debug(`Sent property change to server via service layer:`, { path, value, objectPath, propertyName });
   }
-
-/**
- * Track a pending property change
- * @param {string} path - The path to the property
- * @param {any} value - The new value
- * @param {any} oldValue - The previous value
- */
-trackPendingChange(path, value, oldValue) {
-  if (!path) return;
-  
-  this._pendingChanges.set(path, {
-    path,
-    value,
-    oldValue,
-    timestamp: Date.now(),
-    status: 'pending'
-  });
-  
-  console.debug(`Tracked pending change for ${path}:`, { value, oldValue });
-}
-
-/**
- * Mark a pending change as rejected
- * @param {string} path - The path to the property
- * @param {string} errorMessage - The error message
- * @private
- */
-_markPendingChangeAsRejected(path, errorMessage) {
-  if (!path || !this._pendingChanges.has(path)) return;
   
-  const pendingChange = this._pendingChanges.get(path);
-  pendingChange.status = 'rejected';
-  pendingChange.error = errorMessage || 'Change rejected by server';
+  /**
+   * Run a set of property changes as a single transaction
+   * Property changes made while fn runs (through setPropertyValue() or VIEW_TO_MODEL_PROPERTY_CHANGED)
+   * are applied to the client model immediately but are only validated once fn has finished, so
+   * constraints spanning several properties are checked against the final state. The changes are
+   * then sent to the server in one 'applyPropertyChanges' call, which wraps them in
+   * RootModel.beginTransaction/commitTransaction. If validation fails or the server rejects the
+   * call, every change is rolled back on the client.
+   * Nested calls join the outermost transaction.
+   * @param {Function} fn - Function making the changes; may return a promise
+   * @param {Object} [options] - Transaction options
+   * @param {string} [options.label=''] - Label of the resulting undo step
+   * @returns {Promise<any>} Resolves with the return value of fn once the server has accepted the changes
+   */
+  transaction(fn, options = {}) {
+    return this._transactions.run(fn, options);
+  }
   
-  console.debug(`Marked pending change as rejected for ${path}:`, pendingChange);
+  /**
+   * Check whether a transaction is currently open
+   * @returns {boolean} True while the function passed to transaction() is running
+   */
+  isInTransaction() {
+    return this._transactions.isOpen();
+  }
   
-  // Dispatch an error event
-  if (this._app?.eventManager) {
-    this._app.eventManager.dispatchEvent(EventTypes.CLIENT_ERROR, {
-      ID: 'PROPERTY_CHANGE_REJECTED',
-      Message: `Property change for ${path} was rejected by the server`,
-      Error: errorMessage || 'No error details provided'
+  /**
+   * Change a property value programmatically
+   * The change follows the same path as an edit made in the view, including validation,
+   * undo history, server synchronisation and transaction batching.
+   * @param {string} objectPath - The path to the object containing the property (e.g. 'RootModel.Items[0]')
+   * @param {string} property - The name of the property
+   * @param {any} value - The new value
+   */
+  setPropertyValue(objectPath, property, value) {
+    const path = objectPath ? `${objectPath}.${property}` : property;
+    const rootInstance = this.getRootInstance();
+    
+    this.handle_view_to_model_property_changed({
+      Path: path,
+      ObjectPath: objectPath,
+      Property: property,
+      Value: value,
+      // Restored if the server rejects the change
+      OldValue: rootInstance ? ModelPathUtils.getValueFromObjectPath(rootInstance, path) : undefined,
+      Source: 'api'
     });
   }
   
-  // Roll back the change in the model
-  this._rollBackRejectedChange(path, pendingChange.oldValue);
-  
-  // Clean up the rejected change after a delay
-  setTimeout(() => {
-    if (this._pendingChanges.has(path) && 
-        this._pendingChanges.get(path).status === 'rejected') {
-      this._pendingChanges.delete(path);
-      console.debug(`Cleaned up rejected change for ${path}`);
+  /**
+   * Handle array structure changes requested by the view
+   * @param {Object} eventData - The event data containing the array change
+   * @param {string} eventData.ObjectPath - The path to the object containing the array property
+   * @param {string} eventData.Property - The name of the array property
+   * @param {string} eventData.Operation - 'insert', 'remove', 'move' or 'duplicate'
+   * @param {number} eventData.Index - The index of the affected item
+   * @param {number} [eventData.ToIndex] - The destination index for 'move'
+   * @param {Object} [eventData.Data] - The data of the new item for 'insert'
+   */
+  handle_view_to_model_array_changed(eventData) {
+    try {
+      const { ObjectPath, Property, Operation, Index, ToIndex, Data } = eventData;
+      
+      if (!Property || !Operation) {
+        console.error('Invalid array change event - missing required fields:', eventData);
+        return;
+      }
+      
+      const arrayPath = ObjectPath ? `${ObjectPath}.${Property}` : Property;
+      
+      switch (Operation) {
+        case 'insert':
+          this.insertArrayItem(arrayPath, Index, Data);
+          break;
+        case 'remove':
+          this.removeArrayItem(arrayPath, Index);
+          break;
+        case 'move':
+          this.moveArrayItem(arrayPath, Index, ToIndex);
+          break;
+        case 'duplicate':
+          this.duplicateArrayItem(arrayPath, Index);
+          break;
+        default:
+          console.error(`Unknown array operation '${Operation}' for ${arrayPath}`);
+      }
+    } catch (error) {
+      console.error('Error handling view-to-model array change:', error);
+      
+      if (this._app?.eventManager) {
+        this._app.eventManager.dispatchEvent(EventTypes.CLIENT_ERROR, {
+          ID: 'ARRAY_UPDATE_ERROR',
+          Message: 'Failed to process view-to-model array change',
+          Error: error.message,
+          Stack: error.stack
+        });
+      }
     }
-  }, 5000); // Clean up after 5 seconds
-}
-
-/**
- * Roll back a rejected property change
- * @param {string} path - The path to the property
- * @param {any} oldValue - The previous value to restore
- * @private
- */
-_rollBackRejectedChange(path, oldValue) {
-  if (!path) return;
-  
-  const rootInstance = this.getRootInstance();
-  if (!rootInstance) {
-    console.warn('Cannot rollback rejected change: No model loaded');
-    return;
   }
   
-  // Restore the old value in the model
-  const success = ModelPathUtils.setValueAtObjectPath(rootInstance, path, oldValue);
-  
-  if (success) {
-    console.debug(`Rolled back rejected change for ${path} to:`, oldValue);
-    
-    // Dispatch MODEL_TO_VIEW_PROPERTY_CHANGED to update all views with the original value
-    if (this._app?.eventManager) {
-      // Parse the path to get property name using standardized utilities
-      const { segments } = ModelPathUtils.parseObjectPath(path);
-      const propertyName = segments[segments.length - 1];
-      
-      this._app.eventManager.dispatchEvent(EventTypes.MODEL_TO_VIEW_PROPERTY_CHANGED, {
-        Path: path,
-        Property: propertyName,
-        Value: oldValue,
-        Source: 'rollback'
-      });
-      console.debug(`Dispatched MODEL_TO_VIEW_PROPERTY_CHANGED for rolled back value at ${path}`);
+  /**
+   * Handle array structure changes notified by the server
+   * Notifications that echo a change made by this client are treated as confirmations.
+   * @param {Object} eventData - The event data containing the array change
+   * @param {string} eventData.ObjectPath - The path to the object containing the array property
+   * @param {string} eventData.PropertyName - The name of the array property
+   * @param {string} eventData.Operation - 'insert', 'remove' or 'move'
+   * @param {number} eventData.Index - The index of the affected item
+   * @param {number} [eventData.ToIndex] - The destination index for 'move'
+   * @param {Object} [eventData.Item] - The data of the inserted item for 'insert'
+   */
+  handle_server_model_array_changed(eventData) {
+    try {
+      const { ObjectPath, PropertyName, Operation, Index, ToIndex, Item, Source } = eventData;
+      
+      if (!ObjectPath || !PropertyName || !Operation) {
+        console.error('Invalid array change event - missing ObjectPath, PropertyName or Operation:', eventData);
+        return;
+      }
+      
+      this._arrays.applyServerChange(`${ObjectPath}.${PropertyName}`, { Operation, Index, ToIndex, Item, Source });
+    } catch (error) {
+      console.error('Error handling server array change:', error);
+      
+      if (this._app?.eventManager) {
+        this._app.eventManager.dispatchEvent(EventTypes.CLIENT_ERROR, {
+          ID: 'ARRAY_UPDATE_ERROR',
+          Message: 'Failed to process server array change',
+          Error: error.message,
+          Stack: error.stack
+        });
+      }
     }
-  } else {
-    console.error(`Failed to rollback rejected change for path ${path}`);
   }
-}
-
-/**
- * Send a property change to the server
- * @param {string} path - The path to the property
- * @param {any} value - The new value
- */
-sendPropertyChangeToServer(path, value) {
-  if (!path) return;
   
-  // Parse the path using standardized utilities
-  const { segments, indices } = ModelPathUtils.parseObjectPath(path);
-  
-  // Extract property name (last segment) and create object path (all but last segment)
-  const propertyName = segments[segments.length - 1];
-  const objectPathSegments = segments.slice(0, segments.length - 1);
-  const objectPath = ModelPathUtils.createObjectPath(objectPathSegments, indices);
-  
-  // If event manager is not available, just keep the pending change tracked
-  // We'll have a way to resend these later
-  if (!this._app?.eventManager) {
-    console.warn('Cannot send property change to server: Event manager not available, keeping as pending');
-    return; // Keep the pending change, don't mark as rejected
+  /**
+   * Insert a new item into an array property
+   * For arrays of model objects the item is created from the array's item class.
+   * @param {string} arrayPath - The path to the array property (e.g. 'RootModel.Parameters')
+   * @param {number} index - The index to insert at (equal to the length to append)
+   * @param {Object} [data={}] - The data to initialise the new item with
+   * @returns {Object|null} The inserted item, or null if the insertion failed
+   */
+  insertArrayItem(arrayPath, index, data = {}) {
+    return this._arrays.insert(arrayPath, index, data);
   }
   
-  // Request ID will be generated by the service layer
-  
-  // Define success callback for the method call
-  const successCallback = (response) => {
-    console.debug(`Server processed property change for ${path}:`, response);
-    
-    // If the server returned an error in the response, mark as rejected
-    if (response && response.Success === false) {
-      this._markPendingChangeAsRejected(path, response.Error || 'Server rejected the change');
-    }
-    // Otherwise, we'll wait for the SERVER_MODEL_PROPERTY_UPDATED event
-    // to confirm and clear the pending change
-  };
-  
-  // Define error callback for the method call
-  const errorCallback = (error) => {
-    console.error(`Error updating property ${path}:`, error);
-    // Mark the pending change as rejected and roll back
-    this._markPendingChangeAsRejected(path, error.message || 'Server communication error');
-  };
-  
-  // Prepare method arguments using PascalCase field names for consistency in server communication
-  const methodArgs = {
-    MethodName: 'updateProperty', // Method to call
-    ObjectPath: objectPath,
-    Args: { // Method arguments
-      PropertyName: propertyName,
-      Value: value,
-      Source: 'Client' // Use PascalCase for consistency
-    },
-    // Include callbacks for handling the response
-    Callback: successCallback,
-    ErrorCallback: errorCallback
-  };
+  /**
+   * Remove an item from an array property
+   * @param {string} arrayPath - The path to the array property
+   * @param {number} index - The index of the item to remove
+   * @returns {Object|null} The removed item, or null if the removal failed
+   */
+  removeArrayItem(arrayPath, index) {
+    return this._arrays.remove(arrayPath, index);
+  }
   
-  // Dispatch MATLAB_METHOD_CALL_REQUEST event through the event system
-  // The service layer will pick this up, forward it to the server, and handle the response
-  this._app.eventManager.dispatchEvent(EventTypes.MATLAB_METHOD_CALL_REQUEST, methodArgs);
+  /**
+   * Move an item within an array property
+   * @param {string} arrayPath - The path to the array property
+   * @param {number} fromIndex - The current index of the item
+   * @param {number} toIndex - The index the item should end up at
+   * @returns {boolean} True if the item was moved
+   */
+  moveArrayItem(arrayPath, fromIndex, toIndex) {
+    return this._arrays.move(arrayPath, fromIndex, toIndex);
+  }
   
-  console.debug(`Sent property change to server via event system:`, { path, value, objectPath, propertyName });
+  /**
+   * Insert a copy of an array item directly after the original
+   * The copy does not keep the original's UID; the server assigns a new one.
+   * @param {string} arrayPath - The path to the array property
+   * @param {number} index - The index of the item to duplicate
+   * @returns {Object|null} The inserted copy, or null if duplication failed
+   */
+  duplicateArrayItem(arrayPath, index) {
+    return this._arrays.duplicate(arrayPath, index);
   }
   
   /**
@@ -1068,6 +1221,71 @@ sendPropertyChangeToServer(path, value) {
     return Array.from(this._pendingChanges.values());
   }
   
+  /**
+   * Undo the most recent group of property edits
+   * The previous values are replayed through the same path as view edits: the model is
+   * updated, the change is sent to the server and MODEL_TO_VIEW_PROPERTY_CHANGED is dispatched.
+   * @returns {boolean} True if a group was undone
+   */
+  undo() {
+    return this._history.undo();
+  }
+  
+  /**
+   * Redo the most recently undone group of property edits
+   * @returns {boolean} True if a group was redone
+   */
+  redo() {
+    return this._history.redo();
+  }
+  
+  /**
+   * Check whether there is an edit that can be undone
+   * @returns {boolean} True if undo() would revert something
+   */
+  canUndo() {
+    return this._history.canUndo();
+  }
+  
+  /**
+   * Check whether there is an undone edit that can be redone
+   * @returns {boolean} True if redo() would re-apply something
+   */
+  canRedo() {
+    return this._history.canRedo();
+  }
+  
+  /**
+   * Start grouping subsequent property edits into a single undo step
+   * Every call must be balanced by a call to endHistoryGroup()
+   * @param {string} [label=''] - Human-readable description of the step
+   */
+  beginHistoryGroup(label = '') {
+    this._history.beginGroup(label);
+  }
+  
+  /**
+   * Close the undo step started by beginHistoryGroup()
+   */
+  endHistoryGroup() {
+    this._history.endGroup();
+  }
+  
+  /**
+   * Set the maximum number of undo steps to keep
+   * @param {number} limit - The new limit (0 disables undo)
+   */
+  setHistoryLimit(limit) {
+    this._history.setLimit(limit);
+  }
+  
+  /**
+   * Discard all undo and redo history
+   */
+  clearHistory() {
+    this._history.clear();
+  }
+  
   /**
    * Get the current model data
    * @returns {Object} The current model data
@@ -1083,6 +1301,19 @@ sendPropertyChangeToServer(path, value) {
   getRootInstance() {
     return this._rootInstance || null;
   }  
+  
+  /**
+   * Find the values of the loaded model matching a path query
+   * See ModelPathUtils.query() for the syntax, e.g. 'RootModel.Parameters[?Use == true].Value'.
+   * The paths of the matches can be used with setPropertyValue() to edit them together.
+   * @param {string} query - The query
+   * @returns {Array<Object>} The matches as { path, value }; empty if no model is loaded
+   * @throws {Error} If the query is malformed
+   */
+  query(query) {
+    return ModelPathUtils.query(this.getRootInstance(), query);
+  }
+  
   /**
    * Process a data object and create model instances
    * @private
@@ -1106,8 +1337,12 @@ sendPropertyChangeToServer(path, value) {
    * Clean up resources
    */
   destroy() {
+    this.disableAutosave();
+    this._observer.disconnect();
     this.instances.clear();
+    this._index.clear();
     this._pendingChanges.clear();
+    this._history.clear();
     this._data = null;
     this._rootInstance = null;
   }
@@ -1157,6 +1392,7 @@ sendPropertyChangeToServer(path, value) {
       // If this is the root class instance, store a reference to it
       if (className === this._rootClassName) {
         this._rootInstance = instance;
+        this._index.rebuild(instance);
       }
       
       return instance;
@@ -1168,10 +1404,14 @@ sendPropertyChangeToServer(path, value) {
   
   /**
    * Get a model instance by ID
-   * @param {number} uid - The ID of the instance to retrieve
+   * Objects within the loaded model that were not created through createInstance are found
+   * by their Uid (see getInstanceUid in ModelReferences).
+   * @param {number|string} uid - The ID or Uid of the instance to retrieve
    * @returns {Object|undefined} The instance, or undefined if not found
    */
   getInstance(uid) {
+    const requestedUid = uid;
+    
     // Handle string UIDs by converting to number if possible
     if (typeof uid === 'string') {
       const numUid = parseInt(uid, 10);
@@ -1179,7 +1419,86 @@ sendPropertyChangeToServer(path, value) {
         uid = numUid;
       }
     }
-    return this.instances.get(uid);
+    if (this.instances.has(uid)) {
+      return this.instances.get(uid);
+    }
+    
+    // Objects put into the model other than through ClientModel are not indexed
+    return this._index.getByUid(requestedUid) ??
+      this._references.findObject(this.getRootInstance(), requestedUid)?.instance;
+  }
+  
+  /**
+   * Find the objects of the loaded model of a class that match a condition
+   * @param {string} [className] - The class; objects of its subclasses are included. All classes if omitted
+   * @param {Function} [predicate] - Called with each object; only those it accepts are returned
+   * @returns {Array<Object>} The matching objects
+   */
+  findInstances(className, predicate) {
+    return this._index.find(className ? this.getSubclassNames(className) : null, predicate);
+  }
+  
+  /**
+   * Get the object holding an object of the loaded model
+   * For an item of an array property this is the object with the array.
+   * @param {Object} instance - The model object
+   * @returns {Object|null} The parent, or null for the root instance and objects not in the model
+   */
+  getParent(instance) {
+    return this._index.getParent(instance);
+  }
+  
+  /**
+   * Get the object path of an object of the loaded model
+   * @param {Object} instance - The model object
+   * @returns {string|null} The path (e.g. 'RootModel.Species[2]'), or null for objects not in the model
+   */
+  getPath(instance) {
+    return this._index.getPath(instance);
+  }
+  
+  /**
+   * Check whether a property refers to another model object (Reference in its definition)
+   * @param {string} className - The class of the object
+   * @param {string} property - The property
+   * @returns {boolean} True if the property is a reference
+   */
+  isReferenceProperty(className, property) {
+    return this._references.isReference(className, property);
+  }
+  
+  /**
+   * Get the model object a reference property points at
+   * @param {string} objectPath - The path to the object containing the property (e.g. 'RootModel.Doses[0]')
+   * @param {string} property - The reference property
+   * @returns {Object|Array<Object>|null} The target, or null if the reference is not set or dangling;
+   *   for IsArray references an array with a target (or null) for each Uid
+   */
+  resolveReference(objectPath, property) {
+    const object = ModelPathUtils.getValueFromObjectPath(this.getRootInstance(), objectPath);
+    const value = object ? object[property] : undefined;
+    const resolve = uid => (uid === null || uid === undefined || uid === '' ? null : this.getInstance(uid) ?? null);
+    
+    return Array.isArray(value) ? value.map(resolve) : resolve(value);
+  }
+  
+  /**
+   * Get the model objects a reference property can point at
+   * @param {string} className - The class of the object containing the property
+   * @param {string} property - The reference property
+   * @returns {Array<Object>} { uid, path, instance } for each object of the property's Type or a subclass
+   */
+  getReferenceTargets(className, property) {
+    const reference = this._references.getReferenceProperty(className, property);
+    return reference ? this._references.findTargets(this.getRootInstance(), reference.type) : [];
+  }
+  
+  /**
+   * Find the references in the loaded model whose target is not in the model
+   * @returns {Array<Object>} { Path, ObjectPath, Property, Uid } for each dangling reference
+   */
+  getDanglingReferences() {
+    return this._references.findReferences(this.getRootInstance(), uid => this.getInstance(uid) === undefined);
   }
   
   /**
@@ -1197,6 +1516,15 @@ sendPropertyChangeToServer(path, value) {
     return instances.filter(instance => instance.constructor.name === className);
   }
   
+  /**
+   * Get the classes whose objects a property of a class type can hold
+   * @param {string} className - The class
+   * @returns {string[]} The class followed by the classes that extend it, directly or indirectly
+   */
+  getSubclassNames(className) {
+    return this._modelManager.getSubclassNames(className);
+  }
+  
   /**
    * Update a model instance from server data
    * @param {number} uid - The ID of the instance to update
@@ -1221,7 +1549,7 @@ sendPropertyChangeToServer(path, value) {
       }
       
       // Update the instance with the new data
-      Object.assign(instance, updates);
+      this._observer.silently(() => Object.assign(instance, updates));
       
       // Dispatch model updated event
       if (this._app?.eventManager) {
@@ -1272,14 +1600,23 @@ sendPropertyChangeToServer(path, value) {
       
       // Remove the instance from the map
       this.instances.delete(uid);
+      this.instances.forEach((value, key) => {
+        if (value === instance) this.instances.delete(key);
+      });
       
-      // Dispatch model updated event
-      if (this._app?.eventManager) {
+      // Objects within the model are removed from it, so references to them no longer resolve
+      this._removeFromModel(instance);
+      
+      // Dispatch model updated event; the event requires the model data
+      const rootInstance = this.getRootInstance();
+      if (this._app?.eventManager && rootInstance) {
         this._app.eventManager.dispatchEvent(EventTypes.CLIENT_MODEL_UPDATED, {
-          Data: null
+          Data: rootInstance
         });
       }
       
+      this._reportDanglingReferences(instance);
+      
       return true;
     } catch (error) {
       console.error(`Error deleting instance ${uid}:`, error);
@@ -1298,6 +1635,52 @@ sendPropertyChangeToServer(path, value) {
     }
   }
   
+  /**
+   * Remove a deleted instance from the loaded model
+   * Items of array properties are removed from their array and other nested objects are
+   * cleared, both as edits that can be undone. The root instance is left in place.
+   * @param {Object} instance - The deleted instance
+   * @private
+   */
+  _removeFromModel(instance) {
+    const rootInstance = this.getRootInstance();
+    const uid = getInstanceUid(instance);
+    if (!rootInstance || instance === rootInstance || uid === undefined) return;
+    
+    const found = this._references.findObject(rootInstance, uid);
+    if (!found || found.instance !== instance) return;
+    
+    const arrayItem = found.path.match(/^(.*)\[(\d+)\]$/);
+    if (arrayItem) {
+      this.removeArrayItem(arrayItem[1], parseInt(arrayItem[2], 10));
+    } else {
+      const { objectPath, property } = ModelPathUtils.splitPropertyPath(found.path);
+      this.setPropertyValue(objectPath, property, null);
+    }
+  }
+  
+  /**
+   * Warn about references to a deleted instance that can no longer be resolved
+   * @param {Object} instance - The deleted instance
+   * @private
+   */
+  _reportDanglingReferences(instance) {
+    const uid = getInstanceUid(instance);
+    if (uid === undefined) return;
+    
+    const dangling = this.getDanglingReferences().filter(reference => String(reference.Uid) === String(uid));
+    if (dangling.length === 0) return;
+    
+    const paths = dangling.map(reference => reference.Path);
+    console.warn(`References to deleted instance ${uid} are dangling:`, paths.join(', '));
+    this._app?.eventManager?.dispatchEvent(EventTypes.CLIENT_WARNING, {
+      ID: 'DANGLING_REFERENCE',
+      Message: `${paths.length} reference${paths.length === 1 ? '' : 's'} to deleted instance ${uid} no longer resolve: ${paths.join(', ')}`,
+      Uid: uid,
+      Paths: paths
+    });
+  }
+  
   /**
    * Clean up object references when an object is deleted or replaced
    * @param {Object} obj - The object to clean up
@@ -1323,15 +1706,30 @@ sendPropertyChangeToServer(path, value) {
   
   /**
    * Load data from a JSON structure
+   * Data saved with older versions of the model definitions is upgraded first when its
+   * versions are given (see migrateData()). Bare data carries no versions and is loaded as it
+   * is: models from the server and test data are at the current versions, and only documents
+   * and snapshots, which record their SchemaVersions, are upgraded.
    * @param {Object} data - The data to load (should be an instance of the root class)
    * @param {boolean} [clearExisting=false] - Whether to clear existing instances
+   * @param {Object} [options] - Options
+   * @param {Object} [options.schemaVersions] - Map of class names to the versions the data was saved with
    * @returns {Object} The created root instance
+   * @throws {ModelDataError} In strict mode, if values in the data do not match the model definitions
    */
-  loadData(data, clearExisting = false) {
+  loadData(data, clearExisting = false, options = {}) {
     if (!data || typeof data !== 'object') {
       throw new Error('Data must be an object');
     }
     
+    if (options.schemaVersions) {
+      const migration = this.migrateData(data, options.schemaVersions);
+      migration.changes.forEach(change => {
+        console.log(`Migrated ${change.Path} (${change.ClassName}) from version ${change.From} to ${change.To}`);
+      });
+      data = migration.data;
+    }
+    
     if (!this._modelManager) {
       throw new Error('ModelClassDefinitionManager not initialized');
     }
@@ -1348,6 +1746,10 @@ sendPropertyChangeToServer(path, value) {
       }
     }
     
+    // Rejected data leaves the loaded model in place
+    const previousRootInstance = this._rootInstance;
+    const previousInstances = new Map(this.instances);
+    
     try {
       if (clearExisting) {
         this.instances.clear();
@@ -1369,8 +1771,16 @@ sendPropertyChangeToServer(path, value) {
       console.log(`Root class '${this._rootClassName}' is fully registered.`);
       console.log('--- End Diagnostics ---');
       
-      // Create root instance from the data
-      const rootInstance = this.createInstance(this._rootClassName, data);
+      // Create root instance from the data; in strict mode all invalid values are reported together
+      const rootInstance = this._modelManager.collectErrors(() => this.createInstance(this._rootClassName, data));
+      this._observer.silently(() => this._computedProperties.updateAll(rootInstance));
+      
+      // Recorded edits refer to the previous model and cannot be replayed against the new one
+      this.clearHistory();
+      this._changeLog.reset();
+      
+      // Loaded data has not been through property validation, so check all of it
+      this.validateAll();
       
       return rootInstance;
       
@@ -1378,7 +1788,17 @@ sendPropertyChangeToServer(path, value) {
       console.error('Error loading data:', error);
       
       // Notify about the error
-      if (this._app?.eventManager) {
+      if (error instanceof ModelDataError) {
+        this._rootInstance = previousRootInstance;
+        this.instances = previousInstances;
+        this._index.rebuild(previousRootInstance);
+        this._app?.eventManager?.dispatchEvent(EventTypes.CLIENT_ERROR, {
+          ID: 'MODEL_DATA_ERROR',
+          Message: error.message,
+          Error: error.message,
+          Errors: error.errors.map(valueError => valueError.toJSON())
+        });
+      } else if (this._app?.eventManager) {
         this._app.eventManager.dispatchEvent(EventTypes.CLIENT_ERROR, {
           ID: 'LOAD_DATA_ERROR',
           Message: 'Failed to load model data',
@@ -1391,6 +1811,226 @@ sendPropertyChangeToServer(path, value) {
     }
   }
   
+  /**
+   * Merge data into the loaded model in place
+   * Only the differences are applied, so model objects keep their identity (and their
+   * bindings) and only the affected MODEL_TO_VIEW_PROPERTY_CHANGED, MODEL_TO_VIEW_ARRAY_CHANGED,
+   * INSTANCE_CREATED and INSTANCE_DELETED events are dispatched. See ModelDiff for how
+   * objects are matched. The changes are not recorded in the undo history.
+   * @param {Object} data - The new data of the root instance
+   * @param {string} [source='server'] - The source of the changes
+   * @returns {Array<Object>} The applied changes
+   */
+  mergeData(data, source = 'server') {
+    return this._merger.merge(data, source);
+  }
+  
+  /**
+   * Apply a JSON Patch (RFC 6902) to the model
+   * Pointers are object paths in JSON Pointer form ('/Items/0/Name' for 'RootModel.Items[0].Name').
+   * The patch is applied to a copy of the model first and rejected as a whole if an
+   * operation fails or the result has validation violations the model did not already have.
+   * Otherwise it is applied in place as one undo step, like the equivalent edits in the view.
+   * @param {Array<Object>} operations - The patch operations
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.send=true] - Whether to send the changes to the server and record them for undo
+   * @param {string} [options.source='patch'] - The source of the changes
+   * @returns {Array<Object>} The applied changes (see ModelDiff for their shapes)
+   * @throws {JsonPatchError} If the patch is malformed, cannot be applied or fails validation
+   */
+  applyPatch(operations, options = {}) {
+    return this._patcher.apply(operations, options);
+  }
+  
+  /**
+   * Get a JSON Patch (RFC 6902) of the changes made to the model since a revision
+   * If the changes are no longer known, e.g. because a new model was loaded since, the
+   * patch replaces the whole model.
+   * @param {number} [since=0] - The revision to start from (see getRevision())
+   * @returns {Array<Object>} The patch operations
+   */
+  generatePatch(since = 0) {
+    return this._patcher.generate(since);
+  }
+  
+  /**
+   * Get the revision of the model
+   * The revision increases with every change, whatever its source.
+   * @returns {number} The current revision
+   */
+  getRevision() {
+    return this._changeLog.revision;
+  }
+  
+  /**
+   * Check whether a property is computed from other properties (Computed in its definition)
+   * @param {string} className - The class of the object
+   * @param {string} property - The property
+   * @returns {boolean} True if the property is computed
+   */
+  isComputedProperty(className, property) {
+    return this._computedProperties.isComputed(className, property);
+  }
+  
+  /**
+   * Record a change in the change log and update the computed properties that depend on it
+   * @param {Object} change - A change in the shape used by ModelDiff
+   * @private
+   */
+  _recordChange(change) {
+    this._changeLog.record(change);
+    
+    const rootInstance = this.getRootInstance();
+    if (!rootInstance) {
+      return;
+    }
+    
+    // Computed values are derived on the client, so they are neither recorded nor sent to the server
+    const computedChanges = this._observer.silently(() => this._computedProperties.update(rootInstance, change.path));
+    computedChanges.forEach(computedChange => {
+      this._app?.eventManager?.dispatchEvent(EventTypes.MODEL_TO_VIEW_PROPERTY_CHANGED, {
+        ObjectPath: computedChange.ObjectPath,
+        Property: computedChange.Property,
+        Value: computedChange.Value,
+        OldValue: computedChange.OldValue,
+        Source: 'computed'
+      });
+    });
+  }
+  
+  /**
+   * Assign properties of model objects directly and notify the views of all changes together
+   * Model objects, whether created from the model definitions or from generated classes, report
+   * direct assignments such as root.Species[0].Name = 'x' to the views by themselves (see
+   * ModelObserver); without batch() they do so at the end of the current task. The changes are not validated, recorded in the
+   * undo history or sent to the server; use setPropertyValue() for that.
+   * @param {Function} fn - The function assigning the properties
+   * @returns {*} The result of the function
+   */
+  batch(fn) {
+    return this._observer.batch(fn);
+  }
+  
+  /**
+   * Get the time of the last full model sent by the server
+   * @returns {Date|null} The time, or null if the server did not send one
+   */
+  getServerTimestamp() {
+    return this._serverTimestamp;
+  }
+  
+  /**
+   * Start saving snapshots of the model periodically
+   * A snapshot holds the root instance and the pending changes, so edits survive a reload
+   * or a crash of the page. Any snapshot already in the store is kept as the recovery
+   * snapshot (see getRecoverySnapshot()) and is not overwritten until it is restored or discarded.
+   * @param {Object} options - Autosave options
+   * @param {Object} options.store - The snapshot store, e.g. an IndexedDBSnapshotStore
+   * @param {string} [options.key] - The key of the snapshot (defaults to the root class name)
+   * @param {number} [options.interval=10000] - Milliseconds between snapshots
+   * @returns {Promise<Object|null>} The recovery snapshot, or null if there is none
+   */
+  enableAutosave(options = {}) {
+    const { key = this._rootClassName } = options;
+    return this._autosave.enable({ ...options, key });
+  }
+  
+  /**
+   * Stop saving snapshots
+   */
+  disableAutosave() {
+    this._autosave.disable();
+  }
+  
+  /**
+   * Save a snapshot of the model now
+   * Nothing is saved if the model has not changed since the last snapshot or while a
+   * recovery snapshot is waiting to be restored or discarded.
+   * @returns {Promise<boolean>} True if a snapshot was saved
+   */
+  saveSnapshot() {
+    return this._autosave.save();
+  }
+  
+  /**
+   * Get the snapshot found when autosave was enabled
+   * @returns {Object|null} The snapshot ({Key, Revision, Saved, RootClass, SchemaVersions, Data, PendingChanges}), or null
+   */
+  getRecoverySnapshot() {
+    return this._autosave.getRecoverySnapshot();
+  }
+  
+  /**
+   * Check whether restoring a snapshot would change the model
+   * @param {Object} snapshot - The snapshot
+   * @returns {boolean} True if restoring the snapshot would change the model
+   */
+  hasSnapshotChanges(snapshot) {
+    return this._autosave.hasChanges(snapshot);
+  }
+  
+  /**
+   * Restore the model from a snapshot
+   * If the snapshot is of the loaded model, the differences are applied as one undo step and
+   * sent to the server like edits in the view. Otherwise the snapshot data is loaded as a new
+   * model and its unsent changes are sent again. The snapshot is no longer offered for recovery.
+   * @param {Object} [snapshot] - The snapshot (defaults to the recovery snapshot)
+   * @returns {Promise<Array<Object>>} The applied changes (see ModelDiff for their shapes)
+   */
+  restoreSnapshot(snapshot = this.getRecoverySnapshot()) {
+    return this._autosave.restore(snapshot);
+  }
+  
+  /**
+   * Remove the stored snapshot and stop offering it for recovery
+   * Autosave continues with the current model.
+   * @returns {Promise<void>}
+   */
+  discardSnapshot() {
+    return this._autosave.discard();
+  }
+  
+  /**
+   * Create the value of a property from incoming data
+   * Objects become instances of the property's class, numbers are converted from MATLAB and
+   * typed values (dates, durations, quantities, ...) are converted to their stored form.
+   * @param {string} objectPath - The path to the object containing the property
+   * @param {string} property - The property name
+   * @param {any} data - The incoming data
+   * @returns {any} The value to store
+   * @private
+   */
+  _createPropertyValue(objectPath, property, data) {
+    const parentObject = ModelPathUtils.getValueFromObjectPath(this.getRootInstance(), objectPath);
+    const propDef = parentObject?._className
+      ? this._modelManager.getPropertyInfo(parentObject._className, property)
+      : null;
+    
+    if (!propDef?.Type || data === null || data === undefined) {
+      return data;
+    }
+    
+    if (propDef.Reference === true) {
+      return Array.isArray(data) ? data.map(toReferenceValue) : toReferenceValue(data);
+    }
+    
+    if (isConvertedType(propDef.Type)) {
+      return Array.isArray(data) && propDef.IsArray ? data.map(item => convertTypedValue(item, propDef)) : convertTypedValue(data, propDef);
+    }
+    
+    const convert = (item) => {
+      if (item && typeof item === 'object' && !Array.isArray(item) && this._modelManager.isClassRegistered(propDef.Type)) {
+        return this.createInstance(this._modelManager.resolveClassName(propDef.Type, item), item);
+      }
+      if (propDef.Type === 'Number' || propDef.Type === 'number') {
+        return convertNumericProperty(item);
+      }
+      return item;
+    };
+    
+    return Array.isArray(data) ? data.map(convert) : convert(data);
+  }
+  
   /**
    * Ensure all model classes are registered
    * This is called before creating instances to make sure all required classes are available
@@ -1494,6 +2134,103 @@ sendPropertyChangeToServer(path, value) {
     }
   }
   
+  /**
+   * Validate the whole model against every property Validation and class Constraint
+   * Property edits are validated one at a time; this also catches invalid data loaded with
+   * loadData or received from the server. The report is dispatched as MODEL_VALIDATION_CHANGED.
+   * @returns {{valid: boolean, violations: Array<Object>}} The validation report
+   */
+  validateAll() {
+    const rootInstance = this.getRootInstance();
+    
+    this._validationReport = rootInstance
+      ? this._validationManager.validateInstance(rootInstance, { className: this._rootClassName })
+      : { valid: true, violations: [] };
+    
+    if (this._app?.eventManager) {
+      this._app.eventManager.dispatchEvent(EventTypes.MODEL_VALIDATION_CHANGED, {
+        Valid: this._validationReport.valid,
+        Violations: this._validationReport.violations
+      });
+    }
+    
+    return this._validationReport;
+  }
+  
+  /**
+   * Get the report of the last validateAll()
+   * @returns {{valid: boolean, violations: Array<Object>}} The validation report
+   */
+  getValidationReport() {
+    return this._validationReport;
+  }
+
+  /**
+   * Get the units of numeric properties
+   * Apps can define their own units with getUnitRegistry().define().
+   * @returns {UnitRegistry} The unit registry
+   */
+  getUnitRegistry() {
+    return this._unitRegistry;
+  }
+
+  /**
+   * Get the current versions of the model classes
+   * Saved data records these so it can be upgraded when the definitions change.
+   * @returns {Object} Map of class names to versions
+   */
+  getSchemaVersions() {
+    return this._migrations.getVersions();
+  }
+  
+  /**
+   * Register a migration of a class from a version to the next
+   * For changes that the steps declared in the definition files cannot describe.
+   * See MigrationRegistry.register().
+   * @param {string} className - The class
+   * @param {number} fromVersion - The version the migration upgrades from
+   * @param {Function} migrate - (object, context) => Array<string>|void; changes the plain object in place
+   * @param {string} [description] - What the migration does
+   */
+  registerMigration(className, fromVersion, migrate, description) {
+    this._migrations.register(className, fromVersion, migrate, description);
+  }
+  
+  /**
+   * Upgrade data saved with older versions of the model definitions
+   * The data is not changed; the upgraded data is a copy. In a dry run only the
+   * report of what would change is produced.
+   * @param {Object} data - The data of the root instance
+   * @param {Object} [schemaVersions={}] - Map of class names to the versions the data was saved
+   *   with; classes that are not listed are taken to be at version 1
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.dryRun=false] - Only report the changes; the returned data is the original
+   * @returns {{data: Object, changes: Array<Object>}} The data and the migrations applied to each
+   *   object, as { Path, ClassName, From, To, Description, Details }
+   * @throws {MigrationError} If the data cannot be upgraded
+   */
+  migrateData(data, schemaVersions = {}, options = {}) {
+    return this._migrations.migrate(data, this._rootClassName, schemaVersions, options);
+  }
+  
+  /**
+   * Check data for the root model against the model definitions before it is loaded
+   * Checks the structure (required properties and property types), not the Validation rules.
+   * @param {Object} data - The data of the root instance
+   * @returns {string[]} The problems found; empty if the data matches the definitions
+   */
+  validateSchema(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return ['Model data must be an object'];
+    }
+    
+    if (!this._modelManager.getDefinition(this._rootClassName)) {
+      return [`No definition loaded for root class '${this._rootClassName}'`];
+    }
+    
+    return this._modelManager.validateInstance(data, this._rootClassName) || [];
+  }
+  
   /**
    * Validate a property change
    * @param {Object} rootInstance - The root instance of the model
@@ -1586,6 +2323,22 @@ sendPropertyChangeToServer(path, value) {
       
       console.log(`Using class '${className}' for validating property '${propertyName}'`);
       
+      // Computed properties follow the properties they are computed from
+      if (this._computedProperties.isComputed(className, propertyName)) {
+        result.errors.push(`${propertyName} is computed and cannot be changed`);
+        return result;
+      }
+      
+      // References must point at an object of their Type that is in the model
+      const reference = this._references.getReferenceProperty(className, propertyName);
+      if (reference) {
+        const unknown = this._references.findInvalidUids(rootInstance, reference.type, value);
+        if (unknown.length > 0) {
+          result.errors.push(`${propertyName} must refer to a ${reference.type} in the model; ${unknown.join(', ')} is not one`);
+          return result;
+        }
+      }
+      
       // Get all constraints that could be affected by this property change
       const constraints = this._validationManager.getConstraintsForProperty(className, propertyName);
       
@@ -1606,9 +2359,15 @@ sendPropertyChangeToServer(path, value) {
           if (error) {
             result.errors.push(error);
           }
+        } else if (item.type === 'unit') {
+          // Values given with a unit must have the dimension of the property's unit
+          const error = this._validationManager.validatePropertyUnit(value, item.unit);
+          if (error) {
+            result.errors.push(error);
+          }
         } else if (item.type === 'constraint') {
           // Class-level constraint
-          const error = this._validationManager.evaluateConstraint(tempObject, item.constraint);
+          const error = this._validationManager.evaluateConstraint(tempObject, item.constraint, rootInstance);
           if (error) {
             result.errors.push(error);
           }
@@ -1624,5 +2383,28 @@ sendPropertyChangeToServer(path, value) {
   }
 }
 
+/**
+ * Whether values of a property type are converted by convertToType when loaded
+ * Numbers, booleans and strings keep their own handling in the synthetic classes.
+ * @private
+ */
+function isConvertedType(type) {
+  return ['integer', 'date', 'datetime', 'duration', 'quantity', 'matrix'].includes(getTypeKind(type));
+}
+
+/**
+ * Convert a loaded value to its property type, keeping values that cannot be converted
+ * after passing the error to onError
+ * @private
+ */
+function convertTypedValue(value, propDef, onError = error => console.warn(error.message)) {
+  try {
+    return convertToType(value, propDef.Type, propDef);
+  } catch (error) {
+    onError(error);
+    return value;
+  }
+}
+
 // Export as default for easier imports
 export default ClientModel;
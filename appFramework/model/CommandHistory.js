@@ -0,0 +1,241 @@
+// js/model/CommandHistory.js
+
+/**
+ * Undo/redo history of edits made on the client model
+ * Each history entry is a group of one or more changes that are
+ * undone and redone together. Changes recorded outside an explicit group
+ * form a group of their own.
+ */
+export class CommandHistory {
+  /**
+   * Create a new CommandHistory
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.limit=100] - Maximum number of groups kept on the undo stack (0 disables history)
+   */
+  constructor(options = {}) {
+    const { limit = 100 } = options;
+
+    /** @private */
+    this._undoStack = [];
+
+    /** @private */
+    this._redoStack = [];
+
+    /** @private */
+    this._openGroup = null;
+
+    /** @private */
+    this._groupDepth = 0;
+
+    /** @private */
+    this._limit = 100;
+
+    this.setLimit(limit);
+  }
+
+  /**
+   * Get the maximum number of groups kept on the undo stack
+   * @returns {number} The history limit
+   */
+  get limit() {
+    return this._limit;
+  }
+
+  /**
+   * Set the maximum number of groups kept on the undo stack
+   * Oldest groups are discarded when the stack grows past the limit
+   * @param {number} limit - The new limit (0 disables history)
+   */
+  setLimit(limit) {
+    if (!Number.isInteger(limit) || limit < 0) {
+      throw new Error(`History limit must be a non-negative integer, got ${limit}`);
+    }
+
+    this._limit = limit;
+    this._trim();
+  }
+
+  /**
+   * Start grouping recorded changes into a single undo step
+   * Groups may be nested; only the outermost endGroup() closes the step
+   * @param {string} [label=''] - Human-readable description of the step
+   */
+  beginGroup(label = '') {
+    if (this._groupDepth === 0) {
+      this._openGroup = { label, changes: [] };
+    }
+    this._groupDepth++;
+  }
+
+  /**
+   * Close the group started by the matching beginGroup()
+   * @returns {boolean} True if a non-empty group was committed to the history
+   */
+  endGroup() {
+    if (this._groupDepth === 0) {
+      console.warn('CommandHistory.endGroup() called without a matching beginGroup()');
+      return false;
+    }
+
+    this._groupDepth--;
+    if (this._groupDepth > 0) return false;
+
+    const group = this._openGroup;
+    this._openGroup = null;
+
+    if (!group || group.changes.length === 0) return false;
+
+    this._push(group);
+    return true;
+  }
+
+  /**
+   * Whether a group is currently open
+   * @returns {boolean} True between beginGroup() and the matching endGroup()
+   */
+  isGrouping() {
+    return this._groupDepth > 0;
+  }
+
+  /**
+   * Record a change
+   * Property changes carry path, oldValue and value. Other kinds of change set a
+   * `kind` field and are stored as given; the model knows how to replay them.
+   * Repeated property changes to the same path within one group are merged,
+   * keeping the first old value and the last new value.
+   * @param {Object} change - The change to record
+   * @param {string} change.path - The full path to the changed property
+   * @param {string} [change.kind] - The kind of change (omitted for property changes)
+   * @param {any} [change.oldValue] - The value before the change
+   * @param {any} [change.value] - The value after the change
+   */
+  record(change) {
+    if (!change || !change.path) return;
+
+    const entry = change.kind
+      ? change
+      : { path: change.path, oldValue: change.oldValue, value: change.value };
+
+    if (this._openGroup) {
+      const existing = !entry.kind && this._openGroup.changes.find(c => !c.kind && c.path === entry.path);
+      if (existing) {
+        existing.value = entry.value;
+      } else {
+        this._openGroup.changes.push(entry);
+      }
+      return;
+    }
+
+    this._push({ label: '', changes: [entry] });
+  }
+
+  /**
+   * Take the most recent group off the undo stack and move it to the redo stack
+   * @returns {Object|null} The group ({label, changes}) to revert, or null if there is nothing to undo
+   */
+  undo() {
+    if (!this.canUndo()) return null;
+
+    const group = this._undoStack.pop();
+    this._redoStack.push(group);
+    return group;
+  }
+
+  /**
+   * Take the most recently undone group off the redo stack and move it back to the undo stack
+   * @returns {Object|null} The group ({label, changes}) to re-apply, or null if there is nothing to redo
+   */
+  redo() {
+    if (!this.canRedo()) return null;
+
+    const group = this._redoStack.pop();
+    this._undoStack.push(group);
+    return group;
+  }
+
+  /**
+   * Whether there is a group that can be undone
+   * @returns {boolean} True if undo() would return a group
+   */
+  canUndo() {
+    return this._undoStack.length > 0;
+  }
+
+  /**
+   * Whether there is a group that can be redone
+   * @returns {boolean} True if redo() would return a group
+   */
+  canRedo() {
+    return this._redoStack.length > 0;
+  }
+
+  /**
+   * Get the label of the group that undo() would revert
+   * @returns {string} The label, or an empty string if there is none
+   */
+  getUndoLabel() {
+    return this._undoStack.length > 0 ? this._undoStack[this._undoStack.length - 1].label : '';
+  }
+
+  /**
+   * Get the label of the group that redo() would re-apply
+   * @returns {string} The label, or an empty string if there is none
+   */
+  getRedoLabel() {
+    return this._redoStack.length > 0 ? this._redoStack[this._redoStack.length - 1].label : '';
+  }
+
+  /**
+   * Remove a single recorded change, e.g. after the server rejected it
+   * Groups left empty are removed as well.
+   * @param {Object} change - The change object passed to record()
+   * @returns {boolean} True if the change was found and removed
+   */
+  discard(change) {
+    const groups = [...this._undoStack, ...this._redoStack];
+    if (this._openGroup) groups.push(this._openGroup);
+
+    const group = groups.find(g => g.changes.includes(change));
+    if (!group) return false;
+
+    group.changes.splice(group.changes.indexOf(change), 1);
+    if (group.changes.length === 0 && group !== this._openGroup) {
+      this._undoStack = this._undoStack.filter(g => g !== group);
+      this._redoStack = this._redoStack.filter(g => g !== group);
+    }
+    return true;
+  }
+
+  /**
+   * Discard all recorded history, including any open group
+   */
+  clear() {
+    this._undoStack = [];
+    this._redoStack = [];
+    this._openGroup = null;
+    this._groupDepth = 0;
+  }
+
+  /**
+   * Push a new group onto the undo stack, invalidating the redo stack
+   * @param {Object} group - The group to push
+   * @private
+   */
+  _push(group) {
+    this._undoStack.push(group);
+    this._redoStack = [];
+    this._trim();
+  }
+
+  /**
+   * Drop the oldest groups until the undo stack fits the limit
+   * @private
+   */
+  _trim() {
+    if (this._undoStack.length > this._limit) {
+      this._undoStack.splice(0, this._undoStack.length - this._limit);
+    }
+  }
+}
+
+export default CommandHistory;
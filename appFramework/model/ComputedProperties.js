@@ -0,0 +1,320 @@
+// js/model/ComputedProperties.js
+import { ConstraintExpression } from '../utils/ConstraintExpression.js';
+import { getClassHierarchy } from '../utils/ClassHierarchy.js';
+import { ModelPathUtils } from '../utils/ModelPathUtils.js';
+
+/**
+ * Properties whose values are derived from other properties
+ * A property is computed when its definition has a Computed expression, written in the
+ * expression language of constraint conditions (see ConstraintExpression):
+ *
+ *   "TotalDose": { "Type": "double", "Computed": "sum(Doses.Amount)" },
+ *   "Clearance": { "Type": "double", "Computed": "Volume * EliminationRate" },
+ *   "Fraction":  { "Type": "double", "Computed": "Amount / RootModel.Settings.MaxAmount" }
+ *
+ * Computed properties of a class may use each other, but not in a cycle. Subclasses inherit
+ * the computed properties of their parent and may replace them.
+ */
+
+/** Maximum number of times one computed property is updated for a single change */
+const MAX_UPDATES_PER_PROPERTY = 10;
+
+/**
+ * Error for computed properties that cannot be used
+ */
+export class ComputedPropertyError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {Object} [details] - Details of the problem
+   * @param {string} [details.className] - The class that defines the property
+   * @param {string} [details.property] - The computed property
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ComputedPropertyError';
+    this.className = details.className ?? null;
+    this.property = details.property ?? null;
+  }
+}
+
+export class ComputedProperties {
+  constructor() {
+    /** @private Class name -> definition */
+    this._definitions = {};
+
+    /** @private Class name -> computed properties in evaluation order */
+    this._computed = new Map();
+  }
+
+  /**
+   * Read the computed properties of model definitions
+   * @param {Object} definitions - Map of class names to definitions
+   * @throws {ComputedPropertyError} If an expression is invalid or computed properties depend on each other in a cycle
+   */
+  loadDefinitions(definitions) {
+    Object.entries(definitions || {}).forEach(([className, definition]) => {
+      if (definition) {
+        this._definitions[className] = definition;
+      }
+    });
+
+    this._computed.clear();
+    Object.keys(this._definitions).forEach(className => {
+      this._computed.set(className, this._compileClass(className));
+    });
+  }
+
+  /**
+   * Check whether a property is computed
+   * @param {string} className - The class of the object
+   * @param {string} property - The property
+   * @returns {boolean} True if the property is computed
+   */
+  isComputed(className, property) {
+    return this.getComputedProperties(className).some(computed => computed.property === property);
+  }
+
+  /**
+   * Check whether a path is the path of a computed property
+   * @param {Object} root - The root of the model the path is in
+   * @param {string} path - The full path to the property, e.g. 'RootModel.Doses[1].Fraction'
+   * @returns {boolean} True if the property is computed
+   */
+  isComputedPath(root, path) {
+    const { objectPath, property } = ModelPathUtils.splitPropertyPath(path);
+    const parent = ModelPathUtils.getValueFromObjectPath(root, objectPath);
+    return Boolean(parent?._className) && this.isComputed(parent._className, property);
+  }
+
+  /**
+   * Get the computed properties of a class, including inherited ones
+   * @param {string} className - The class
+   * @returns {Array<Object>} { property, expression, definition } in the order they are evaluated
+   */
+  getComputedProperties(className) {
+    return this._computed.get(className) || [];
+  }
+
+  /**
+   * Compute all computed properties of a model, e.g. after it was loaded
+   * @param {Object} root - The root model instance
+   * @returns {Array<Object>} The changed values (see update())
+   */
+  updateAll(root) {
+    return this._update(root, () => true);
+  }
+
+  /**
+   * Update the computed properties that depend on a changed value
+   * Values computed from the changed value are updated too, in dependency order. A change to
+   * a computed property itself, e.g. by the server, is replaced by its computed value.
+   * @param {Object} root - The root model instance
+   * @param {string} changedPath - Path of the changed property, array or object, e.g. 'RootModel.Doses[1].Amount'
+   * @returns {Array<Object>} The changed values as { Path, ObjectPath, Property, Value, OldValue }
+   */
+  update(root, changedPath) {
+    return this._update(root, (computed, objectPath, propertyPath) =>
+      dependsOn(computed, objectPath, propertyPath, changedPath));
+  }
+
+  /**
+   * Evaluate the computed properties selected by isAffected, then those that depend on the
+   * values that changed, until no more values change
+   * @private
+   */
+  _update(root, isAffected) {
+    if (!root || this._computed.size === 0) {
+      return [];
+    }
+
+    const changes = new Map();
+    const updateCounts = new Map();
+    let select = isAffected;
+
+    while (select) {
+      const changedPaths = [];
+      const dependsOnChanged = (computed, objectPath, propertyPath) => changedPaths.some(path =>
+        path !== propertyPath && dependsOn(computed, objectPath, propertyPath, path));
+
+      forEachObject(root, 'RootModel', (object, objectPath) => {
+        // The properties of an object are in dependency order, so values changed earlier are used
+        this.getComputedProperties(object._className).forEach(computed => {
+          const propertyPath = `${objectPath}.${computed.property}`;
+          if (!select(computed, objectPath, propertyPath) && !dependsOnChanged(computed, objectPath, propertyPath)) {
+            return;
+          }
+
+          const count = updateCounts.get(propertyPath) || 0;
+          if (count >= MAX_UPDATES_PER_PROPERTY) {
+            console.warn(`Computed property ${propertyPath} does not settle; it may depend on itself through other objects`);
+            return;
+          }
+          updateCounts.set(propertyPath, count + 1);
+
+          const oldValue = object[computed.property];
+          const value = evaluate(computed, object, root, propertyPath);
+          if (isSameValue(oldValue, value)) return;
+
+          object[computed.property] = value;
+          const change = changes.get(propertyPath) ||
+            { Path: propertyPath, ObjectPath: objectPath, Property: computed.property, OldValue: oldValue };
+          change.Value = value;
+          changes.set(propertyPath, change);
+          changedPaths.push(propertyPath);
+        });
+      });
+
+      // Values in objects visited before the ones they depend on are updated in another pass
+      select = changedPaths.length > 0 ? dependsOnChanged : null;
+    }
+
+    return Array.from(changes.values());
+  }
+
+  /**
+   * Parse the computed properties of a class and its parents and order them by dependency
+   * @private
+   */
+  _compileClass(className) {
+    const byProperty = new Map();
+    getClassHierarchy(className, name => this._definitions[name]).forEach(name => {
+      Object.entries(this._definitions[name].Properties || {}).forEach(([property, propDef]) => {
+        // A subclass may replace a computed property with a plain one
+        byProperty.delete(property);
+        if (propDef && propDef.Computed !== undefined) {
+          byProperty.set(property, {
+            property,
+            expression: compileExpression(name, property, propDef.Computed),
+            definition: propDef
+          });
+        }
+      });
+    });
+
+    return orderByDependency(className, byProperty);
+  }
+}
+
+/**
+ * Parse the expression of a computed property
+ * @private
+ */
+function compileExpression(className, property, source) {
+  try {
+    return new ConstraintExpression(source);
+  } catch (error) {
+    throw new ComputedPropertyError(`Invalid Computed expression of ${className}.${property}: ${error.message}`,
+      { className, property });
+  }
+}
+
+/**
+ * Order computed properties so that those used by others come first
+ * @private
+ */
+function orderByDependency(className, byProperty) {
+  const ordered = [];
+  const state = new Map();
+
+  const visit = (computed, chain) => {
+    if (state.get(computed.property) === 'done') return;
+    if (state.get(computed.property) === 'visiting') {
+      const cycle = [...chain.slice(chain.indexOf(computed.property)), computed.property];
+      throw new ComputedPropertyError(`Computed properties of ${className} depend on each other: ${cycle.join(' -> ')}`,
+        { className, property: computed.property });
+    }
+
+    state.set(computed.property, 'visiting');
+    computed.expression.properties
+      .filter(name => byProperty.has(name) && name !== computed.property)
+      .forEach(name => visit(byProperty.get(name), [...chain, computed.property]));
+    if (computed.expression.properties.includes(computed.property)) {
+      throw new ComputedPropertyError(`Computed property ${className}.${computed.property} depends on itself`,
+        { className, property: computed.property });
+    }
+    state.set(computed.property, 'done');
+    ordered.push(computed);
+  };
+
+  byProperty.forEach(computed => visit(computed, []));
+  return ordered;
+}
+
+/**
+ * Evaluate a computed property, reporting expressions that cannot be evaluated
+ * @private
+ */
+function evaluate(computed, object, root, propertyPath) {
+  try {
+    const value = computed.expression.evaluate(object, root);
+    return value === undefined ? null : value;
+  } catch (error) {
+    console.warn(`Cannot compute ${propertyPath}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Whether a computed property of an object depends on a changed path
+ * @private
+ */
+function dependsOn(computed, objectPath, propertyPath, changedPath) {
+  return isRelatedPath(propertyPath, changedPath) ||
+    computed.expression.properties.some(name => isRelatedPath(`${objectPath}.${name}`, changedPath)) ||
+    computed.expression.paths.some(path => isRelatedPath(path, changedPath));
+}
+
+/**
+ * Whether one path is the same as, within or containing the other
+ * @private
+ */
+function isRelatedPath(a, b) {
+  return isWithinPath(a, b) || isWithinPath(b, a);
+}
+
+/**
+ * Whether a path is the same as or within another path
+ * @private
+ */
+function isWithinPath(path, ancestor) {
+  return path === ancestor ||
+    (path.startsWith(ancestor) && (path[ancestor.length] === '.' || path[ancestor.length] === '['));
+}
+
+/**
+ * Call fn for every model object in a model, with its object path
+ * @private
+ */
+function forEachObject(object, path, fn, seen = new Set()) {
+  if (!object || typeof object !== 'object' || seen.has(object)) return;
+  seen.add(object);
+
+  if (object._className) {
+    fn(object, path);
+  }
+
+  Object.entries(object).forEach(([key, value]) => {
+    if (key.startsWith('_') || !value || typeof value !== 'object') return;
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => {
+        if (item && typeof item === 'object' && item._className) {
+          forEachObject(item, `${path}.${key}[${index}]`, fn, seen);
+        }
+      });
+    } else if (value._className) {
+      forEachObject(value, `${path}.${key}`, fn, seen);
+    }
+  });
+}
+
+/**
+ * Compare computed values, which may be numbers (including NaN), strings, booleans or arrays
+ * @private
+ */
+function isSameValue(a, b) {
+  if (Object.is(a, b)) return true;
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return false;
+}
@@ -0,0 +1,175 @@
+// js/model/InstanceIndex.js
+import { getInstanceUid, hasInstanceUid } from './ModelReferences.js';
+
+/**
+ * Index of the model objects in a loaded model
+ * Each object is found by its class and its Uid, and knows the object and property holding it,
+ * from which its path is derived when asked for. Paths therefore stay correct when array items
+ * are moved. The index is kept up to date by adding and removing objects as they enter and
+ * leave the model; objects created but not (yet) part of the model are not indexed.
+ */
+export class InstanceIndex {
+  constructor() {
+    /** @private Object -> { parent, property }; parent is null for the root */
+    this._entries = new Map();
+
+    /** @private Class name -> Set of objects */
+    this._byClass = new Map();
+
+    /** @private String(Uid) -> object */
+    this._byUid = new Map();
+  }
+
+  /**
+   * Remove all objects from the index
+   */
+  clear() {
+    this._entries.clear();
+    this._byClass.clear();
+    this._byUid.clear();
+  }
+
+  /**
+   * Index a whole model
+   * @param {Object|null} root - The root model instance
+   */
+  rebuild(root) {
+    this.clear();
+    this.add(root);
+  }
+
+  /**
+   * Index an object and the model objects within it
+   * @param {*} value - A model object or an array of them; other values are ignored
+   * @param {Object|null} [parent=null] - The object holding the value, null for the root
+   * @param {string|null} [property=null] - The property of the parent holding the value
+   */
+  add(value, parent = null, property = null) {
+    forEachModelObject(value, object => {
+      if (this._entries.has(object)) return;
+      this._entries.set(object, { parent, property });
+
+      if (!this._byClass.has(object._className)) {
+        this._byClass.set(object._className, new Set());
+      }
+      this._byClass.get(object._className).add(object);
+
+      const uid = getInstanceUid(object);
+      if (uid !== undefined && !this._byUid.has(String(uid))) {
+        this._byUid.set(String(uid), object);
+      }
+
+      Object.entries(object).forEach(([key, child]) => {
+        if (!key.startsWith('_')) this.add(child, object, key);
+      });
+    });
+  }
+
+  /**
+   * Remove an object and the model objects within it from the index
+   * @param {*} value - A model object or an array of them; other values are ignored
+   */
+  remove(value) {
+    forEachModelObject(value, object => {
+      if (!this._entries.delete(object)) return;
+
+      this._byClass.get(object._className)?.delete(object);
+      const uid = getInstanceUid(object);
+      if (uid !== undefined && this._byUid.get(String(uid)) === object) {
+        this._byUid.delete(String(uid));
+      }
+
+      Object.entries(object).forEach(([key, child]) => {
+        if (!key.startsWith('_')) this.remove(child);
+      });
+    });
+  }
+
+  /**
+   * Check whether an object is indexed
+   * @param {Object} object - The model object
+   * @returns {boolean} True if the object is part of the indexed model
+   */
+  has(object) {
+    return this._entries.has(object);
+  }
+
+  /**
+   * Get the indexed object with a Uid
+   * @param {string|number} uid - The Uid, compared as a string
+   * @returns {Object|undefined} The object, or undefined if no indexed object has the Uid
+   */
+  getByUid(uid) {
+    if (uid === null || uid === undefined) return undefined;
+
+    const object = this._byUid.get(String(uid));
+    if (object && hasInstanceUid(object, uid)) {
+      return object;
+    }
+
+    // The Uid of an object may have been changed since it was indexed
+    this._byUid.delete(String(uid));
+    const found = Array.from(this._entries.keys()).find(candidate => hasInstanceUid(candidate, uid));
+    if (found) {
+      this._byUid.set(String(uid), found);
+    }
+    return found;
+  }
+
+  /**
+   * Find indexed objects
+   * @param {string[]|null} classNames - The classes of the objects, or null for all classes
+   * @param {Function} [predicate] - Called with each object; only those it accepts are returned
+   * @returns {Array<Object>} The objects, by class in the order they were indexed
+   */
+  find(classNames, predicate = () => true) {
+    const objects = classNames
+      ? classNames.flatMap(className => Array.from(this._byClass.get(className) || []))
+      : Array.from(this._entries.keys());
+    return objects.filter(object => predicate(object));
+  }
+
+  /**
+   * Get the object holding an indexed object
+   * @param {Object} object - The model object
+   * @returns {Object|null} The parent, or null for the root and objects that are not indexed
+   */
+  getParent(object) {
+    return this._entries.get(object)?.parent ?? null;
+  }
+
+  /**
+   * Get the object path of an indexed object
+   * @param {Object} object - The model object
+   * @returns {string|null} The path (e.g. 'RootModel.Species[2]'), or null if the object is not indexed
+   */
+  getPath(object) {
+    const entry = this._entries.get(object);
+    if (!entry) return null;
+    if (!entry.parent) return 'RootModel';
+
+    const parentPath = this.getPath(entry.parent);
+    if (parentPath === null) return null;
+
+    const value = entry.parent[entry.property];
+    if (!Array.isArray(value)) {
+      return value === object ? `${parentPath}.${entry.property}` : null;
+    }
+
+    const index = value.indexOf(object);
+    return index < 0 ? null : `${parentPath}.${entry.property}[${index}]`;
+  }
+}
+
+/**
+ * Call fn for a model object, or for each model object in an array
+ * @private
+ */
+function forEachModelObject(value, fn) {
+  const items = Array.isArray(value) ? value : [value];
+  items.forEach(item => {
+    if (item && typeof item === 'object' && !Array.isArray(item) && item._className) {
+      fn(item);
+    }
+  });
+}
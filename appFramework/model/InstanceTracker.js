@@ -0,0 +1,95 @@
+// js/model/InstanceTracker.js
+import { EventTypes } from '../controller/EventTypes.js';
+import { ModelPathUtils } from '../utils/ModelPathUtils.js';
+
+/**
+ * Follows model objects as they enter and leave a ClientModel
+ * Keeps the instance map and the InstanceIndex of the model up to date and reports the objects
+ * to listeners with INSTANCE_CREATED and INSTANCE_DELETED.
+ */
+export class InstanceTracker {
+  /**
+   * Create a new InstanceTracker
+   * @param {ClientModel} model - The model whose objects are tracked
+   * @param {App} app - The application instance, for dispatching events
+   */
+  constructor(model, app) {
+    /** @private */
+    this._model = model;
+
+    /** @private */
+    this._app = app;
+  }
+
+  /**
+   * Update the instance index for a property whose value was replaced
+   * @param {Object} rootInstance - The root model instance
+   * @param {string} objectPath - The path to the object holding the property
+   * @param {string} property - The property
+   * @param {any} oldValue - The replaced value
+   * @param {any} value - The new value
+   */
+  reindex(rootInstance, objectPath, property, oldValue, value) {
+    this._model._index.remove(oldValue);
+    if (value && typeof value === 'object') {
+      this._model._index.add(value, ModelPathUtils.getValueFromObjectPath(rootInstance, objectPath), property);
+    }
+  }
+
+  /**
+   * Remove model objects that left the model from the instance map and notify listeners
+   * @param {any} value - The removed value
+   * @param {string} parentPath - The path it was removed from
+   */
+  forget(value, parentPath) {
+    forEachModelObject(value, item => {
+      this.unregister(item);
+      this.notify(EventTypes.INSTANCE_DELETED, item, parentPath);
+    });
+  }
+
+  /**
+   * Remove model objects and the model objects within them from the instance map
+   * @param {any} value - A model object or an array of them; other values are ignored
+   */
+  unregister(value) {
+    const instances = this._model.instances;
+    forEachModelObject(value, item => {
+      if (instances.get(item.id) === item) {
+        instances.delete(item.id);
+      }
+      Object.entries(item).forEach(([key, child]) => {
+        if (!key.startsWith('_')) this.unregister(child);
+      });
+    });
+  }
+
+  /**
+   * Dispatch INSTANCE_CREATED or INSTANCE_DELETED for model objects
+   * @param {string} eventType - The event type
+   * @param {any} value - The value, a model object or an array of them
+   * @param {string} parentPath - The path of the property holding the value
+   */
+  notify(eventType, value, parentPath) {
+    if (!this._app?.eventManager) return;
+
+    forEachModelObject(value, item => {
+      const eventData = { uid: item.id, className: item._className, parentPath };
+      if (eventType === EventTypes.INSTANCE_CREATED) {
+        eventData.instance = item;
+      }
+      this._app.eventManager.dispatchEvent(eventType, eventData);
+    });
+  }
+}
+
+/**
+ * Call a function for a model object or each model object in an array
+ * @param {*} value - The value
+ * @param {Function} fn - Called with each model object
+ */
+function forEachModelObject(value, fn) {
+  (Array.isArray(value) ? value : [value]).forEach(item => {
+    if (item && typeof item === 'object' && item._className) fn(item);
+  });
+}
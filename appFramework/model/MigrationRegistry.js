@@ -0,0 +1,292 @@
+// js/model/MigrationRegistry.js
+import { getClassHierarchy } from '../utils/ClassHierarchy.js';
+
+/**
+ * Upgrades model data saved with older versions of the model definitions
+ * Each class has a version: the Version of its definition, or 1 if it has none. A migration
+ * upgrades objects of one class from one version to the next. Migrations are declared in the
+ * definition files in data-model/:
+ *
+ *   "Version": 3,
+ *   "Migrations": [
+ *     { "From": 1, "Description": "Name is now Label", "Steps": [
+ *       { "Op": "rename", "Property": "Name", "To": "Label" } ] },
+ *     { "From": 2, "Steps": [
+ *       { "Op": "add", "Property": "Units", "Value": "mg" },
+ *       { "Op": "scale", "Property": "Dose", "Factor": 1000 },
+ *       { "Op": "remove", "Property": "Legacy" } ] }
+ *   ]
+ *
+ * or registered in code with register() when they need more than these steps.
+ * Migrations apply to objects of exactly their class, not to its subclasses.
+ */
+
+const STEP_OPERATIONS = ['rename', 'add', 'remove', 'scale'];
+
+/**
+ * Error for data that cannot be upgraded to the current definitions
+ */
+export class MigrationError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {Object} [details] - Details of the problem
+   * @param {string} [details.className] - The class that cannot be upgraded
+   * @param {string} [details.path] - Path of the object that cannot be upgraded
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'MigrationError';
+    this.className = details.className ?? null;
+    this.path = details.path ?? null;
+  }
+}
+
+export class MigrationRegistry {
+  constructor() {
+    /** @private Class name -> definition, used to find the classes of nested objects */
+    this._definitions = {};
+
+    /** @private Class name -> current version */
+    this._versions = new Map();
+
+    /** @private Class name -> Map of from-version -> { description, migrate } */
+    this._migrations = new Map();
+  }
+
+  /**
+   * Read the versions and declared migrations of model definitions
+   * @param {Object} definitions - Map of class names to definitions
+   * @throws {MigrationError} If a declared migration is malformed
+   */
+  loadDefinitions(definitions) {
+    Object.entries(definitions || {}).forEach(([className, definition]) => {
+      if (!definition) return;
+      this._definitions[className] = definition;
+
+      if (definition.Version !== undefined) {
+        if (!Number.isInteger(definition.Version) || definition.Version < 1) {
+          throw new MigrationError(`Invalid Version of ${className}: ${definition.Version}`, { className });
+        }
+        this._versions.set(className, definition.Version);
+      }
+
+      (definition.Migrations || []).forEach(migration => {
+        const steps = migration.Steps || [];
+        steps.forEach(step => validateStep(className, migration.From, step));
+        this.register(className, migration.From, object => applySteps(object, steps), migration.Description);
+      });
+    });
+  }
+
+  /**
+   * Register a migration of objects of a class from a version to the next
+   * @param {string} className - The class
+   * @param {number} fromVersion - The version the migration upgrades from
+   * @param {Function} migrate - (object, context) => Array<string>|void; changes the plain object
+   *   in place and may return descriptions of what it changed. The context is
+   *   { className, path, fromVersion, toVersion }.
+   * @param {string} [description] - What the migration does
+   * @throws {MigrationError} If the migration is malformed or already registered
+   */
+  register(className, fromVersion, migrate, description = '') {
+    if (!className) {
+      throw new MigrationError('Class name is required');
+    }
+    if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+      throw new MigrationError(`Invalid migration of ${className}: From must be a positive integer, got ${fromVersion}`, { className });
+    }
+    if (typeof migrate !== 'function') {
+      throw new MigrationError(`Invalid migration of ${className} from version ${fromVersion}: not a function`, { className });
+    }
+
+    if (!this._migrations.has(className)) {
+      this._migrations.set(className, new Map());
+    }
+    const migrations = this._migrations.get(className);
+    if (migrations.has(fromVersion)) {
+      throw new MigrationError(`Duplicate migration of ${className} from version ${fromVersion}`, { className });
+    }
+    migrations.set(fromVersion, { description, migrate });
+  }
+
+  /**
+   * Get the current version of a class
+   * Without a Version in its definition, a class is at the version its migrations lead to.
+   * @param {string} className - The class
+   * @returns {number} The version
+   */
+  getVersion(className) {
+    if (this._versions.has(className)) {
+      return this._versions.get(className);
+    }
+    const fromVersions = Array.from(this._migrations.get(className)?.keys() || []);
+    return fromVersions.length > 0 ? Math.max(...fromVersions) + 1 : 1;
+  }
+
+  /**
+   * Get the current versions of all known classes
+   * @returns {Object} Map of class names to versions
+   */
+  getVersions() {
+    const classNames = new Set([...Object.keys(this._definitions), ...this._migrations.keys()]);
+    const versions = {};
+    classNames.forEach(className => {
+      versions[className] = this.getVersion(className);
+    });
+    return versions;
+  }
+
+  /**
+   * Upgrade data to the current versions
+   * The data is not changed; the upgraded data is a copy.
+   * @param {Object} data - Plain data of the root object
+   * @param {string} rootClassName - The class of the root object
+   * @param {Object} [versions={}] - Map of class names to the versions the data was saved with;
+   *   classes that are not listed are taken to be at version 1
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.dryRun=false] - Only report the changes; the returned data is the original
+   * @returns {{data: Object, changes: Array<Object>}} The data and the applied migrations, as
+   *   { Path, ClassName, From, To, Description, Details }
+   * @throws {MigrationError} If the data is not an object, is newer than the definitions or a
+   *   migration is missing or fails
+   */
+  migrate(data, rootClassName, versions = {}, options = {}) {
+    const { dryRun = false } = options;
+    if (!data || typeof data !== 'object') {
+      throw new MigrationError('Data must be an object', { className: rootClassName });
+    }
+    const copy = JSON.parse(JSON.stringify(data));
+    const changes = [];
+
+    this._migrateValue(copy, rootClassName, 'RootModel', versions || {}, changes);
+
+    return { data: dryRun ? data : copy, changes };
+  }
+
+  /**
+   * Migrate an object and the objects it contains
+   * @private
+   */
+  _migrateValue(value, className, path, versions, changes) {
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => this._migrateValue(item, className, `${path}[${index}]`, versions, changes));
+      return;
+    }
+    if (!value || typeof value !== 'object') {
+      return;
+    }
+
+    const objectClass = value._className || className;
+    if (objectClass) {
+      this._migrateObject(value, objectClass, path, versions, changes);
+    }
+
+    const properties = this._getProperties(objectClass);
+    Object.keys(value).forEach(key => {
+      if (!key.startsWith('_')) {
+        this._migrateValue(value[key], properties[key]?.Type, `${path}.${key}`, versions, changes);
+      }
+    });
+  }
+
+  /**
+   * Run the migrations of one object up to the current version of its class
+   * @private
+   */
+  _migrateObject(object, className, path, versions, changes) {
+    const currentVersion = this.getVersion(className);
+    let version = versions[className] ?? 1;
+
+    if (version > currentVersion) {
+      throw new MigrationError(
+        `${path} was saved with version ${version} of ${className}, but the definitions are at version ${currentVersion}`,
+        { className, path }
+      );
+    }
+
+    for (; version < currentVersion; version++) {
+      const migration = this._migrations.get(className)?.get(version);
+      if (!migration) {
+        throw new MigrationError(`No migration of ${className} from version ${version}`, { className, path });
+      }
+
+      const context = { className, path, fromVersion: version, toVersion: version + 1 };
+      let details;
+      try {
+        details = migration.migrate(object, context);
+      } catch (error) {
+        throw new MigrationError(
+          `Migration of ${path} (${className}) from version ${version} failed: ${error.message}`,
+          { className, path }
+        );
+      }
+
+      changes.push({
+        Path: path,
+        ClassName: className,
+        From: version,
+        To: version + 1,
+        Description: migration.description || '',
+        Details: Array.isArray(details) ? details : []
+      });
+    }
+  }
+
+  /**
+   * Get the properties of a class, including inherited ones
+   * @private
+   */
+  _getProperties(className) {
+    const hierarchy = getClassHierarchy(className, name => this._definitions[name]);
+    return Object.assign({}, ...hierarchy.map(name => this._definitions[name].Properties || {}));
+  }
+}
+
+/**
+ * Check a declared migration step
+ * @private
+ */
+function validateStep(className, fromVersion, step) {
+  const fail = (message) => {
+    throw new MigrationError(`Invalid migration of ${className} from version ${fromVersion}: ${message}`, { className });
+  };
+
+  if (!step || typeof step !== 'object') fail('a step is not an object');
+  if (!STEP_OPERATIONS.includes(step.Op)) fail(`unknown step '${step.Op}'`);
+  if (typeof step.Property !== 'string' || !step.Property) fail("'Property' must be a string");
+  if (step.Op === 'rename' && (typeof step.To !== 'string' || !step.To)) fail("'To' must be a string");
+  if (step.Op === 'add' && !('Value' in step)) fail("'Value' is required");
+  if (step.Op === 'scale' && typeof step.Factor !== 'number') fail("'Factor' must be a number");
+}
+
+/**
+ * Apply declared migration steps to an object
+ * @returns {Array<string>} Descriptions of the changes
+ * @private
+ */
+function applySteps(object, steps) {
+  const details = [];
+
+  steps.forEach(step => {
+    const { Op: op, Property: property } = step;
+    const has = Object.prototype.hasOwnProperty.call(object, property);
+
+    if (op === 'rename' && has) {
+      object[step.To] = object[property];
+      delete object[property];
+      details.push(`Renamed ${property} to ${step.To}`);
+    } else if (op === 'add' && !has) {
+      object[property] = JSON.parse(JSON.stringify(step.Value));
+      details.push(`Added ${property}`);
+    } else if (op === 'remove' && has) {
+      delete object[property];
+      details.push(`Removed ${property}`);
+    } else if (op === 'scale' && has) {
+      const scale = (value) => (typeof value === 'number' ? value * step.Factor : value);
+      object[property] = Array.isArray(object[property]) ? object[property].map(scale) : scale(object[property]);
+      details.push(`Scaled ${property} by ${step.Factor}`);
+    }
+  });
+
+  return details;
+}
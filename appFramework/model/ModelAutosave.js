@@ -0,0 +1,207 @@
+// js/model/ModelAutosave.js
+import { EventTypes } from '../controller/EventTypes.js';
+import { ModelDiff } from '../utils/ModelDiff.js';
+
+/**
+ * Periodic snapshots of a ClientModel for crash recovery
+ * A snapshot holds the root instance and the pending changes, so edits survive a reload
+ * or a crash of the page. A snapshot found in the store when autosave is enabled is kept as
+ * the recovery snapshot until it is restored or discarded.
+ */
+export class ModelAutosave {
+  /**
+   * Create a new ModelAutosave
+   * @param {ClientModel} model - The model to save
+   * @param {App} app - The application instance, for dispatching events
+   */
+  constructor(model, app) {
+    /** @private */
+    this._model = model;
+
+    /** @private */
+    this._app = app;
+
+    /** @private State while enabled: {store, key, timer, savedRevision} */
+    this._autosave = null;
+
+    /** @private Snapshot found when autosave was enabled, until restored or discarded */
+    this._recoverySnapshot = null;
+  }
+
+  /**
+   * Start saving snapshots periodically
+   * @param {Object} options - Autosave options
+   * @param {Object} options.store - The snapshot store, e.g. an IndexedDBSnapshotStore
+   * @param {string} options.key - The key of the snapshot
+   * @param {number} [options.interval=10000] - Milliseconds between snapshots
+   * @returns {Promise<Object|null>} The recovery snapshot, or null if there is none
+   */
+  async enable(options) {
+    const { store, key, interval = 10000 } = options;
+    if (!store) {
+      throw new Error('A snapshot store is required');
+    }
+
+    this.disable();
+    this._autosave = { store, key, timer: null, savedRevision: this._model.getRevision() };
+
+    try {
+      this._recoverySnapshot = await store.load(key);
+    } catch (error) {
+      console.warn('Failed to load the model snapshot:', error);
+      this._recoverySnapshot = null;
+    }
+
+    if (this._autosave?.store === store) {
+      this._autosave.timer = setInterval(() => this.save(), interval);
+    }
+    return this._recoverySnapshot;
+  }
+
+  /**
+   * Stop saving snapshots
+   */
+  disable() {
+    if (this._autosave) {
+      clearInterval(this._autosave.timer);
+      this._autosave = null;
+    }
+  }
+
+  /**
+   * Save a snapshot now
+   * Nothing is saved if the model has not changed since the last snapshot or while a
+   * recovery snapshot is waiting to be restored or discarded.
+   * @returns {Promise<boolean>} True if a snapshot was saved
+   */
+  async save() {
+    const model = this._model;
+    const autosave = this._autosave;
+    const data = model.toJSON();
+    const revision = model.getRevision();
+    if (!autosave || !data || this._recoverySnapshot || revision === autosave.savedRevision) {
+      return false;
+    }
+
+    const snapshot = {
+      Key: autosave.key,
+      Revision: revision,
+      Saved: new Date().toISOString(),
+      RootClass: model._rootClassName,
+      SchemaVersions: model.getSchemaVersions(),
+      Data: JSON.parse(JSON.stringify(data)),
+      PendingChanges: model.getPendingChanges()
+        .filter(change => change.status === 'pending')
+        .map(({ path, value, oldValue, timestamp }) => JSON.parse(JSON.stringify({ path, value, oldValue, timestamp })))
+    };
+
+    try {
+      await autosave.store.save(autosave.key, snapshot);
+      autosave.savedRevision = revision;
+      return true;
+    } catch (error) {
+      console.warn('Failed to save the model snapshot:', error);
+      if (this._app?.eventManager) {
+        this._app.eventManager.dispatchEvent(EventTypes.CLIENT_WARNING, {
+          ID: 'AUTOSAVE_FAILED',
+          Message: `Failed to save a snapshot of the model: ${error.message}`
+        });
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Get the snapshot found when autosave was enabled
+   * @returns {Object|null} The snapshot, or null
+   */
+  getRecoverySnapshot() {
+    return this._recoverySnapshot;
+  }
+
+  /**
+   * Check whether restoring a snapshot would change the model
+   * @param {Object} snapshot - The snapshot
+   * @returns {boolean} True if restoring the snapshot would change the model
+   */
+  hasChanges(snapshot) {
+    if (!snapshot?.Data) {
+      return false;
+    }
+
+    const data = this._getData(snapshot);
+    const rootInstance = this._model.getRootInstance();
+    if (!rootInstance || !ModelDiff.isSameObject(rootInstance, data)) {
+      return true;
+    }
+    return ModelDiff.diff(rootInstance, data).length > 0;
+  }
+
+  /**
+   * Restore the model from a snapshot
+   * If the snapshot is of the loaded model, the differences are applied as one undo step and
+   * sent to the server like edits in the view. Otherwise the snapshot data is loaded as a new
+   * model and its unsent changes are sent again. The snapshot is no longer offered for recovery.
+   * @param {Object} snapshot - The snapshot
+   * @returns {Promise<Array<Object>>} The applied changes (see ModelDiff for their shapes)
+   */
+  async restore(snapshot) {
+    const model = this._model;
+    if (!snapshot?.Data) {
+      throw new Error('Cannot restore: No snapshot');
+    }
+    if (snapshot.RootClass && snapshot.RootClass !== model._rootClassName) {
+      throw new Error(`Cannot restore a snapshot of ${snapshot.RootClass} into a ${model._rootClassName} model`);
+    }
+
+    let changes = [];
+    const data = this._getData(snapshot);
+    const rootInstance = model.getRootInstance();
+    if (rootInstance && ModelDiff.isSameObject(rootInstance, data)) {
+      changes = ModelDiff.diff(rootInstance, data);
+      model._merger.applyChanges(changes, 'snapshot', { send: true, label: 'Restore unsaved changes' });
+    } else {
+      const restoredRoot = model.loadData(data, true);
+      if (this._app?.eventManager) {
+        this._app.eventManager.dispatchEvent(EventTypes.CLIENT_MODEL_UPDATED, { Data: restoredRoot });
+      }
+      (snapshot.PendingChanges || []).forEach(({ path, value, oldValue }) => {
+        model.trackPendingChange(path, value, oldValue);
+        model.sendPropertyChangeToServer(path, value);
+      });
+    }
+
+    await this.discard();
+    return changes;
+  }
+
+  /**
+   * Remove the stored snapshot and stop offering it for recovery
+   * Autosave continues with the current model.
+   * @returns {Promise<void>}
+   */
+  async discard() {
+    this._recoverySnapshot = null;
+    if (!this._autosave) {
+      return;
+    }
+
+    // Make the next save write the current model
+    this._autosave.savedRevision = null;
+    try {
+      await this._autosave.store.remove(this._autosave.key);
+    } catch (error) {
+      console.warn('Failed to remove the model snapshot:', error);
+    }
+  }
+
+  /**
+   * Get the data of a snapshot, upgraded to the current model definitions
+   * @param {Object} snapshot - The snapshot
+   * @returns {Object} The data
+   * @private
+   */
+  _getData(snapshot) {
+    return snapshot.SchemaVersions ? this._model.migrateData(snapshot.Data, snapshot.SchemaVersions).data : snapshot.Data;
+  }
+}
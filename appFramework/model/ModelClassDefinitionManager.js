@@ -1,5 +1,9 @@
 // src/models/ModelClassDefinitionManager.js
-import { convertNumericProperty } from '../utils/TypeConversionUtils.js';
+import { getTypeKind, isValueOfType } from '../utils/TypeConversionUtils.js';
+import { ModelDataError, ModelValidationError } from './ModelValidationError.js';
+import { CLASS_NAME_KEY } from '../utils/ModelDiff.js';
+import { getClassHierarchy } from '../utils/ClassHierarchy.js';
+import { ModelObserver } from './ModelObserver.js';
 
 /**
  * Manages model class definitions and their relationships
@@ -16,6 +20,15 @@ export class ModelClassDefinitionManager {
          * @private
          */
         this._classRegistry = new Map();
+        
+        /** @private Whether invalid values are errors instead of warnings */
+        this._strict = false;
+        
+        /** @private Errors collected by collectErrors(), or null outside it */
+        this._collectedErrors = null;
+        
+        /** @private Reports assignments to properties of instances of generated classes */
+        this._observer = new ModelObserver();
     }
     
     /**
@@ -27,6 +40,80 @@ export class ModelClassDefinitionManager {
         return this;
     }
 
+    /**
+     * Turn strict mode on or off
+     * Model objects replace values they cannot use (values that cannot be converted to their
+     * property type, unknown Enum values, objects whose class cannot be created) with defaults.
+     * Without strict mode this is logged as a warning; in strict mode it is a ModelValidationError.
+     * @param {boolean} [strict=true] - Whether to use strict mode
+     * @returns {ModelClassDefinitionManager} Returns the manager instance for chaining
+     */
+    setStrictMode(strict = true) {
+        this._strict = Boolean(strict);
+        return this;
+    }
+    
+    /**
+     * Check whether strict mode is on
+     * @returns {boolean} True in strict mode
+     */
+    isStrictMode() {
+        return this._strict;
+    }
+    
+    /**
+     * Report a value a model object cannot use
+     * Without strict mode the error is logged as a warning. In strict mode it is thrown, or
+     * collected when called within collectErrors(). The caller uses a default value unless
+     * the error is thrown.
+     * @param {ModelValidationError} error - The problem
+     * @throws {ModelValidationError} In strict mode, outside collectErrors()
+     */
+    reportValueError(error) {
+        if (!this._strict) {
+            console.warn(error.path ? `${error.path}: ${error.message}` : error.message);
+        } else if (this._collectedErrors) {
+            this._collectedErrors.push(error);
+        } else {
+            throw error;
+        }
+    }
+    
+    /**
+     * Run a function, collecting the errors reported with reportValueError()
+     * In strict mode, all invalid values in data are found before it is rejected, e.g. when
+     * creating the objects of a model. Calls may be nested; the outermost call throws.
+     * @param {Function} fn - The function to run
+     * @returns {*} The result of the function
+     * @throws {ModelDataError} In strict mode, if any errors were reported
+     */
+    collectErrors(fn) {
+        if (this._collectedErrors) {
+            return fn();
+        }
+        
+        this._collectedErrors = [];
+        try {
+            const result = fn();
+            if (this._collectedErrors.length > 0) {
+                throw new ModelDataError(this._collectedErrors);
+            }
+            return result;
+        } finally {
+            this._collectedErrors = null;
+        }
+    }
+
+    /**
+     * Get the observer of the instances of generated classes created with this manager
+     * Subscribe to it to be told about direct assignments such as root.Species[0].Name = 'x';
+     * set its root to give the changes their object paths.
+     * @returns {ModelObserver} The observer
+     */
+    getObserver() {
+        return this._observer;
+    }
+
     /**
      * Load multiple class definitions at once
      * @param {Object} definitions - Object mapping class names to their definitions
@@ -254,24 +341,55 @@ export class ModelClassDefinitionManager {
      *                         Each object contains the full class definition including Properties
      */
     getClassHierarchy(className) {
-        const hierarchy = [];
-        let current = className;
+        const getDefinition = name => this._classRegistry.get(name)?.definition;
         
-        while (current) {
-            const classInfo = this._classRegistry.get(current);
-            if (!classInfo || !classInfo.definition) break;
-            
-            // Create a new object with the class name and its definition
-            const classDef = {
-                ClassName: current,
-                ...classInfo.definition
-            };
-            
-            hierarchy.unshift(classDef);
-            current = classInfo.definition.Extends;
+        // Create a new object with the class name and its definition
+        return getClassHierarchy(className, getDefinition)
+            .map(name => ({ ClassName: name, ...getDefinition(name) }));
+    }
+    
+    /**
+     * Check whether a class is another class or extends it, directly or indirectly
+     * @param {string} className - The name of the class
+     * @param {string} baseClassName - The name of the possible base class
+     * @returns {boolean} True if className is baseClassName or one of its subclasses
+     */
+    isSubclassOf(className, baseClassName) {
+        return className === baseClassName ||
+            this.getClassHierarchy(className).some(definition => definition.ClassName === baseClassName);
+    }
+    
+    /**
+     * Get the classes whose objects a property of a class type can hold
+     * @param {string} className - The name of the class
+     * @returns {string[]} The class followed by the registered classes that extend it
+     */
+    getSubclassNames(className) {
+        const subclasses = this.getAllRegisteredClassNames()
+            .filter(name => name !== className && this._classRegistry.get(name).definition && this.isSubclassOf(name, className));
+        return [className, ...subclasses];
+    }
+    
+    /**
+     * Get the class of the object to create from data for a property of a class type
+     * The data may name a subclass of the type in its ClassName field (CLASS_NAME_KEY).
+     * @param {string} type - The Type of the property
+     * @param {Object} data - The data of the object
+     * @returns {string} The class named by the data, or the type if the data names none
+     * @throws {Error} If the named class is not registered or does not extend the type
+     */
+    resolveClassName(type, data) {
+        const className = data && typeof data === 'object' ? data[CLASS_NAME_KEY] : undefined;
+        if (className === undefined || className === null || className === '' || className === type) {
+            return type;
         }
-        
-        return hierarchy;
+        if (!this._classRegistry.get(className)?.definition) {
+            throw new Error(`Unknown class '${className}' in ${CLASS_NAME_KEY}`);
+        }
+        if (!this.isSubclassOf(className, type)) {
+            throw new Error(`Class ${className} is not ${type} or a subclass of it`);
+        }
+        return className;
     }
     
     /**
@@ -284,9 +402,8 @@ export class ModelClassDefinitionManager {
         const properties = {};
         
         for (const cls of hierarchy) {
-            const classInfo = this._classRegistry.get(cls);
-            if (classInfo && classInfo.definition && classInfo.definition.Properties) {
-                Object.assign(properties, classInfo.definition.Properties);
+            if (cls.Properties) {
+                Object.assign(properties, cls.Properties);
             }
         }
         
@@ -294,29 +411,82 @@ export class ModelClassDefinitionManager {
     }
     
     /**
-     * Validate an instance against its class definition
+     * Validate an instance or plain data against its class definition
+     * Checks required properties and the types of primitive properties, and validates
+     * nested objects against the class of their property; references must hold a Uid.
+     * Arrays are accepted for any type, as MATLAB sends vectors of values, and are checked
+     * item by item (a matrix as a whole); null and undefined are accepted as empty.
      * @param {Object} instance - The instance to validate
      * @param {string} className - The expected class name
+     * @param {string} [path='RootModel'] - The object path of the instance, used in messages
      * @returns {string[]|null} Array of error messages or null if valid
      */
-    validateInstance(instance, className) {
-        const properties = this.getProperties(className);
+    validateInstance(instance, className, path = 'RootModel') {
         const errors = [];
         
-        // Check required properties
+        if (!instance || typeof instance !== 'object' || Array.isArray(instance)) {
+            return [`${path}: expected an object of class ${className}`];
+        }
+        
+        const properties = this.getProperties(className);
+        
         for (const [name, prop] of Object.entries(properties)) {
+            const value = instance[name];
+            const propertyPath = `${path}.${name}`;
+            
             if (prop.Required && !(name in instance)) {
-                errors.push(`Missing required property: ${name}`);
+                errors.push(`Missing required property: ${name}${path === 'RootModel' ? '' : ` (at ${path})`}`);
+                continue;
             }
             
-            // Type checking would go here
+            if (value === null || value === undefined || !prop.Type) continue;
+            
+            const isList = Array.isArray(value) && getTypeKind(prop.Type) !== 'matrix';
+            const items = isList ? value : [value];
+            items.forEach((item, index) => {
+                const itemPath = isList ? `${propertyPath}[${index}]` : propertyPath;
+                
+                if (prop.Reference === true) {
+                    // References hold the Uid of their target
+                    if (typeof item !== 'string' && typeof item !== 'number') {
+                        errors.push(`${itemPath}: expected the Uid of a ${prop.Type}, got ${item === null ? 'null' : typeof item}`);
+                    }
+                } else if (this._classRegistry.get(prop.Type)?.definition) {
+                    // Data of a subclass is validated against the class named in its ClassName
+                    let itemClassName;
+                    try {
+                        itemClassName = item?._className || this.resolveClassName(prop.Type, item);
+                    } catch (error) {
+                        errors.push(`${itemPath}: ${error.message}`);
+                        return;
+                    }
+                    const itemErrors = this.validateInstance(item, itemClassName, itemPath);
+                    if (itemErrors) errors.push(...itemErrors);
+                } else if (!this._isValueOfType(item, prop.Type)) {
+                    errors.push(`${itemPath}: expected ${prop.Type}, got ${item === null ? 'null' : typeof item}`);
+                }
+            });
         }
         
         return errors.length === 0 ? null : errors;
     }
     
+    /**
+     * Check a value against a primitive property type
+     * Unknown types are not checked. See TypeConversionUtils.isValueOfType.
+     * @param {*} value - The value
+     * @param {string} type - The property type (e.g. 'double', 'string', 'logical', 'date')
+     * @returns {boolean} True if the value has the type
+     * @private
+     */
+    _isValueOfType(value, type) {
+        return isValueOfType(value, type);
+    }
+    
     /**
      * Generate a class based on its definition
+     * Instances report assignments to their properties to the observer of their manager
+     * (see getObserver).
      * @param {string} className - The name of the class to generate
      * @param {Function} baseClass - The base class constructor
      * @returns {Function} The generated class constructor
@@ -341,13 +511,19 @@ export class ModelClassDefinitionManager {
             BaseConstructor = this.getClass(baseClassName);
         }
         
-        // Create the class with proper inheritance
+        // Create the class with proper inheritance; instances use this manager unless given another
+        const definitionManager = this;
         const GeneratedClass = class extends BaseConstructor {
             static className = className;
             static modelDefinition = definition;
             
-            constructor(data = {}) {
-                super(data);
+            constructor(data = {}, manager = definitionManager, options) {
+                super(data, manager, options);
+                
+                // Observe once the properties of the whole hierarchy are initialized
+                if (new.target === GeneratedClass && typeof this._manager.getObserver === 'function') {
+                    this._manager.getObserver().observe(this);
+                }
             }
             
             // Add any custom methods or overrides here
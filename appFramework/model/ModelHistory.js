@@ -0,0 +1,239 @@
+// js/model/ModelHistory.js
+import { EventTypes } from '../controller/EventTypes.js';
+import { ModelPathUtils } from '../utils/ModelPathUtils.js';
+import { CommandHistory } from './CommandHistory.js';
+
+/**
+ * Undo/redo of the edits made on a ClientModel
+ * Keeps the edits in a CommandHistory and replays them through the model, so that undone
+ * and redone edits reach the server and the views like edits made in the view.
+ * MODEL_HISTORY_CHANGED is dispatched whenever the undo/redo state changes.
+ */
+export class ModelHistory {
+  /**
+   * Create a new ModelHistory
+   * @param {ClientModel} model - The model whose edits are recorded
+   * @param {App} app - The application instance, for dispatching events
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.limit=100] - Maximum number of undo steps to keep
+   */
+  constructor(model, app, options = {}) {
+    const { limit = 100 } = options;
+
+    /** @private */
+    this._model = model;
+
+    /** @private */
+    this._app = app;
+
+    /** @private */
+    this._history = new CommandHistory({ limit });
+  }
+
+  /**
+   * Record an edit as an undo step, or as part of the open group
+   * @param {Object} change - { path, oldValue, value } for a property edit, or an array change
+   *   with kind 'array'
+   */
+  record(change) {
+    this._history.record(change);
+    if (!this._history.isGrouping()) {
+      this._notifyChanged();
+    }
+  }
+
+  /**
+   * Record edits that were made together as a single undo step
+   * @param {string} label - Human-readable description of the step
+   * @param {Array<Object>} changes - The edits, as for record()
+   */
+  recordGroup(label, changes) {
+    this._history.beginGroup(label);
+    changes.forEach(change => this._history.record(change));
+    this._history.endGroup();
+    this._notifyChanged();
+  }
+
+  /**
+   * Remove a recorded edit, e.g. one the server rejected
+   * @param {Object} change - The recorded edit
+   */
+  discard(change) {
+    this._history.discard(change);
+    this._notifyChanged();
+  }
+
+  /**
+   * Undo the most recent group of edits
+   * @returns {boolean} True if a group was undone
+   */
+  undo() {
+    if (this._history.isGrouping()) {
+      console.warn('Cannot undo while a history group is open');
+      return false;
+    }
+
+    const group = this._history.undo();
+    if (!group) return false;
+
+    // Revert changes in reverse order so that later edits are undone first
+    [...group.changes].reverse().forEach(change => {
+      if (change.kind === 'array') {
+        this._model._arrays.apply(this._model._arrays.invert(change), 'undo', { record: false, historyEntry: change });
+      } else {
+        this._applyChange(change.path, change.oldValue, change.value, 'undo');
+      }
+    });
+
+    this._notifyChanged();
+    return true;
+  }
+
+  /**
+   * Redo the most recently undone group of edits
+   * @returns {boolean} True if a group was redone
+   */
+  redo() {
+    if (this._history.isGrouping()) {
+      console.warn('Cannot redo while a history group is open');
+      return false;
+    }
+
+    const group = this._history.redo();
+    if (!group) return false;
+
+    group.changes.forEach(change => {
+      if (change.kind === 'array') {
+        this._model._arrays.apply(change, 'redo', { record: false, historyEntry: change });
+      } else {
+        this._applyChange(change.path, change.value, change.oldValue, 'redo');
+      }
+    });
+
+    this._notifyChanged();
+    return true;
+  }
+
+  /**
+   * Check whether there is an edit that can be undone
+   * @returns {boolean} True if undo() would revert something
+   */
+  canUndo() {
+    return !this._history.isGrouping() && this._history.canUndo();
+  }
+
+  /**
+   * Check whether there is an undone edit that can be redone
+   * @returns {boolean} True if redo() would re-apply something
+   */
+  canRedo() {
+    return !this._history.isGrouping() && this._history.canRedo();
+  }
+
+  /**
+   * Check whether a group is open
+   * @returns {boolean} True between beginGroup() and the matching endGroup()
+   */
+  isGrouping() {
+    return this._history.isGrouping();
+  }
+
+  /**
+   * Start grouping subsequent edits into a single undo step
+   * Every call must be balanced by a call to endGroup()
+   * @param {string} [label=''] - Human-readable description of the step
+   */
+  beginGroup(label = '') {
+    this._history.beginGroup(label);
+  }
+
+  /**
+   * Close the undo step started by beginGroup()
+   */
+  endGroup() {
+    if (this._history.endGroup()) {
+      this._notifyChanged();
+    }
+  }
+
+  /**
+   * Set the maximum number of undo steps to keep
+   * @param {number} limit - The new limit (0 disables undo)
+   */
+  setLimit(limit) {
+    this._history.setLimit(limit);
+    this._notifyChanged();
+  }
+
+  /**
+   * Discard all undo and redo history
+   */
+  clear() {
+    this._history.clear();
+    this._notifyChanged();
+  }
+
+  /**
+   * Apply a value from the history to the model and propagate it
+   * @param {string} path - The full path to the property
+   * @param {any} value - The value to apply
+   * @param {any} oldValue - The value being replaced
+   * @param {string} source - The source of the change ('undo' or 'redo')
+   * @private
+   */
+  _applyChange(path, value, oldValue, source) {
+    const model = this._model;
+    const rootInstance = model.getRootInstance();
+    if (!rootInstance) {
+      console.warn(`Cannot ${source} property change: No model loaded`);
+      return;
+    }
+
+    const success = model._observer.setValue(rootInstance, path, value);
+    if (!success) {
+      console.error(`Failed to ${source} property change at path ${path}`);
+
+      if (this._app?.eventManager) {
+        this._app.eventManager.dispatchEvent(EventTypes.CLIENT_ERROR, {
+          ID: 'PROPERTY_UPDATE_ERROR',
+          Message: `Failed to ${source} property change at path ${path}`,
+          Error: 'Path not found in model'
+        });
+      }
+      return;
+    }
+
+    model._recordChange({ operation: 'set', path, value, oldValue });
+
+    // Keep the server in sync exactly as for an edit made in the view
+    model.trackPendingChange(path, value, oldValue);
+    model.sendPropertyChangeToServer(path, value);
+
+    if (this._app?.eventManager) {
+      const { objectPath, property } = ModelPathUtils.splitPropertyPath(path);
+
+      this._app.eventManager.dispatchEvent(EventTypes.MODEL_TO_VIEW_PROPERTY_CHANGED, {
+        ObjectPath: objectPath,
+        Property: property,
+        Value: value,
+        OldValue: oldValue,
+        Source: source
+      });
+    }
+  }
+
+  /**
+   * Notify listeners that the undo/redo state has changed
+   * @private
+   */
+  _notifyChanged() {
+    if (!this._app?.eventManager) return;
+
+    this._app.eventManager.dispatchEvent(EventTypes.MODEL_HISTORY_CHANGED, {
+      CanUndo: this.canUndo(),
+      CanRedo: this.canRedo(),
+      UndoLabel: this._history.getUndoLabel(),
+      RedoLabel: this._history.getRedoLabel()
+    });
+  }
+}
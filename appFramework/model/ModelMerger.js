@@ -0,0 +1,147 @@
+// js/model/ModelMerger.js
+import { EventTypes } from '../controller/EventTypes.js';
+import { ModelDiff } from '../utils/ModelDiff.js';
+import { ModelPathUtils } from '../utils/ModelPathUtils.js';
+
+/**
+ * Applies changes computed by ModelDiff or JsonPatch to a ClientModel in place
+ * Model objects keep their identity (and their bindings), and only the affected
+ * MODEL_TO_VIEW_PROPERTY_CHANGED, MODEL_TO_VIEW_ARRAY_CHANGED, INSTANCE_CREATED and
+ * INSTANCE_DELETED events are dispatched.
+ */
+export class ModelMerger {
+  /**
+   * Create a new ModelMerger
+   * @param {ClientModel} model - The model the changes are applied to
+   * @param {App} app - The application instance, for dispatching events
+   */
+  constructor(model, app) {
+    /** @private */
+    this._model = model;
+
+    /** @private */
+    this._app = app;
+  }
+
+  /**
+   * Merge data into the loaded model
+   * @param {Object} data - The new data of the root instance
+   * @param {string} source - The source of the changes
+   * @returns {Array<Object>} The applied changes
+   */
+  merge(data, source) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Data must be an object');
+    }
+
+    const rootInstance = this._model.getRootInstance();
+    if (!rootInstance) {
+      throw new Error('Cannot merge data: No model loaded');
+    }
+
+    const changes = ModelDiff.diff(rootInstance, data);
+    this.applyChanges(changes, source);
+    return changes;
+  }
+
+  /**
+   * Apply changes and validate the model once they are all applied
+   * @param {Array<Object>} changes - The changes
+   * @param {string} source - The source of the changes
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.send=false] - Whether to send the changes to the server and record
+   *   them for undo
+   * @param {string} [options.label=''] - Label of the undo step the sent changes form
+   */
+  applyChanges(changes, source, options = {}) {
+    const { send = false, label = '' } = options;
+    const model = this._model;
+
+    if (send) {
+      model.beginHistoryGroup(label);
+    }
+    try {
+      changes.forEach(change => this.applyChange(change, source, { send }));
+    } finally {
+      if (send) {
+        model.endHistoryGroup();
+      }
+    }
+
+    if (changes.length > 0) {
+      model.validateAll();
+    }
+  }
+
+  /**
+   * Apply a change
+   * @param {Object} change - The change
+   * @param {string} source - The source of the change
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.send=false] - Whether to send the change to the server and record it for undo
+   */
+  applyChange(change, source, options = {}) {
+    const { send = false } = options;
+    const { operation, path } = change;
+    const model = this._model;
+    const rootInstance = model.getRootInstance();
+
+    if (operation !== 'set') {
+      const arrayChange = { path, operation, index: change.index, toIndex: change.toIndex, item: change.item };
+      if (operation === 'insert') {
+        arrayChange.item = model._arrays.createItem(path, change.item);
+      } else if (operation === 'remove') {
+        // The change may describe a copy of the item, so forget the one actually in the model
+        const array = ModelPathUtils.getValueFromObjectPath(rootInstance, path);
+        arrayChange.item = Array.isArray(array) ? array[change.index] : change.item;
+      }
+
+      if (model._arrays.apply(arrayChange, source, { record: send, send })) {
+        if (operation === 'insert') {
+          model._instanceTracker.notify(EventTypes.INSTANCE_CREATED, arrayChange.item, path);
+        } else if (operation === 'remove') {
+          model._instanceTracker.forget(arrayChange.item, path);
+        }
+      }
+      return;
+    }
+
+    // Computed properties follow the properties they are computed from
+    if (model._computedProperties.isComputedPath(rootInstance, path)) {
+      return;
+    }
+
+    const { objectPath, property } = ModelPathUtils.splitPropertyPath(path);
+    const oldValue = ModelPathUtils.getValueFromObjectPath(rootInstance, path);
+    const value = model._createPropertyValue(objectPath, property, change.value);
+
+    if (!model._observer.setValue(rootInstance, path, value)) {
+      console.error(`Failed to update property at path ${path}`);
+      return;
+    }
+
+    model._recordChange({ operation: 'set', path, value, oldValue });
+
+    if (send) {
+      model._history.record({ path, oldValue, value });
+      model.trackPendingChange(path, value, oldValue);
+      model.sendPropertyChangeToServer(path, value);
+    } else if (model._pendingChanges.has(path)) {
+      // A full update can carry the value of a change made by this client
+      model.confirmPendingChange(path);
+    }
+
+    model._instanceTracker.forget(oldValue, objectPath);
+    model._instanceTracker.notify(EventTypes.INSTANCE_CREATED, value, objectPath);
+
+    if (this._app?.eventManager) {
+      this._app.eventManager.dispatchEvent(EventTypes.MODEL_TO_VIEW_PROPERTY_CHANGED, {
+        ObjectPath: objectPath,
+        Property: property,
+        Value: value,
+        OldValue: oldValue,
+        Source: source
+      });
+    }
+  }
+}
@@ -0,0 +1,215 @@
+// js/model/ModelObserver.js
+
+/**
+ * Reports direct assignments to the properties of model objects
+ * Objects are observed by replacing their properties with accessors, which classes generated by
+ * ModelClassDefinitionManager.generateClass do for every instance. An assignment such as
+ *
+ *   root.Species[0].Name = 'Glucose';
+ *
+ * is then delivered to the subscribers as
+ *
+ *   { ObjectPath: 'RootModel.Species[0]', Property: 'Name', Value: 'Glucose', OldValue: 'x' }
+ *
+ * Changes are queued and delivered together, after the current task or at the end of batch(),
+ * with repeated assignments to a property merged into one change. The object path is found from
+ * the root when the changes are delivered, so it is correct even if arrays were reordered in
+ * the meantime; changes to objects that cannot be reached from the root are not delivered.
+ * Array items that are inserted, removed or moved in place are not observed.
+ */
+export class ModelObserver {
+  constructor() {
+    /** @private Functions called with each list of changes */
+    this._listeners = new Set();
+
+    /** @private The root model instance, or a function returning it */
+    this._root = null;
+
+    /** @private Object -> Map of property -> { object, property, oldValue } */
+    this._queue = new Map();
+
+    /** @private Depth of nested batch() calls */
+    this._batchDepth = 0;
+
+    /** @private Depth of nested silently() calls */
+    this._silentDepth = 0;
+
+    /** @private Whether a flush is scheduled for the end of the current task */
+    this._flushScheduled = false;
+  }
+
+  /**
+   * Set the root the object paths of changes are found from
+   * @param {Object|Function|null} root - The root model instance, or a function returning it
+   */
+  setRoot(root) {
+    this._root = root;
+  }
+
+  /**
+   * Get the root the object paths of changes are found from
+   * @returns {Object|null} The root model instance
+   */
+  getRoot() {
+    return (typeof this._root === 'function' ? this._root() : this._root) || null;
+  }
+
+  /**
+   * Subscribe to changes
+   * @param {Function} listener - Called with an array of { ObjectPath, Property, Value, OldValue }
+   * @returns {Function} Function that unsubscribes the listener
+   */
+  subscribe(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  }
+
+  /**
+   * Report assignments to the properties of a model object
+   * @param {Object} object - The model object
+   * @param {string[]} [properties] - The properties to observe; by default all public properties
+   * @returns {Object} The object
+   */
+  observe(object, properties = Object.keys(object).filter(key => !key.startsWith('_'))) {
+    properties.forEach(property => {
+      let current = object[property];
+      Object.defineProperty(object, property, {
+        enumerable: true,
+        configurable: true,
+        get: () => current,
+        set: value => {
+          const oldValue = current;
+          current = value;
+          if (!Object.is(oldValue, value)) {
+            this.notify(object, property, oldValue);
+          }
+        }
+      });
+    });
+    return object;
+  }
+
+  /**
+   * Queue the change of a property
+   * The value is read from the object when the change is delivered.
+   * @param {Object} object - The model object
+   * @param {string} property - The changed property
+   * @param {*} oldValue - The value before the change
+   */
+  notify(object, property, oldValue) {
+    if (this._silentDepth > 0) return;
+
+    if (!this._queue.has(object)) {
+      this._queue.set(object, new Map());
+    }
+    const changes = this._queue.get(object);
+    // A property changed several times keeps the value it had before the first change
+    if (!changes.has(property)) {
+      changes.set(property, { object, property, oldValue });
+    }
+
+    if (this._batchDepth === 0 && !this._flushScheduled) {
+      this._flushScheduled = true;
+      queueMicrotask(() => this.flush());
+    }
+  }
+
+  /**
+   * Make several changes and deliver them together when the function returns
+   * Nested calls join the outermost batch. If the function returns a promise, the changes are
+   * delivered when it settles.
+   * @param {Function} fn - The function making the changes
+   * @returns {*} The result of the function
+   */
+  batch(fn) {
+    this._batchDepth++;
+    let result;
+    try {
+      result = fn();
+    } catch (error) {
+      this._endBatch();
+      throw error;
+    }
+    if (result && typeof result.then === 'function') {
+      return result.finally(() => this._endBatch());
+    }
+    this._endBatch();
+    return result;
+  }
+
+  /**
+   * Make changes without reporting them, e.g. changes the caller already notifies about
+   * @param {Function} fn - The function making the changes
+   * @returns {*} The result of the function
+   */
+  silently(fn) {
+    this._silentDepth++;
+    try {
+      return fn();
+    } finally {
+      this._silentDepth--;
+    }
+  }
+
+  /**
+   * Deliver the queued changes now
+   */
+  flush() {
+    this._flushScheduled = false;
+    if (this._queue.size === 0) return;
+
+    const queued = Array.from(this._queue.values()).flatMap(changes => Array.from(changes.values()));
+    this._queue.clear();
+
+    const paths = findObjectPaths(this.getRoot());
+    const changes = queued
+      .filter(({ object, property, oldValue }) => paths.has(object) && !Object.is(object[property], oldValue))
+      .map(({ object, property, oldValue }) => ({
+        ObjectPath: paths.get(object),
+        Property: property,
+        Value: object[property],
+        OldValue: oldValue
+      }));
+
+    if (changes.length > 0) {
+      this._listeners.forEach(listener => listener(changes));
+    }
+  }
+
+  /**
+   * @private
+   */
+  _endBatch() {
+    this._batchDepth--;
+    if (this._batchDepth === 0) {
+      this.flush();
+    }
+  }
+}
+
+/**
+ * Map every model object reachable from the root to its object path
+ * @private
+ */
+function findObjectPaths(root) {
+  const paths = new Map();
+  const visit = (object, path) => {
+    if (!object || typeof object !== 'object' || paths.has(object)) return;
+    paths.set(object, path);
+
+    Object.entries(object).forEach(([key, value]) => {
+      if (key.startsWith('_') || !value || typeof value !== 'object') return;
+      if (Array.isArray(value)) {
+        value.forEach((item, index) => {
+          if (item && typeof item === 'object' && item._className) {
+            visit(item, `${path}.${key}[${index}]`);
+          }
+        });
+      } else if (value._className) {
+        visit(value, `${path}.${key}`);
+      }
+    });
+  };
+  visit(root, 'RootModel');
+  return paths;
+}
@@ -0,0 +1,97 @@
+// js/model/ModelObserverBinding.js
+import { EventTypes } from '../controller/EventTypes.js';
+import { ModelPathUtils } from '../utils/ModelPathUtils.js';
+
+/**
+ * Connects a ClientModel to the ModelObserver of its model objects
+ * Direct assignments to properties of model objects, such as root.Species[0].Name = 'x', are
+ * recorded in the change log and reported to the views with Source 'direct'. Changes the model
+ * makes itself are applied silently, so the model reports them only once.
+ */
+export class ModelObserverBinding {
+  /**
+   * Create a new ModelObserverBinding
+   * @param {ClientModel} model - The model whose objects are observed
+   * @param {App} app - The application instance, for dispatching events
+   * @param {ModelObserver} observer - The observer of the model objects
+   */
+  constructor(model, app, observer) {
+    /** @private */
+    this._model = model;
+
+    /** @private */
+    this._app = app;
+
+    /** @private */
+    this._observer = observer;
+
+    observer.setRoot(() => model.getRootInstance());
+
+    /** @private */
+    this._unsubscribe = observer.subscribe(changes => this._handleChanges(changes));
+  }
+
+  /**
+   * Run a function and report the direct assignments it makes together when it returns
+   * @param {Function} fn - The function assigning the properties
+   * @returns {*} The result of the function
+   */
+  batch(fn) {
+    return this._observer.batch(fn);
+  }
+
+  /**
+   * Run a function without reporting the assignments it makes as direct assignments
+   * @param {Function} fn - The function
+   * @returns {*} The result of the function
+   */
+  silently(fn) {
+    return this._observer.silently(fn);
+  }
+
+  /**
+   * Set a value in the model without reporting it as a direct assignment
+   * The caller notifies the views of the change itself; the instance index is updated here.
+   * @param {Object} rootInstance - The root model instance
+   * @param {string} path - The full path to the value
+   * @param {any} value - The new value
+   * @returns {boolean} True if the value was set
+   */
+  setValue(rootInstance, path, value) {
+    const oldValue = ModelPathUtils.getValueFromObjectPath(rootInstance, path);
+    const success = this.silently(() => ModelPathUtils.setValueAtObjectPath(rootInstance, path, value));
+    if (success) {
+      // Paths of array items, e.g. RootModel.Species[2], are held by the array property
+      const { objectPath, property } = ModelPathUtils.splitPropertyPath(path.replace(/\[\d+\]$/, ''));
+      this._model._instanceTracker.reindex(rootInstance, objectPath, property, oldValue, value);
+    }
+    return success;
+  }
+
+  /**
+   * Stop reporting direct assignments
+   */
+  disconnect() {
+    this._unsubscribe();
+  }
+
+  /**
+   * Notify the views of direct assignments to properties of model objects
+   * @param {Array<Object>} changes - { ObjectPath, Property, Value, OldValue } for each property
+   * @private
+   */
+  _handleChanges(changes) {
+    const model = this._model;
+    changes.forEach(({ ObjectPath, Property, Value, OldValue }) => {
+      model._instanceTracker.reindex(model.getRootInstance(), ObjectPath, Property, OldValue, Value);
+      model._recordChange({ operation: 'set', path: `${ObjectPath}.${Property}`, value: Value, oldValue: OldValue });
+      this._app?.eventManager?.dispatchEvent(EventTypes.MODEL_TO_VIEW_PROPERTY_CHANGED, {
+        ObjectPath,
+        Property,
+        Value,
+        OldValue,
+        Source: 'direct'
+      });
+    });
+  }
+}
@@ -0,0 +1,124 @@
+// js/model/ModelPatcher.js
+import { JsonPatch, JsonPatchError } from '../utils/JsonPatch.js';
+import { ModelPathUtils } from '../utils/ModelPathUtils.js';
+
+/**
+ * JSON Patch (RFC 6902) import and export for a ClientModel
+ * Patches are checked against a copy of the model before any of their changes is applied,
+ * and the changes made to the model are exported from its change log.
+ */
+export class ModelPatcher {
+  /**
+   * Create a new ModelPatcher
+   * @param {ClientModel} model - The model that is patched
+   */
+  constructor(model) {
+    /** @private */
+    this._model = model;
+  }
+
+  /**
+   * Apply a JSON Patch to the model
+   * The patch is rejected as a whole if an operation fails or the result has validation
+   * violations the model did not already have.
+   * @param {Array<Object>} operations - The patch operations
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.send=true] - Whether to send the changes to the server and record them for undo
+   * @param {string} [options.source='patch'] - The source of the changes
+   * @returns {Array<Object>} The applied changes (see ModelDiff for their shapes)
+   * @throws {JsonPatchError} If the patch is malformed, cannot be applied or fails validation
+   */
+  apply(operations, options = {}) {
+    const { send = true, source = 'patch' } = options;
+    const model = this._model;
+
+    const rootInstance = model.getRootInstance();
+    if (!rootInstance) {
+      throw new JsonPatchError('Cannot apply patch: No model loaded');
+    }
+    if (model.isInTransaction()) {
+      throw new JsonPatchError('Patches cannot be applied inside a transaction');
+    }
+
+    const draft = JsonPatch.clone(rootInstance);
+    const changes = JsonPatch.toChanges(draft, operations, {
+      prepareValue: (objectPath, property, value) => {
+        const parent = ModelPathUtils.getValueFromObjectPath(draft, objectPath);
+        const propDef = parent?._className ? model.modelManager.getPropertyInfo(parent._className, property) : null;
+        return propDef?.Type ? this._toDraftValue(propDef.Type, value) : value;
+      }
+    });
+
+    // Computed properties follow the properties they are computed from
+    const computedPaths = changes
+      .filter(change => change.operation === 'set' && model._computedProperties.isComputedPath(draft, change.path))
+      .map(change => change.path);
+    if (computedPaths.length > 0) {
+      throw new JsonPatchError(`Patch rejected: computed properties cannot be changed: ${computedPaths.join(', ')}`);
+    }
+
+    // Only reject the patch for problems it introduces
+    const violationKey = (violation) =>
+      `${violation.Path}|${violation.PropertyName || ''}|${violation.ConstraintId || ''}`;
+    const validate = (instance) =>
+      model._validationManager.validateInstance(instance, { className: model._rootClassName }).violations;
+
+    const existing = new Set(validate(rootInstance).map(violationKey));
+    const violations = validate(draft).filter(violation => !existing.has(violationKey(violation)));
+    if (violations.length > 0) {
+      throw new JsonPatchError(
+        `Patch rejected: ${violations.map(violation => `${violation.Path}: ${violation.Message}`).join('; ')}`,
+        { violations }
+      );
+    }
+
+    model._merger.applyChanges(changes, source, { send, label: 'Apply patch' });
+    return changes;
+  }
+
+  /**
+   * Get a JSON Patch of the changes made to the model since a revision
+   * If the changes are no longer known, e.g. because a new model was loaded since, the
+   * patch replaces the whole model.
+   * @param {number} since - The revision to start from
+   * @returns {Array<Object>} The patch operations
+   */
+  generate(since) {
+    const operations = this._model._changeLog.getOperationsSince(since);
+    if (operations) {
+      return operations;
+    }
+
+    const data = this._model.toJSON();
+    return data ? [{ op: 'replace', path: '', value: JSON.parse(JSON.stringify(data)) }] : [];
+  }
+
+  /**
+   * Copy data for a property of a class into the plain form used to validate patches
+   * Objects are tagged with the class of the property, and so are their nested objects.
+   * @param {string} type - The type of the property
+   * @param {any} value - The data
+   * @returns {any} The copy
+   * @private
+   */
+  _toDraftValue(type, value) {
+    const modelManager = this._model.modelManager;
+    if (Array.isArray(value)) {
+      return value.map(item => this._toDraftValue(type, item));
+    }
+    if (!value || typeof value !== 'object' || !modelManager.isClassRegistered(type)) {
+      return value;
+    }
+
+    const className = value._className || type;
+    const draft = { ...value, _className: className };
+    Object.keys(value).forEach(key => {
+      if (key.startsWith('_')) return;
+      const propDef = modelManager.getPropertyInfo(className, key);
+      if (propDef?.Type) {
+        draft[key] = this._toDraftValue(propDef.Type, value[key]);
+      }
+    });
+    return draft;
+  }
+}
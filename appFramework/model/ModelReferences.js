@@ -0,0 +1,238 @@
+// js/model/ModelReferences.js
+import { getClassHierarchy } from '../utils/ClassHierarchy.js';
+import { ModelPathUtils } from '../utils/ModelPathUtils.js';
+
+/**
+ * Properties that refer to model objects elsewhere in the model
+ * A property is a reference when its definition has Reference set. It stores the Uid of its
+ * target, an object of the property's Type or one of its subclasses, instead of containing it:
+ *
+ *   "Compartment": { "Type": "Compartment", "Reference": true },
+ *   "Targets":     { "Type": "Species", "Reference": true, "IsArray": true }
+ *
+ * References are saved and loaded as their Uids and resolved when they are used (see
+ * ClientModel.resolveReference). A reference whose target is no longer in the model is dangling.
+ */
+
+/**
+ * Get the identifier other objects use to refer to a model object
+ * Objects from the server have a Uid; objects created on the client fall back to their id.
+ * @param {Object} object - The model object
+ * @returns {string|number|undefined} The identifier, or undefined if the object has none
+ */
+export function getInstanceUid(object) {
+  if (!object || typeof object !== 'object') return undefined;
+  return object.Uid ?? object.id ?? object.ID;
+}
+
+/**
+ * Convert a value assigned to a reference property to the Uid it stores
+ * Model objects are replaced by their Uid; Uids are kept and anything else becomes null.
+ * @param {*} value - The assigned value
+ * @returns {string|number|null} The stored Uid
+ */
+export function toReferenceValue(value) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return getInstanceUid(value) ?? null;
+  }
+  return typeof value === 'string' || typeof value === 'number' ? value : null;
+}
+
+/**
+ * Whether a Uid identifies a model object, comparing '7' and 7 as equal
+ * @param {Object} object - The model object
+ * @param {string|number} uid - The Uid
+ * @returns {boolean} True if the object has the Uid
+ */
+export function hasInstanceUid(object, uid) {
+  const objectUid = getInstanceUid(object);
+  return objectUid !== undefined && uid !== null && uid !== undefined && String(objectUid) === String(uid);
+}
+
+export class ModelReferences {
+  constructor() {
+    /** @private Class name -> definition */
+    this._definitions = {};
+  }
+
+  /**
+   * Read the reference properties of model definitions
+   * @param {Object} definitions - Map of class names to definitions
+   */
+  loadDefinitions(definitions) {
+    Object.entries(definitions || {}).forEach(([className, definition]) => {
+      if (definition) {
+        this._definitions[className] = definition;
+      }
+    });
+  }
+
+  /**
+   * Check whether a property is a reference
+   * @param {string} className - The class of the object
+   * @param {string} property - The property
+   * @returns {boolean} True if the property is a reference
+   */
+  isReference(className, property) {
+    return this.getReferenceProperties(className).some(reference => reference.property === property);
+  }
+
+  /**
+   * Check whether a path is the path of a reference property
+   * @param {Object} root - The root of the model the path is in
+   * @param {string} path - The full path to the property, e.g. 'RootModel.Doses[0].Compartment'
+   * @returns {boolean} True if the property is a reference
+   */
+  isReferencePath(root, path) {
+    const { objectPath, property } = ModelPathUtils.splitPropertyPath(path);
+    const parent = ModelPathUtils.getValueFromObjectPath(root, objectPath);
+    return Boolean(parent?._className) && this.isReference(parent._className, property);
+  }
+
+  /**
+   * Get a reference property of a class
+   * @param {string} className - The class
+   * @param {string} property - The property
+   * @returns {Object|null} { property, type, isArray }, or null if the property is not a reference
+   */
+  getReferenceProperty(className, property) {
+    return this.getReferenceProperties(className).find(reference => reference.property === property) || null;
+  }
+
+  /**
+   * Get the reference properties of a class, including inherited ones
+   * @param {string} className - The class
+   * @returns {Array<Object>} { property, type, isArray } for each reference property
+   */
+  getReferenceProperties(className) {
+    const byProperty = new Map();
+    this._getHierarchy(className).forEach(name => {
+      Object.entries(this._definitions[name].Properties || {}).forEach(([property, propDef]) => {
+        // A subclass may replace a reference with a plain property
+        byProperty.delete(property);
+        if (propDef?.Reference === true) {
+          byProperty.set(property, { property, type: propDef.Type, isArray: propDef.IsArray === true });
+        }
+      });
+    });
+    return Array.from(byProperty.values());
+  }
+
+  /**
+   * Check whether objects of a class can be the target of a reference to a type
+   * @param {string} className - The class of the candidate target
+   * @param {string} [type] - The Type of the reference property; any class is eligible without one
+   * @returns {boolean} True if the class is the type or one of its subclasses
+   */
+  isEligible(className, type) {
+    if (!type) return true;
+    return className === type || this._getHierarchy(className).includes(type);
+  }
+
+  /**
+   * Find the model object with a Uid
+   * @param {Object} root - The root model instance
+   * @param {string|number} uid - The Uid
+   * @returns {Object|null} { path, instance }, or null if no object has the Uid
+   */
+  findObject(root, uid) {
+    let found = null;
+    forEachObject(root, 'RootModel', (object, path) => {
+      if (!found && hasInstanceUid(object, uid)) {
+        found = { path, instance: object };
+      }
+    });
+    return found;
+  }
+
+  /**
+   * Find the model objects a reference to a type can point at
+   * @param {Object} root - The root model instance
+   * @param {string} [type] - The Type of the reference property
+   * @returns {Array<Object>} { uid, path, instance } in model order
+   */
+  findTargets(root, type) {
+    const targets = [];
+    forEachObject(root, 'RootModel', (object, path) => {
+      const uid = getInstanceUid(object);
+      if (uid !== undefined && this.isEligible(object._className, type)) {
+        targets.push({ uid, path, instance: object });
+      }
+    });
+    return targets;
+  }
+
+  /**
+   * Find the Uids in a value for a reference that do not identify one of its possible targets
+   * @param {Object} root - The root model instance
+   * @param {string} [type] - The Type of the reference property
+   * @param {*} value - The value assigned to the property; model objects, Uids or an array of them
+   * @returns {Array<string|number>} The Uids that are not in the model or are of another type
+   */
+  findInvalidUids(root, type, value) {
+    const targets = this.findTargets(root, type);
+    return (Array.isArray(value) ? value : [value])
+      .map(toReferenceValue)
+      .filter(uid => uid !== null && uid !== '' && !targets.some(target => String(target.uid) === String(uid)));
+  }
+
+  /**
+   * Find the reference values of a model
+   * @param {Object} root - The root model instance
+   * @param {Function} [filter] - Called with each Uid; only the references it accepts are returned
+   * @returns {Array<Object>} { Path, ObjectPath, Property, Uid } for each set reference
+   */
+  findReferences(root, filter = () => true) {
+    const references = [];
+    forEachObject(root, 'RootModel', (object, objectPath) => {
+      this.getReferenceProperties(object._className).forEach(({ property, isArray }) => {
+        const value = object[property];
+        const uids = isArray && Array.isArray(value) ? value : [value];
+        uids.forEach((uid, index) => {
+          if (uid === null || uid === undefined || uid === '' || !filter(uid)) return;
+          references.push({
+            Path: isArray ? `${objectPath}.${property}[${index}]` : `${objectPath}.${property}`,
+            ObjectPath: objectPath,
+            Property: property,
+            Uid: uid
+          });
+        });
+      });
+    });
+    return references;
+  }
+
+  /**
+   * Get the names of a class and its parents, parent first
+   * @private
+   */
+  _getHierarchy(className) {
+    return getClassHierarchy(className, name => this._definitions[name]);
+  }
+}
+
+/**
+ * Call fn for every model object in a model, with its object path
+ * @private
+ */
+function forEachObject(object, path, fn, seen = new Set()) {
+  if (!object || typeof object !== 'object' || seen.has(object)) return;
+  seen.add(object);
+
+  if (object._className) {
+    fn(object, path);
+  }
+
+  Object.entries(object).forEach(([key, value]) => {
+    if (key.startsWith('_') || !value || typeof value !== 'object') return;
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => {
+        if (item && typeof item === 'object' && item._className) {
+          forEachObject(item, `${path}.${key}[${index}]`, fn, seen);
+        }
+      });
+    } else if (value._className) {
+      forEachObject(value, `${path}.${key}`, fn, seen);
+    }
+  });
+}
@@ -0,0 +1,234 @@
+// js/model/ModelTransactions.js
+import { EventTypes } from '../controller/EventTypes.js';
+import { ModelPathUtils } from '../utils/ModelPathUtils.js';
+
+/**
+ * Transactions of property changes on a ClientModel
+ * Changes made while a transaction is open are applied to the model at once but validated
+ * together when it closes, then sent to the server in one 'applyPropertyChanges' call, which
+ * wraps them in RootModel.beginTransaction/commitTransaction. Rejected transactions are rolled back.
+ */
+export class ModelTransactions {
+  /**
+   * Create a new ModelTransactions
+   * @param {ClientModel} model - The model the changes are made on
+   * @param {App} app - The application instance, for dispatching events
+   */
+  constructor(model, app) {
+    /** @private */
+    this._model = model;
+
+    /** @private */
+    this._app = app;
+
+    /** @private The open transaction: {label, changes}, with the changes by path */
+    this._transaction = null;
+  }
+
+  /**
+   * Run a function as a transaction
+   * Nested calls join the outermost transaction.
+   * @param {Function} fn - Function making the changes; called with the model and may return a promise
+   * @param {Object} [options] - Transaction options
+   * @param {string} [options.label=''] - Label of the resulting undo step
+   * @returns {Promise<any>} Resolves with the return value of fn once the server has accepted the changes
+   */
+  async run(fn, options = {}) {
+    if (typeof fn !== 'function') {
+      throw new Error('Transaction requires a function');
+    }
+
+    const model = this._model;
+
+    // Nested transactions simply contribute to the outer one
+    if (this._transaction) {
+      return fn(model);
+    }
+
+    const { label = '' } = options;
+    const transaction = { label, changes: new Map() };
+    this._transaction = transaction;
+
+    let result;
+    try {
+      result = await fn(model);
+    } catch (error) {
+      this._transaction = null;
+      this._rollBack(transaction);
+      throw error;
+    }
+
+    this._transaction = null;
+
+    const changes = Array.from(transaction.changes.values());
+    if (changes.length === 0) {
+      return result;
+    }
+
+    // Validate all changes together against the final state of the model
+    const rootInstance = model.getRootInstance();
+    const rejected = [];
+    for (const change of changes) {
+      const validationResult = model._validatePropertyChange(rootInstance, change.path, change.value);
+      if (validationResult.errors.length > 0) {
+        rejected.push({ change, errors: validationResult.errors });
+      }
+    }
+
+    if (rejected.length > 0) {
+      this._rollBack(transaction);
+
+      if (this._app?.eventManager) {
+        rejected.forEach(({ change, errors }) => {
+          this._app.eventManager.dispatchEvent(EventTypes.PROPERTY_CHANGE_REJECTED, {
+            PropertyPath: change.path,
+            RejectedValue: change.value,
+            ValidationErrors: errors,
+            CurrentValue: change.oldValue,
+            Source: 'transaction'
+          });
+        });
+      }
+
+      const error = new Error(`Transaction validation failed for ${rejected.map(r => r.change.path).join(', ')}`);
+      error.validationErrors = rejected.map(({ change, errors }) => ({ Path: change.path, Errors: errors }));
+      throw error;
+    }
+
+    changes.forEach(change => model.trackPendingChange(change.path, change.value, change.oldValue));
+
+    await this._sendToServer(changes);
+
+    // Record the accepted transaction as a single undo step
+    model._history.recordGroup(label, changes);
+
+    return result;
+  }
+
+  /**
+   * Check whether a transaction is open
+   * @returns {boolean} True while the function passed to run() is running
+   */
+  isOpen() {
+    return this._transaction !== null;
+  }
+
+  /**
+   * Record a change made inside the open transaction
+   * Repeated changes to the same path keep the value from before the transaction started
+   * @param {string} path - The full path to the property
+   * @param {any} oldValue - The value before this change
+   * @param {any} value - The new value
+   */
+  record(path, oldValue, value) {
+    const existing = this._transaction.changes.get(path);
+    if (existing) {
+      existing.value = value;
+    } else {
+      this._transaction.changes.set(path, { path, oldValue, value });
+    }
+  }
+
+  /**
+   * Restore the values held before a transaction started
+   * @param {Object} transaction - The transaction to roll back
+   * @private
+   */
+  _rollBack(transaction) {
+    const model = this._model;
+    const rootInstance = model.getRootInstance();
+    if (!rootInstance) return;
+
+    // Restore in reverse order of first modification
+    Array.from(transaction.changes.values()).reverse().forEach(change => {
+      if (!model._observer.setValue(rootInstance, change.path, change.oldValue)) {
+        console.error(`Failed to roll back transaction change for path ${change.path}`);
+        return;
+      }
+
+      model._recordChange({ operation: 'set', path: change.path, value: change.oldValue, oldValue: change.value });
+      model._pendingChanges.delete(change.path);
+
+      if (this._app?.eventManager) {
+        const { objectPath, property } = ModelPathUtils.splitPropertyPath(change.path);
+
+        this._app.eventManager.dispatchEvent(EventTypes.MODEL_TO_VIEW_PROPERTY_CHANGED, {
+          ObjectPath: objectPath,
+          Property: property,
+          Value: change.oldValue,
+          OldValue: change.value,
+          Source: 'rollback'
+        });
+      }
+    });
+  }
+
+  /**
+   * Send the changes of a committed transaction to the server in a single call
+   * @param {Array<Object>} changes - The changes ({path, oldValue, value}) to send
+   * @returns {Promise<void>} Resolves when the server accepts the changes, rejects after rolling back otherwise
+   * @private
+   */
+  _sendToServer(changes) {
+    // If event manager is not available, just keep the pending changes tracked
+    if (!this._app?.eventManager) {
+      console.warn('Cannot send transaction to server: Event manager not available, keeping as pending');
+      return Promise.resolve();
+    }
+
+    const transaction = { changes: new Map(changes.map(change => [change.path, change])) };
+
+    return new Promise((resolve, reject) => {
+      const rejectTransaction = (errorMessage) => {
+        console.error('Server rejected transaction:', errorMessage);
+
+        this._rollBack(transaction);
+
+        this._app.eventManager.dispatchEvent(EventTypes.CLIENT_ERROR, {
+          ID: 'TRANSACTION_REJECTED',
+          Message: 'Transaction was rejected by the server',
+          Error: errorMessage
+        });
+
+        reject(new Error(errorMessage));
+      };
+
+      const successCallback = (response) => {
+        if (response && response.Success === false) {
+          rejectTransaction(response.Error || 'Server rejected the transaction');
+          return;
+        }
+        // Individual SERVER_MODEL_PROPERTY_UPDATED events confirm the pending changes;
+        // without MATLAB (standalone mode) the changes stay local like single edits do
+        resolve();
+      };
+
+      const errorCallback = (error) => {
+        rejectTransaction(error?.message || 'Server communication error');
+      };
+
+      const propertyChanges = changes.map(change => {
+        const { objectPath, property } = ModelPathUtils.splitPropertyPath(change.path);
+        return {
+          ObjectPath: objectPath,
+          PropertyName: property,
+          Value: change.value
+        };
+      });
+
+      // An empty ObjectPath targets the controller, which owns the RootModel transaction
+      this._app.eventManager.dispatchEvent(EventTypes.MATLAB_METHOD_CALL_REQUEST, {
+        MethodName: 'applyPropertyChanges',
+        ObjectPath: '',
+        Args: {
+          Changes: propertyChanges,
+          Source: 'Client'
+        },
+        Callback: successCallback,
+        ErrorCallback: errorCallback
+      });
+
+      console.debug(`Sent transaction with ${propertyChanges.length} change(s) to server`);
+    });
+  }
+}
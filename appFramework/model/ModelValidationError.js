@@ -0,0 +1,78 @@
+// js/model/ModelValidationError.js
+
+/**
+ * Errors for model data that does not match the model definitions
+ * In strict mode (ModelClassDefinitionManager.setStrictMode) model objects report values they
+ * cannot use as ModelValidationErrors instead of replacing them with defaults. While data is
+ * loaded, the errors are collected and thrown together as a ModelDataError.
+ */
+
+/**
+ * Why a value was rejected
+ * @enum {string}
+ */
+export const ModelValidationReason = {
+  /** The value cannot be converted to the property type */
+  CONVERSION: 'conversion',
+  /** The value is not one of the values of an Enum property */
+  ENUM: 'enum',
+  /** An object of the property's class could not be created from the value */
+  NESTED: 'nested',
+  /** The ClassName of the value is not the property's class or one of its subclasses */
+  CLASS: 'class'
+};
+
+/**
+ * Error for one value that does not match its property definition
+ */
+export class ModelValidationError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {Object} [details] - Details of the problem
+   * @param {string} [details.className] - The class of the object
+   * @param {string} [details.property] - The property
+   * @param {string} [details.path] - The object path of the property, e.g. 'RootModel.Doses[2].Amount'
+   * @param {*} [details.value] - The rejected value
+   * @param {string} [details.reason] - Why the value was rejected (see ModelValidationReason)
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ModelValidationError';
+    this.className = details.className ?? null;
+    this.property = details.property ?? null;
+    this.path = details.path ?? null;
+    this.value = details.value;
+    this.reason = details.reason ?? null;
+  }
+
+  /**
+   * Describe the error for event payloads
+   * @returns {Object} { Path, ClassName, Property, Value, Reason, Message }
+   */
+  toJSON() {
+    return {
+      Path: this.path,
+      ClassName: this.className,
+      Property: this.property,
+      Value: this.value,
+      Reason: this.reason,
+      Message: this.message
+    };
+  }
+}
+
+/**
+ * Error for data with one or more ModelValidationErrors
+ */
+export class ModelDataError extends Error {
+  /**
+   * @param {Array<ModelValidationError>} errors - The errors found in the data
+   */
+  constructor(errors) {
+    const count = errors.length;
+    super(`Model data has ${count} invalid value${count === 1 ? '' : 's'}: ` +
+      errors.map(error => (error.path ? `${error.path}: ${error.message}` : error.message)).join('; '));
+    this.name = 'ModelDataError';
+    this.errors = errors;
+  }
+}
@@ -0,0 +1,206 @@
+// js/model/SnapshotStore.js
+
+/**
+ * Stores for the autosave snapshots of ClientModel
+ * A store keeps one snapshot per key and has three asynchronous methods:
+ *   save(key, snapshot), load(key) and remove(key).
+ * IndexedDBSnapshotStore is used in the browser; it accepts any IDBFactory, so tests can
+ * pass the indexedDB of fake-indexeddb. MemorySnapshotStore keeps snapshots in memory.
+ */
+
+/**
+ * Snapshot store backed by IndexedDB
+ */
+export class IndexedDBSnapshotStore {
+  /**
+   * Create a new IndexedDBSnapshotStore
+   * @param {Object} [options] - Configuration options
+   * @param {IDBFactory} [options.indexedDB=globalThis.indexedDB] - The IndexedDB implementation
+   * @param {string} [options.databaseName='appFramework'] - Name of the database
+   * @param {string} [options.storeName='snapshots'] - Name of the object store
+   */
+  constructor(options = {}) {
+    const {
+      indexedDB = globalThis.indexedDB,
+      databaseName = 'appFramework',
+      storeName = 'snapshots'
+    } = options;
+
+    if (!indexedDB) {
+      throw new Error('IndexedDB is not available');
+    }
+
+    /** @private */
+    this._indexedDB = indexedDB;
+
+    /** @private */
+    this._databaseName = databaseName;
+
+    /** @private */
+    this._storeName = storeName;
+
+    /** @private Promise of the open database */
+    this._database = null;
+  }
+
+  /**
+   * Save a snapshot, replacing the previous one for the key
+   * @param {string} key - The key
+   * @param {Object} snapshot - The snapshot (must be structured-cloneable)
+   * @returns {Promise<void>}
+   */
+  async save(key, snapshot) {
+    await this._request('readwrite', store => store.put(snapshot, key));
+  }
+
+  /**
+   * Load the snapshot for a key
+   * @param {string} key - The key
+   * @returns {Promise<Object|null>} The snapshot, or null if there is none
+   */
+  async load(key) {
+    const snapshot = await this._request('readonly', store => store.get(key));
+    return snapshot === undefined ? null : snapshot;
+  }
+
+  /**
+   * Remove the snapshot for a key
+   * @param {string} key - The key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    await this._request('readwrite', store => store.delete(key));
+  }
+
+  /**
+   * Close the database
+   */
+  async close() {
+    if (this._database) {
+      const database = await this._database;
+      database.close();
+      this._database = null;
+    }
+  }
+
+  /**
+   * Open the database, creating the object store on first use
+   * The database is opened at its current version, so it can be shared with code that
+   * upgrades it. If it lacks the object store, e.g. because it was created by a store with
+   * another storeName, it is upgraded to the next version to add it.
+   * @returns {Promise<IDBDatabase>} The database
+   * @private
+   */
+  _open() {
+    if (!this._database) {
+      const database = this._openDatabase().then(opened => {
+        if (opened.objectStoreNames.contains(this._storeName)) {
+          return opened;
+        }
+        const version = opened.version + 1;
+        opened.close();
+        return this._openDatabase(version);
+      });
+      this._database = database;
+      // Allow a later call to try again
+      database.catch(() => {
+        if (this._database === database) this._database = null;
+      });
+    }
+    return this._database;
+  }
+
+  /**
+   * Open a connection to the database, creating the object store when it is upgraded
+   * @param {number} [version] - The version to open; the current version if omitted
+   * @returns {Promise<IDBDatabase>} The database
+   * @private
+   */
+  _openDatabase(version) {
+    return new Promise((resolve, reject) => {
+      const request = version === undefined
+        ? this._indexedDB.open(this._databaseName)
+        : this._indexedDB.open(this._databaseName, version);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(this._storeName)) {
+          request.result.createObjectStore(this._storeName);
+        }
+      };
+      request.onsuccess = () => {
+        const database = request.result;
+        // Make way for another connection upgrading the database; the next request reopens it
+        database.onversionchange = () => {
+          database.close();
+          this._database = null;
+        };
+        resolve(database);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Run a request on the object store in its own transaction
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} makeRequest - (objectStore) => IDBRequest
+   * @returns {Promise<any>} The result of the request once the transaction completes
+   * @private
+   */
+  async _request(mode, makeRequest) {
+    const database = await this._open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(this._storeName, mode);
+      const request = makeRequest(transaction.objectStore(this._storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error || request.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+  }
+}
+
+/**
+ * Snapshot store that keeps snapshots in memory
+ * Snapshots are copied, so later changes to the saved objects do not affect them.
+ */
+export class MemorySnapshotStore {
+  constructor() {
+    /** @private */
+    this._snapshots = new Map();
+  }
+
+  /**
+   * Save a snapshot, replacing the previous one for the key
+   * @param {string} key - The key
+   * @param {Object} snapshot - The snapshot
+   * @returns {Promise<void>}
+   */
+  async save(key, snapshot) {
+    this._snapshots.set(key, structuredCopy(snapshot));
+  }
+
+  /**
+   * Load the snapshot for a key
+   * @param {string} key - The key
+   * @returns {Promise<Object|null>} The snapshot, or null if there is none
+   */
+  async load(key) {
+    return this._snapshots.has(key) ? structuredCopy(this._snapshots.get(key)) : null;
+  }
+
+  /**
+   * Remove the snapshot for a key
+   * @param {string} key - The key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    this._snapshots.delete(key);
+  }
+}
+
+/**
+ * @private
+ */
+function structuredCopy(value) {
+  return typeof structuredClone === 'function' ? structuredClone(value) : JSON.parse(JSON.stringify(value));
+}
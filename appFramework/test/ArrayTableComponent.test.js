@@ -0,0 +1,118 @@
+import { ArrayTableComponent } from '../view/components/ArrayTableComponent.js';
+import { PropertyRenderUtils } from '../view/utils/PropertyRenderUtils.js';
+import { BindingManager } from '../binding/BindingManager.js';
+import { EventTypes } from '../controller/EventTypes.js';
+import { MockApp } from './__mocks__/App.js';
+
+describe('ArrayTableComponent', () => {
+  let app;
+  let view;
+  let table;
+  let arrayChanges;
+
+  const rows = () => table.element.querySelectorAll('tbody tr');
+  const click = (selector, rowIndex) => rows()[rowIndex].querySelector(selector).click();
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    app = new MockApp();
+    const bindingManager = new BindingManager({ app });
+    app.getBindingManager = () => bindingManager;
+    app.getModel = () => null;
+    view = { getApp: () => app, log: jest.fn() };
+
+    arrayChanges = [];
+    app.eventManager.addEventListener(EventTypes.VIEW_TO_MODEL_ARRAY_CHANGED, data => arrayChanges.push(data));
+
+    table = new ArrayTableComponent(view, {
+      propertyPath: 'RootModel.Plant.Pumps',
+      columns: [{ Key: 'Name', Type: 'string' }],
+      model: { _className: 'Study', Plant: { Pumps: [{ Name: 'P1' }, { Name: 'P2' }, { Name: 'P3' }] } },
+      utils: new PropertyRenderUtils(view)
+    });
+  });
+
+  afterEach(() => {
+    table.destroy();
+    jest.restoreAllMocks();
+  });
+
+  test('should request a new item at the end of the array', () => {
+    table.element.querySelector('.array-table-add-button').click();
+
+    expect(arrayChanges).toEqual([expect.objectContaining({
+      ObjectPath: 'RootModel.Plant',
+      Property: 'Pumps',
+      Operation: 'insert',
+      Index: 3,
+      Source: 'component'
+    })]);
+  });
+
+  test('should request the removal of a row', () => {
+    click('.array-table-delete-button', 1);
+
+    expect(arrayChanges).toEqual([expect.objectContaining({
+      ObjectPath: 'RootModel.Plant',
+      Property: 'Pumps',
+      Operation: 'remove',
+      Index: 1
+    })]);
+  });
+
+  test('should request a copy of a row', () => {
+    click('.array-table-duplicate-button', 2);
+
+    expect(arrayChanges).toEqual([expect.objectContaining({ Operation: 'duplicate', Index: 2 })]);
+  });
+
+  test('should request a move when a row is dropped on another row', () => {
+    rows()[0].dispatchEvent(new Event('dragstart'));
+    rows()[2].dispatchEvent(new Event('drop', { cancelable: true }));
+
+    expect(arrayChanges).toEqual([expect.objectContaining({
+      Property: 'Pumps',
+      Operation: 'move',
+      Index: 0,
+      ToIndex: 2
+    })]);
+  });
+
+  test('should ignore a row dropped on itself or without a drag', () => {
+    rows()[1].dispatchEvent(new Event('dragstart'));
+    rows()[1].dispatchEvent(new Event('drop', { cancelable: true }));
+    rows()[0].dispatchEvent(new Event('drop', { cancelable: true }));
+
+    expect(arrayChanges).toHaveLength(0);
+  });
+
+  test('should hide the structure controls when structure edits are not allowed', () => {
+    const readOnlyTable = new ArrayTableComponent(view, {
+      propertyPath: 'RootModel.Plant.Pumps',
+      columns: [{ Key: 'Name', Type: 'string' }],
+      model: { _className: 'Study', Plant: { Pumps: [{ Name: 'P1' }] } },
+      utils: new PropertyRenderUtils(view),
+      allowStructureEdits: false
+    });
+
+    expect(readOnlyTable.element.querySelector('.array-table-add-button')).toBeNull();
+    expect(readOnlyTable.element.querySelector('.array-table-delete-button')).toBeNull();
+    readOnlyTable.destroy();
+  });
+
+  test('should rebuild the rows when the model changes the array', () => {
+    table._model.Plant.Pumps.pop();
+    app.eventManager.dispatchEvent(EventTypes.MODEL_TO_VIEW_ARRAY_CHANGED, {
+      ObjectPath: 'RootModel.Plant',
+      Property: 'Pumps',
+      Operation: 'remove',
+      Index: 2,
+      Length: 2
+    });
+
+    expect(rows()).toHaveLength(2);
+  });
+});
@@ -0,0 +1,28 @@
+import { getClassHierarchy } from '../utils/ClassHierarchy.js';
+
+describe('getClassHierarchy', () => {
+  const definitions = {
+    Compartment: { ClassName: 'Compartment' },
+    Tissue: { ClassName: 'Tissue', Extends: 'Compartment' },
+    Liver: { ClassName: 'Liver', Extends: 'Tissue' },
+    Orphan: { ClassName: 'Orphan', Extends: 'Missing' },
+    A: { ClassName: 'A', Extends: 'B' },
+    B: { ClassName: 'B', Extends: 'A' }
+  };
+  const getDefinition = name => definitions[name];
+
+  test('should list the parents of a class, top-most first', () => {
+    expect(getClassHierarchy('Liver', getDefinition)).toEqual(['Compartment', 'Tissue', 'Liver']);
+    expect(getClassHierarchy('Compartment', getDefinition)).toEqual(['Compartment']);
+  });
+
+  test('should stop at a class without a definition', () => {
+    expect(getClassHierarchy('Orphan', getDefinition)).toEqual(['Orphan']);
+    expect(getClassHierarchy('Missing', getDefinition)).toEqual([]);
+    expect(getClassHierarchy(undefined, getDefinition)).toEqual([]);
+  });
+
+  test('should stop at an Extends cycle', () => {
+    expect(getClassHierarchy('A', getDefinition)).toEqual(['B', 'A']);
+  });
+});
@@ -2,6 +2,9 @@ import { ClientModel } from '../model/ClientModel.js';
 import { EventTypes } from '../controller/EventTypes.js';
 import { MockApp } from './__mocks__/App.js';
 import { flushPromises } from './test-utils.js';
+import { MemorySnapshotStore } from '../model/SnapshotStore.js';
+import { UIHTMLServiceLayer } from '../controller/service/UIHTMLServiceLayer.js';
+import { MockMATLABComponent } from '../controller/MockMATLABComponent.js';
 
 // Use Jest's module mock for the ModelClassDefinitionManager
 jest.mock('../model/ModelClassDefinitionManager.js', () => {
@@ -233,6 +236,17 @@ describe('ClientModel', () => {
       );
     });
     
+    test('should remember the time the server sent its model, for recovery snapshots', () => {
+      clientModel.loadData = jest.fn().mockReturnValue({ id: '123' });
+
+      clientModel.handle_server_model_updated({ Data: { ID: '123' }, Timestamp: '2026-10-18T08:30:00.000Z' });
+      expect(clientModel.getServerTimestamp()).toEqual(new Date('2026-10-18T08:30:00.000Z'));
+
+      // Without a Timestamp snapshots are only compared by content
+      clientModel.handle_server_model_updated({ Data: { ID: '123' } });
+      expect(clientModel.getServerTimestamp()).toBeNull();
+    });
+    
     test('should dispatch CLIENT_WARNING for empty model updates', () => {
       // Spy on the eventManager.dispatchEvent
       const dispatchEventSpy = jest.spyOn(mockApp.eventManager, 'dispatchEvent');
@@ -328,6 +342,1424 @@ describe('ClientModel', () => {
     });
   });
   
+  describe('undo/redo', () => {
+    let dispatchEventSpy;
+    
+    const editProperty = (objectPath, property, value) => {
+      clientModel.handle_view_to_model_property_changed({
+        Path: `${objectPath}.${property}`,
+        ObjectPath: objectPath,
+        Property: property,
+        Value: value
+      });
+    };
+    
+    beforeEach(() => {
+      clientModel._rootInstance = {
+        name: 'Original',
+        Items: [{ value: 1 }, { value: 2 }]
+      };
+      clientModel._validatePropertyChange = jest.fn().mockReturnValue({ errors: [] });
+      dispatchEventSpy = jest.spyOn(mockApp.eventManager, 'dispatchEvent');
+    });
+    
+    test('should record edits and revert them on undo', () => {
+      expect(clientModel.canUndo()).toBe(false);
+      
+      editProperty('RootModel', 'name', 'Changed');
+      
+      expect(clientModel.canUndo()).toBe(true);
+      expect(clientModel.undo()).toBe(true);
+      expect(clientModel._rootInstance.name).toBe('Original');
+      expect(clientModel.canUndo()).toBe(false);
+      expect(clientModel.canRedo()).toBe(true);
+    });
+    
+    test('should replay undo through MODEL_TO_VIEW_PROPERTY_CHANGED and the server', () => {
+      editProperty('RootModel.Items[1]', 'value', 5);
+      dispatchEventSpy.mockClear();
+      
+      clientModel.undo();
+      
+      expect(dispatchEventSpy).toHaveBeenCalledWith(
+        EventTypes.MODEL_TO_VIEW_PROPERTY_CHANGED,
+        expect.objectContaining({
+          ObjectPath: 'RootModel.Items[1]',
+          Property: 'value',
+          Value: 2,
+          OldValue: 5,
+          Source: 'undo'
+        })
+      );
+      expect(dispatchEventSpy).toHaveBeenCalledWith(
+        EventTypes.MATLAB_METHOD_CALL_REQUEST,
+        expect.objectContaining({
+          MethodName: 'updateProperty',
+          ObjectPath: 'RootModel.Items[1]',
+          Args: expect.objectContaining({ PropertyName: 'value', Value: 2 })
+        })
+      );
+    });
+    
+    test('should re-apply undone edits on redo', () => {
+      editProperty('RootModel', 'name', 'Changed');
+      clientModel.undo();
+      
+      expect(clientModel.redo()).toBe(true);
+      expect(clientModel._rootInstance.name).toBe('Changed');
+      expect(clientModel.canRedo()).toBe(false);
+    });
+    
+    test('should clear redo history when a new edit is made', () => {
+      editProperty('RootModel', 'name', 'First');
+      clientModel.undo();
+      editProperty('RootModel', 'name', 'Second');
+      
+      expect(clientModel.canRedo()).toBe(false);
+    });
+    
+    test('should undo grouped edits as a single step', () => {
+      clientModel.beginHistoryGroup('Edit items');
+      editProperty('RootModel.Items[0]', 'value', 10);
+      editProperty('RootModel.Items[1]', 'value', 20);
+      clientModel.endHistoryGroup();
+      
+      clientModel.undo();
+      
+      expect(clientModel._rootInstance.Items.map(item => item.value)).toEqual([1, 2]);
+      expect(clientModel.canUndo()).toBe(false);
+    });
+    
+    test('should respect the history limit', () => {
+      clientModel.setHistoryLimit(2);
+      editProperty('RootModel', 'name', 'A');
+      editProperty('RootModel', 'name', 'B');
+      editProperty('RootModel', 'name', 'C');
+      
+      clientModel.undo();
+      clientModel.undo();
+      
+      expect(clientModel.undo()).toBe(false);
+      expect(clientModel._rootInstance.name).toBe('A');
+    });
+    
+    test('should not record edits rejected by validation', () => {
+      clientModel._validatePropertyChange.mockReturnValue({ errors: ['Invalid'] });
+      
+      editProperty('RootModel', 'name', 'Rejected');
+      
+      expect(clientModel.canUndo()).toBe(false);
+    });
+    
+    test('should dispatch MODEL_HISTORY_CHANGED when history changes', () => {
+      editProperty('RootModel', 'name', 'Changed');
+      
+      expect(dispatchEventSpy).toHaveBeenCalledWith(
+        EventTypes.MODEL_HISTORY_CHANGED,
+        expect.objectContaining({ CanUndo: true, CanRedo: false })
+      );
+    });
+  });
+  
+  describe('transaction', () => {
+    let dispatchEventSpy;
+    
+    const getServerCalls = () => dispatchEventSpy.mock.calls
+      .filter(([type]) => type === EventTypes.MATLAB_METHOD_CALL_REQUEST)
+      .map(([, data]) => data);
+    
+    beforeEach(() => {
+      clientModel._rootInstance = {
+        Min: 0,
+        Max: 10,
+        Items: [{ value: 1 }]
+      };
+      clientModel._validatePropertyChange = jest.fn().mockReturnValue({ errors: [] });
+      dispatchEventSpy = jest.spyOn(mockApp.eventManager, 'dispatchEvent');
+    });
+    
+    test('should send all changes in a single server call', async () => {
+      const promise = clientModel.transaction(model => {
+        model.setPropertyValue('RootModel', 'Min', 20);
+        model.setPropertyValue('RootModel', 'Max', 30);
+        model.setPropertyValue('RootModel.Items[0]', 'value', 5);
+      });
+      await flushPromises();
+      
+      const serverCalls = getServerCalls();
+      expect(serverCalls).toHaveLength(1);
+      expect(serverCalls[0]).toEqual(expect.objectContaining({
+        MethodName: 'applyPropertyChanges',
+        ObjectPath: '',
+        Args: expect.objectContaining({
+          Changes: [
+            { ObjectPath: 'RootModel', PropertyName: 'Min', Value: 20 },
+            { ObjectPath: 'RootModel', PropertyName: 'Max', Value: 30 },
+            { ObjectPath: 'RootModel.Items[0]', PropertyName: 'value', Value: 5 }
+          ]
+        })
+      }));
+      
+      serverCalls[0].Callback({});
+      await promise;
+      
+      expect(clientModel.getPendingChanges()).toHaveLength(3);
+    });
+    
+    test('should validate changes against the final state', async () => {
+      const promise = clientModel.transaction(model => {
+        model.setPropertyValue('RootModel', 'Min', 20);
+        model.setPropertyValue('RootModel', 'Max', 30);
+      });
+      await flushPromises();
+      
+      // Validation is deferred until the transaction function has finished
+      expect(clientModel._validatePropertyChange).toHaveBeenCalledTimes(2);
+      expect(clientModel._validatePropertyChange).toHaveBeenCalledWith(
+        clientModel._rootInstance, 'RootModel.Min', 20);
+      
+      getServerCalls()[0].Callback({});
+      await promise;
+    });
+    
+    test('should roll back all changes when validation fails', async () => {
+      clientModel._validatePropertyChange.mockImplementation((root, path) =>
+        ({ errors: path === 'RootModel.Max' ? ['Max must be greater than Min'] : [] }));
+      
+      await expect(clientModel.transaction(model => {
+        model.setPropertyValue('RootModel', 'Min', 20);
+        model.setPropertyValue('RootModel', 'Max', 5);
+      })).rejects.toThrow('Transaction validation failed');
+      
+      expect(clientModel._rootInstance.Min).toBe(0);
+      expect(clientModel._rootInstance.Max).toBe(10);
+      expect(getServerCalls()).toHaveLength(0);
+      expect(dispatchEventSpy).toHaveBeenCalledWith(
+        EventTypes.PROPERTY_CHANGE_REJECTED,
+        expect.objectContaining({ PropertyPath: 'RootModel.Max', RejectedValue: 5 })
+      );
+    });
+    
+    test('should roll back all changes when the server rejects the transaction', async () => {
+      const promise = clientModel.transaction(model => {
+        model.setPropertyValue('RootModel', 'Min', 20);
+        model.setPropertyValue('RootModel', 'Max', 30);
+      });
+      await flushPromises();
+      
+      getServerCalls()[0].ErrorCallback(new Error('Invalid value'));
+      
+      await expect(promise).rejects.toThrow('Invalid value');
+      expect(clientModel._rootInstance.Min).toBe(0);
+      expect(clientModel._rootInstance.Max).toBe(10);
+      expect(clientModel.getPendingChanges()).toHaveLength(0);
+      expect(dispatchEventSpy).toHaveBeenCalledWith(
+        EventTypes.MODEL_TO_VIEW_PROPERTY_CHANGED,
+        expect.objectContaining({ ObjectPath: 'RootModel', Property: 'Min', Value: 0, Source: 'rollback' })
+      );
+    });
+    
+    test.each([
+      ['the call fails', call => call.ErrorCallback(new Error('Connection lost')), 'Connection lost'],
+      ['the server returns a failure result', call => call.Callback({ Success: false, Error: 'Locked' }), 'Locked']
+    ])('should roll back all changes when %s', async (_, fail, message) => {
+      const promise = clientModel.transaction(model => {
+        model.setPropertyValue('RootModel', 'Min', 20);
+      });
+      await flushPromises();
+      
+      fail(getServerCalls()[0]);
+      
+      await expect(promise).rejects.toThrow(message);
+      expect(clientModel._rootInstance.Min).toBe(0);
+      expect(clientModel.getPendingChanges()).toHaveLength(0);
+      expect(clientModel.canUndo()).toBe(false);
+    });
+    
+    test('should restore the previous value when the server rejects a setPropertyValue change', async () => {
+      clientModel.setPropertyValue('RootModel', 'Min', 20);
+      expect(clientModel._rootInstance.Min).toBe(20);
+      
+      getServerCalls()[0].Callback({ Success: false, Error: 'Locked' });
+      
+      expect(clientModel._rootInstance.Min).toBe(0);
+      expect(dispatchEventSpy).toHaveBeenCalledWith(
+        EventTypes.MODEL_TO_VIEW_PROPERTY_CHANGED,
+        expect.objectContaining({ ObjectPath: 'RootModel', Property: 'Min', Value: 0, Source: 'rollback' })
+      );
+    });
+    
+    test('should roll back when the transaction function throws', async () => {
+      await expect(clientModel.transaction(model => {
+        model.setPropertyValue('RootModel', 'Min', 20);
+        throw new Error('Aborted');
+      })).rejects.toThrow('Aborted');
+      
+      expect(clientModel._rootInstance.Min).toBe(0);
+      expect(clientModel.isInTransaction()).toBe(false);
+    });
+    
+    test('should record an accepted transaction as one undo step', async () => {
+      const promise = clientModel.transaction(model => {
+        model.setPropertyValue('RootModel', 'Min', 20);
+        model.setPropertyValue('RootModel', 'Max', 30);
+      }, { label: 'Set range' });
+      await flushPromises();
+      getServerCalls()[0].Callback({});
+      await promise;
+      
+      clientModel.undo();
+      
+      expect(clientModel._rootInstance.Min).toBe(0);
+      expect(clientModel._rootInstance.Max).toBe(10);
+      expect(clientModel.canUndo()).toBe(false);
+    });
+  });
+  
+  describe('array editing', () => {
+    let dispatchEventSpy;
+    
+    const getServerCalls = () => dispatchEventSpy.mock.calls
+      .filter(([type]) => type === EventTypes.MATLAB_METHOD_CALL_REQUEST)
+      .map(([, data]) => data);
+    
+    beforeEach(() => {
+      clientModel._rootInstance = {
+        Items: [{ Uid: 'a', value: 1 }, { Uid: 'b', value: 2 }, { Uid: 'c', value: 3 }]
+      };
+      dispatchEventSpy = jest.spyOn(mockApp.eventManager, 'dispatchEvent');
+    });
+    
+    const values = () => clientModel._rootInstance.Items.map(item => item.value);
+    
+    test('should insert an item and send it to the server', () => {
+      const item = clientModel.insertArrayItem('RootModel.Items', 1, { value: 9 });
+      
+      expect(item).toEqual({ value: 9 });
+      expect(values()).toEqual([1, 9, 2, 3]);
+      expect(getServerCalls()[0]).toEqual(expect.objectContaining({
+        MethodName: 'insertArrayItem',
+        ObjectPath: 'RootModel',
+        Args: expect.objectContaining({ PropertyName: 'Items', Index: 1, Data: { value: 9 } })
+      }));
+      expect(dispatchEventSpy).toHaveBeenCalledWith(
+        EventTypes.MODEL_TO_VIEW_ARRAY_CHANGED,
+        expect.objectContaining({ ObjectPath: 'RootModel', Property: 'Items', Operation: 'insert', Index: 1, Length: 4 })
+      );
+    });
+    
+    test('should remove and move items', () => {
+      expect(clientModel.removeArrayItem('RootModel.Items', 0)).toEqual({ Uid: 'a', value: 1 });
+      expect(clientModel.moveArrayItem('RootModel.Items', 1, 0)).toBe(true);
+      
+      expect(values()).toEqual([3, 2]);
+      expect(getServerCalls().map(call => call.MethodName)).toEqual(['removeArrayItem', 'moveArrayItem']);
+      expect(getServerCalls()[1].Args).toEqual(expect.objectContaining({ Index: 1, ToIndex: 0 }));
+    });
+    
+    test('should duplicate an item without its Uid', () => {
+      const copy = clientModel.duplicateArrayItem('RootModel.Items', 0);
+      
+      expect(copy).toEqual({ value: 1 });
+      expect(values()).toEqual([1, 1, 2, 3]);
+      expect(clientModel._rootInstance.Items[1]).not.toBe(clientModel._rootInstance.Items[0]);
+    });
+    
+    test('should reject out-of-range indices', () => {
+      expect(clientModel.removeArrayItem('RootModel.Items', 3)).toBeNull();
+      
+      expect(values()).toEqual([1, 2, 3]);
+      expect(getServerCalls()).toHaveLength(0);
+      expect(dispatchEventSpy).toHaveBeenCalledWith(
+        EventTypes.CLIENT_ERROR,
+        expect.objectContaining({ ID: 'ARRAY_UPDATE_ERROR' })
+      );
+    });
+    
+    test('should undo and redo array changes', () => {
+      clientModel.removeArrayItem('RootModel.Items', 1);
+      clientModel.moveArrayItem('RootModel.Items', 0, 1);
+      
+      clientModel.undo();
+      expect(values()).toEqual([1, 3]);
+      clientModel.undo();
+      expect(values()).toEqual([1, 2, 3]);
+      clientModel.redo();
+      expect(values()).toEqual([1, 3]);
+    });
+    
+    test('should handle array changes from the view', () => {
+      clientModel.handle_view_to_model_array_changed({
+        ObjectPath: 'RootModel',
+        Property: 'Items',
+        Operation: 'duplicate',
+        Index: 2
+      });
+      
+      expect(values()).toEqual([1, 2, 3, 3]);
+    });
+    
+    test('should treat the server echo of a client change as a confirmation', () => {
+      const item = clientModel.insertArrayItem('RootModel.Items', 3, { value: 4 });
+      
+      clientModel.handle_server_model_array_changed({
+        ObjectPath: 'RootModel',
+        PropertyName: 'Items',
+        Operation: 'insert',
+        Index: 3,
+        Item: { Uid: 'd', value: 4 }
+      });
+      
+      expect(values()).toEqual([1, 2, 3, 4]);
+      expect(item.Uid).toBe('d');
+    });
+    
+    test('should apply array changes made on the server', () => {
+      clientModel.handle_server_model_array_changed({
+        ObjectPath: 'RootModel',
+        PropertyName: 'Items',
+        Operation: 'remove',
+        Index: 0
+      });
+      
+      expect(values()).toEqual([2, 3]);
+      expect(getServerCalls()).toHaveLength(0);
+      expect(clientModel.canUndo()).toBe(false);
+    });
+    
+    test('should revert and forget a change rejected by the server', () => {
+      clientModel.removeArrayItem('RootModel.Items', 0);
+      
+      getServerCalls()[0].ErrorCallback(new Error('Cannot remove'));
+      
+      expect(values()).toEqual([1, 2, 3]);
+      expect(clientModel.canUndo()).toBe(false);
+      expect(dispatchEventSpy).toHaveBeenCalledWith(
+        EventTypes.CLIENT_ERROR,
+        expect.objectContaining({ ID: 'ARRAY_CHANGE_REJECTED' })
+      );
+    });
+    
+    test.each([
+      ['undo', () => clientModel.undo(), [2, 3]],
+      ['redo', () => { clientModel.undo(); clientModel.redo(); }, [1, 2, 3]]
+    ])('should revert and forget an array change whose %s is rejected by the server', (_, replay, expected) => {
+      clientModel.removeArrayItem('RootModel.Items', 0);
+      getServerCalls()[0].Callback({});
+      
+      replay();
+      getServerCalls().at(-1).ErrorCallback(new Error('Locked'));
+      
+      expect(values()).toEqual(expected);
+      expect(clientModel.canUndo()).toBe(false);
+      expect(clientModel.canRedo()).toBe(false);
+    });
+    
+    test('should forget removed items and the objects within them', () => {
+      clientModel = new ClientModel({
+        app: mockApp,
+        rootClassName: 'Study',
+        modelDefinitions: {
+          Study: {
+            ClassName: 'Study',
+            Properties: { Species: { Type: 'Species', IsArray: true, IsPrimitive: false } }
+          },
+          Species: { ClassName: 'Species', Properties: { Name: { Type: 'string' }, Site: { Type: 'Site' } } },
+          Site: { ClassName: 'Site', Properties: { Name: { Type: 'string' } } }
+        },
+        modelClasses: []
+      });
+      clientModel.loadData({ Species: [] }, true);
+      const item = clientModel.insertArrayItem('RootModel.Species', 0, { Name: 'A' });
+      item.Site = clientModel.createInstance('Site', { Name: 'Liver' });
+      expect(clientModel.getInstance(item.id)).toBe(item);
+      
+      clientModel.removeArrayItem('RootModel.Species', 0);
+      
+      expect(clientModel.getInstance(item.id)).toBeUndefined();
+      expect(clientModel.getInstance(item.Site.id)).toBeUndefined();
+    });
+    
+    test('should refuse array changes inside a transaction', async () => {
+      await expect(clientModel.transaction(model => {
+        model.insertArrayItem('RootModel.Items', 0, { value: 0 });
+      })).rejects.toThrow('inside a transaction');
+      
+      expect(values()).toEqual([1, 2, 3]);
+    });
+  });
+  
+  describe('validateAll', () => {
+    beforeEach(() => {
+      clientModel._validationManager.loadModelDefinition({
+        ClassName: 'TestBaseClass',
+        Properties: { name: { Type: 'string', Validation: { pattern: '^[A-Z]' } } }
+      });
+      clientModel._validationManager.loadModelDefinition({
+        ClassName: 'TestChildClass',
+        Extends: 'TestBaseClass',
+        Properties: { extraField: { Type: 'number', Validation: { minimum: 0 } } }
+      });
+    });
+    
+    test('should report violations anywhere in the model', () => {
+      clientModel._rootInstance = {
+        _className: 'TestBaseClass',
+        name: 'root',
+        Children: [{ _className: 'TestChildClass', name: 'Child', extraField: -1 }]
+      };
+      
+      const report = clientModel.validateAll();
+      
+      expect(report.valid).toBe(false);
+      expect(report.violations.map(violation => violation.Path)).toEqual([
+        'RootModel.name',
+        'RootModel.Children[0].extraField'
+      ]);
+      expect(clientModel.getValidationReport()).toBe(report);
+    });
+    
+    test('should dispatch MODEL_VALIDATION_CHANGED with the report', () => {
+      const dispatchEventSpy = jest.spyOn(mockApp.eventManager, 'dispatchEvent');
+      clientModel._rootInstance = { _className: 'TestBaseClass', name: 'Root' };
+      
+      clientModel.validateAll();
+      
+      expect(dispatchEventSpy).toHaveBeenCalledWith(EventTypes.MODEL_VALIDATION_CHANGED, {
+        Valid: true,
+        Violations: []
+      });
+    });
+    
+    test('should validate data when it is loaded', () => {
+      const validateAllSpy = jest.spyOn(clientModel, 'validateAll');
+      jest.spyOn(clientModel, 'createInstance').mockImplementation((className, data) => {
+        clientModel._rootInstance = { _className: className, ...data };
+        return clientModel._rootInstance;
+      });
+      clientModel._modelManager.isClassRegistered = jest.fn().mockReturnValue(true);
+      clientModel._modelManager.getAllRegisteredClassNames = jest.fn().mockReturnValue([]);
+      
+      clientModel.loadData({ name: 'invalid' }, true);
+      
+      expect(validateAllSpy).toHaveBeenCalled();
+      expect(clientModel.getValidationReport().violations).toEqual([
+        expect.objectContaining({ Path: 'RootModel.name', Message: 'Value does not match the required pattern' })
+      ]);
+    });
+  });
+  
+  describe('mergeData', () => {
+    let dispatchEventSpy;
+    let firstPump;
+    
+    const eventsOfType = (type) => dispatchEventSpy.mock.calls
+      .filter(([eventType]) => eventType === type)
+      .map(([, data]) => data);
+    
+    beforeEach(() => {
+      firstPump = { _className: 'Pump', id: 1, Uid: 'p1', Flow: 1 };
+      clientModel._rootInstance = {
+        _className: 'TestBaseClass',
+        Uid: 'root',
+        name: 'Plant',
+        Pumps: [firstPump, { _className: 'Pump', id: 2, Uid: 'p2', Flow: 2 }]
+      };
+      clientModel.instances.set(2, clientModel._rootInstance.Pumps[1]);
+      dispatchEventSpy = jest.spyOn(mockApp.eventManager, 'dispatchEvent');
+    });
+    
+    test('should apply only the differences and keep existing objects', () => {
+      const changes = clientModel.mergeData({
+        Uid: 'root',
+        name: 'Plant',
+        Pumps: [{ Uid: 'p1', Flow: 5 }, { Uid: 'p3', Flow: 3 }]
+      });
+      
+      expect(changes.map(change => change.operation)).toEqual(['remove', 'set', 'insert']);
+      expect(clientModel._rootInstance.Pumps[0]).toBe(firstPump);
+      expect(clientModel._rootInstance.Pumps.map(pump => pump.Flow)).toEqual([5, 3]);
+      
+      expect(eventsOfType(EventTypes.MODEL_TO_VIEW_PROPERTY_CHANGED)).toEqual([
+        expect.objectContaining({ ObjectPath: 'RootModel.Pumps[0]', Property: 'Flow', Value: 5, OldValue: 1 })
+      ]);
+      expect(eventsOfType(EventTypes.MODEL_TO_VIEW_ARRAY_CHANGED).map(event => event.Operation))
+        .toEqual(['remove', 'insert']);
+      expect(eventsOfType(EventTypes.INSTANCE_DELETED)).toEqual([
+        { uid: 2, className: 'Pump', parentPath: 'RootModel.Pumps' }
+      ]);
+      expect(clientModel.instances.has(2)).toBe(false);
+      expect(eventsOfType(EventTypes.CLIENT_MODEL_UPDATED)).toHaveLength(0);
+    });
+    
+    test('should not record merged changes in the undo history', () => {
+      clientModel.mergeData({ name: 'Renamed' });
+      
+      expect(clientModel._rootInstance.name).toBe('Renamed');
+      expect(clientModel.canUndo()).toBe(false);
+    });
+    
+    test('should merge server model updates of the loaded model', () => {
+      clientModel.loadData = jest.fn();
+      
+      clientModel.handle_server_model_updated({ Data: { Uid: 'root', name: 'Updated' } });
+      
+      expect(clientModel.loadData).not.toHaveBeenCalled();
+      expect(clientModel._rootInstance.name).toBe('Updated');
+    });
+    
+    test('should reload the model when the server sends a different root object', () => {
+      clientModel.loadData = jest.fn().mockReturnValue({ id: 3 });
+      
+      clientModel.handle_server_model_updated({ Data: { Uid: 'other', name: 'New' } });
+      
+      expect(clientModel.loadData).toHaveBeenCalledWith({ Uid: 'other', name: 'New' }, true);
+      expect(eventsOfType(EventTypes.CLIENT_MODEL_UPDATED)).toHaveLength(1);
+    });
+  });
+  
+  describe('JSON Patch', () => {
+    let dispatchEventSpy;
+
+    const getServerCalls = () => dispatchEventSpy.mock.calls
+      .filter(([type]) => type === EventTypes.MATLAB_METHOD_CALL_REQUEST)
+      .map(([, data]) => data);
+
+    beforeEach(() => {
+      clientModel._validationManager.loadModelDefinition({
+        ClassName: 'TestBaseClass',
+        Properties: { name: { Type: 'string', Validation: { pattern: '^[A-Z]' } } }
+      });
+      clientModel._rootInstance = {
+        _className: 'TestBaseClass',
+        name: 'Plant',
+        Items: [{ Uid: 'a', value: 1 }, { Uid: 'b', value: 2 }]
+      };
+      clientModel._changeLog.reset();
+      dispatchEventSpy = jest.spyOn(mockApp.eventManager, 'dispatchEvent');
+    });
+
+    test('should apply a patch as one undo step and send it to the server', () => {
+      clientModel.applyPatch([
+        { op: 'replace', path: '/name', value: 'Works' },
+        { op: 'move', from: '/Items/1', path: '/Items/0' },
+        { op: 'add', path: '/Items/-', value: { value: 3 } }
+      ]);
+
+      expect(clientModel._rootInstance.name).toBe('Works');
+      expect(clientModel._rootInstance.Items.map(item => item.value)).toEqual([2, 1, 3]);
+      expect(getServerCalls().map(call => call.MethodName))
+        .toEqual(['updateProperty', 'moveArrayItem', 'insertArrayItem']);
+      expect(dispatchEventSpy).toHaveBeenCalledWith(
+        EventTypes.MODEL_TO_VIEW_PROPERTY_CHANGED,
+        expect.objectContaining({ ObjectPath: 'RootModel', Property: 'name', Value: 'Works', Source: 'patch' })
+      );
+
+      clientModel.undo();
+      expect(clientModel._rootInstance.name).toBe('Plant');
+      expect(clientModel._rootInstance.Items.map(item => item.value)).toEqual([1, 2]);
+    });
+
+    test('should reject a patch that fails validation without changing the model', () => {
+      let error;
+      try {
+        clientModel.applyPatch([
+          { op: 'remove', path: '/Items/0' },
+          { op: 'replace', path: '/name', value: 'lowercase' }
+        ]);
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error.name).toBe('JsonPatchError');
+      expect(error.violations).toEqual([expect.objectContaining({ Path: 'RootModel.name' })]);
+      expect(clientModel._rootInstance.Items).toHaveLength(2);
+      expect(getServerCalls()).toHaveLength(0);
+    });
+
+    test('should reject a patch with a failing operation without changing the model', () => {
+      expect(() => clientModel.applyPatch([
+        { op: 'replace', path: '/name', value: 'Other' },
+        { op: 'test', path: '/Items/0/value', value: 5 }
+      ])).toThrow('test failed');
+
+      expect(clientModel._rootInstance.name).toBe('Plant');
+    });
+
+    test('should generate a patch of the changes since a revision', () => {
+      const revision = clientModel.getRevision();
+
+      clientModel.handle_view_to_model_property_changed({ Path: 'RootModel.name', Property: 'name', Value: 'Edited' });
+      clientModel.removeArrayItem('RootModel.Items', 0);
+      clientModel.handle_server_model_property_updated({ ObjectPath: 'RootModel', PropertyName: 'name', Value: 'Server' });
+
+      expect(clientModel.generatePatch(revision)).toEqual([
+        { op: 'replace', path: '/name', value: 'Edited' },
+        { op: 'remove', path: '/Items/0' },
+        { op: 'replace', path: '/name', value: 'Server' }
+      ]);
+      expect(clientModel.generatePatch(clientModel.getRevision())).toEqual([]);
+    });
+
+    test('should replace the whole model for revisions before the last load', () => {
+      const revision = clientModel.getRevision();
+      clientModel._changeLog.reset();
+
+      expect(clientModel.generatePatch(revision)).toEqual([
+        { op: 'replace', path: '', value: expect.objectContaining({ name: 'Plant', Items: [{ Uid: 'a', value: 1 }, { Uid: 'b', value: 2 }] }) }
+      ]);
+    });
+
+    test('should round-trip generated patches into another model', () => {
+      const revision = clientModel.getRevision();
+      clientModel.applyPatch([{ op: 'add', path: '/Items/1', value: { value: 9 } }], { send: false });
+      const operations = clientModel.generatePatch(revision);
+
+      clientModel._rootInstance = { _className: 'TestBaseClass', name: 'Plant', Items: [{ value: 1 }, { value: 2 }] };
+      clientModel.applyPatch(operations, { send: false });
+
+      expect(clientModel._rootInstance.Items.map(item => item.value)).toEqual([1, 9, 2]);
+      expect(getServerCalls()).toHaveLength(0);
+    });
+  });
+
+  describe('migrations', () => {
+    beforeEach(() => {
+      testModelDefinitions.TestBaseClass.Version = 2;
+      testModelDefinitions.TestBaseClass.Migrations = [
+        { From: 1, Steps: [{ Op: 'rename', Property: 'title', To: 'name' }] }
+      ];
+      clientModel = new ClientModel({
+        app: mockApp,
+        rootClassName: 'TestBaseClass',
+        modelDefinitions: testModelDefinitions,
+        modelClasses: testModelClasses
+      });
+    });
+
+    test('should report the versions declared in the definitions', () => {
+      expect(clientModel.getSchemaVersions()).toEqual({ TestBaseClass: 2, TestChildClass: 1 });
+    });
+
+    test('should upgrade data and report the changes in a dry run', () => {
+      const data = { id: 'a', title: 'Plant' };
+
+      expect(clientModel.migrateData(data).data).toEqual({ id: 'a', name: 'Plant' });
+
+      const dryRun = clientModel.migrateData(data, {}, { dryRun: true });
+      expect(dryRun.data).toBe(data);
+      expect(dryRun.changes).toEqual([expect.objectContaining({ ClassName: 'TestBaseClass', From: 1, To: 2, Details: ['Renamed title to name'] })]);
+    });
+
+    test('should upgrade data with older versions when loading it', () => {
+      const createInstanceSpy = jest.spyOn(clientModel, 'createInstance').mockImplementation((className, data) => data);
+
+      clientModel.loadData({ id: 'a', title: 'Old' }, true, { schemaVersions: { TestBaseClass: 1 } });
+      clientModel.loadData({ id: 'b', title: 'Current' }, true);
+
+      expect(createInstanceSpy.mock.calls.map(([, data]) => data)).toEqual([
+        { id: 'a', name: 'Old' },
+        { id: 'b', title: 'Current' }
+      ]);
+    });
+
+    test('should load bare data, such as test data or models from the server, as it is', () => {
+      const createInstanceSpy = jest.spyOn(clientModel, 'createInstance').mockImplementation((className, data) => data);
+
+      // AbstractApp.loadTestData() sends test data this way when there is no server
+      clientModel.handle_server_model_updated({ Data: { id: 'a', name: 'Current', title: 'Kept' } });
+
+      expect(createInstanceSpy.mock.calls.map(([, data]) => data)).toEqual([{ id: 'a', name: 'Current', title: 'Kept' }]);
+    });
+
+    test('should record the versions in snapshots', async () => {
+      clientModel._rootInstance = { _className: 'TestBaseClass', id: 'a', name: 'Plant' };
+      const store = new MemorySnapshotStore();
+      await clientModel.enableAutosave({ store, interval: 60000 });
+      clientModel._changeLog.reset();
+
+      await clientModel.saveSnapshot();
+      clientModel.disableAutosave();
+
+      expect((await store.load('TestBaseClass')).SchemaVersions).toEqual({ TestBaseClass: 2, TestChildClass: 1 });
+    });
+  });
+
+  describe('units', () => {
+    beforeEach(() => {
+      clientModel._validationManager.loadModelDefinition({
+        ClassName: 'TestBaseClass',
+        Properties: { volume: { Type: 'double', Unit: 'L', DisplayUnit: 'mL' } }
+      });
+      clientModel._rootInstance = { _className: 'TestBaseClass', id: 'a', name: 'Plant', volume: 2 };
+    });
+
+    test('should share its unit registry', () => {
+      clientModel.getUnitRegistry().define('drop', '0.05 mL');
+
+      expect(clientModel.getUnitRegistry().convert(20, 'drop', 'L')).toBe(0.001);
+      expect(clientModel._validationManager.unitRegistry).toBe(clientModel.getUnitRegistry());
+    });
+
+    test('should reject edits with a unit of another dimension', () => {
+      const dispatchEventSpy = jest.spyOn(mockApp.eventManager, 'dispatchEvent');
+
+      clientModel.handle_view_to_model_property_changed({
+        Path: 'RootModel.volume',
+        ObjectPath: 'RootModel',
+        Property: 'volume',
+        Value: { Value: 5, Unit: 'mg' }
+      });
+
+      expect(clientModel._rootInstance.volume).toBe(2);
+      expect(dispatchEventSpy).toHaveBeenCalledWith(EventTypes.PROPERTY_CHANGE_REJECTED, expect.objectContaining({
+        PropertyPath: 'RootModel.volume',
+        ValidationErrors: ['Unit mg (mass) is not compatible with L (length^3)'],
+        CurrentValue: 2
+      }));
+    });
+  });
+
+  describe('query', () => {
+    test('should find values of the loaded model and edit them by path', () => {
+      clientModel._rootInstance = {
+        _className: 'TestBaseClass',
+        id: 'a',
+        name: 'Plant',
+        items: [{ name: 'x', use: true }, { name: 'y', use: false }, { name: 'z', use: true }]
+      };
+
+      const matches = clientModel.query('RootModel.items[?use].name');
+      matches.forEach(({ path }) => {
+        const separator = path.lastIndexOf('.');
+        clientModel.setPropertyValue(path.slice(0, separator), path.slice(separator + 1), 'selected');
+      });
+
+      expect(matches.map(match => match.path)).toEqual(['RootModel.items[0].name', 'RootModel.items[2].name']);
+      expect(clientModel.getRootInstance().items.map(item => item.name)).toEqual(['selected', 'y', 'selected']);
+    });
+  });
+
+  describe('computed properties', () => {
+    let dispatchEventSpy;
+
+    beforeEach(() => {
+      clientModel = new ClientModel({
+        app: mockApp,
+        rootClassName: 'Tank',
+        modelDefinitions: {
+          Tank: {
+            ClassName: 'Tank',
+            Properties: {
+              Volume: { Type: 'double' },
+              Rate: { Type: 'double' },
+              Clearance: { Type: 'double', Computed: 'Volume * Rate' }
+            }
+          }
+        }
+      });
+      clientModel.loadData({ Volume: 2, Rate: 0.5 }, true);
+      dispatchEventSpy = jest.spyOn(mockApp.eventManager, 'dispatchEvent');
+    });
+
+    test('should compute values when data is loaded and when their inputs change', () => {
+      expect(clientModel.getRootInstance().Clearance).toBe(1);
+
+      clientModel.setPropertyValue('RootModel', 'Rate', 2);
+
+      expect(clientModel.getRootInstance().Clearance).toBe(4);
+      expect(dispatchEventSpy).toHaveBeenCalledWith(EventTypes.MODEL_TO_VIEW_PROPERTY_CHANGED, {
+        ObjectPath: 'RootModel', Property: 'Clearance', Value: 4, OldValue: 1, Source: 'computed'
+      });
+
+      clientModel.undo();
+      expect(clientModel.getRootInstance().Clearance).toBe(1);
+    });
+
+    test('should not let computed properties be edited or sent to the server', () => {
+      clientModel.setPropertyValue('RootModel', 'Clearance', 10);
+
+      expect(clientModel.getRootInstance().Clearance).toBe(1);
+      expect(dispatchEventSpy).toHaveBeenCalledWith(EventTypes.PROPERTY_CHANGE_REJECTED, expect.objectContaining({
+        PropertyPath: 'RootModel.Clearance',
+        ValidationErrors: ['Clearance is computed and cannot be changed']
+      }));
+      expect(() => clientModel.applyPatch([{ op: 'replace', path: '/Clearance', value: 10 }]))
+        .toThrow('Patch rejected: computed properties cannot be changed: RootModel.Clearance');
+
+      clientModel.handle_server_model_property_updated({ ObjectPath: 'RootModel', PropertyName: 'Clearance', Value: 7 });
+      expect(clientModel.getRootInstance().Clearance).toBe(1);
+      expect(dispatchEventSpy.mock.calls.filter(([type]) => type === EventTypes.MATLAB_METHOD_CALL_REQUEST)).toEqual([]);
+    });
+  });
+
+  describe('strict mode', () => {
+    const definitions = {
+      Plant: { ClassName: 'Plant', Properties: { Runs: { Type: 'integer' }, Tank: { Type: 'Tank', IsPrimitive: false } } },
+      Tank: { ClassName: 'Tank', Properties: { Filled: { Type: 'date', IsArray: true } } }
+    };
+    const data = { Runs: 'many', Tank: { Filled: ['2024-01-05', 'yesterday'] } };
+
+    const createClientModel = (strictMode) => new ClientModel({
+      app: mockApp,
+      rootClassName: 'Plant',
+      modelDefinitions: definitions,
+      strictMode
+    });
+
+    test('should keep invalid values with a warning by default', () => {
+      clientModel = createClientModel(false);
+
+      const root = clientModel.loadData(data, true);
+
+      expect(root.Runs).toBe('many');
+      expect(root.Tank.Filled).toEqual(['2024-01-05', 'yesterday']);
+      expect(console.warn).toHaveBeenCalledWith('Cannot convert "many" to integer');
+    });
+
+    test('should reject data with all of its invalid values', () => {
+      clientModel = createClientModel(true);
+      const dispatchEventSpy = jest.spyOn(mockApp.eventManager, 'dispatchEvent');
+
+      expect(() => clientModel.loadData(data, true)).toThrow(
+        'Model data has 2 invalid values: RootModel.Runs: Cannot convert "many" to integer; ' +
+        'RootModel.Tank.Filled[1]: Cannot convert "yesterday" to date');
+      expect(clientModel.getRootInstance()).toBeNull();
+      expect(dispatchEventSpy).toHaveBeenCalledWith(EventTypes.CLIENT_ERROR, expect.objectContaining({
+        ID: 'MODEL_DATA_ERROR',
+        Errors: [
+          { Path: 'RootModel.Runs', ClassName: 'Plant', Property: 'Runs', Value: 'many', Reason: 'conversion', Message: 'Cannot convert "many" to integer' },
+          { Path: 'RootModel.Tank.Filled[1]', ClassName: 'Tank', Property: 'Filled', Value: 'yesterday', Reason: 'conversion', Message: 'Cannot convert "yesterday" to date' }
+        ]
+      }));
+    });
+  });
+
+  describe('references', () => {
+    let dispatchEventSpy;
+
+    beforeEach(() => {
+      clientModel = new ClientModel({
+        app: mockApp,
+        rootClassName: 'Study',
+        modelDefinitions: {
+          Study: {
+            ClassName: 'Study',
+            Properties: {
+              Compartments: { Type: 'Compartment', IsArray: true, IsPrimitive: false },
+              Doses: { Type: 'Dose', IsArray: true, IsPrimitive: false }
+            }
+          },
+          Compartment: { ClassName: 'Compartment', Properties: { Uid: { Type: 'string' }, Name: { Type: 'string' } } },
+          Dose: {
+            ClassName: 'Dose',
+            Properties: { Amount: { Type: 'double' }, Target: { Type: 'Compartment', Reference: true } }
+          }
+        }
+      });
+      clientModel.loadData({
+        Compartments: [{ Uid: 'c1', Name: 'Plasma' }, { Uid: 'c2', Name: 'Liver' }],
+        Doses: [{ Amount: 5, Target: 'c2' }, { Amount: 2, Target: { Uid: 'c1', Name: 'Plasma' } }]
+      }, true);
+      dispatchEventSpy = jest.spyOn(mockApp.eventManager, 'dispatchEvent');
+    });
+
+    test('should store Uids and resolve them to the objects they refer to', () => {
+      const root = clientModel.getRootInstance();
+
+      expect(root.Doses.map(dose => dose.Target)).toEqual(['c2', 'c1']);
+      expect(clientModel.resolveReference('RootModel.Doses[0]', 'Target')).toBe(root.Compartments[1]);
+      expect(clientModel.getInstance('c1')).toBe(root.Compartments[0]);
+      expect(clientModel.getReferenceTargets('Dose', 'Target').map(target => target.uid)).toEqual(['c1', 'c2']);
+      expect(clientModel.isReferenceProperty('Dose', 'Target')).toBe(true);
+    });
+
+    test('should keep references when the model is saved and loaded', () => {
+      const saved = JSON.parse(JSON.stringify(clientModel.toJSON()));
+
+      clientModel.loadData(saved, true);
+
+      expect(saved.Doses[0].Target).toBe('c2');
+      expect(clientModel.resolveReference('RootModel.Doses[0]', 'Target').Name).toBe('Liver');
+    });
+
+    test('should only let references be set to objects of their type in the model', () => {
+      const root = clientModel.getRootInstance();
+
+      clientModel.setPropertyValue('RootModel.Doses[0]', 'Target', root.Compartments[0]);
+      expect(root.Doses[0].Target).toBe('c1');
+
+      clientModel.setPropertyValue('RootModel.Doses[0]', 'Target', 'c9');
+      expect(root.Doses[0].Target).toBe('c1');
+      expect(dispatchEventSpy).toHaveBeenCalledWith(EventTypes.PROPERTY_CHANGE_REJECTED, expect.objectContaining({
+        PropertyPath: 'RootModel.Doses[0].Target',
+        ValidationErrors: ['Target must refer to a Compartment in the model; c9 is not one']
+      }));
+    });
+
+    test('should report references to a deleted instance as dangling', () => {
+      expect(clientModel.deleteInstance('c2')).toBe(true);
+
+      expect(clientModel.getRootInstance().Compartments.map(compartment => compartment.Uid)).toEqual(['c1']);
+      expect(clientModel.resolveReference('RootModel.Doses[0]', 'Target')).toBeNull();
+      expect(clientModel.getDanglingReferences()).toEqual([
+        { Path: 'RootModel.Doses[0].Target', ObjectPath: 'RootModel.Doses[0]', Property: 'Target', Uid: 'c2' }
+      ]);
+      expect(dispatchEventSpy).toHaveBeenCalledWith(EventTypes.CLIENT_WARNING, expect.objectContaining({
+        ID: 'DANGLING_REFERENCE',
+        Uid: 'c2',
+        Paths: ['RootModel.Doses[0].Target']
+      }));
+    });
+  });
+
+  describe('polymorphic arrays', () => {
+    const definitions = {
+      Study: {
+        ClassName: 'Study',
+        Properties: { Compartments: { Type: 'Compartment', IsArray: true, IsPrimitive: false } }
+      },
+      Compartment: { ClassName: 'Compartment', Properties: { Name: { Type: 'string' } } },
+      Tissue: { ClassName: 'Tissue', Extends: 'Compartment', Properties: { Organ: { Type: 'string' } } },
+      Dose: { ClassName: 'Dose', Properties: { Amount: { Type: 'double' } } }
+    };
+
+    const createClientModel = (strictMode = false) => new ClientModel({
+      app: mockApp,
+      rootClassName: 'Study',
+      modelDefinitions: definitions,
+      strictMode
+    });
+
+    test('should create items of the class named by ClassName', () => {
+      clientModel = createClientModel();
+
+      const root = clientModel.loadData({
+        Compartments: [{ Name: 'Plasma' }, { ClassName: 'Tissue', Name: 'Liver', Organ: 'liver' }]
+      }, true);
+
+      expect(root.Compartments.map(compartment => compartment._className)).toEqual(['Compartment', 'Tissue']);
+      expect(root.Compartments[1].Organ).toBe('liver');
+      expect(clientModel.getSubclassNames('Compartment')).toEqual(['Compartment', 'Tissue']);
+    });
+
+    test('should keep ClassName when the model is saved', () => {
+      clientModel = createClientModel();
+      clientModel.loadData({ Compartments: [{ Name: 'Plasma' }, { ClassName: 'Tissue', Name: 'Liver' }] }, true);
+
+      const saved = JSON.parse(JSON.stringify(clientModel.toJSON()));
+
+      expect(saved.Compartments[0].ClassName).toBeUndefined();
+      expect(saved.Compartments[1]).toEqual(expect.objectContaining({ ClassName: 'Tissue', Name: 'Liver' }));
+    });
+
+    test('should insert items of a subclass', () => {
+      clientModel = createClientModel();
+      clientModel.loadData({ Compartments: [] }, true);
+
+      clientModel.insertArrayItem('RootModel.Compartments', 0, { ClassName: 'Tissue' });
+
+      expect(clientModel.getRootInstance().Compartments[0]._className).toBe('Tissue');
+    });
+
+    test('should create items of the base class when ClassName is not a subclass', () => {
+      clientModel = createClientModel();
+
+      const root = clientModel.loadData({ Compartments: [{ ClassName: 'Dose', Name: 'Plasma' }] }, true);
+
+      expect(root.Compartments[0]._className).toBe('Compartment');
+      expect(console.warn).toHaveBeenCalledWith('Class Dose is not Compartment or a subclass of it');
+    });
+
+    test('should reject items with an unknown ClassName in strict mode', () => {
+      clientModel = createClientModel(true);
+      const dispatchEventSpy = jest.spyOn(mockApp.eventManager, 'dispatchEvent');
+
+      expect(() => clientModel.loadData({ Compartments: [{ ClassName: 'Organ' }] }, true)).toThrow(
+        "Model data has 1 invalid value: RootModel.Compartments[0]: Unknown class 'Organ' in ClassName");
+      expect(dispatchEventSpy).toHaveBeenCalledWith(EventTypes.CLIENT_ERROR, expect.objectContaining({
+        ID: 'MODEL_DATA_ERROR',
+        Errors: [expect.objectContaining({ Path: 'RootModel.Compartments[0]', Value: 'Organ', Reason: 'class' })]
+      }));
+    });
+  });
+
+  describe('instance index', () => {
+    beforeEach(() => {
+      clientModel = new ClientModel({
+        app: mockApp,
+        rootClassName: 'Study',
+        modelDefinitions: {
+          Study: {
+            ClassName: 'Study',
+            Properties: {
+              Compartments: { Type: 'Compartment', IsArray: true, IsPrimitive: false },
+              Settings: { Type: 'Settings', IsPrimitive: false }
+            }
+          },
+          Compartment: {
+            ClassName: 'Compartment',
+            Properties: { Uid: { Type: 'string' }, Name: { Type: 'string' }, Volume: { Type: 'double' } }
+          },
+          Tissue: { ClassName: 'Tissue', Extends: 'Compartment', Properties: { Organ: { Type: 'string' } } },
+          Settings: { ClassName: 'Settings', Properties: { Uid: { Type: 'string' } } }
+        }
+      });
+      clientModel.loadData({
+        Compartments: [
+          { Uid: 'c1', Name: 'Plasma', Volume: 3 },
+          { ClassName: 'Tissue', Uid: 'c2', Name: 'Liver', Volume: 1.5 }
+        ],
+        Settings: { Uid: 'st' }
+      }, true);
+    });
+
+    test('should find the objects of a class and its subclasses matching a condition', () => {
+      const root = clientModel.getRootInstance();
+
+      expect(clientModel.findInstances('Compartment')).toEqual(root.Compartments);
+      expect(clientModel.findInstances('Compartment', compartment => compartment.Volume > 2)).toEqual([root.Compartments[0]]);
+      expect(clientModel.findInstances('Tissue')).toEqual([root.Compartments[1]]);
+      expect(clientModel.findInstances()).toHaveLength(4);
+    });
+
+    test('should give the parent and path of an object', () => {
+      const root = clientModel.getRootInstance();
+
+      expect(clientModel.getParent(root.Compartments[1])).toBe(root);
+      expect(clientModel.getPath(root.Compartments[1])).toBe('RootModel.Compartments[1]');
+      expect(clientModel.getPath(root.Settings)).toBe('RootModel.Settings');
+      expect(clientModel.getPath(root)).toBe('RootModel');
+    });
+
+    test('should follow array changes', () => {
+      clientModel.insertArrayItem('RootModel.Compartments', 0, { Uid: 'c3', Name: 'Kidney' });
+      const root = clientModel.getRootInstance();
+      const kidney = root.Compartments[0];
+
+      expect(clientModel.getPath(kidney)).toBe('RootModel.Compartments[0]');
+      expect(clientModel.getInstance('c3')).toBe(kidney);
+
+      clientModel.moveArrayItem('RootModel.Compartments', 0, 2);
+      expect(clientModel.getPath(kidney)).toBe('RootModel.Compartments[2]');
+
+      clientModel.removeArrayItem('RootModel.Compartments', 2);
+      expect(clientModel.getPath(kidney)).toBeNull();
+      expect(clientModel.findInstances('Compartment').map(compartment => compartment.Uid)).toEqual(['c1', 'c2']);
+
+      clientModel.undo();
+      expect(clientModel.getPath(kidney)).toBe('RootModel.Compartments[2]');
+    });
+
+    test('should follow replaced and deleted objects', () => {
+      const oldSettings = clientModel.getRootInstance().Settings;
+
+      clientModel.mergeData({ Compartments: [{ Uid: 'c1', Name: 'Plasma', Volume: 3 }], Settings: { Uid: 'st2' } });
+      const root = clientModel.getRootInstance();
+
+      expect(clientModel.getPath(oldSettings)).toBeNull();
+      expect(clientModel.getPath(root.Settings)).toBe('RootModel.Settings');
+      expect(clientModel.findInstances('Compartment')).toEqual([root.Compartments[0]]);
+
+      expect(clientModel.deleteInstance('c1')).toBe(true);
+      expect(clientModel.findInstances('Compartment')).toEqual([]);
+    });
+
+    test('should index a newly loaded model', () => {
+      const previousRoot = clientModel.getRootInstance();
+
+      clientModel.loadData({ Compartments: [{ Uid: 'c5', Name: 'Gut' }] }, true);
+
+      expect(clientModel.getPath(previousRoot)).toBeNull();
+      expect(clientModel.findInstances('Compartment').map(compartment => compartment.Name)).toEqual(['Gut']);
+    });
+  });
+
+  describe('direct assignment', () => {
+    let dispatchEventSpy;
+
+    beforeEach(() => {
+      // Stands in for a class from ModelClassDefinitionManager.generateClass
+      class Plant {
+        static className = 'Plant';
+
+        constructor(data = {}, manager) {
+          this._className = 'Plant';
+          Object.assign(this, { Name: '', Flow: 0 }, data);
+          manager.getObserver().observe(this);
+        }
+      }
+
+      clientModel = new ClientModel({
+        app: mockApp,
+        rootClassName: 'Plant',
+        modelDefinitions: {
+          Plant: { ClassName: 'Plant', Properties: { Name: { Type: 'string' }, Flow: { Type: 'double' } } }
+        },
+        modelClasses: [Plant]
+      });
+      clientModel.loadData({ Name: 'P1', Flow: 1 }, true);
+      dispatchEventSpy = jest.spyOn(mockApp.eventManager, 'dispatchEvent');
+    });
+
+    test('should notify the views of direct assignments', async () => {
+      const revision = clientModel.getRevision();
+
+      clientModel.getRootInstance().Flow = 2;
+      await Promise.resolve();
+
+      expect(dispatchEventSpy).toHaveBeenCalledWith(EventTypes.MODEL_TO_VIEW_PROPERTY_CHANGED, {
+        ObjectPath: 'RootModel',
+        Property: 'Flow',
+        Value: 2,
+        OldValue: 1,
+        Source: 'direct'
+      });
+      expect(clientModel.generatePatch(revision)).toEqual([{ op: 'replace', path: '/Flow', value: 2 }]);
+    });
+
+    test('should notify the views of a batch of assignments once it ends', () => {
+      const root = clientModel.getRootInstance();
+
+      clientModel.batch(() => {
+        root.Flow = 2;
+        root.Flow = 3;
+        root.Name = 'P2';
+        expect(dispatchEventSpy).not.toHaveBeenCalled();
+      });
+
+      const directChanges = dispatchEventSpy.mock.calls.filter(([, data]) => data.Source === 'direct');
+      expect(directChanges.map(([, data]) => [data.Property, data.Value])).toEqual([['Flow', 3], ['Name', 'P2']]);
+    });
+
+    test('should notify the views of direct assignments to objects created from the definitions', async () => {
+      // Built like AbstractApp._createModel, without model classes
+      clientModel = new ClientModel({
+        app: mockApp,
+        rootClassName: 'Study',
+        modelDefinitions: {
+          Study: {
+            ClassName: 'Study',
+            Properties: { Species: { Type: 'Species', IsArray: true, IsPrimitive: false } }
+          },
+          Species: { ClassName: 'Species', Properties: { Name: { Type: 'string' } } }
+        },
+        modelClasses: []
+      });
+      clientModel.loadData({ Species: [{ Name: 'A' }, { Name: 'B' }] }, true);
+      await Promise.resolve();
+      dispatchEventSpy.mockClear();
+
+      clientModel.getRootInstance().Species[1].Name = 'x';
+      await Promise.resolve();
+
+      expect(dispatchEventSpy).toHaveBeenCalledWith(EventTypes.MODEL_TO_VIEW_PROPERTY_CHANGED, {
+        ObjectPath: 'RootModel.Species[1]',
+        Property: 'Name',
+        Value: 'x',
+        OldValue: 'B',
+        Source: 'direct'
+      });
+    });
+
+    test('should adopt the Uid the server assigns to an inserted item silently', async () => {
+      clientModel = new ClientModel({
+        app: mockApp,
+        rootClassName: 'Study',
+        modelDefinitions: {
+          Study: {
+            ClassName: 'Study',
+            Properties: { Species: { Type: 'Species', IsArray: true, IsPrimitive: false } }
+          },
+          Species: { ClassName: 'Species', Properties: { Uid: { Type: 'string' }, Name: { Type: 'string' } } }
+        },
+        modelClasses: []
+      });
+      clientModel.loadData({ Species: [{ Uid: 'a', Name: 'A' }] }, true);
+      const item = clientModel.insertArrayItem('RootModel.Species', 1, { Name: 'B' });
+      await Promise.resolve();
+      const revision = clientModel.getRevision();
+      dispatchEventSpy.mockClear();
+
+      clientModel.handle_server_model_array_changed({
+        ObjectPath: 'RootModel',
+        PropertyName: 'Species',
+        Operation: 'insert',
+        Index: 1,
+        Item: { Uid: 'b', Name: 'B' }
+      });
+      await Promise.resolve();
+
+      expect(item.Uid).toBe('b');
+      expect(dispatchEventSpy.mock.calls.some(([, data]) => data?.Source === 'direct')).toBe(false);
+      expect(clientModel.getRevision()).toBe(revision);
+    });
+
+    test('should not notify the views twice of its own changes', async () => {
+      clientModel.setPropertyValue('RootModel', 'Flow', 5);
+      await Promise.resolve();
+
+      expect(clientModel.getRootInstance().Flow).toBe(5);
+      expect(dispatchEventSpy.mock.calls.some(([, data]) => data?.Source === 'direct')).toBe(false);
+    });
+  });
+
+  describe('autosave', () => {
+    let store;
+    let dispatchEventSpy;
+
+    const getServerCalls = () => dispatchEventSpy.mock.calls
+      .filter(([type]) => type === EventTypes.MATLAB_METHOD_CALL_REQUEST)
+      .map(([, data]) => data);
+
+    const snapshotOf = (data, pendingChanges = []) => ({
+      Key: 'TestBaseClass',
+      Revision: 5,
+      Saved: new Date().toISOString(),
+      RootClass: 'TestBaseClass',
+      Data: data,
+      PendingChanges: pendingChanges
+    });
+
+    beforeEach(() => {
+      store = new MemorySnapshotStore();
+      clientModel._rootInstance = { _className: 'TestBaseClass', Uid: 'root', name: 'Plant', Items: [{ Uid: 'a', value: 1 }] };
+      clientModel._changeLog.reset();
+      dispatchEventSpy = jest.spyOn(mockApp.eventManager, 'dispatchEvent');
+    });
+
+    afterEach(() => {
+      clientModel.disableAutosave();
+    });
+
+    test('should save a snapshot only when the model changed', async () => {
+      await expect(clientModel.enableAutosave({ store, interval: 60000 })).resolves.toBeNull();
+      await expect(clientModel.saveSnapshot()).resolves.toBe(false);
+
+      clientModel.setPropertyValue('RootModel', 'name', 'Edited');
+      await expect(clientModel.saveSnapshot()).resolves.toBe(true);
+      await expect(clientModel.saveSnapshot()).resolves.toBe(false);
+
+      const snapshot = await store.load('TestBaseClass');
+      expect(snapshot).toEqual(expect.objectContaining({
+        RootClass: 'TestBaseClass',
+        Revision: clientModel.getRevision(),
+        Data: expect.objectContaining({ name: 'Edited' }),
+        PendingChanges: [expect.objectContaining({ path: 'RootModel.name', value: 'Edited' })]
+      }));
+    });
+
+    test('should keep an existing snapshot until it is restored or discarded', async () => {
+      const found = snapshotOf({ _className: 'TestBaseClass', Uid: 'root', name: 'Unsaved', Items: [] });
+      await store.save('TestBaseClass', found);
+
+      await expect(clientModel.enableAutosave({ store, interval: 60000 })).resolves.toEqual(found);
+      clientModel.setPropertyValue('RootModel', 'name', 'Edited');
+      await expect(clientModel.saveSnapshot()).resolves.toBe(false);
+      expect(await store.load('TestBaseClass')).toEqual(found);
+
+      await clientModel.discardSnapshot();
+      expect(clientModel.getRecoverySnapshot()).toBeNull();
+      expect(await store.load('TestBaseClass')).toBeNull();
+      await expect(clientModel.saveSnapshot()).resolves.toBe(true);
+    });
+
+    test('should restore a snapshot of the loaded model as one undo step', async () => {
+      const snapshot = snapshotOf({ _className: 'TestBaseClass', Uid: 'root', name: 'Unsaved', Items: [] });
+      await store.save('TestBaseClass', snapshot);
+      await clientModel.enableAutosave({ store, interval: 60000 });
+
+      expect(clientModel.hasSnapshotChanges(snapshot)).toBe(true);
+      const changes = await clientModel.restoreSnapshot();
+
+      expect(changes).toHaveLength(2);
+      expect(clientModel._rootInstance.name).toBe('Unsaved');
+      expect(clientModel._rootInstance.Items).toHaveLength(0);
+      expect(getServerCalls().map(call => call.MethodName)).toEqual(['updateProperty', 'removeArrayItem']);
+      expect(clientModel.getRecoverySnapshot()).toBeNull();
+
+      clientModel.undo();
+      expect(clientModel._rootInstance.name).toBe('Plant');
+      expect(clientModel._rootInstance.Items).toHaveLength(1);
+    });
+
+    test('should not count a snapshot that matches the model as changes', () => {
+      expect(clientModel.hasSnapshotChanges(snapshotOf(JSON.parse(JSON.stringify(clientModel._rootInstance)))))
+        .toBe(false);
+      expect(clientModel.hasSnapshotChanges(snapshotOf({ _className: 'TestBaseClass', Uid: 'other' }))).toBe(true);
+    });
+
+    test('should load a snapshot of another model and send its pending changes again', async () => {
+      clientModel._rootInstance = null;
+      const loadDataSpy = jest.spyOn(clientModel, 'loadData').mockImplementation(data => {
+        clientModel._rootInstance = data;
+        return data;
+      });
+      const data = { _className: 'TestBaseClass', Uid: 'root', name: 'Offline' };
+
+      await clientModel.restoreSnapshot(snapshotOf(data, [{ path: 'RootModel.name', value: 'Offline', oldValue: 'Plant' }]));
+
+      expect(loadDataSpy).toHaveBeenCalledWith(data, true);
+      expect(dispatchEventSpy).toHaveBeenCalledWith(EventTypes.CLIENT_MODEL_UPDATED, { Data: data });
+      expect(clientModel.getPendingChanges()).toEqual([expect.objectContaining({ path: 'RootModel.name', status: 'pending' })]);
+      expect(getServerCalls()).toEqual([expect.objectContaining({ MethodName: 'updateProperty' })]);
+    });
+
+    test('should reject a snapshot of another root class', async () => {
+      await expect(clientModel.restoreSnapshot({ ...snapshotOf({}), RootClass: 'Other' }))
+        .rejects.toThrow('Cannot restore a snapshot of Other into a TestBaseClass model');
+    });
+  });
+
+  describe('standalone mode', () => {
+    let serviceLayer;
+    let dispatchEventSpy;
+
+    beforeEach(async () => {
+      clientModel._rootInstance = {
+        Name: 'P1',
+        Items: [{ Uid: 'a', value: 1 }, { Uid: 'b', value: 2 }]
+      };
+      clientModel._validatePropertyChange = jest.fn().mockReturnValue({ errors: [] });
+
+      // No MATLAB behind the component, as when the app runs in a browser
+      serviceLayer = new UIHTMLServiceLayer(mockApp, new MockMATLABComponent());
+      await serviceLayer.init();
+      dispatchEventSpy = jest.spyOn(mockApp.eventManager, 'dispatchEvent');
+    });
+
+    afterEach(() => {
+      serviceLayer.destroy();
+    });
+
+    test('should keep property and array edits made without MATLAB', async () => {
+      clientModel.setPropertyValue('RootModel', 'Name', 'P2');
+      clientModel.insertArrayItem('RootModel.Items', 2, { value: 3 });
+      clientModel.moveArrayItem('RootModel.Items', 2, 0);
+      clientModel.removeArrayItem('RootModel.Items', 1);
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(clientModel._rootInstance.Name).toBe('P2');
+      expect(clientModel._rootInstance.Items.map(item => item.value)).toEqual([3, 2]);
+      expect(dispatchEventSpy).not.toHaveBeenCalledWith(EventTypes.CLIENT_ERROR, expect.anything());
+      expect(clientModel.canUndo()).toBe(true);
+    });
+
+    test('should keep the changes of a transaction made without MATLAB', async () => {
+      await clientModel.transaction(model => {
+        model.setPropertyValue('RootModel', 'Name', 'P3');
+        model.setPropertyValue('RootModel.Items[0]', 'value', 5);
+      });
+
+      expect(clientModel._rootInstance.Name).toBe('P3');
+      expect(clientModel._rootInstance.Items[0].value).toBe(5);
+    });
+
+    test('should still reject calls that wait for results', async () => {
+      await expect(serviceLayer.callMethod('getSummary')).rejects.toThrow('MATLAB is not connected');
+    });
+  });
+
   describe('toJSON', () => {
     test('should return null if no root instance exists', () => {
       const json = clientModel.toJSON();
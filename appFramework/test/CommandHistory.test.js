@@ -0,0 +1,95 @@
+import { CommandHistory } from '../model/CommandHistory.js';
+
+describe('CommandHistory', () => {
+  let history;
+  
+  beforeEach(() => {
+    history = new CommandHistory({ limit: 3 });
+  });
+  
+  test('should start empty', () => {
+    expect(history.canUndo()).toBe(false);
+    expect(history.canRedo()).toBe(false);
+    expect(history.undo()).toBeNull();
+    expect(history.redo()).toBeNull();
+  });
+  
+  test('should move groups between undo and redo stacks', () => {
+    history.record({ path: 'RootModel.a', oldValue: 1, value: 2 });
+    
+    const undone = history.undo();
+    expect(undone.changes).toEqual([{ path: 'RootModel.a', oldValue: 1, value: 2 }]);
+    expect(history.canRedo()).toBe(true);
+    
+    expect(history.redo()).toBe(undone);
+    expect(history.canUndo()).toBe(true);
+  });
+  
+  test('should group changes and merge repeated paths', () => {
+    history.beginGroup('Batch');
+    history.record({ path: 'RootModel.a', oldValue: 1, value: 2 });
+    history.record({ path: 'RootModel.a', oldValue: 2, value: 3 });
+    history.record({ path: 'RootModel.b', oldValue: 'x', value: 'y' });
+    
+    expect(history.canUndo()).toBe(false);
+    expect(history.endGroup()).toBe(true);
+    expect(history.getUndoLabel()).toBe('Batch');
+    
+    const group = history.undo();
+    expect(group.changes).toEqual([
+      { path: 'RootModel.a', oldValue: 1, value: 3 },
+      { path: 'RootModel.b', oldValue: 'x', value: 'y' }
+    ]);
+  });
+  
+  test('should only close the outermost of nested groups', () => {
+    history.beginGroup('Outer');
+    history.beginGroup('Inner');
+    history.record({ path: 'RootModel.a', oldValue: 1, value: 2 });
+    
+    expect(history.endGroup()).toBe(false);
+    expect(history.isGrouping()).toBe(true);
+    expect(history.endGroup()).toBe(true);
+    expect(history.getUndoLabel()).toBe('Outer');
+  });
+  
+  test('should not commit empty groups', () => {
+    history.beginGroup('Empty');
+    
+    expect(history.endGroup()).toBe(false);
+    expect(history.canUndo()).toBe(false);
+  });
+  
+  test('should discard the oldest groups beyond the limit', () => {
+    ['a', 'b', 'c', 'd'].forEach(path => {
+      history.record({ path: `RootModel.${path}`, oldValue: 0, value: 1 });
+    });
+    
+    const paths = [];
+    while (history.canUndo()) {
+      paths.push(history.undo().changes[0].path);
+    }
+    expect(paths).toEqual(['RootModel.d', 'RootModel.c', 'RootModel.b']);
+  });
+  
+  test('should keep non-property changes unmerged and discard them on request', () => {
+    const insert = { kind: 'array', path: 'RootModel.Items', operation: 'insert', index: 0 };
+    const remove = { kind: 'array', path: 'RootModel.Items', operation: 'remove', index: 0 };
+    
+    history.beginGroup();
+    history.record(insert);
+    history.record(remove);
+    history.endGroup();
+    
+    expect(history.discard(insert)).toBe(true);
+    expect(history.discard(insert)).toBe(false);
+    expect(history.canUndo()).toBe(true);
+    
+    history.discard(remove);
+    expect(history.canUndo()).toBe(false);
+  });
+  
+  test('should reject invalid limits', () => {
+    expect(() => history.setLimit(-1)).toThrow('non-negative integer');
+  });
+});
@@ -0,0 +1,97 @@
+import { ComputedProperties, ComputedPropertyError } from '../model/ComputedProperties.js';
+
+describe('ComputedProperties', () => {
+  let computed;
+  let root;
+
+  beforeEach(() => {
+    computed = new ComputedProperties();
+    computed.loadDefinitions({
+      Regimen: {
+        ClassName: 'Regimen',
+        Properties: {
+          Doses: { Type: 'Dose', IsArray: true },
+          TotalDose: { Type: 'double', Computed: 'sum(Doses.Amount)' },
+          MeanDose: { Type: 'double', Computed: 'TotalDose / len(Doses)' },
+          MaxFraction: { Type: 'double', Computed: 'max(Doses.Fraction)' }
+        }
+      },
+      Dose: {
+        ClassName: 'Dose',
+        Properties: {
+          Amount: { Type: 'double' },
+          Fraction: { Type: 'double', Computed: 'Amount / RootModel.TotalDose' }
+        }
+      }
+    });
+    root = {
+      _className: 'Regimen',
+      Doses: [{ _className: 'Dose', Amount: 10 }, { _className: 'Dose', Amount: 30 }]
+    };
+  });
+
+  test('should order computed properties by dependency', () => {
+    expect(computed.getComputedProperties('Regimen').map(c => c.property)).toEqual(['TotalDose', 'MeanDose', 'MaxFraction']);
+    expect(computed.isComputed('Dose', 'Fraction')).toBe(true);
+    expect(computed.isComputed('Dose', 'Amount')).toBe(false);
+  });
+
+  test('should find computed properties by path', () => {
+    expect(computed.isComputedPath(root, 'RootModel.TotalDose')).toBe(true);
+    expect(computed.isComputedPath(root, 'RootModel.Doses[1].Fraction')).toBe(true);
+    expect(computed.isComputedPath(root, 'RootModel.Doses[1].Amount')).toBe(false);
+    expect(computed.isComputedPath(root, 'RootModel.Doses[5].Fraction')).toBe(false);
+  });
+
+  test('should compute all values across objects', () => {
+    computed.updateAll(root);
+
+    expect(root).toMatchObject({ TotalDose: 40, MeanDose: 20, MaxFraction: 0.75 });
+    expect(root.Doses.map(dose => dose.Fraction)).toEqual([0.25, 0.75]);
+  });
+
+  test('should update only the values that depend on a change', () => {
+    computed.updateAll(root);
+    root.Doses[1].Amount = 10;
+
+    const changes = computed.update(root, 'RootModel.Doses[1].Amount');
+
+    expect(changes.map(change => [change.Path, change.OldValue, change.Value])).toEqual([
+      ['RootModel.TotalDose', 40, 20],
+      ['RootModel.MeanDose', 20, 10],
+      ['RootModel.Doses[0].Fraction', 0.25, 0.5],
+      ['RootModel.Doses[1].Fraction', 0.75, 0.5],
+      ['RootModel.MaxFraction', 0.75, 0.5]
+    ]);
+    expect(computed.update(root, 'RootModel.Name')).toEqual([]);
+  });
+
+  test('should replace values written to computed properties', () => {
+    computed.updateAll(root);
+    root.TotalDose = 99;
+
+    expect(computed.update(root, 'RootModel.TotalDose')).toEqual([
+      { Path: 'RootModel.TotalDose', ObjectPath: 'RootModel', Property: 'TotalDose', OldValue: 99, Value: 40 }
+    ]);
+  });
+
+  test('should inherit computed properties', () => {
+    computed.loadDefinitions({
+      Bolus: { ClassName: 'Bolus', Extends: 'Dose', Properties: { Fraction: { Type: 'double' }, Label: { Computed: "'Bolus'" } } }
+    });
+
+    expect(computed.getComputedProperties('Bolus').map(c => c.property)).toEqual(['Label']);
+    expect(computed.isComputed('Dose', 'Fraction')).toBe(true);
+  });
+
+  test.each([
+    ['Computed properties of Cycle depend on each other: A -> B -> A', { A: { Computed: 'B + 1' }, B: { Computed: 'A * 2' } }],
+    ['Computed property Cycle.A depends on itself', { A: { Computed: 'A + 1' } }],
+    ['Invalid Computed expression of Cycle.A: Unexpected end of expression', { A: { Computed: 'B +' } }]
+  ])('should reject definitions: %s', (message, properties) => {
+    const load = () => computed.loadDefinitions({ Cycle: { ClassName: 'Cycle', Properties: properties } });
+
+    expect(load).toThrow(ComputedPropertyError);
+    expect(load).toThrow(message);
+  });
+});
@@ -0,0 +1,87 @@
+import { ConstraintExpression, ConstraintSyntaxError } from '../utils/ConstraintExpression.js';
+
+const evaluate = (source, self = {}, root) => new ConstraintExpression(source).evaluate(self, root);
+
+describe('ConstraintExpression', () => {
+  describe('evaluation', () => {
+    test('should follow arithmetic precedence', () => {
+      expect(evaluate('1 + 2 * 3 - 4 / 2')).toBe(5);
+      expect(evaluate('(1 + 2) * 3 % 4')).toBe(1);
+      expect(evaluate('-2 * -3')).toBe(6);
+      expect(evaluate('1.5e2 + .5')).toBe(150.5);
+    });
+
+    test('should compare and combine with boolean logic', () => {
+      expect(evaluate('Min < Max && Max <= 10', { Min: 1, Max: 10 })).toBe(true);
+      expect(evaluate('Min >= Max or not Enabled', { Min: 1, Max: 10, Enabled: true })).toBe(false);
+      expect(evaluate('Mode == "auto" ? Rate > 0 : true', { Mode: 'auto', Rate: 0 })).toBe(false);
+    });
+
+    test('should compare without type coercion', () => {
+      expect(evaluate("Value == '1'", { Value: 1 })).toBe(false);
+      expect(evaluate('Value === 1 && Value !== null', { Value: 1 })).toBe(true);
+    });
+
+    test('should read properties with or without this', () => {
+      expect(evaluate('this.Min < Max', { Min: 1, Max: 2 })).toBe(true);
+      expect(evaluate('Missing == null', {})).toBe(false);
+      expect(evaluate('isempty(Missing)', {})).toBe(true);
+    });
+
+    test('should resolve RootModel paths against the root instance', () => {
+      const root = { Settings: { MaxFlow: 5 }, Pumps: [{ Flow: 2 }, { Flow: 4 }] };
+
+      expect(evaluate('Flow <= RootModel.Settings.MaxFlow', { Flow: 5 }, root)).toBe(true);
+      expect(evaluate('RootModel.Pumps[1].Flow', {}, root)).toBe(4);
+      expect(evaluate('RootModel.Pumps[Index].Flow', { Index: 0 }, root)).toBe(2);
+      expect(evaluate('RootModel.Settings.MaxFlow', {}, undefined)).toBeUndefined();
+    });
+
+    test('should map member access over arrays for aggregate functions', () => {
+      const self = { Items: [{ Weight: 1 }, { Weight: 2 }, { Weight: 3 }] };
+
+      expect(evaluate('sum(Items.Weight)', self)).toBe(6);
+      expect(evaluate('max(Items.Weight) - min(Items.Weight)', self)).toBe(2);
+      expect(evaluate('avg(Items.Weight)', self)).toBe(2);
+      expect(evaluate('len(Items) == Items.length', self)).toBe(true);
+      expect(evaluate('max(1, 7, 3) + abs(-1) + round(1.4) + pow(2, 3)')).toBe(17);
+    });
+
+    test('should not expose functions or prototypes', () => {
+      const self = { name: 'x', method() { return 1; } };
+
+      expect(evaluate('method', self)).toBeUndefined();
+      expect(evaluate('name.toString', self)).toBeUndefined();
+      expect(() => evaluate("name['constructor']", self)).toThrow('not allowed');
+    });
+  });
+
+  describe('parsing', () => {
+    test.each([
+      ['Min <', 'Unexpected end of expression'],
+      ['(Min < Max', "Expected ')'"],
+      ['Min Max', "Unexpected 'Max'"],
+      ['foo(1)', "Unknown function 'foo'"],
+      ['Value = 1', "Unexpected character '='"],
+      ["Name == 'abc", 'Unterminated string'],
+      ['this.__proto__', "Access to '__proto__' is not allowed"],
+      ['', 'Expression is empty']
+    ])('should reject %p', (source, message) => {
+      expect(() => new ConstraintExpression(source)).toThrow(ConstraintSyntaxError);
+      expect(() => new ConstraintExpression(source)).toThrow(message);
+    });
+
+    test('should report the position of the error', () => {
+      expect(() => new ConstraintExpression('Min < < Max')).toThrow('at position 6');
+    });
+
+    test('should list the properties and paths it uses', () => {
+      const expression = new ConstraintExpression(
+        'Flow <= RootModel.Settings.MaxFlow && len(Items) < RootModel.Pumps[0].Count + RootModel.Pumps[i].Count'
+      );
+
+      expect(expression.properties).toEqual(['Flow', 'Items', 'i']);
+      expect(expression.paths).toEqual(['RootModel.Settings.MaxFlow', 'RootModel.Pumps[0].Count', 'RootModel.Pumps']);
+    });
+  });
+});
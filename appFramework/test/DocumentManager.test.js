@@ -0,0 +1,200 @@
+import { DocumentManager, DOCUMENT_FORMAT } from '../controller/DocumentManager.js';
+import { EventTypes } from '../controller/EventTypes.js';
+import { MockApp } from './__mocks__/App.js';
+
+/**
+ * Minimal stand-in for ClientModel: a revision that changes with every edit
+ */
+class FakeModel {
+  constructor(data) {
+    this.data = data;
+    this.revision = 1;
+    this.validateSchema = jest.fn(() => []);
+    this.migrateData = jest.fn(migrated => ({ data: migrated, changes: [] }));
+    this.loadData = jest.fn(newData => {
+      this.data = newData;
+      this.revision++;
+      return { ...newData };
+    });
+  }
+
+  getSchemaVersions() {
+    return { TestBaseClass: 2 };
+  }
+
+  getRevision() {
+    return this.revision;
+  }
+
+  toJSON() {
+    return this.data;
+  }
+
+  edit(name) {
+    this.data = { ...this.data, name };
+    this.revision++;
+    this.app.eventManager.dispatchEvent(EventTypes.MODEL_TO_VIEW_PROPERTY_CHANGED, {
+      ObjectPath: 'RootModel', Property: 'name', Value: name
+    });
+  }
+}
+
+describe('DocumentManager', () => {
+  let app;
+  let model;
+  let manager;
+  let download;
+  let confirm;
+  let dispatchEventSpy;
+
+  const eventsOfType = (type) => dispatchEventSpy.mock.calls
+    .filter(([eventType]) => eventType === type)
+    .map(([, data]) => data);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    app = new MockApp();
+    model = new FakeModel({ name: 'Plant' });
+    model.app = app;
+    app.getModel = () => model;
+    app.callServer = jest.fn(() => Promise.resolve());
+
+    download = jest.fn();
+    confirm = jest.fn(() => false);
+    manager = new DocumentManager(app, { download, confirm });
+    dispatchEventSpy = jest.spyOn(app.eventManager, 'dispatchEvent');
+  });
+
+  afterEach(() => {
+    manager.destroy();
+    jest.restoreAllMocks();
+  });
+
+  test('should track unsaved changes and report them once', () => {
+    expect(manager.isDirty()).toBe(false);
+
+    model.edit('A');
+    model.edit('B');
+
+    expect(manager.isDirty()).toBe(true);
+    expect(eventsOfType(EventTypes.DOCUMENT_STATE_CHANGED)).toEqual([{ Dirty: true }]);
+  });
+
+  test('should save the model as a document and become clean', () => {
+    model.edit('Saved');
+
+    expect(manager.save()).toBe(true);
+
+    const [fileName, text] = download.mock.calls[0];
+    expect(fileName).toBe('TestBaseClass.json');
+    expect(JSON.parse(text)).toEqual(expect.objectContaining({
+      Format: DOCUMENT_FORMAT,
+      RootClass: 'TestBaseClass',
+      SchemaVersions: { TestBaseClass: 2 },
+      Data: { name: 'Saved' }
+    }));
+    expect(manager.isDirty()).toBe(false);
+    expect(eventsOfType(EventTypes.DOCUMENT_STATE_CHANGED).pop())
+      .toEqual({ Dirty: false, FileName: 'TestBaseClass.json' });
+  });
+
+  test('should load a saved document into the model', async () => {
+    const text = JSON.stringify({ Format: DOCUMENT_FORMAT, RootClass: 'TestBaseClass', Data: { name: 'Loaded' } });
+
+    await expect(manager.loadDocument(text, 'plant.json')).resolves.toBe(true);
+
+    expect(model.validateSchema).toHaveBeenCalledWith({ name: 'Loaded' });
+    expect(model.loadData).toHaveBeenCalledWith({ name: 'Loaded' }, true);
+    expect(eventsOfType(EventTypes.CLIENT_MODEL_UPDATED)).toEqual([{ Data: { name: 'Loaded' } }]);
+    expect(manager.getFileName()).toBe('plant.json');
+    expect(manager.isDirty()).toBe(false);
+  });
+
+  test('should upgrade documents saved with older model definitions', async () => {
+    model.migrateData.mockImplementation(() => ({ data: { label: 'Old' }, changes: [{ ClassName: 'TestBaseClass', From: 1, To: 2 }] }));
+
+    await manager.loadDocument(JSON.stringify({ Format: DOCUMENT_FORMAT, RootClass: 'TestBaseClass', Data: { name: 'Old' } }));
+
+    expect(model.migrateData).toHaveBeenCalledWith({ name: 'Old' }, {});
+    expect(model.validateSchema).toHaveBeenCalledWith({ label: 'Old' });
+    expect(model.loadData).toHaveBeenCalledWith({ label: 'Old' }, true);
+  });
+
+  test('should load bare data at the current versions without upgrading it', async () => {
+    await expect(manager.loadDocument({ name: 'Bare' }, 'bare.json')).resolves.toBe(true);
+
+    expect(model.migrateData).not.toHaveBeenCalled();
+    expect(model.loadData).toHaveBeenCalledWith({ name: 'Bare' }, true);
+  });
+
+  test('should reject documents that cannot be upgraded', async () => {
+    model.migrateData.mockImplementation(() => {
+      throw new Error('No migration of TestBaseClass from version 1');
+    });
+
+    const text = JSON.stringify({ Format: DOCUMENT_FORMAT, SchemaVersions: { TestBaseClass: 1 }, Data: {} });
+    await expect(manager.loadDocument(text, 'old.json')).resolves.toBe(false);
+
+    expect(model.loadData).not.toHaveBeenCalled();
+    expect(eventsOfType(EventTypes.CLIENT_ERROR)).toEqual([
+      expect.objectContaining({ Message: 'old.json cannot be upgraded to the current model definitions', Error: 'No migration of TestBaseClass from version 1' })
+    ]);
+  });
+
+  test('should ask the server to load the document when connected', async () => {
+    app.getServerConnectionStatus = () => ({ Connected: true });
+
+    await manager.loadDocument({ name: 'Bare' }, 'bare.json');
+
+    expect(app.callServer).toHaveBeenCalledWith('setRootModel', '', { RootModelData: { name: 'Bare' } });
+    expect(model.loadData).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['{ not json', 'is not a valid JSON file'],
+    [JSON.stringify({ Format: DOCUMENT_FORMAT, RootClass: 'Other', Data: {} }), 'contains a Other model']
+  ])('should reject the file %p', async (text, message) => {
+    await expect(manager.loadDocument(text, 'bad.json')).resolves.toBe(false);
+
+    expect(model.loadData).not.toHaveBeenCalled();
+    expect(eventsOfType(EventTypes.CLIENT_ERROR)).toEqual([
+      expect.objectContaining({ ID: 'DOCUMENT_LOAD_ERROR', Message: expect.stringContaining(message) })
+    ]);
+  });
+
+  test('should reject data that does not match the model definitions', async () => {
+    model.validateSchema.mockReturnValue(['RootModel.name: expected string, got number']);
+
+    await expect(manager.loadDocument({ name: 1 }, 'bad.json')).resolves.toBe(false);
+
+    expect(eventsOfType(EventTypes.CLIENT_ERROR)).toEqual([
+      expect.objectContaining({ Message: 'bad.json does not match the model definitions', Error: 'RootModel.name: expected string, got number' })
+    ]);
+  });
+
+  test('should ask before discarding unsaved changes', async () => {
+    const pickFile = jest.fn(() => Promise.resolve(null));
+    manager.destroy();
+    manager = new DocumentManager(app, { download, confirm, pickFile });
+
+    await manager.open();
+    expect(confirm).not.toHaveBeenCalled();
+    expect(pickFile).toHaveBeenCalledTimes(1);
+
+    model.edit('Unsaved');
+    await expect(manager.open()).resolves.toBe(false);
+    expect(confirm).toHaveBeenCalledTimes(1);
+    expect(pickFile).toHaveBeenCalledTimes(1);
+  });
+
+  test('should stop the page from closing with unsaved changes', () => {
+    const cleanEvent = new Event('beforeunload', { cancelable: true });
+    window.dispatchEvent(cleanEvent);
+    expect(cleanEvent.defaultPrevented).toBe(false);
+
+    model.edit('Unsaved');
+    const dirtyEvent = new Event('beforeunload', { cancelable: true });
+    window.dispatchEvent(dirtyEvent);
+    expect(dirtyEvent.defaultPrevented).toBe(true);
+  });
+});
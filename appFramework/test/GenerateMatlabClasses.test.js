@@ -0,0 +1,185 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { translateConstraintCondition } from '../../appGenerator/utils/constraint-to-matlab.js';
+import { generateMatlabClasses } from '../../appGenerator/utils/generate-matlab-classes.js';
+
+describe('translateConstraintCondition', () => {
+  const translate = (condition, options) => translateConstraintCondition(condition, options).condition;
+
+  describe('literals and paths', () => {
+    test.each([
+      ['a number', 'Flow > 1.5', '(obj.Flow > 1.5)'],
+      ['a string with quotes', `Name != 'say "hi"'`, '(obj.Name ~= "say ""hi""")'],
+      ['a boolean', 'Enabled == true', '(obj.Enabled == true)'],
+      ['this.Name', 'this.Flow > 0', '(obj.Flow > 0)'],
+      ['a string index', "Settings['MaxFlow'] > 0", '([obj.Settings.MaxFlow] > 0)'],
+      ['a literal index', 'Items[0].Value > 0', '([obj.Items(1).Value] > 0)'],
+      ['a computed index', 'Items[Current] > 0', '(obj.Items(obj.Current + 1) > 0)'],
+      ['member access on an array', 'sum(Items.Value) < 10', "(sum([obj.Items.Value], 'all') < 10)"]
+    ])('should translate %s', (_, condition, expected) => {
+      expect(translate(condition)).toBe(expected);
+    });
+
+    test('should read RootModel paths from the root model', () => {
+      expect(translate('Flow <= RootModel.Settings.MaxFlow')).toBe('(obj.Flow <= [obj.RootModel.Settings.MaxFlow])');
+      expect(translate('Flow <= RootModel.MaxFlow', { isRoot: true })).toBe('(obj.Flow <= obj.MaxFlow)');
+    });
+
+    test('should list the properties of the validated object', () => {
+      expect(translateConstraintCondition('Min <= Max && Items[Current] > RootModel.Limit').properties)
+        .toEqual(['Min', 'Max', 'Items', 'Current']);
+    });
+  });
+
+  describe('operators', () => {
+    test.each([
+      ['&&', 'A > 0 && B > 0', '((obj.A > 0) && (obj.B > 0))'],
+      ['and', 'A > 0 and B > 0', '((obj.A > 0) && (obj.B > 0))'],
+      ['||', 'A > 0 || B > 0', '((obj.A > 0) || (obj.B > 0))'],
+      ['or', 'A > 0 or B > 0', '((obj.A > 0) || (obj.B > 0))'],
+      ['!', '!Enabled', '(~obj.Enabled)'],
+      ['not', 'not Enabled', '(~obj.Enabled)'],
+      ['==', 'A == B', '(obj.A == obj.B)'],
+      ['===', 'A === B', '(obj.A == obj.B)'],
+      ['!=', 'A != B', '(obj.A ~= obj.B)'],
+      ['!==', 'A !== B', '(obj.A ~= obj.B)'],
+      ['<', 'A < B', '(obj.A < obj.B)'],
+      ['<=', 'A <= B', '(obj.A <= obj.B)'],
+      ['>', 'A > B', '(obj.A > obj.B)'],
+      ['>=', 'A >= B', '(obj.A >= obj.B)'],
+      ['+', 'A + B > 0', '((obj.A + obj.B) > 0)'],
+      ['-', 'A - B > 0', '((obj.A - obj.B) > 0)'],
+      ['*', 'A * B > 0', '((obj.A .* obj.B) > 0)'],
+      ['/', 'A / B > 0', '((obj.A ./ obj.B) > 0)'],
+      ['%', 'A % 2 == 0', '(rem(obj.A, 2) == 0)'],
+      ['unary -', '-A < 0', '((-obj.A) < 0)'],
+      ['== null', 'A == null', 'isempty(obj.A)'],
+      ['!= null', 'null != A', '(~isempty(obj.A))'],
+      ['?:', 'A > 0 ? B > 0 : true', 'constraintIf((obj.A > 0), @() (obj.B > 0), @() true)']
+    ])('should translate %s', (_, condition, expected) => {
+      expect(translate(condition)).toBe(expected);
+    });
+
+    test('should keep the precedence of the expression', () => {
+      expect(translate('!(A > 0 || B > 0) && C')).toBe('((~((obj.A > 0) || (obj.B > 0))) && obj.C)');
+    });
+  });
+
+  describe('functions', () => {
+    test.each([
+      ['len', 'len(Name) > 0', '(constraintLength(obj.Name) > 0)'],
+      ['.length', 'Items.length > 0', '(constraintLength(obj.Items) > 0)'],
+      ['isempty', '!isempty(Name)', '(~constraintIsEmpty(obj.Name))'],
+      ['sum', 'sum(Items) > 0', "(sum(obj.Items, 'all') > 0)"],
+      ['avg', 'avg(Items) > 0', "(mean(obj.Items, 'all') > 0)"],
+      ['min', 'min(A, B) > 0', "(min([obj.A, obj.B], [], 'all') > 0)"],
+      ['max', 'max(Items) > 0', "(max(obj.Items, [], 'all') > 0)"],
+      ['abs', 'abs(A) < 1', '(abs(obj.A) < 1)'],
+      ['round', 'round(A) == 1', '(floor(obj.A + 0.5) == 1)'],
+      ['floor', 'floor(A) == 1', '(floor(obj.A) == 1)'],
+      ['ceil', 'ceil(A) == 1', '(ceil(obj.A) == 1)'],
+      ['sqrt', 'sqrt(A) < 2', '(sqrt(obj.A) < 2)'],
+      ['pow', 'pow(A, 2) < 4', '(power(obj.A, 2) < 4)']
+    ])('should translate %s', (_, condition, expected) => {
+      expect(translate(condition)).toBe(expected);
+    });
+
+    test('should report the local functions a condition needs', () => {
+      expect(translateConstraintCondition('len(Name) > 0 ? !isempty(A) : true').helpers.sort())
+        .toEqual(['constraintIf', 'constraintIsEmpty', 'constraintLength']);
+      expect(translateConstraintCondition('A > 0').helpers).toEqual([]);
+    });
+  });
+
+  describe('unsupported conditions', () => {
+    test.each([
+      ['member access on a computed value', '(A ? B : C).Value > 0'],
+      ['a property name that is not an identifier', "Settings['max flow'] > 0"],
+      ['an aggregate without arguments', 'sum() > 0'],
+      ['a function with too many arguments', 'abs(A, B) > 0'],
+      ['a function with too few arguments', 'pow(A) > 0']
+    ])('should reject %s', (_, condition) => {
+      expect(() => translate(condition)).toThrow(/Cannot translate .* to MATLAB/);
+    });
+
+    test('should reject conditions that do not parse', () => {
+      expect(() => translate('A >')).toThrow(/Unexpected end of expression/);
+    });
+  });
+});
+
+describe('generateMatlabClasses', () => {
+  let tempFolder;
+  let modelFolder;
+  let targetFolder;
+
+  const writeDefinition = (definition) => {
+    fs.writeFileSync(path.join(modelFolder, `${definition.ClassName}.json`), JSON.stringify(definition));
+  };
+  const readClass = (className) => fs.readFileSync(path.join(targetFolder, '+plant', `${className}.m`), 'utf8');
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    tempFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'generate-matlab-'));
+    modelFolder = path.join(tempFolder, 'data-model');
+    targetFolder = path.join(tempFolder, 'matlab');
+    fs.mkdirSync(modelFolder);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempFolder, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('should write translated constraints with their local functions and setters', async () => {
+    writeDefinition({
+      ClassName: 'Pump',
+      Properties: { Name: { Type: 'string' }, Flow: { Type: 'number' }, MaxFlow: { Type: 'number' } },
+      Constraints: [
+        { id: 'named', condition: 'not isempty(Name)', errorMessage: "Pump's name is required" },
+        { id: 'flow', condition: 'Flow <= MaxFlow and Flow <= RootModel.Settings.MaxFlow' }
+      ]
+    });
+
+    await generateMatlabClasses('plant', modelFolder, targetFolder, { verbose: false });
+    const content = readClass('Pump');
+
+    expect(content).toContain('if ~((~constraintIsEmpty(obj.Name)))');
+    expect(content).toContain("error('Pump''s name is required');");
+    expect(content).toContain('if ~(((obj.Flow <= obj.MaxFlow) && (obj.Flow <= [obj.RootModel.Settings.MaxFlow])))');
+    expect(content).toMatch(/end {2}% classdef\n\nfunction tf = constraintIsEmpty\(value\)/);
+    expect(content).not.toContain('function n = constraintLength');
+
+    // Setters for the properties the conditions use
+    ['Name', 'Flow', 'MaxFlow'].forEach(name => expect(content).toContain(`function set.${name}(obj, value)`));
+  });
+
+  test('should read RootModel paths of the root class from the object itself', async () => {
+    writeDefinition({
+      ClassName: 'Plant',
+      IsRoot: true,
+      Properties: { Flow: { Type: 'number' }, MaxFlow: { Type: 'number' } },
+      Constraints: [{ id: 'flow', condition: 'Flow <= RootModel.MaxFlow' }]
+    });
+
+    await generateMatlabClasses('plant', modelFolder, targetFolder, { verbose: false });
+
+    expect(readClass('Plant')).toContain('if ~((obj.Flow <= obj.MaxFlow))');
+  });
+
+  test('should not write a class whose constraint cannot be translated', async () => {
+    writeDefinition({
+      ClassName: 'Pump',
+      Properties: { Flow: { Type: 'number' } },
+      Constraints: [{ id: 'flow', condition: "Settings['max flow'] > Flow" }]
+    });
+
+    await expect(generateMatlabClasses('plant', modelFolder, targetFolder, { verbose: false })).resolves.toEqual([]);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Constraint flow of Pump: Cannot translate'));
+    expect(fs.existsSync(path.join(targetFolder, '+plant', 'Pump.m'))).toBe(false);
+  });
+});
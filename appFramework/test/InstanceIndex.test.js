@@ -0,0 +1,64 @@
+import { InstanceIndex } from '../model/InstanceIndex.js';
+
+describe('InstanceIndex', () => {
+  let index;
+  let root;
+
+  beforeEach(() => {
+    root = {
+      _className: 'Study',
+      Uid: 's',
+      Settings: { _className: 'Settings', Uid: 'st' },
+      Compartments: [
+        { _className: 'Compartment', Uid: 'c1', Name: 'Plasma' },
+        { _className: 'Tissue', Uid: 'c2', Name: 'Liver', Species: [{ _className: 'Species', Uid: 'sp1' }] }
+      ],
+      Limits: [1, 2]
+    };
+    index = new InstanceIndex();
+    index.rebuild(root);
+  });
+
+  test('should index every model object by class and Uid', () => {
+    expect(index.find(['Compartment', 'Tissue']).map(object => object.Uid)).toEqual(['c1', 'c2']);
+    expect(index.find(null).map(object => object.Uid)).toEqual(['s', 'st', 'c1', 'c2', 'sp1']);
+    expect(index.find(['Compartment', 'Tissue'], object => object.Name === 'Liver')).toEqual([root.Compartments[1]]);
+    expect(index.getByUid('sp1')).toBe(root.Compartments[1].Species[0]);
+    expect(index.getByUid('missing')).toBeUndefined();
+  });
+
+  test('should give the parent and path of an object', () => {
+    const species = root.Compartments[1].Species[0];
+
+    expect(index.getParent(species)).toBe(root.Compartments[1]);
+    expect(index.getParent(root)).toBeNull();
+    expect(index.getPath(root)).toBe('RootModel');
+    expect(index.getPath(root.Settings)).toBe('RootModel.Settings');
+    expect(index.getPath(species)).toBe('RootModel.Compartments[1].Species[0]');
+
+    root.Compartments.reverse();
+
+    expect(index.getPath(species)).toBe('RootModel.Compartments[0].Species[0]');
+  });
+
+  test('should add and remove objects with the objects within them', () => {
+    const tissue = root.Compartments.pop();
+    index.remove(tissue);
+
+    expect(index.has(tissue)).toBe(false);
+    expect(index.getByUid('sp1')).toBeUndefined();
+    expect(index.getPath(tissue)).toBeNull();
+
+    root.Compartments.push(tissue);
+    index.add(tissue, root, 'Compartments');
+
+    expect(index.getPath(tissue.Species[0])).toBe('RootModel.Compartments[1].Species[0]');
+  });
+
+  test('should find objects whose Uid changed', () => {
+    root.Compartments[0].Uid = 'c9';
+
+    expect(index.getByUid('c9')).toBe(root.Compartments[0]);
+    expect(index.getByUid('c1')).toBeUndefined();
+  });
+});
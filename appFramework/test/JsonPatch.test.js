@@ -0,0 +1,149 @@
+import { JsonPatch, JsonPatchError } from '../utils/JsonPatch.js';
+import { ModelPathUtils } from '../utils/ModelPathUtils.js';
+
+const patch = (document, operations) => {
+  const copy = JsonPatch.clone(document);
+  const changes = JsonPatch.toChanges(copy, operations);
+  return { copy, changes };
+};
+
+describe('JSON Pointer conversion', () => {
+  test.each([
+    ['RootModel', ''],
+    ['RootModel.Name', '/Name'],
+    ['RootModel.Pumps[2].Flow', '/Pumps/2/Flow'],
+    ['RootModel.Grid[1][0]', '/Grid/1/0'],
+    ['RootModel.a~b.c/d', '/a~0b/c~1d']
+  ])('should convert %p to %p and back', (path, pointer) => {
+    expect(ModelPathUtils.objectPathToJsonPointer(path)).toBe(pointer);
+    expect(ModelPathUtils.jsonPointerToObjectPath(pointer)).toBe(path);
+  });
+
+  test.each([
+    ['Name', "must be empty or start with '/'"],
+    ['/0', 'the root model is not an array'],
+    ['/Na~2me', 'bad escape'],
+    ['/Pumps.Flow', 'cannot be expressed as an object path']
+  ])('should reject %p', (pointer, message) => {
+    expect(() => ModelPathUtils.jsonPointerToObjectPath(pointer)).toThrow(message);
+  });
+});
+
+describe('JsonPatch', () => {
+  const model = {
+    _className: 'Plant',
+    Name: 'A',
+    Pumps: [
+      { _className: 'Pump', Uid: 1, Flow: 1 },
+      { _className: 'Pump', Uid: 2, Flow: 2 }
+    ],
+    Spares: []
+  };
+
+  test('should translate add, remove and replace', () => {
+    const { copy, changes } = patch(model, [
+      { op: 'add', path: '/Pumps/-', value: { Flow: 3 } },
+      { op: 'replace', path: '/Pumps/0/Flow', value: 5 },
+      { op: 'remove', path: '/Pumps/1' },
+      { op: 'add', path: '/Notes', value: 'new' },
+      { op: 'remove', path: '/Name' }
+    ]);
+
+    expect(changes).toEqual([
+      { operation: 'insert', path: 'RootModel.Pumps', index: 2, item: { Flow: 3 } },
+      { operation: 'set', path: 'RootModel.Pumps[0].Flow', value: 5, oldValue: 1 },
+      { operation: 'remove', path: 'RootModel.Pumps', index: 1, item: expect.objectContaining({ Uid: 2 }) },
+      { operation: 'set', path: 'RootModel.Notes', value: 'new', oldValue: undefined },
+      { operation: 'set', path: 'RootModel.Name', value: undefined, oldValue: 'A' }
+    ]);
+    expect(copy.Pumps.map(pump => pump.Flow)).toEqual([5, 3]);
+    expect(copy).not.toHaveProperty('Name');
+  });
+
+  test('should move within an array and between properties', () => {
+    const { copy, changes } = patch(model, [
+      { op: 'move', from: '/Pumps/0', path: '/Pumps/1' },
+      { op: 'move', from: '/Pumps/0', path: '/Spares/0' }
+    ]);
+
+    expect(changes.map(change => change.operation)).toEqual(['move', 'remove', 'insert']);
+    expect(changes[0]).toEqual({ operation: 'move', path: 'RootModel.Pumps', index: 0, toIndex: 1 });
+    expect(copy.Pumps.map(pump => pump.Uid)).toEqual([1]);
+    expect(copy.Spares.map(pump => pump.Uid)).toEqual([2]);
+  });
+
+  test('should copy values without their Uids', () => {
+    const { changes } = patch(model, [{ op: 'copy', from: '/Pumps/1', path: '/Pumps/0' }]);
+
+    expect(changes).toEqual([
+      { operation: 'insert', path: 'RootModel.Pumps', index: 0, item: { _className: 'Pump', Flow: 2 } }
+    ]);
+  });
+
+  test('should replace the whole model with a diff', () => {
+    const { changes } = patch(model, [
+      { op: 'replace', path: '', value: { Name: 'B', Pumps: [{ Uid: 2, Flow: 2 }] } }
+    ]);
+
+    expect(changes).toEqual([
+      { operation: 'set', path: 'RootModel.Name', value: 'B', oldValue: 'A' },
+      { operation: 'remove', path: 'RootModel.Pumps', index: 0, item: expect.objectContaining({ Uid: 1 }) }
+    ]);
+  });
+
+  test('should check test operations ignoring key order and private fields', () => {
+    expect(patch(model, [
+      { op: 'test', path: '/Pumps/0', value: { Flow: 1, Uid: 1 } }
+    ]).changes).toEqual([]);
+
+    expect(() => patch(model, [{ op: 'test', path: '/Name', value: 'B' }])).toThrow('test failed');
+  });
+
+  test('should report the failing operation', () => {
+    const operations = [
+      { op: 'replace', path: '/Name', value: 'B' },
+      { op: 'remove', path: '/Pumps/5' }
+    ];
+
+    try {
+      patch(model, operations);
+      throw new Error('Expected the patch to fail');
+    } catch (error) {
+      expect(error).toBeInstanceOf(JsonPatchError);
+      expect(error.index).toBe(1);
+      expect(error.operation).toBe(operations[1]);
+      expect(error.message).toContain('no value at RootModel.Pumps[5]');
+    }
+  });
+
+  test.each([
+    [{ path: '/Name' }, "unknown op 'undefined'"],
+    [{ op: 'add', path: '/Name' }, "'value' is required"],
+    [{ op: 'move', path: '/Name' }, "'from' must be a string"],
+    [{ op: 'replace', path: 1, value: 1 }, "'path' must be a string"]
+  ])('should reject the malformed operation %p', (operation, message) => {
+    expect(() => JsonPatch.validate([operation])).toThrow(message);
+  });
+
+  test('should not move a value into itself', () => {
+    expect(() => patch(model, [{ op: 'move', from: '/Pumps', path: '/Pumps/0' }])).toThrow('into itself');
+  });
+
+  test('should convert changes to a patch', () => {
+    expect(JsonPatch.fromChanges([
+      { operation: 'set', path: 'RootModel.Pumps[0].Flow', value: 3, oldValue: 1 },
+      { operation: 'set', path: 'RootModel.Notes', value: 'x', oldValue: undefined },
+      { operation: 'set', path: 'RootModel.Notes', value: undefined, oldValue: 'x' },
+      { operation: 'insert', path: 'RootModel.Pumps', index: 1, item: { Flow: 4, toJSON: () => ({ Flow: 4 }) } },
+      { operation: 'remove', path: 'RootModel.Pumps', index: 0, item: {} },
+      { operation: 'move', path: 'RootModel.Pumps', index: 0, toIndex: 1 }
+    ])).toEqual([
+      { op: 'replace', path: '/Pumps/0/Flow', value: 3 },
+      { op: 'add', path: '/Notes', value: 'x' },
+      { op: 'remove', path: '/Notes' },
+      { op: 'add', path: '/Pumps/1', value: { Flow: 4 } },
+      { op: 'remove', path: '/Pumps/0' },
+      { op: 'move', from: '/Pumps/0', path: '/Pumps/1' }
+    ]);
+  });
+});
@@ -0,0 +1,134 @@
+import { MigrationRegistry, MigrationError } from '../model/MigrationRegistry.js';
+
+describe('MigrationRegistry', () => {
+  let registry;
+
+  const definitions = {
+    Plant: {
+      ClassName: 'Plant',
+      Version: 3,
+      Properties: {
+        Label: { Type: 'string' },
+        Units: { Type: 'string' },
+        Doses: { Type: 'Dose', IsArray: true }
+      },
+      Migrations: [
+        { From: 1, Description: 'Name is now Label', Steps: [{ Op: 'rename', Property: 'Name', To: 'Label' }] },
+        { From: 2, Steps: [{ Op: 'add', Property: 'Units', Value: 'mg' }, { Op: 'remove', Property: 'Legacy' }] }
+      ]
+    },
+    Dose: {
+      ClassName: 'Dose',
+      Version: 2,
+      Properties: { Amount: { Type: 'double' } },
+      Migrations: [{ From: 1, Steps: [{ Op: 'scale', Property: 'Amount', Factor: 1000 }] }]
+    },
+    Tracer: {
+      ClassName: 'Tracer',
+      Extends: 'Dose',
+      Properties: {}
+    }
+  };
+
+  beforeEach(() => {
+    registry = new MigrationRegistry();
+    registry.loadDefinitions(definitions);
+  });
+
+  test('should report the current version of each class', () => {
+    registry.register('Other', 1, () => {});
+    registry.register('Other', 2, () => {});
+
+    expect(registry.getVersions()).toEqual({ Plant: 3, Dose: 2, Tracer: 1, Other: 3 });
+  });
+
+  test('should upgrade the root and nested objects to the current versions', () => {
+    const data = { Name: 'Liver', Legacy: true, Doses: [{ Amount: 0.5 }, { Amount: 2 }] };
+
+    const { data: migrated, changes } = registry.migrate(data, 'Plant');
+
+    expect(migrated).toEqual({ Label: 'Liver', Units: 'mg', Doses: [{ Amount: 500 }, { Amount: 2000 }] });
+    expect(data).toEqual({ Name: 'Liver', Legacy: true, Doses: [{ Amount: 0.5 }, { Amount: 2 }] });
+    expect(changes).toEqual([
+      { Path: 'RootModel', ClassName: 'Plant', From: 1, To: 2, Description: 'Name is now Label', Details: ['Renamed Name to Label'] },
+      { Path: 'RootModel', ClassName: 'Plant', From: 2, To: 3, Description: '', Details: ['Added Units', 'Removed Legacy'] },
+      { Path: 'RootModel.Doses[0]', ClassName: 'Dose', From: 1, To: 2, Description: '', Details: ['Scaled Amount by 1000'] },
+      { Path: 'RootModel.Doses[1]', ClassName: 'Dose', From: 1, To: 2, Description: '', Details: ['Scaled Amount by 1000'] }
+    ]);
+  });
+
+  test('should start from the saved versions and use the class of each object', () => {
+    const data = { Label: 'Liver', Doses: [{ _className: 'Tracer', Amount: 1 }, { Amount: 1 }] };
+
+    const { data: migrated, changes } = registry.migrate(data, 'Plant', { Plant: 2, Dose: 2 });
+
+    expect(migrated.Doses).toEqual([{ _className: 'Tracer', Amount: 1 }, { Amount: 1 }]);
+    expect(changes.map(change => `${change.Path} ${change.From}`)).toEqual(['RootModel 2']);
+  });
+
+  test('should only report the changes in a dry run', () => {
+    const data = { Name: 'Liver' };
+
+    const { data: result, changes } = registry.migrate(data, 'Plant', { Plant: 1 }, { dryRun: true });
+
+    expect(result).toBe(data);
+    expect(data).toEqual({ Name: 'Liver' });
+    expect(changes).toHaveLength(2);
+  });
+
+  test('should run migrations registered in code with their context', () => {
+    const migrate = jest.fn((object) => {
+      object.Label = object.Label.toUpperCase();
+      return ['Upper-cased Label'];
+    });
+    registry.register('Label', 1, migrate, 'Upper-case labels');
+    registry.loadDefinitions({ Label: { ClassName: 'Label', Version: 2, Properties: {} } });
+
+    const { data, changes } = registry.migrate({ Label: 'a' }, 'Label');
+
+    expect(data).toEqual({ Label: 'A' });
+    expect(migrate).toHaveBeenCalledWith(expect.any(Object), { className: 'Label', path: 'RootModel', fromVersion: 1, toVersion: 2 });
+    expect(changes[0]).toEqual(expect.objectContaining({ Description: 'Upper-case labels', Details: ['Upper-cased Label'] }));
+  });
+
+  test.each([
+    [{ Plant: 4 }, 'RootModel was saved with version 4 of Plant, but the definitions are at version 3'],
+    [{ Plant: 3, Dose: 0 }, 'No migration of Dose from version 0']
+  ])('should reject data that cannot be upgraded (%p)', (versions, message) => {
+    let error;
+    try {
+      registry.migrate({ Doses: [{ Amount: 1 }] }, 'Plant', versions);
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(MigrationError);
+    expect(error.message).toBe(message);
+  });
+
+  test('should report failing migrations with the path of the object', () => {
+    registry.register('Broken', 1, () => { throw new Error('boom'); });
+
+    expect(() => registry.migrate({}, 'Broken'))
+      .toThrow('Migration of RootModel (Broken) from version 1 failed: boom');
+  });
+
+  test.each([null, 'Plant', 3])('should reject %p as data', (data) => {
+    expect(() => registry.migrate(data, 'Plant')).toThrow(new MigrationError('Data must be an object'));
+  });
+
+  test.each([
+    [{ From: 1, Steps: [{ Op: 'retype', Property: 'A' }] }, "unknown step 'retype'"],
+    [{ From: 1, Steps: [{ Op: 'rename', Property: 'A' }] }, "'To' must be a string"],
+    [{ From: 1, Steps: [{ Op: 'add', Property: 'A' }] }, "'Value' is required"],
+    [{ From: 0, Steps: [] }, 'From must be a positive integer']
+  ])('should reject malformed declared migrations (%p)', (migration, message) => {
+    expect(() => registry.loadDefinitions({ Bad: { ClassName: 'Bad', Migrations: [migration] } }))
+      .toThrow(message);
+  });
+
+  test('should reject duplicate migrations', () => {
+    expect(() => registry.register('Plant', 1, () => {}))
+      .toThrow('Duplicate migration of Plant from version 1');
+  });
+});
@@ -1,4 +1,6 @@
 import { ModelClassDefinitionManager } from '../model/ModelClassDefinitionManager.js';
+import { AbstractModelObject } from '../model/AbstractModelObject.js';
+import { ModelDataError, ModelValidationError } from '../model/ModelValidationError.js';
 import fs from 'fs';
 import path from 'path';
 
@@ -113,6 +115,107 @@ describe('ModelClassDefinitionManager', () => {
     });
   });
   
+  describe('Instance Validation', () => {
+    beforeEach(() => {
+      manager.loadDefinitions({
+        'TestBaseClass': testBaseClassDef,
+        'TestChildClass': testChildClassDef,
+        'Container': {
+          'ClassName': 'Container',
+          'Properties': {
+            'Items': { 'Type': 'TestChildClass' },
+            'Limits': { 'Type': 'double' }
+          }
+        }
+      });
+    });
+
+    test('should include inherited properties', () => {
+      expect(Object.keys(manager.getProperties('TestChildClass')))
+        .toEqual(['id', 'name', 'description', 'extraField', 'optionalField']);
+    });
+
+    test('should accept data that matches the definition', () => {
+      expect(manager.validateInstance({ id: 'a', name: 'A', extraField: 1, optionalField: null }, 'TestChildClass'))
+        .toBeNull();
+      expect(manager.validateInstance({ Items: [], Limits: [0, 'Infinity'] }, 'Container')).toBeNull();
+    });
+
+    test('should report missing required properties and wrong types', () => {
+      expect(manager.validateInstance({ id: 'a', extraField: 'many', optionalField: 'yes' }, 'TestChildClass')).toEqual([
+        'Missing required property: name',
+        'RootModel.extraField: expected number, got string',
+        'RootModel.optionalField: expected boolean, got string'
+      ]);
+    });
+
+    test('should validate nested objects against the class of their property', () => {
+      const errors = manager.validateInstance({
+        Items: [{ id: 'a', name: 'A', extraField: 1 }, { id: 'b', extraField: 2 }, 5]
+      }, 'Container');
+
+      expect(errors).toEqual([
+        'Missing required property: name (at RootModel.Items[1])',
+        'RootModel.Items[2]: expected an object of class TestChildClass'
+      ]);
+    });
+
+    test('should accept Uids for reference properties', () => {
+      manager.loadDefinitions({
+        'Link': {
+          'ClassName': 'Link',
+          'Properties': {
+            'Target': { 'Type': 'TestChildClass', 'Reference': true },
+            'Others': { 'Type': 'TestChildClass', 'Reference': true, 'IsArray': true }
+          }
+        }
+      });
+
+      expect(manager.validateInstance({ Target: 'c1', Others: ['c2', 7] }, 'Link')).toBeNull();
+      expect(manager.validateInstance({ Target: { id: 'c1', name: 'C' } }, 'Link'))
+        .toEqual(['RootModel.Target: expected the Uid of a TestChildClass, got object']);
+    });
+  });
+
+  describe('Subclass Items', () => {
+    beforeEach(() => {
+      manager.loadDefinitions({
+        'TestBaseClass': testBaseClassDef,
+        'TestChildClass': testChildClassDef,
+        'Other': { 'ClassName': 'Other', 'Properties': {} },
+        'Container': {
+          'ClassName': 'Container',
+          'Properties': { 'Items': { 'Type': 'TestBaseClass', 'IsArray': true } }
+        }
+      });
+    });
+
+    test('should list a class with its subclasses', () => {
+      expect(manager.getSubclassNames('TestBaseClass')).toEqual(['TestBaseClass', 'TestChildClass']);
+      expect(manager.getSubclassNames('TestChildClass')).toEqual(['TestChildClass']);
+      expect(manager.isSubclassOf('TestChildClass', 'TestBaseClass')).toBe(true);
+      expect(manager.isSubclassOf('TestBaseClass', 'TestChildClass')).toBe(false);
+    });
+
+    test('should resolve the class named by ClassName', () => {
+      expect(manager.resolveClassName('TestBaseClass', { name: 'A' })).toBe('TestBaseClass');
+      expect(manager.resolveClassName('TestBaseClass', { ClassName: 'TestChildClass' })).toBe('TestChildClass');
+      expect(() => manager.resolveClassName('TestBaseClass', { ClassName: 'Missing' }))
+        .toThrow("Unknown class 'Missing' in ClassName");
+      expect(() => manager.resolveClassName('TestBaseClass', { ClassName: 'Other' }))
+        .toThrow('Class Other is not TestBaseClass or a subclass of it');
+    });
+
+    test('should validate items against the class named by ClassName', () => {
+      expect(manager.validateInstance({
+        Items: [{ id: 'a', name: 'A' }, { ClassName: 'TestChildClass', id: 'b', name: 'B', extraField: 'x' }, { ClassName: 'Other' }]
+      }, 'Container')).toEqual([
+        'RootModel.Items[1].extraField: expected number, got string',
+        'RootModel.Items[2]: Class Other is not TestBaseClass or a subclass of it'
+      ]);
+    });
+  });
+
   describe('Clearing Registry', () => {
     test('should clear all registrations', () => {
       manager.registerClassDefinition('TestBaseClass', testBaseClassDef);
@@ -144,6 +247,126 @@ describe('ModelClassDefinitionManager', () => {
     });
   });
 
+  describe('Strict Mode', () => {
+    let Plant;
+    
+    beforeEach(() => {
+      manager.loadDefinitions({
+        Plant: {
+          ClassName: 'Plant',
+          Properties: {
+            Runs: { Type: 'integer', DefaultValue: 1 },
+            Mode: { Type: 'string', IsPrimitive: true, Enum: ['batch', 'continuous'] },
+            Tanks: { Type: 'Tank', IsArray: true, IsPrimitive: false }
+          }
+        },
+        Tank: {
+          ClassName: 'Tank',
+          Properties: { Volume: { Type: 'double', IsPrimitive: true } }
+        }
+      });
+      manager.generateClass('Tank', AbstractModelObject);
+      Plant = manager.generateClass('Plant', AbstractModelObject);
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+    
+    afterEach(() => {
+      console.warn.mockRestore();
+    });
+    
+    test('should use defaults with a warning by default', () => {
+      const plant = new Plant({ Runs: 'many', Mode: 'fed-batch', Tanks: [{ Volume: 'large' }] });
+      
+      expect(manager.isStrictMode()).toBe(false);
+      expect(plant.Runs).toBe(1);
+      expect(plant.Mode).toBe('fed-batch');
+      expect(plant.Tanks[0]._manager).toBe(manager);
+      expect(console.warn).toHaveBeenCalledWith('RootModel.Runs: Cannot convert "many" to integer');
+      expect(console.warn).toHaveBeenCalledWith('RootModel.Mode: Value "fed-batch" is not in enum: batch, continuous');
+    });
+    
+    test('should throw the first invalid value', () => {
+      manager.setStrictMode();
+      
+      expect(() => new Plant({ Mode: 'fed-batch' })).toThrow(new ModelValidationError(
+        'Value "fed-batch" is not in enum: batch, continuous'));
+      expect(() => new Plant({ Mode: 'batch' })).not.toThrow();
+    });
+    
+    test('should collect the invalid values of nested objects', () => {
+      manager.setStrictMode();
+      
+      let error;
+      try {
+        manager.collectErrors(() => new Plant({ Runs: 2.5, Tanks: [{ Volume: 1 }, { Volume: 'large' }] }));
+      } catch (e) {
+        error = e;
+      }
+      
+      expect(error).toBeInstanceOf(ModelDataError);
+      expect(error.errors.map(e => e.toJSON())).toEqual([
+        { Path: 'RootModel.Runs', ClassName: 'Plant', Property: 'Runs', Value: 2.5, Reason: 'conversion', Message: 'Cannot convert 2.5 to integer' },
+        { Path: 'RootModel.Tanks[1].Volume', ClassName: 'Tank', Property: 'Volume', Value: 'large', Reason: 'conversion', Message: 'Cannot convert "large" to double' }
+      ]);
+      expect(manager.collectErrors(() => 'valid')).toBe('valid');
+    });
+    
+    test('should report objects of unknown classes', () => {
+      manager.setStrictMode();
+      manager.registerClassDefinition('Plant', {
+        ClassName: 'Plant',
+        Properties: { Tank: { Type: 'Vessel', IsPrimitive: false } }
+      });
+      const Factory = manager.generateClass('Plant', AbstractModelObject);
+      
+      expect(() => new Factory({ Tank: {} })).toThrow(expect.objectContaining({
+        path: 'RootModel.Tank',
+        reason: 'nested'
+      }));
+    });
+  });
+
+  describe('Observable Instances', () => {
+    let Plant;
+    
+    beforeEach(() => {
+      manager.loadDefinitions({
+        Plant: {
+          ClassName: 'Plant',
+          Properties: {
+            Name: { Type: 'string', IsPrimitive: true },
+            Tanks: { Type: 'Tank', IsArray: true, IsPrimitive: false }
+          }
+        },
+        Tank: { ClassName: 'Tank', Properties: { Volume: { Type: 'double', IsPrimitive: true } } },
+        HeatedTank: { ClassName: 'HeatedTank', Extends: 'Tank', Properties: { Power: { Type: 'double', IsPrimitive: true } } }
+      });
+      manager.generateClass('Tank', AbstractModelObject);
+      manager.generateClass('HeatedTank', AbstractModelObject);
+      Plant = manager.generateClass('Plant', AbstractModelObject);
+    });
+    
+    test('should report direct assignments to properties with their object path', () => {
+      const plant = new Plant({ Name: 'P1', Tanks: [{ Volume: 1 }, { ClassName: 'HeatedTank', Volume: 2, Power: 3 }] });
+      const listener = jest.fn();
+      manager.getObserver().setRoot(plant);
+      manager.getObserver().subscribe(listener);
+      
+      manager.getObserver().batch(() => {
+        plant.Tanks[0].Volume = 10;
+        plant.Tanks[1].Power = 30;
+        plant.Tanks[1].Volume = 20;
+      });
+      
+      expect(listener).toHaveBeenCalledWith([
+        { ObjectPath: 'RootModel.Tanks[0]', Property: 'Volume', Value: 10, OldValue: 1 },
+        { ObjectPath: 'RootModel.Tanks[1]', Property: 'Power', Value: 30, OldValue: 3 },
+        { ObjectPath: 'RootModel.Tanks[1]', Property: 'Volume', Value: 20, OldValue: 2 }
+      ]);
+      expect(plant.toJSON().Name).toBe('P1');
+    });
+  });
+  
   describe('Error Handling', () => {
     test('should throw when registering a definition with null className', () => {
       expect(() => {
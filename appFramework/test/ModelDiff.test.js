@@ -0,0 +1,114 @@
+import { ModelDiff } from '../utils/ModelDiff.js';
+
+/**
+ * Apply changes to a plain copy of the model, as ClientModel does
+ */
+const apply = (model, changes) => {
+  const copy = JSON.parse(JSON.stringify(model));
+  const resolve = (path) => path.replace(/^RootModel\.?/, '').split(/[.[\]]+/).filter(Boolean)
+    .reduce((obj, key) => obj[key], copy);
+
+  changes.forEach(change => {
+    if (change.operation === 'set') {
+      const separator = change.path.lastIndexOf('.');
+      resolve(change.path.substring(0, separator))[change.path.substring(separator + 1)] = change.value;
+      return;
+    }
+    const array = resolve(change.path);
+    if (change.operation === 'insert') array.splice(change.index, 0, change.item);
+    if (change.operation === 'remove') array.splice(change.index, 1);
+    if (change.operation === 'move') array.splice(change.toIndex, 0, array.splice(change.index, 1)[0]);
+  });
+  return copy;
+};
+
+describe('ModelDiff', () => {
+  test('should return no changes for equal data', () => {
+    const model = { _className: 'Plant', Name: 'A', Limits: [1, 2], Pumps: [{ Uid: 1, Flow: 2 }] };
+
+    expect(ModelDiff.diff(model, { Name: 'A', Limits: [1, 2], Pumps: [{ Uid: 1, Flow: 2 }] })).toEqual([]);
+  });
+
+  test('should set changed values at their paths', () => {
+    const model = { Name: 'A', Settings: { MaxFlow: 5, Mode: 'auto' }, Limits: [1, 2] };
+
+    expect(ModelDiff.diff(model, { Name: 'A', Settings: { MaxFlow: 6, Mode: 'auto' }, Limits: [1, 3] })).toEqual([
+      { operation: 'set', path: 'RootModel.Settings.MaxFlow', value: 6, oldValue: 5 },
+      { operation: 'set', path: 'RootModel.Limits', value: [1, 3], oldValue: [1, 2] }
+    ]);
+  });
+
+  test('should treat Infinity strings from MATLAB as numbers', () => {
+    expect(ModelDiff.diff({ Max: Infinity, Min: -Infinity }, { Max: 'Infinity', Min: '-Infinity' })).toEqual([]);
+  });
+
+  test('should keep private and missing properties', () => {
+    expect(ModelDiff.diff({ _className: 'Plant', id: 12, Name: 'A' }, { _className: 'Other', Name: 'A' })).toEqual([]);
+  });
+
+  test('should match array items by Uid', () => {
+    const model = { Pumps: [{ Uid: 1, Flow: 1 }, { Uid: 2, Flow: 2 }, { Uid: 3, Flow: 3 }] };
+    const incoming = { Pumps: [{ Uid: 3, Flow: 3 }, { Uid: 4, Flow: 4 }, { Uid: 1, Flow: 10 }] };
+
+    const changes = ModelDiff.diff(model, incoming);
+
+    expect(changes).toEqual([
+      { operation: 'remove', path: 'RootModel.Pumps', index: 1, item: model.Pumps[1] },
+      { operation: 'move', path: 'RootModel.Pumps', index: 1, toIndex: 0 },
+      { operation: 'insert', path: 'RootModel.Pumps', index: 1, item: incoming.Pumps[1] },
+      { operation: 'set', path: 'RootModel.Pumps[2].Flow', value: 10, oldValue: 1 }
+    ]);
+    expect(apply(model, changes)).toEqual(incoming);
+  });
+
+  test('should match items without Uid by position', () => {
+    const model = { Points: [{ x: 1 }, { x: 2 }, { x: 3 }] };
+    const incoming = { Points: [{ x: 1 }, { x: 5 }] };
+
+    const changes = ModelDiff.diff(model, incoming);
+
+    expect(changes).toEqual([
+      { operation: 'set', path: 'RootModel.Points[1].x', value: 5, oldValue: 2 },
+      { operation: 'remove', path: 'RootModel.Points', index: 2, item: model.Points[2] }
+    ]);
+    expect(apply(model, changes)).toEqual(incoming);
+  });
+
+  test('should replace objects whose Uid changed', () => {
+    const model = { Settings: { Uid: 1, MaxFlow: 5 }, Pumps: [{ Uid: 1 }] };
+
+    expect(ModelDiff.diff(model, { Settings: { Uid: 2, MaxFlow: 5 } })).toEqual([
+      { operation: 'set', path: 'RootModel.Settings', value: { Uid: 2, MaxFlow: 5 }, oldValue: model.Settings }
+    ]);
+    expect(ModelDiff.isSameObject({ Uid: 1 }, { Name: 'x' })).toBe(true);
+    expect(ModelDiff.isSameObject({ Uid: 1 }, [])).toBe(false);
+  });
+
+  test('should replace array items whose ClassName changed', () => {
+    const model = { Compartments: [{ _className: 'Compartment', Uid: 'c1', Name: 'Liver' }] };
+    const incoming = { Compartments: [{ ClassName: 'Tissue', Uid: 'c1', Name: 'Liver' }] };
+
+    expect(ModelDiff.diff(model, { Compartments: [{ ClassName: 'Compartment', Uid: 'c1', Name: 'Liver' }] })).toEqual([]);
+    expect(ModelDiff.diff(model, incoming)).toEqual([
+      { operation: 'remove', path: 'RootModel.Compartments', index: 0, item: model.Compartments[0] },
+      { operation: 'insert', path: 'RootModel.Compartments', index: 0, item: incoming.Compartments[0] }
+    ]);
+  });
+
+  test('should produce changes that rebuild nested arrays', () => {
+    const model = {
+      Zones: [
+        { Uid: 'z1', Pumps: [{ Uid: 'p1', Flow: 1 }, { Uid: 'p2', Flow: 2 }] },
+        { Uid: 'z2', Pumps: [] }
+      ]
+    };
+    const incoming = {
+      Zones: [
+        { Uid: 'z2', Pumps: [{ Uid: 'p3', Flow: 3 }] },
+        { Uid: 'z1', Pumps: [{ Uid: 'p2', Flow: 20 }] }
+      ]
+    };
+
+    expect(apply(model, ModelDiff.diff(model, incoming))).toEqual(incoming);
+  });
+});
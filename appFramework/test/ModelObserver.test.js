@@ -0,0 +1,126 @@
+import { ModelObserver } from '../model/ModelObserver.js';
+
+describe('ModelObserver', () => {
+  let observer;
+  let root;
+  let listener;
+
+  beforeEach(() => {
+    root = {
+      _className: 'Study',
+      Name: 'Study 1',
+      Species: [
+        { _className: 'Species', Name: 'A', Amount: 1 },
+        { _className: 'Species', Name: 'B', Amount: 2 }
+      ]
+    };
+    observer = new ModelObserver();
+    observer.setRoot(root);
+    [root, ...root.Species].forEach(object => observer.observe(object));
+    listener = jest.fn();
+    observer.subscribe(listener);
+  });
+
+  test('should keep the observed properties enumerable', () => {
+    root.Species[0].Name = 'Glucose';
+
+    expect(Object.keys(root.Species[0])).toEqual(['_className', 'Name', 'Amount']);
+    expect(JSON.parse(JSON.stringify(root.Species[0]))).toEqual({ _className: 'Species', Name: 'Glucose', Amount: 1 });
+  });
+
+  test('should report assignments with their object path at the end of the task', async () => {
+    root.Species[1].Amount = 5;
+    root.Name = 'Study 2';
+
+    expect(listener).not.toHaveBeenCalled();
+    await Promise.resolve();
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith([
+      { ObjectPath: 'RootModel.Species[1]', Property: 'Amount', Value: 5, OldValue: 2 },
+      { ObjectPath: 'RootModel', Property: 'Name', Value: 'Study 2', OldValue: 'Study 1' }
+    ]);
+  });
+
+  test('should merge repeated assignments and drop those that restore the value', () => {
+    root.Species[0].Amount = 3;
+    root.Species[0].Amount = 4;
+    root.Name = 'Study 2';
+    root.Name = 'Study 1';
+    observer.flush();
+
+    expect(listener).toHaveBeenCalledWith([
+      { ObjectPath: 'RootModel.Species[0]', Property: 'Amount', Value: 4, OldValue: 1 }
+    ]);
+  });
+
+  test('should deliver the changes of a batch when it ends', () => {
+    const result = observer.batch(() => {
+      root.Species[0].Amount = 3;
+      observer.batch(() => {
+        root.Species[1].Amount = 4;
+      });
+      expect(listener).not.toHaveBeenCalled();
+      return 'done';
+    });
+
+    expect(result).toBe('done');
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][0].map(change => change.ObjectPath)).toEqual(['RootModel.Species[0]', 'RootModel.Species[1]']);
+  });
+
+  test('should deliver the changes of an asynchronous batch when it settles', async () => {
+    const done = observer.batch(async () => {
+      root.Species[0].Amount = 3;
+      await Promise.resolve();
+      root.Species[0].Amount = 6;
+    });
+
+    await Promise.resolve();
+    expect(listener).not.toHaveBeenCalled();
+    await done;
+
+    expect(listener).toHaveBeenCalledWith([
+      { ObjectPath: 'RootModel.Species[0]', Property: 'Amount', Value: 6, OldValue: 1 }
+    ]);
+  });
+
+  test('should find paths when changes are delivered', () => {
+    const [first] = root.Species;
+
+    first.Amount = 7;
+    root.Species.reverse();
+    root.Species[0].Name = 'b';
+    observer.flush();
+
+    expect(listener).toHaveBeenCalledWith([
+      { ObjectPath: 'RootModel.Species[1]', Property: 'Amount', Value: 7, OldValue: 1 },
+      { ObjectPath: 'RootModel.Species[0]', Property: 'Name', Value: 'b', OldValue: 'B' }
+    ]);
+  });
+
+  test('should not report changes made silently or to objects outside the model', () => {
+    const removed = root.Species.pop();
+
+    observer.silently(() => {
+      root.Name = 'Study 2';
+    });
+    removed.Amount = 9;
+    observer.flush();
+
+    expect(root.Name).toBe('Study 2');
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  test('should stop reporting changes to unsubscribed listeners', () => {
+    const other = jest.fn();
+    const unsubscribe = observer.subscribe(other);
+
+    unsubscribe();
+    root.Name = 'Study 2';
+    observer.flush();
+
+    expect(listener).toHaveBeenCalled();
+    expect(other).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,138 @@
+import { ModelPanel } from '../view/components/ModelPanel.js';
+import { ArrayTableComponent } from '../view/components/ArrayTableComponent.js';
+import { BindingManager } from '../binding/BindingManager.js';
+import { EventTypes } from '../controller/EventTypes.js';
+import { MockApp } from './__mocks__/App.js';
+
+describe('ModelPanel', () => {
+  let app;
+  let view;
+  let model;
+
+  const config = {
+    Sections: [{
+      Type: 'PropertyGroup',
+      GroupName: 'Pumps',
+      Widgets: [{
+        WidgetClass: 'DefaultWidgetComponent',
+        PropertyConfigs: [{ PropertyPath: 'Pumps', PropertyType: 'Array', Columns: [{ Key: 'Name', Type: 'string' }] }]
+      }]
+    }]
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    app = new MockApp();
+    const bindingManager = new BindingManager({ app });
+    app.getBindingManager = () => bindingManager;
+    app.getModel = () => null;
+    view = { getApp: () => app, log: jest.fn() };
+
+    model = { _className: 'Plant', Pumps: [{ Name: 'P1' }, { Name: 'P2' }] };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('updateModel', () => {
+    test('should destroy the sections of the previous form', () => {
+      const panel = new ModelPanel(view, config);
+      panel.updateModel(model);
+      panel.updateModel(model);
+
+      const updateTable = jest.spyOn(ArrayTableComponent.prototype, 'updateModel');
+      app.eventManager.dispatchEvent(EventTypes.MODEL_TO_VIEW_ARRAY_CHANGED, {
+        ObjectPath: '',
+        Property: 'Pumps',
+        Operation: 'insert',
+        Index: 2,
+        Length: 3
+      });
+
+      // Only the table of the current form is rebuilt
+      expect(updateTable).toHaveBeenCalledTimes(1);
+      expect(panel.formElement.querySelectorAll('.array-table-component')).toHaveLength(1);
+    });
+
+    test('should stop listening for model events when destroyed', () => {
+      const panel = new ModelPanel(view, config);
+      panel.updateModel(model);
+      panel.destroy();
+
+      const updateTable = jest.spyOn(ArrayTableComponent.prototype, 'updateModel');
+      app.eventManager.dispatchEvent(EventTypes.MODEL_TO_VIEW_ARRAY_CHANGED, {
+        ObjectPath: '',
+        Property: 'Pumps',
+        Operation: 'remove',
+        Index: 0,
+        Length: 1
+      });
+
+      expect(updateTable).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('focusPath', () => {
+    const formConfig = {
+      Sections: [
+        {
+          Type: 'PropertyGroup',
+          GroupName: 'General',
+          Widgets: [{ WidgetClass: 'DefaultWidgetComponent', PropertyConfigs: [{ PropertyPath: 'Name' }] }]
+        },
+        {
+          Type: 'PropertyGroup',
+          GroupName: 'Limits',
+          Widgets: [{ WidgetClass: 'DefaultWidgetComponent', PropertyConfigs: [{ PropertyPath: 'MaxFlow' }] }]
+        }
+      ]
+    };
+    let panel;
+
+    const header = (title) => [...panel.element.querySelectorAll('.section-header')]
+      .find(element => element.textContent.includes(title));
+
+    beforeEach(() => {
+      panel = new ModelPanel(view, formConfig);
+      document.body.appendChild(panel.element);
+      panel.updateModel({ _className: 'Plant', Name: 'Mill', MaxFlow: 10 });
+    });
+
+    afterEach(() => {
+      const { element } = panel;
+      panel.destroy();
+      element.remove();
+    });
+
+    test('should focus the field of a property path', () => {
+      expect(panel.focusPath('RootModel.MaxFlow')).toBe(true);
+      expect(document.activeElement.value).toBe('10');
+    });
+
+    test('should focus the first field of an object path', () => {
+      expect(panel.focusPath('RootModel')).toBe(true);
+      expect(document.activeElement.value).toBe('Mill');
+    });
+
+    test('should expand the collapsed section of the field', () => {
+      header('Limits').click();
+      expect(header('Limits').classList).toContain('collapsed');
+
+      panel.focusPath('RootModel.MaxFlow');
+
+      expect(header('Limits').classList).not.toContain('collapsed');
+      expect(header('Limits').nextElementSibling.classList).not.toContain('collapsed');
+    });
+
+    test('should leave reporting a path without a field to the view', () => {
+      console.warn.mockClear();
+
+      expect(panel.focusPath('RootModel.Pumps[3].Flow')).toBe(false);
+      expect(console.warn).not.toHaveBeenCalled();
+    });
+  });
+});
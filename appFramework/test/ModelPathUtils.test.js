@@ -0,0 +1,87 @@
+import { ModelPathUtils } from '../utils/ModelPathUtils.js';
+
+describe('ModelPathUtils.query', () => {
+  let root;
+
+  beforeEach(() => {
+    root = {
+      _className: 'Model',
+      Name: 'Model',
+      Compartments: [
+        {
+          Name: 'Plasma',
+          Species: [{ Name: 'Drug', Amount: 5 }, { Name: 'Metabolite', Amount: 0 }]
+        },
+        {
+          Name: 'Tissue',
+          Species: [{ Name: 'Drug', Amount: 2 }]
+        }
+      ],
+      Parameters: [
+        { Name: 'ka', Use: true, Value: 1.2 },
+        { Name: 'ke', Use: false, Value: 0.1 }
+      ],
+      Settings: { Solver: 'ode15s', MaxStep: 0.5 }
+    };
+  });
+
+  const paths = (query) => ModelPathUtils.query(root, query).map(match => match.path);
+
+  test('should resolve concrete paths', () => {
+    expect(ModelPathUtils.query(root, 'RootModel.Compartments[1].Species[0].Amount'))
+      .toEqual([{ path: 'RootModel.Compartments[1].Species[0].Amount', value: 2 }]);
+    expect(ModelPathUtils.query(root, 'Settings.Solver')).toEqual([{ path: 'RootModel.Settings.Solver', value: 'ode15s' }]);
+    expect(ModelPathUtils.query(root, 'RootModel')).toEqual([{ path: 'RootModel', value: root }]);
+    expect(ModelPathUtils.query(root, 'RootModel.Compartments[5].Name')).toEqual([]);
+  });
+
+  test('should match wildcards', () => {
+    expect(ModelPathUtils.query(root, 'RootModel.Compartments[*].Species[*].Name').map(match => match.value))
+      .toEqual(['Drug', 'Metabolite', 'Drug']);
+    expect(paths('RootModel.Settings.*')).toEqual(['RootModel.Settings.Solver', 'RootModel.Settings.MaxStep']);
+  });
+
+  test('should filter array items with conditions', () => {
+    expect(paths('RootModel.Parameters[?Use == true]')).toEqual(['RootModel.Parameters[0]']);
+    expect(paths('Compartments[*].Species[?Amount > 0 and Name != "Metabolite"].Amount')).toEqual([
+      'RootModel.Compartments[0].Species[0].Amount',
+      'RootModel.Compartments[1].Species[0].Amount'
+    ]);
+    expect(paths("Parameters[?Value > RootModel.Settings.MaxStep]")).toEqual(['RootModel.Parameters[0]']);
+  });
+
+  test('should search recursively', () => {
+    expect(paths('RootModel..Species[?Name == "Drug"]')).toEqual([
+      'RootModel.Compartments[0].Species[0]',
+      'RootModel.Compartments[1].Species[0]'
+    ]);
+    expect(paths('RootModel.Compartments..Name')).toEqual([
+      'RootModel.Compartments[0].Name',
+      'RootModel.Compartments[0].Species[0].Name',
+      'RootModel.Compartments[0].Species[1].Name',
+      'RootModel.Compartments[1].Name',
+      'RootModel.Compartments[1].Species[0].Name'
+    ]);
+    expect(paths('RootModel.._className')).toEqual(['RootModel._className']);
+  });
+
+  test.each([
+    ['', "Invalid path query '': the query is empty"],
+    ['Parameters[?Use ==]', "Invalid path query 'Parameters[?Use ==]': Unexpected end of expression"],
+    ['Parameters[first]', "'[first]' is not an index, [*] or [?condition]"],
+    ['Parameters[*', "missing ']' for '[' at position 10"],
+    ['Settings.', 'the query ends with a separator']
+  ])('should reject the malformed query %p', (query, message) => {
+    expect(() => ModelPathUtils.query(root, query)).toThrow(message);
+  });
+});
+
+describe('ModelPathUtils.splitPropertyPath', () => {
+  test.each([
+    ['RootModel.Name', 'RootModel', 'Name'],
+    ['RootModel.Compartments[2].Species[0].Amount', 'RootModel.Compartments[2].Species[0]', 'Amount'],
+    ['RootModel.Compartments', 'RootModel', 'Compartments']
+  ])('should split %p into the object path and the property', (path, objectPath, property) => {
+    expect(ModelPathUtils.splitPropertyPath(path)).toEqual({ objectPath, property });
+  });
+});
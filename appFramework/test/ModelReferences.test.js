@@ -0,0 +1,85 @@
+import { ModelReferences, getInstanceUid, toReferenceValue } from '../model/ModelReferences.js';
+
+describe('ModelReferences', () => {
+  let references;
+  let root;
+
+  beforeEach(() => {
+    references = new ModelReferences();
+    references.loadDefinitions({
+      Study: { ClassName: 'Study', Properties: { Compartments: { Type: 'Compartment', IsArray: true } } },
+      Compartment: { ClassName: 'Compartment', Properties: { Name: { Type: 'string' } } },
+      Tissue: { ClassName: 'Tissue', Extends: 'Compartment', Properties: { Organ: { Type: 'string' } } },
+      Dose: {
+        ClassName: 'Dose',
+        Properties: {
+          Target: { Type: 'Compartment', Reference: true },
+          Sampled: { Type: 'Compartment', Reference: true, IsArray: true }
+        }
+      },
+      Bolus: { ClassName: 'Bolus', Extends: 'Dose', Properties: { Sampled: { Type: 'string' } } }
+    });
+    root = {
+      _className: 'Study',
+      Uid: 's',
+      Compartments: [
+        { _className: 'Compartment', Uid: 'c1', Name: 'Plasma' },
+        { _className: 'Tissue', Uid: 'c2', Name: 'Liver' }
+      ],
+      Doses: [
+        { _className: 'Dose', Uid: 'd1', Target: 'c2', Sampled: ['c1', 'c3'] },
+        { _className: 'Bolus', Uid: 'd2', Target: null, Sampled: 'c1' }
+      ]
+    };
+  });
+
+  test('should find reference properties, including inherited ones', () => {
+    expect(references.getReferenceProperties('Dose')).toEqual([
+      { property: 'Target', type: 'Compartment', isArray: false },
+      { property: 'Sampled', type: 'Compartment', isArray: true }
+    ]);
+    expect(references.isReference('Bolus', 'Target')).toBe(true);
+    expect(references.isReference('Bolus', 'Sampled')).toBe(false);
+  });
+
+  test('should find reference properties by path', () => {
+    expect(references.isReferencePath(root, 'RootModel.Doses[0].Target')).toBe(true);
+    expect(references.isReferencePath(root, 'RootModel.Doses[1].Sampled')).toBe(false);
+    expect(references.isReferencePath(root, 'RootModel.Compartments[0].Name')).toBe(false);
+    expect(references.isReferencePath(root, 'RootModel.Doses[5].Target')).toBe(false);
+    expect(references.getReferenceProperty('Bolus', 'Target')).toEqual({ property: 'Target', type: 'Compartment', isArray: false });
+    expect(references.getReferenceProperty('Dose', 'Name')).toBeNull();
+  });
+
+  test('should find the objects a reference can point at', () => {
+    expect(references.findTargets(root, 'Compartment').map(target => target.path))
+      .toEqual(['RootModel.Compartments[0]', 'RootModel.Compartments[1]']);
+    expect(references.findTargets(root, 'Tissue').map(target => target.uid)).toEqual(['c2']);
+    expect(references.findObject(root, 'd2')).toEqual({ path: 'RootModel.Doses[1]', instance: root.Doses[1] });
+    expect(references.findObject(root, 'c9')).toBeNull();
+  });
+
+  test('should find the Uids that are not valid targets', () => {
+    expect(references.findInvalidUids(root, 'Tissue', ['c1', 'c2', 'c9'])).toEqual(['c1', 'c9']);
+    expect(references.findInvalidUids(root, 'Compartment', root.Compartments[1])).toEqual([]);
+    expect(references.findInvalidUids(root, 'Compartment', null)).toEqual([]);
+  });
+
+  test('should list the set references of a model', () => {
+    expect(references.findReferences(root).map(reference => [reference.Path, reference.Uid])).toEqual([
+      ['RootModel.Doses[0].Target', 'c2'],
+      ['RootModel.Doses[0].Sampled[0]', 'c1'],
+      ['RootModel.Doses[0].Sampled[1]', 'c3']
+    ]);
+    expect(references.findReferences(root, uid => !references.findObject(root, uid)).map(reference => reference.Path))
+      .toEqual(['RootModel.Doses[0].Sampled[1]']);
+  });
+
+  test('should store objects as their Uid', () => {
+    expect(toReferenceValue({ Uid: 'c1', Name: 'Plasma' })).toBe('c1');
+    expect(toReferenceValue({ id: 42 })).toBe(42);
+    expect(toReferenceValue('c1')).toBe('c1');
+    expect(toReferenceValue(true)).toBeNull();
+    expect(getInstanceUid({ ID: 7 })).toBe(7);
+  });
+});
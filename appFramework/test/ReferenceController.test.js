@@ -0,0 +1,130 @@
+/**
+ * @jest-environment node
+ */
+import { ReferenceController, PROTOCOL_VERSION } from '../../serverFramework/node/ReferenceController.js';
+
+describe('ReferenceController', () => {
+  let controller;
+  let notify;
+
+  const call = (MethodName, ObjectPath, Args) => controller.dispatch({ RequestId: 'r1', MethodName, ObjectPath, Args });
+  const notifications = () => notify.mock.calls.map(([, data]) => data);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    notify = jest.fn();
+    controller = new ReferenceController({
+      notify,
+      rootModelData: { Name: 'Plant', Pumps: [{ Name: 'P1' }, { Name: 'P2' }] }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('object paths', () => {
+    test('should assign Uids and resolve paths both ways', () => {
+      const pump = controller.getObjFromPath('RootModel.Pumps[1]');
+
+      expect(pump).toEqual({ Name: 'P2', Uid: expect.any(String) });
+      expect(controller.getPathFromUid(pump.Uid)).toBe('RootModel.Pumps[1]');
+      expect(controller.getObjFromPath('')).toBe(controller);
+    });
+
+    test.each([
+      ['a missing property', 'RootModel.Valves', /not found/],
+      ['an index out of range', 'RootModel.Pumps[2]', /Invalid array index/],
+      ['a malformed segment', 'RootModel.Pumps[x]', /Invalid path segment/],
+      ['a prototype property', 'RootModel.__proto__', /not found/],
+      ['an inherited property', 'RootModel.hasOwnProperty', /not found/],
+      ['a controller-private property', '_methods', /not found/]
+    ])('should reject %s', (_, objectPath, message) => {
+      expect(() => controller.getObjFromPath(objectPath)).toThrow(message);
+    });
+  });
+
+  describe('dispatch', () => {
+    test('should answer with the request fields and the results', () => {
+      expect(call('handshake', '', { ProtocolVersion: PROTOCOL_VERSION })).toEqual({
+        RequestId: 'r1',
+        MethodName: 'handshake',
+        ObjectPath: '',
+        Results: { ProtocolVersion: PROTOCOL_VERSION, Server: 'ReferenceController' }
+      });
+    });
+
+    test('should answer errors instead of throwing', () => {
+      expect(call('explode', 'RootModel', {}).Error).toEqual({ id: '', message: 'Unknown method explode' });
+      expect(call('resetRootModel', 'RootModel', {}).Error.message).toBe('Unknown method resetRootModel');
+      expect(controller.dispatch({ RequestId: 'r2' }).Error.message).toBe('Missing MethodName');
+    });
+
+    test('should call registered methods with the target and the arguments', () => {
+      const handler = jest.fn(() => ({ Flow: 3 }));
+      controller.registerMethod('computeFlow', handler);
+
+      expect(call('computeFlow', 'RootModel.Pumps[0]', { Speed: 2 }).Results).toEqual({ Flow: 3 });
+      expect(handler).toHaveBeenCalledWith(controller.RootModel.Pumps[0], { Speed: 2 }, controller);
+    });
+  });
+
+  describe('model methods', () => {
+    test('should update a property and notify the clients', () => {
+      call('updateProperty', 'RootModel.Pumps[0]', { PropertyName: 'Name', Value: 'Main' });
+
+      expect(controller.RootModel.Pumps[0].Name).toBe('Main');
+      expect(notifications()).toEqual([{
+        EventID: 'SERVER_MODEL_PROPERTY_UPDATED',
+        EventData: { ObjectPath: 'RootModel.Pumps[0]', PropertyName: 'Name', Value: 'Main', Source: 'server' }
+      }]);
+    });
+
+    test('should not add properties', () => {
+      expect(call('updateProperty', 'RootModel', { PropertyName: 'Owner', Value: 'x' }).Error.message)
+        .toBe('Property Owner not found');
+      expect(controller.RootModel).not.toHaveProperty('Owner');
+    });
+
+    test('should insert, move and remove array items', () => {
+      const { Results } = call('insertArrayItem', 'RootModel', { PropertyName: 'Pumps', Index: 1, Data: { Name: 'P3' } });
+      expect(Results.Item).toEqual({ Name: 'P3', Uid: expect.any(String) });
+
+      call('moveArrayItem', 'RootModel', { PropertyName: 'Pumps', Index: 1, ToIndex: 2 });
+      call('removeArrayItem', 'RootModel', { PropertyName: 'Pumps', Index: 0 });
+
+      expect(controller.RootModel.Pumps.map(pump => pump.Name)).toEqual(['P2', 'P3']);
+      expect(notifications().map(({ EventData }) => EventData.Operation)).toEqual(['insert', 'move', 'remove']);
+    });
+
+    test('should reject array indices out of range', () => {
+      expect(call('removeArrayItem', 'RootModel', { PropertyName: 'Pumps', Index: 2 }).Error.message).toMatch(/out of range/);
+      expect(call('insertArrayItem', 'RootModel', { PropertyName: 'Name', Index: 0 }).Error.message).toMatch(/not an array/);
+    });
+  });
+
+  describe('controller methods', () => {
+    test('should apply all property changes or none', () => {
+      const reply = call('applyPropertyChanges', '', {
+        Changes: [
+          { ObjectPath: 'RootModel', PropertyName: 'Name', Value: 'Mill' },
+          { ObjectPath: 'RootModel.Pumps[5]', PropertyName: 'Name', Value: 'P6' }
+        ]
+      });
+
+      expect(reply.Error.message).toMatch(/Invalid array index/);
+      expect(controller.RootModel.Name).toBe('Plant');
+      expect(notify).not.toHaveBeenCalled();
+    });
+
+    test('should replace the root model and send it to the clients', () => {
+      call('setRootModel', '', { RootModelData: { Name: 'Mill' } });
+
+      expect(controller.RootModel).toEqual({ Name: 'Mill', Uid: expect.any(String) });
+      expect(notifications()).toEqual([{
+        EventID: 'SERVER_MODEL_UPDATED',
+        EventData: { Data: controller.RootModel, Timestamp: expect.stringMatching(/^\d{4}-\d\d-\d\dT.*Z$/) }
+      }]);
+    });
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import WebSocket from 'ws';
+import { createReferenceServer } from '../../serverFramework/node/referenceServer.js';
+
+describe('referenceServer', () => {
+  let tempFolder;
+  let root;
+  let server;
+  let wss;
+  let controller;
+  let port;
+  let sockets;
+
+  // Make an HTTP request and collect the response
+  const request = (method, urlPath, { body, headers = {} } = {}) => new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path: urlPath, headers }, res => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+
+  const callOverHttp = (call, headers) => request('POST', '/api/call', { body: JSON.stringify(call), headers });
+
+  // Open a WebSocket; resolves with the socket, or with the HTTP status the upgrade was refused with
+  const connect = (origin) => new Promise(resolve => {
+    const socket = new WebSocket(`ws://127.0.0.1:${port}`, origin ? { origin } : {});
+    sockets.push(socket);
+    socket.on('open', () => resolve({ socket }));
+    socket.on('unexpected-response', (req, res) => resolve({ status: res.statusCode }));
+    socket.on('error', () => {});
+  });
+
+  // Wait for the next message on a socket that matches a condition
+  const nextMessage = (socket, matches = () => true) => new Promise(resolve => {
+    const onMessage = raw => {
+      const message = JSON.parse(raw.toString());
+      if (matches(message)) {
+        socket.off('message', onMessage);
+        resolve(message);
+      }
+    };
+    socket.on('message', onMessage);
+  });
+
+  const isReply = message => message.Event !== 'server_notification';
+
+  beforeAll(() => {
+    tempFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'reference-server-'));
+    root = path.join(tempFolder, 'www');
+    fs.mkdirSync(root);
+    fs.writeFileSync(path.join(root, 'index.html'), '<h1>App</h1>');
+    fs.writeFileSync(path.join(tempFolder, 'secret.txt'), 'secret');
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempFolder, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    sockets = [];
+
+    ({ server, wss, controller } = createReferenceServer({
+      root,
+      rootModelData: { Name: 'Plant', Pumps: [{ Name: 'P1' }] },
+      allowedOrigins: ['https://app.example.com']
+    }));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  afterEach(async () => {
+    sockets.forEach(socket => socket.terminate());
+    await new Promise(resolve => wss.close(resolve));
+    await new Promise(resolve => server.close(resolve));
+    jest.restoreAllMocks();
+  });
+
+  describe('method calls', () => {
+    test('should answer a method call over HTTP', async () => {
+      const response = await callOverHttp({ MethodName: 'updateProperty', ObjectPath: 'RootModel', Args: { PropertyName: 'Name', Value: 'Mill' } });
+
+      expect(response.status).toBe(200);
+      expect(JSON.parse(response.body)).toEqual({ MethodName: 'updateProperty', ObjectPath: 'RootModel', Results: {} });
+      expect(controller.RootModel.Name).toBe('Mill');
+    });
+
+    test('should answer a method call over WebSocket and notify the clients', async () => {
+      const { socket } = await connect();
+      const notification = nextMessage(socket, message => message.Event === 'server_notification');
+      const reply = nextMessage(socket, isReply);
+
+      socket.send(JSON.stringify({
+        Event: 'matlab_method_call_request',
+        Data: { RequestId: 'r1', MethodName: 'updateProperty', ObjectPath: 'RootModel', Args: { PropertyName: 'Name', Value: 'Mill' } }
+      }));
+
+      expect(await reply).toEqual({
+        Event: 'matlab_method_call_response',
+        Data: { RequestId: 'r1', MethodName: 'updateProperty', ObjectPath: 'RootModel', Results: {} }
+      });
+      expect((await notification).Data).toEqual(expect.objectContaining({ EventID: 'SERVER_MODEL_PROPERTY_UPDATED' }));
+    });
+  });
+
+  describe('origins', () => {
+    test('should refuse method calls over HTTP from pages of other origins', async () => {
+      const response = await callOverHttp(
+        { MethodName: 'updateProperty', ObjectPath: 'RootModel', Args: { PropertyName: 'Name', Value: 'Evil' } },
+        { Origin: 'https://evil.example.com' }
+      );
+
+      expect(response.status).toBe(403);
+      expect(controller.RootModel.Name).toBe('Plant');
+    });
+
+    test('should refuse WebSocket connections from pages of other origins', async () => {
+      expect(await connect('https://evil.example.com')).toEqual({ status: 401 });
+      expect(await connect('null')).toEqual({ status: 401 });
+    });
+
+    test('should accept local and allowed origins', async () => {
+      const call = { MethodName: 'handshake', ObjectPath: '', Args: { ProtocolVersion: '1.0.0' } };
+
+      expect((await callOverHttp(call, { Origin: 'http://localhost:8080' })).status).toBe(200);
+      expect((await callOverHttp(call, { Origin: 'https://app.example.com' })).status).toBe(200);
+      expect(await connect('http://127.0.0.1:5500')).toEqual({ socket: expect.any(WebSocket) });
+    });
+  });
+
+  describe('object paths', () => {
+    test.each([
+      ['an object path through __proto__', { ObjectPath: 'RootModel.__proto__', Args: { PropertyName: 'polluted', Value: true } }],
+      ['an object path through constructor', { ObjectPath: 'RootModel.constructor.prototype', Args: { PropertyName: 'polluted', Value: true } }],
+      ['the property __proto__', { ObjectPath: 'RootModel', Args: { PropertyName: '__proto__', Value: { polluted: true } } }],
+      ['the property constructor', { ObjectPath: 'RootModel', Args: { PropertyName: 'constructor', Value: 'x' } }]
+    ])('should reject %s', async (_, call) => {
+      const response = await callOverHttp({ MethodName: 'updateProperty', ...call });
+
+      expect(response.status).toBe(500);
+      expect(JSON.parse(response.body).Error.message).toMatch(/not found/);
+      expect({}.polluted).toBeUndefined();
+      expect(controller.RootModel.constructor).toBe(Object);
+    });
+  });
+
+  describe('malformed requests', () => {
+    test.each([
+      ['invalid JSON', 'not json'],
+      ['null', 'null'],
+      ['a message without Data', JSON.stringify({ Event: 'matlab_method_call_request' })],
+      ['an unknown event', JSON.stringify({ Event: 'shutdown', Data: {} })]
+    ])('should ignore %s over WebSocket and keep answering', async (_, message) => {
+      const { socket } = await connect();
+      const reply = nextMessage(socket, isReply);
+
+      socket.send(message);
+      socket.send(JSON.stringify({ Event: 'matlab_method_call_request', Data: { RequestId: 'r2', MethodName: 'handshake', Args: { ProtocolVersion: '1.0.0' } } }));
+
+      expect((await reply).Data).toEqual(expect.objectContaining({ RequestId: 'r2', Results: expect.any(Object) }));
+    });
+
+    test('should answer a request without MethodName with an error', async () => {
+      const { socket } = await connect();
+      const reply = nextMessage(socket, isReply);
+
+      socket.send(JSON.stringify({ Event: 'matlab_method_call_request', Data: { RequestId: 'r3' } }));
+
+      expect(await reply).toEqual({
+        Event: 'matlab_method_call_error',
+        Data: { RequestId: 'r3', Error: { id: '', message: 'Missing MethodName' } }
+      });
+    });
+
+    test.each([
+      ['invalid JSON', '{'],
+      ['null', 'null'],
+      ['a number', '42']
+    ])('should answer an HTTP body of %s with 400', async (_, body) => {
+      const response = await request('POST', '/api/call', { body });
+
+      expect(response.status).toBe(400);
+      expect(JSON.parse(response.body).Error.id).toBe('BadRequest');
+    });
+
+    test('should answer other HTTP methods with 405', async () => {
+      expect((await request('DELETE', '/index.html')).status).toBe(405);
+    });
+  });
+
+  describe('static files', () => {
+    test('should serve files from the root folder', async () => {
+      expect(await request('GET', '/')).toEqual({ status: 200, body: '<h1>App</h1>' });
+      expect(await request('GET', '/index.html')).toEqual({ status: 200, body: '<h1>App</h1>' });
+      expect((await request('GET', '/missing.js')).status).toBe(404);
+    });
+
+    test.each([
+      ['a relative path', '/../secret.txt'],
+      ['an encoded relative path', '/%2e%2e/secret.txt'],
+      ['an encoded separator', '/..%2fsecret.txt'],
+      ['an encoded backslash', '/..%5csecret.txt']
+    ])('should not serve files outside the root folder through %s', async (_, urlPath) => {
+      const response = await request('GET', urlPath);
+
+      expect(response.status).not.toBe(200);
+      expect(response.body).not.toContain('secret');
+    });
+
+    test('should answer an undecodable URL with 400', async () => {
+      expect((await request('GET', '/%E0%A4%A')).status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,218 @@
+import { ScriptedMATLABComponent } from '../controller/ScriptedMATLABComponent.js';
+import { SessionRecorder } from '../controller/SessionRecorder.js';
+import { UIHTMLServiceLayer } from '../controller/service/UIHTMLServiceLayer.js';
+import { HANDSHAKE_METHOD } from '../controller/service/WireProtocol.js';
+import { EventTypes } from '../controller/EventTypes.js';
+import { MockApp } from './__mocks__/App.js';
+import editNameSession from './sessions/editName.session.json';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('ScriptedMATLABComponent', () => {
+  let mockApp;
+  let serviceLayer;
+  let component;
+  let dispatchEventSpy;
+
+  const connect = async (fixture) => {
+    component = new ScriptedMATLABComponent(fixture);
+    serviceLayer = new UIHTMLServiceLayer(mockApp, component);
+    await serviceLayer.init();
+    await wait(0); // handshake reply
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    mockApp = new MockApp();
+    dispatchEventSpy = jest.spyOn(mockApp.eventManager, 'dispatchEvent');
+  });
+
+  afterEach(() => {
+    serviceLayer?.destroy();
+    component?.destroy();
+    jest.restoreAllMocks();
+  });
+
+  test('should answer the handshake with the fixture protocol version', async () => {
+    await connect({ ProtocolVersion: '1.2.0' });
+
+    expect(serviceLayer.getProtocolInfo()).toEqual(expect.objectContaining({
+      ServerVersion: '1.2.0',
+      Server: 'ScriptedMATLABComponent',
+      Compatible: true
+    }));
+  });
+
+  test('should reply with results and notifications filled from the request', async () => {
+    await connect(editNameSession);
+
+    const promise = serviceLayer.callMethod('updateProperty', 'RootModel', { PropertyName: 'Name', Value: 'Pump' });
+    await expect(promise).resolves.toEqual({});
+
+    expect(dispatchEventSpy).toHaveBeenCalledWith(
+      EventTypes.SERVER_MODEL_PROPERTY_UPDATED,
+      expect.objectContaining({ PropertyName: 'Name', Value: 'Pump' })
+    );
+  });
+
+  test('should send notifications before the reply they belong to', async () => {
+    await connect(editNameSession);
+    const order = [];
+    dispatchEventSpy.mockImplementation((eventType) => order.push(eventType));
+
+    await serviceLayer.callMethod('setRootModel', '', { RootModelData: { Name: 'Pump' } });
+    order.push('resolved');
+
+    expect(order).toEqual([EventTypes.SERVER_MODEL_UPDATED, 'resolved']);
+  });
+
+  test('should use the first matching rule and fall through to later ones', async () => {
+    await connect(editNameSession);
+
+    await expect(serviceLayer.callMethod('updateProperty', 'RootModel', { PropertyName: 'Version', Value: 2 }))
+      .rejects.toThrow('Property Version is read-only');
+  });
+
+  test('should stop using a rule once it answered Times calls', async () => {
+    await connect({
+      Rules: [
+        { MethodName: 'getSummary', Results: { Count: 1 }, Times: 1 },
+        { MethodName: 'getSummary', Results: { Count: 2 } }
+      ]
+    });
+
+    expect(component.getPendingRules()).toHaveLength(1);
+    await expect(serviceLayer.callMethod('getSummary')).resolves.toEqual({ Count: 1 });
+    await expect(serviceLayer.callMethod('getSummary')).resolves.toEqual({ Count: 2 });
+    await expect(serviceLayer.callMethod('getSummary')).resolves.toEqual({ Count: 2 });
+    expect(component.getPendingRules()).toEqual([]);
+  });
+
+  test('should reply with an error to calls no rule matches', async () => {
+    await connect({ Rules: [] });
+
+    await expect(serviceLayer.callMethod('getSummary')).rejects.toThrow('No fixture rule matches getSummary');
+    expect(component.getReceivedRequests().map(request => request.MethodName))
+      .toEqual([HANDSHAKE_METHOD, 'getSummary']);
+  });
+
+  test('should not reply to NoReply rules', async () => {
+    await connect({ Rules: [{ MethodName: 'slowMethod', NoReply: true }] });
+
+    await expect(serviceLayer.callMethod('slowMethod', '', {}, { timeout: 20 })).rejects.toThrow('timed out');
+  });
+
+  test('should send startup notifications once the service layer listens', async () => {
+    await connect({
+      Notifications: [{ EventID: 'SERVER_MODEL_UPDATED', EventData: { Data: { Name: 'Pump' } } }]
+    });
+
+    expect(dispatchEventSpy).toHaveBeenCalledWith(EventTypes.SERVER_MODEL_UPDATED, { Data: { Name: 'Pump' } });
+  });
+
+  test('should reject invalid fixtures', () => {
+    expect(() => new ScriptedMATLABComponent({ Rules: {} })).toThrow('Rules must be an array');
+    expect(() => new ScriptedMATLABComponent({ Rules: [{ Results: {} }] })).toThrow('must have a MethodName');
+    expect(() => new ScriptedMATLABComponent({ Rules: [{ MethodName: 'a', Results: {}, Error: 'x' }] }))
+      .toThrow('only one of Results, Error and NoReply');
+  });
+});
+
+describe('SessionRecorder', () => {
+  let mockApp;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockApp = new MockApp();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const recordSession = async (backend, calls) => {
+    let time = 0;
+    const recorder = new SessionRecorder({ now: () => time });
+    const serviceLayer = new UIHTMLServiceLayer(mockApp, recorder.wrap(backend));
+    await serviceLayer.init();
+    await wait(0);
+
+    for (const [methodName, objectPath, args] of calls) {
+      time += 100;
+      const promise = serviceLayer.callMethod(methodName, objectPath, args).catch(() => {});
+      time += 7;
+      await wait(0);
+      await promise;
+    }
+
+    serviceLayer.destroy();
+    return recorder;
+  };
+
+  test('should record both directions of the traffic', async () => {
+    const recorder = await recordSession(new ScriptedMATLABComponent(editNameSession), [
+      ['updateProperty', 'RootModel', { PropertyName: 'Name', Value: 'Pump' }]
+    ]);
+
+    expect(recorder.getEntries().map(({ Direction, Event }) => `${Direction} ${Event}`)).toEqual([
+      'out matlab_method_call_request',
+      'in matlab_method_call_response',
+      'out matlab_method_call_request',
+      'in server_notification',
+      'in matlab_method_call_response'
+    ]);
+  });
+
+  test('should turn a recording into a fixture that replays the session', async () => {
+    const recorder = await recordSession(new ScriptedMATLABComponent(editNameSession), [
+      ['updateProperty', 'RootModel', { PropertyName: 'Name', Value: 'Pump' }],
+      ['updateProperty', 'RootModel', { PropertyName: 'Version', Value: 2 }]
+    ]);
+    const fixture = recorder.toFixture();
+
+    expect(fixture.Rules.map(rule => rule.MethodName)).toEqual([HANDSHAKE_METHOD, 'updateProperty', 'updateProperty']);
+    expect(fixture.Rules[1]).toEqual(expect.objectContaining({
+      Args: { PropertyName: 'Name', Value: 'Pump' },
+      Results: {},
+      Delay: 7,
+      Times: 1,
+      Notifications: [expect.objectContaining({ EventID: 'SERVER_MODEL_PROPERTY_UPDATED', Delay: 7 })]
+    }));
+    expect(fixture.Rules[2].Error).toEqual({ id: 'RootModel:readOnly', message: 'Property Version is read-only' });
+
+    // Replay the recording against a fresh service layer
+    const replay = new ScriptedMATLABComponent(JSON.parse(JSON.stringify(fixture)));
+    const serviceLayer = new UIHTMLServiceLayer(mockApp, replay);
+    const dispatchEventSpy = jest.spyOn(mockApp.eventManager, 'dispatchEvent');
+    await serviceLayer.init();
+
+    await expect(serviceLayer.callMethod('updateProperty', 'RootModel', { PropertyName: 'Name', Value: 'Pump' }))
+      .resolves.toEqual({});
+    await expect(serviceLayer.callMethod('updateProperty', 'RootModel', { PropertyName: 'Version', Value: 2 }))
+      .rejects.toThrow('read-only');
+
+    expect(dispatchEventSpy).toHaveBeenCalledWith(
+      EventTypes.SERVER_MODEL_PROPERTY_UPDATED,
+      expect.objectContaining({ Value: 'Pump' })
+    );
+    expect(replay.getPendingRules()).toEqual([]);
+
+    serviceLayer.destroy();
+    replay.destroy();
+  });
+
+  test('should forward events through the wrapper and unwrap to the original component', () => {
+    const backend = new ScriptedMATLABComponent();
+    const recorder = new SessionRecorder();
+    const wrapped = recorder.wrap(backend);
+
+    expect(wrapped.isMock).toBe(false);
+    expect(recorder.unwrap(wrapped)).toBe(backend);
+    expect(recorder.unwrap(recorder.wrap(wrapped))).toBe(backend);
+  });
+});
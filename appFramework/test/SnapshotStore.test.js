@@ -0,0 +1,121 @@
+import { IDBFactory } from 'fake-indexeddb';
+import { IndexedDBSnapshotStore, MemorySnapshotStore } from '../model/SnapshotStore.js';
+
+describe.each([
+  ['IndexedDBSnapshotStore', () => new IndexedDBSnapshotStore({ indexedDB: new IDBFactory() })],
+  ['MemorySnapshotStore', () => new MemorySnapshotStore()]
+])('%s', (name, createStore) => {
+  let store;
+
+  beforeEach(() => {
+    store = createStore();
+  });
+
+  test('should return null for a key without a snapshot', async () => {
+    await expect(store.load('Plant')).resolves.toBeNull();
+  });
+
+  test('should save, replace and remove snapshots by key', async () => {
+    await store.save('Plant', { Revision: 1, Data: { name: 'A' } });
+    await store.save('Plant', { Revision: 2, Data: { name: 'B' } });
+    await store.save('Other', { Revision: 1, Data: { name: 'C' } });
+
+    await expect(store.load('Plant')).resolves.toEqual({ Revision: 2, Data: { name: 'B' } });
+
+    await store.remove('Plant');
+    await expect(store.load('Plant')).resolves.toBeNull();
+    await expect(store.load('Other')).resolves.toEqual({ Revision: 1, Data: { name: 'C' } });
+  });
+
+  test('should not share objects with the caller', async () => {
+    const snapshot = { Data: { name: 'A' } };
+    await store.save('Plant', snapshot);
+    snapshot.Data.name = 'Changed';
+
+    const loaded = await store.load('Plant');
+    loaded.Data.name = 'Changed again';
+
+    await expect(store.load('Plant')).resolves.toEqual({ Data: { name: 'A' } });
+  });
+});
+
+describe('IndexedDBSnapshotStore', () => {
+  let indexedDB;
+
+  // Open a database directly, creating the object stores on upgrade
+  const openDatabase = (name, version, storeNames = []) => new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, version);
+    request.onupgradeneeded = () => {
+      storeNames.forEach(storeName => request.result.createObjectStore(storeName));
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  beforeEach(() => {
+    indexedDB = new IDBFactory();
+  });
+
+  test('should open the database once and create the object store', async () => {
+    jest.spyOn(indexedDB, 'open');
+    const store = new IndexedDBSnapshotStore({ indexedDB, databaseName: 'app', storeName: 'autosave' });
+
+    await store.save('Plant', { Revision: 1 });
+    await store.load('Plant');
+    await store.close();
+
+    expect(indexedDB.open).toHaveBeenCalledTimes(1);
+    const database = await openDatabase('app');
+    expect(database.version).toBe(1);
+    expect(Array.from(database.objectStoreNames)).toEqual(['autosave']);
+    database.close();
+  });
+
+  test('should keep snapshots when the store is opened again', async () => {
+    const first = new IndexedDBSnapshotStore({ indexedDB });
+    await first.save('Plant', { Revision: 3 });
+    await first.close();
+
+    const second = new IndexedDBSnapshotStore({ indexedDB });
+    await expect(second.load('Plant')).resolves.toEqual({ Revision: 3 });
+  });
+
+  test('should open a database that was upgraded to a later version', async () => {
+    const database = await openDatabase('appFramework', 3, ['snapshots']);
+    database.close();
+
+    const store = new IndexedDBSnapshotStore({ indexedDB });
+    await store.save('Plant', { Revision: 1 });
+
+    await expect(store.load('Plant')).resolves.toEqual({ Revision: 1 });
+  });
+
+  test('should add its object store to a database created without it', async () => {
+    const database = await openDatabase('appFramework', 2, ['other']);
+    database.close();
+
+    const store = new IndexedDBSnapshotStore({ indexedDB });
+    await store.save('Plant', { Revision: 1 });
+
+    await expect(store.load('Plant')).resolves.toEqual({ Revision: 1 });
+    const upgraded = await openDatabase('appFramework');
+    expect(upgraded.version).toBe(3);
+    expect(Array.from(upgraded.objectStoreNames).sort()).toEqual(['other', 'snapshots']);
+    upgraded.close();
+  });
+
+  test('should let another store upgrade the database it has open', async () => {
+    const snapshots = new IndexedDBSnapshotStore({ indexedDB, storeName: 'snapshots' });
+    const drafts = new IndexedDBSnapshotStore({ indexedDB, storeName: 'drafts' });
+
+    await snapshots.save('Plant', { Revision: 1 });
+    await drafts.save('Plant', { Revision: 2 });
+
+    await expect(snapshots.load('Plant')).resolves.toEqual({ Revision: 1 });
+    await expect(drafts.load('Plant')).resolves.toEqual({ Revision: 2 });
+  });
+
+  test('should require an IndexedDB implementation', () => {
+    expect(() => new IndexedDBSnapshotStore({ indexedDB: null })).toThrow('IndexedDB is not available');
+  });
+});
@@ -0,0 +1,100 @@
+import {
+  convertToType,
+  formatDuration,
+  formatMatrix,
+  formatQuantity,
+  getTypeKind,
+  isValueOfType,
+  parseDuration,
+  parseMatrix,
+  parseQuantity
+} from '../utils/TypeConversionUtils.js';
+
+describe('TypeConversionUtils', () => {
+  test('should fold type names into kinds', () => {
+    expect(['double', 'Number', 'int32', 'integer', 'logical', 'char', 'Date', 'matrix', 'Compartment'].map(getTypeKind))
+      .toEqual(['number', 'number', 'integer', 'integer', 'boolean', 'string', 'date', 'matrix', null]);
+  });
+
+  describe('convertToType', () => {
+    test.each([
+      [' 42 ', 'double', 42],
+      ['Infinity', 'double', Infinity],
+      ['7', 'integer', 7],
+      [3, 'uint8', 3],
+      ['TRUE', 'logical', true],
+      [12, 'string', '12'],
+      ['2026-10-18T15:30:00Z', 'date', '2026-10-18'],
+      [new Date(Date.UTC(2026, 9, 18, 15, 30)), 'datetime', '2026-10-18T15:30:00.000Z'],
+      ['01:30:00', 'duration', 5400],
+      ['PT1H30M', 'duration', 5400],
+      [90, 'duration', 90],
+      ['5 mg', 'quantity', { Value: 5, Unit: 'mg' }],
+      [[1, 2, 3], 'matrix', [[1, 2, 3]]],
+      ['1 2; 3 Inf', 'matrix', [[1, 2], [3, Infinity]]],
+      [{ Any: 'thing' }, 'Compartment', { Any: 'thing' }]
+    ])('should convert %p to %s', (value, type, expected) => {
+      expect(convertToType(value, type)).toEqual(expected);
+    });
+
+    test('should use the default unit of the property for bare numbers', () => {
+      expect(convertToType(5, 'quantity', { Unit: 'mL' })).toEqual({ Value: 5, Unit: 'mL' });
+      expect(convertToType({ Value: '2', Unit: 'L' }, 'quantity', { Unit: 'mL' })).toEqual({ Value: 2, Unit: 'L' });
+    });
+
+    test('should leave null and undefined alone', () => {
+      expect(convertToType(null, 'date')).toBeNull();
+      expect(convertToType(undefined, 'integer')).toBeUndefined();
+    });
+
+    test.each([
+      ['abc', 'double'],
+      ['', 'double'],
+      [2.5, 'integer'],
+      ['not a date', 'date'],
+      ['soon', 'duration'],
+      ['mg', 'quantity'],
+      [[[1, 2], [3]], 'matrix'],
+      [{}, 'string']
+    ])('should reject %p as %s', (value, type) => {
+      expect(() => convertToType(value, type)).toThrow(`Cannot convert ${JSON.stringify(value)} to ${type}`);
+    });
+  });
+
+  test('should check stored forms', () => {
+    expect(isValueOfType(3, 'integer')).toBe(true);
+    expect(isValueOfType(3.5, 'int64')).toBe(false);
+    expect(isValueOfType('2026-10-18', 'date')).toBe(true);
+    expect(isValueOfType('yesterday', 'datetime')).toBe(false);
+    expect(isValueOfType({ Value: 1, Unit: 'mg' }, 'quantity')).toBe(true);
+    expect(isValueOfType({ Value: '1' }, 'quantity')).toBe(false);
+    expect(isValueOfType([[1, null], [2, 3]], 'matrix')).toBe(true);
+    expect(isValueOfType([[1], [2, 3]], 'matrix')).toBe(false);
+    expect(isValueOfType('anything', 'Compartment')).toBe(true);
+  });
+
+  test('should parse and format durations', () => {
+    expect(parseDuration('1:30')).toBe(90);
+    expect(parseDuration('-00:00:05')).toBe(-5);
+    expect(parseDuration('P1DT2S')).toBe(86402);
+    expect(parseDuration('')).toBeNaN();
+    expect(formatDuration(5400)).toBe('01:30:00');
+    expect(formatDuration(-90.5)).toBe('-00:01:30.5');
+    expect(formatDuration('n/a')).toBe('n/a');
+  });
+
+  test('should parse and format quantities', () => {
+    expect(parseQuantity('-1.5e3 ng/mL')).toEqual({ Value: -1500, Unit: 'ng/mL' });
+    expect(parseQuantity('inf', 'h')).toEqual({ Value: Infinity, Unit: 'h' });
+    expect(parseQuantity(true)).toBeNull();
+    expect(formatQuantity({ Value: Infinity, Unit: 'h' })).toBe('inf h');
+    expect(formatQuantity({ Value: 2, Unit: '' })).toBe('2');
+  });
+
+  test('should parse and format matrices', () => {
+    expect(parseMatrix('[1, 2\n3, 4]')).toEqual([[1, 2], [3, 4]]);
+    expect(parseMatrix('')).toEqual([]);
+    expect(parseMatrix('1 2; 3')).toBeNull();
+    expect(formatMatrix([[1, 2], [3, -Infinity]])).toBe('1 2; 3 -inf');
+  });
+});
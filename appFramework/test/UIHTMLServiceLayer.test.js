@@ -0,0 +1,356 @@
+import { UIHTMLServiceLayer } from '../controller/service/UIHTMLServiceLayer.js';
+import { ServerCallTimeoutError } from '../controller/service/ServiceLayer.js';
+import { EventTypes } from '../controller/EventTypes.js';
+import { PROTOCOL_VERSION, HANDSHAKE_METHOD, ProtocolError } from '../controller/service/WireProtocol.js';
+import { MockApp } from './__mocks__/App.js';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('UIHTMLServiceLayer', () => {
+  let serviceLayer;
+  let mockApp;
+  let htmlComponent;
+  let dispatchEventSpy;
+
+  // Requests sent to a component, leaving out protocol handshakes
+  const sentRequests = (component) => component.sendEventToMATLAB.mock.calls
+    .map(([, data]) => data)
+    .filter(data => data.MethodName !== HANDSHAKE_METHOD);
+
+  // Request sent to MATLAB by the most recent call
+  const lastRequest = () => htmlComponent.sendEventToMATLAB.mock.calls.at(-1)[1];
+
+  const respond = (Results) => {
+    serviceLayer._handleMatlabResponse({ Data: { RequestId: lastRequest().RequestId, Results } });
+  };
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    mockApp = new MockApp();
+    htmlComponent = {
+      isMock: false,
+      addEventListener: jest.fn(),
+      removeEventListener: jest.fn(),
+      sendEventToMATLAB: jest.fn()
+    };
+    serviceLayer = new UIHTMLServiceLayer(mockApp, htmlComponent);
+    await serviceLayer.init();
+
+    // Complete the startup handshake
+    respond({ ProtocolVersion: PROTOCOL_VERSION, Server: 'TestController' });
+    htmlComponent.sendEventToMATLAB.mockClear();
+
+    dispatchEventSpy = jest.spyOn(mockApp.eventManager, 'dispatchEvent');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('callMethod', () => {
+    test('should resolve with the method results', async () => {
+      const promise = serviceLayer.callMethod('getSummary', 'RootModel', { Detail: true });
+
+      expect(lastRequest()).toEqual(expect.objectContaining({
+        MethodName: 'getSummary',
+        ObjectPath: 'RootModel',
+        Args: { Detail: true }
+      }));
+
+      respond({ Count: 3 });
+
+      await expect(promise).resolves.toEqual({ Count: 3 });
+      expect(serviceLayer._pendingCalls.size).toBe(0);
+    });
+
+    test('should reject with the MATLAB error', async () => {
+      const promise = serviceLayer.callMethod('getSummary');
+
+      serviceLayer._handleMatlabError({ Data: { RequestId: lastRequest().RequestId, Error: 'Bad input' } });
+
+      await expect(promise).rejects.toThrow('Bad input');
+    });
+
+    test('should reject with a ServerCallTimeoutError and dispatch SERVER_ERROR on timeout', async () => {
+      const promise = serviceLayer.callMethod('slowMethod', '', {}, { timeout: 10 });
+
+      await expect(promise).rejects.toBeInstanceOf(ServerCallTimeoutError);
+      expect(serviceLayer._pendingCalls.size).toBe(0);
+      expect(dispatchEventSpy).toHaveBeenCalledWith(
+        EventTypes.SERVER_ERROR,
+        expect.objectContaining({ ID: 'MATLAB_CALL_TIMEOUT' })
+      );
+    });
+
+    test('should apply the default timeout to calls without one', async () => {
+      serviceLayer.setDefaultTimeout(50);
+      const promise = serviceLayer.callMethod('slowMethod');
+
+      expect(serviceLayer._pendingCalls.size).toBe(1);
+      await expect(promise).rejects.toThrow('timed out after 50ms');
+    });
+
+    test('should ignore a response that arrives after the timeout', async () => {
+      const promise = serviceLayer.callMethod('slowMethod', '', {}, { timeout: 10 });
+      await expect(promise).rejects.toThrow(ServerCallTimeoutError);
+
+      expect(() => respond({})).not.toThrow();
+    });
+
+    test('should cancel a pending call when its signal is aborted', async () => {
+      const controller = new AbortController();
+      const promise = serviceLayer.callMethod('slowMethod', '', {}, { signal: controller.signal });
+
+      controller.abort();
+
+      await expect(promise).rejects.toThrow();
+      expect(serviceLayer._pendingCalls.size).toBe(0);
+      expect(dispatchEventSpy).not.toHaveBeenCalledWith(EventTypes.SERVER_ERROR, expect.anything());
+    });
+
+    test('should not send a call whose signal is already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(serviceLayer.callMethod('slowMethod', '', {}, { signal: controller.signal }))
+        .rejects.toThrow();
+      expect(htmlComponent.sendEventToMATLAB).not.toHaveBeenCalled();
+    });
+
+    test('should reject calls while MATLAB is not connected', async () => {
+      htmlComponent.isMock = true;
+
+      await expect(serviceLayer.callMethod('getSummary')).rejects.toThrow('MATLAB is not connected');
+      expect(htmlComponent.sendEventToMATLAB).not.toHaveBeenCalled();
+      expect(serviceLayer._pendingCalls.size).toBe(0);
+    });
+
+    test('should reject pending calls when destroyed', async () => {
+      const promise = serviceLayer.callMethod('slowMethod');
+
+      serviceLayer.destroy();
+
+      await expect(promise).rejects.toThrow('service layer destroyed');
+    });
+  });
+
+  describe('offline queue', () => {
+    let storage;
+
+    const createStorage = () => {
+      const items = new Map();
+      return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, value),
+        removeItem: (key) => items.delete(key)
+      };
+    };
+
+    beforeEach(() => {
+      storage = createStorage();
+      htmlComponent.isMock = true;
+      serviceLayer.enableOfflineQueue({ storage, storageKey: 'queue' });
+    });
+
+    const reconnect = () => {
+      const connectedComponent = {
+        isMock: false,
+        addEventListener: jest.fn(),
+        removeEventListener: jest.fn(),
+        sendEventToMATLAB: jest.fn()
+      };
+      serviceLayer.setHTMLComponent(connectedComponent);
+      return connectedComponent;
+    };
+
+    test('should queue calls while disconnected and send them in order on reconnect', async () => {
+      const first = serviceLayer.callMethod('updateProperty', 'RootModel', { PropertyName: 'Name', Value: 'A' });
+      serviceLayer.callMethod('updateProperty', 'RootModel', { PropertyName: 'Name', Value: 'B' });
+
+      expect(htmlComponent.sendEventToMATLAB).not.toHaveBeenCalled();
+      expect(serviceLayer.getQueueStatus()).toEqual({ Connected: false, QueueEnabled: true, QueuedCount: 2 });
+
+      const connectedComponent = reconnect();
+
+      const sent = sentRequests(connectedComponent).map(data => data.Args.Value);
+      expect(sent).toEqual(['A', 'B']);
+      expect(serviceLayer.getQueueStatus().QueuedCount).toBe(0);
+      expect(connectedComponent.addEventListener).toHaveBeenCalledWith('matlab_method_call_response', expect.any(Function));
+
+      const { RequestId } = sentRequests(connectedComponent)[0];
+      serviceLayer._handleMatlabResponse({ Data: { RequestId, Results: { Done: true } } });
+      await expect(first).resolves.toEqual({ Done: true });
+    });
+
+    test('should store queued calls and restore them in a new session', () => {
+      serviceLayer.callMethod('updateProperty', 'RootModel', { PropertyName: 'Name', Value: 'A' });
+
+      expect(JSON.parse(storage.getItem('queue'))).toEqual([
+        expect.objectContaining({ MethodName: 'updateProperty', ObjectPath: 'RootModel' })
+      ]);
+
+      const restored = new UIHTMLServiceLayer(mockApp, { isMock: true, addEventListener: jest.fn() });
+      restored.enableOfflineQueue({ storage, storageKey: 'queue' });
+
+      expect(restored.getQueueStatus().QueuedCount).toBe(1);
+    });
+
+    test('should send restored calls when the component is set before init() finishes', async () => {
+      serviceLayer.callMethod('updateProperty', 'RootModel', { PropertyName: 'Name', Value: 'A' });
+
+      const restored = new UIHTMLServiceLayer(mockApp);
+      restored.enableOfflineQueue({ storage, storageKey: 'queue' });
+      const initialized = restored.init();
+      const connectedComponent = {
+        isMock: false,
+        addEventListener: jest.fn(),
+        removeEventListener: jest.fn(),
+        sendEventToMATLAB: jest.fn()
+      };
+      restored.setHTMLComponent(connectedComponent);
+      await initialized;
+
+      expect(restored.getQueueStatus()).toEqual({ Connected: true, QueueEnabled: true, QueuedCount: 0 });
+
+      const second = restored.callMethod('updateProperty', 'RootModel', { PropertyName: 'Name', Value: 'B' });
+
+      expect(sentRequests(connectedComponent).map(data => data.Args.Value)).toEqual(['A', 'B']);
+      restored.destroy();
+      await expect(second).rejects.toThrow('service layer destroyed');
+    });
+
+    test('should remove a queued call when its signal is aborted', async () => {
+      const controller = new AbortController();
+      const promise = serviceLayer.callMethod('updateProperty', '', {}, { signal: controller.signal });
+
+      controller.abort();
+
+      await expect(promise).rejects.toThrow();
+      expect(serviceLayer.getQueueStatus().QueuedCount).toBe(0);
+      expect(storage.getItem('queue')).toBeNull();
+    });
+
+    test('should reject calls when the queue is full', async () => {
+      serviceLayer.enableOfflineQueue({ storage, storageKey: 'queue', maxSize: 1 });
+      serviceLayer.callMethod('first');
+
+      await expect(serviceLayer.callMethod('second')).rejects.toThrow('offline queue is full');
+      expect(dispatchEventSpy).toHaveBeenCalledWith(
+        EventTypes.SERVER_ERROR,
+        expect.objectContaining({ ID: 'OFFLINE_QUEUE_FULL' })
+      );
+    });
+
+    test('should dispatch SERVER_CONNECTION_STATUS_CHANGED when the queue changes', () => {
+      serviceLayer.callMethod('first');
+
+      expect(dispatchEventSpy).toHaveBeenCalledWith(
+        EventTypes.SERVER_CONNECTION_STATUS_CHANGED,
+        expect.objectContaining({ Connected: false, QueuedCount: 1 })
+      );
+    });
+  });
+
+  describe('wire protocol', () => {
+    test('should record the server version from the startup handshake', () => {
+      expect(serviceLayer.getProtocolInfo()).toEqual({
+        ClientVersion: PROTOCOL_VERSION,
+        ServerVersion: PROTOCOL_VERSION,
+        Server: 'TestController',
+        Compatible: true
+      });
+    });
+
+    test('should report an incompatible server version', async () => {
+      const handshake = serviceLayer.performHandshake();
+      expect(lastRequest()).toEqual(expect.objectContaining({
+        MethodName: HANDSHAKE_METHOD,
+        Args: { ProtocolVersion: PROTOCOL_VERSION, Client: 'appFramework' }
+      }));
+
+      respond({ ProtocolVersion: '2.0.0' });
+
+      await expect(handshake).resolves.toEqual(expect.objectContaining({ ServerVersion: '2.0.0', Compatible: false }));
+      expect(dispatchEventSpy).toHaveBeenCalledWith(
+        EventTypes.CLIENT_ERROR,
+        expect.objectContaining({ ID: 'PROTOCOL_VERSION_MISMATCH' })
+      );
+    });
+
+    test('should reject a handshake reply without a version', async () => {
+      const handshake = serviceLayer.performHandshake();
+      respond({ Server: 'OldController' });
+
+      await expect(handshake).rejects.toBeInstanceOf(ProtocolError);
+      expect(dispatchEventSpy).toHaveBeenCalledWith(
+        EventTypes.CLIENT_ERROR,
+        expect.objectContaining({ ID: 'PROTOCOL_INVALID_MESSAGE' })
+      );
+    });
+
+    test('should fail the pending call when its response is malformed', async () => {
+      const promise = serviceLayer.callMethod('getSummary');
+
+      serviceLayer._handleMatlabResponse({ Data: { RequestId: lastRequest().RequestId, Results: 'not a struct' } });
+
+      await expect(promise).rejects.toThrow('Results must be of type object');
+      expect(serviceLayer._pendingCalls.size).toBe(0);
+      expect(dispatchEventSpy).toHaveBeenCalledWith(
+        EventTypes.CLIENT_ERROR,
+        expect.objectContaining({
+          ID: 'PROTOCOL_INVALID_MESSAGE',
+          Error: expect.objectContaining({ MessageType: 'matlab_method_call_response' })
+        })
+      );
+    });
+
+    test('should report responses without a RequestId instead of throwing', () => {
+      expect(() => serviceLayer._handleMatlabResponse({ Data: { Results: {} } })).not.toThrow();
+      expect(() => serviceLayer._handleMatlabError({})).not.toThrow();
+
+      expect(dispatchEventSpy).toHaveBeenCalledTimes(2);
+      expect(dispatchEventSpy).toHaveBeenCalledWith(
+        EventTypes.CLIENT_ERROR,
+        expect.objectContaining({ ID: 'PROTOCOL_INVALID_MESSAGE' })
+      );
+    });
+
+    test('should not dispatch malformed server notifications', () => {
+      serviceLayer._handleServerNotification({ Data: { EventID: 'server_model_updated', EventData: {} } });
+
+      expect(dispatchEventSpy).toHaveBeenCalledTimes(1);
+      expect(dispatchEventSpy).toHaveBeenCalledWith(
+        EventTypes.CLIENT_ERROR,
+        expect.objectContaining({ Message: expect.stringContaining('EventID') })
+      );
+    });
+
+    test('should not send requests that violate the protocol', async () => {
+      await expect(serviceLayer.callMethod('not a method name')).rejects.toBeInstanceOf(ProtocolError);
+
+      expect(htmlComponent.sendEventToMATLAB).not.toHaveBeenCalled();
+      expect(dispatchEventSpy).toHaveBeenCalledWith(
+        EventTypes.CLIENT_ERROR,
+        expect.objectContaining({ ID: 'PROTOCOL_INVALID_REQUEST' })
+      );
+    });
+  });
+
+  test('should time out callback-based requests dispatched as events', async () => {
+    const ErrorCallback = jest.fn();
+
+    mockApp.eventManager.dispatchEvent(EventTypes.MATLAB_METHOD_CALL_REQUEST, {
+      MethodName: 'slowMethod',
+      ObjectPath: '',
+      Callback: jest.fn(),
+      ErrorCallback,
+      Timeout: 10
+    });
+    await wait(20);
+
+    expect(ErrorCallback).toHaveBeenCalledWith(expect.any(ServerCallTimeoutError));
+  });
+});
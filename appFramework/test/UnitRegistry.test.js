@@ -0,0 +1,60 @@
+import { UnitRegistry, UnitError } from '../utils/UnitRegistry.js';
+
+describe('UnitRegistry', () => {
+  let units;
+
+  beforeEach(() => {
+    units = new UnitRegistry();
+  });
+
+  test.each([
+    [2.6, 'L', 'mL', 2600],
+    [1, 'h', 'min', 60],
+    [90, 'minutes', 'hours', 1.5],
+    [5, 'mg/mL', 'ng/uL', 5000],
+    [3, 'nanomole/liter', 'nM', 3],
+    [2, 'mL/min/kg', 'L/h/kg', 0.12],
+    [1, '1/(nanomolarity*hour)', '1/(nM*min)', 1 / 60],
+    [1, 'kg*m/s^2', 'N', 1],
+    [50, '%', '', 0.5]
+  ])('should convert %p %s to %s', (value, from, to, expected) => {
+    expect(units.convert(value, from, to)).toBeCloseTo(expected, 12);
+  });
+
+  test('should describe dimensions', () => {
+    expect(units.getDimension('ng/mL')).toBe('mass/length^3');
+    expect(units.getDimension('1/(nM*h)')).toBe('length^3/(time*amount)');
+    expect(units.getDimension('dimensionless')).toBe('dimensionless');
+  });
+
+  test('should compare the dimensions of units', () => {
+    expect(units.isCompatible('mL/h', 'L/day')).toBe(true);
+    expect(units.isCompatible('mg', 'mL')).toBe(false);
+    expect(units.isCompatible('mg', 'furlong')).toBe(false);
+  });
+
+  test('should reject conversions between incompatible units', () => {
+    expect(() => units.convert(1, 'mg', 'mL')).toThrow(new UnitError('Cannot convert mg (mass) to mL (length^3)'));
+  });
+
+  test.each([
+    ['furlong', "Unknown unit 'furlong' in furlong"],
+    ['mg//mL', "Invalid unit mg//mL: unexpected '/'"],
+    ['(mg', "Invalid unit (mg: missing ')'"],
+    ['m^x', "Invalid unit m^x: invalid exponent 'x'"]
+  ])('should reject the malformed unit %s', (unit, message) => {
+    expect(units.isKnown(unit)).toBe(false);
+    expect(() => units.parse(unit)).toThrow(message);
+  });
+
+  test('should define units in terms of other units', () => {
+    units.define('IU', { dimension: 'activity' }, { prefixable: true });
+    units.define('vial', '500 mIU', { aliases: ['vials'] });
+
+    expect(units.convert(2, 'vials', 'IU')).toBe(1);
+    expect(units.getDimension('IU/mL')).toBe('activity/length^3');
+    expect(units.isCompatible('IU', 'g')).toBe(false);
+    expect(() => units.define('hr', '60 min')).toThrow('Unit hr is already defined');
+    expect(() => units.define('lb', { dimension: 'mass' })).toThrow('Dimension mass already has the base unit g');
+  });
+});
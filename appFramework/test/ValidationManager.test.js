@@ -0,0 +1,249 @@
+import ValidationManager from '../utils/ValidationManager.js';
+import { EventTypes } from '../controller/EventTypes.js';
+import { MockApp } from './__mocks__/App.js';
+
+describe('ValidationManager constraints', () => {
+  let mockApp;
+  let validationManager;
+
+  const pumpDefinition = {
+    ClassName: 'Pump',
+    Properties: {
+      Flow: { Type: 'double' },
+      MinFlow: { Type: 'double' }
+    },
+    Constraints: [
+      { id: 'flowAboveMin', condition: 'Flow >= MinFlow', errorMessage: 'Flow must be at least MinFlow' },
+      { id: 'flowBelowLimit', condition: 'Flow <= RootModel.Settings.MaxFlow', properties: ['Flow'] }
+    ]
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockApp = new MockApp();
+    validationManager = new ValidationManager(mockApp);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should infer the properties of constraints from their conditions', () => {
+    validationManager.loadModelDefinition(pumpDefinition);
+
+    const ids = (property) => validationManager.getConstraintsForProperty('Pump', property)
+      .map(item => item.constraint.id);
+    expect(ids('MinFlow')).toEqual(['flowAboveMin']);
+    expect(ids('Flow')).toEqual(['flowAboveMin', 'flowBelowLimit']);
+  });
+
+  test('should evaluate constraints that reference other objects', () => {
+    validationManager.loadModelDefinition(pumpDefinition);
+    const [, flowBelowLimit] = validationManager.classConstraints.get('Pump');
+    const root = { Settings: { MaxFlow: 10 } };
+
+    expect(validationManager.evaluateConstraint({ Flow: 10 }, flowBelowLimit, root)).toBeNull();
+    expect(validationManager.evaluateConstraint({ Flow: 11 }, flowBelowLimit, root))
+      .toBe("Constraint 'flowBelowLimit' violated");
+  });
+
+  test('should evaluate constraints without compiling code', () => {
+    const functionSpy = jest.spyOn(global, 'Function');
+
+    validationManager.loadModelDefinition(pumpDefinition);
+    const [flowAboveMin] = validationManager.classConstraints.get('Pump');
+
+    expect(validationManager.evaluateConstraint({ Flow: 1, MinFlow: 2 }, flowAboveMin))
+      .toBe('Flow must be at least MinFlow');
+    expect(functionSpy).not.toHaveBeenCalled();
+  });
+
+  test('should report invalid conditions when the definition is loaded', () => {
+    const dispatchEventSpy = jest.spyOn(mockApp.eventManager, 'dispatchEvent');
+
+    validationManager.loadModelDefinition({
+      ClassName: 'Pump',
+      Properties: {},
+      Constraints: [{ id: 'broken', condition: 'Flow >>= 1', properties: ['Flow'] }]
+    });
+
+    expect(validationManager.constraintErrors).toEqual([
+      expect.objectContaining({ className: 'Pump', id: 'broken' })
+    ]);
+    expect(dispatchEventSpy).toHaveBeenCalledWith(
+      EventTypes.CLIENT_ERROR,
+      expect.objectContaining({ ID: 'CONSTRAINT_PARSE_ERROR' })
+    );
+
+    const [broken] = validationManager.classConstraints.get('Pump');
+    expect(validationManager.evaluateConstraint({ Flow: 1 }, broken)).toBe("Error evaluating constraint 'broken'");
+  });
+});
+
+describe('ValidationManager inheritance', () => {
+  let validationManager;
+
+  const baseDefinition = {
+    ClassName: 'Pump',
+    Properties: {
+      Flow: { Type: 'double', Validation: { minimum: 0, maximum: 100 } },
+      Name: { Type: 'string', Validation: { pattern: '^[A-Z]' } }
+    },
+    Constraints: [
+      { id: 'flowAboveMin', condition: 'Flow >= MinFlow', errorMessage: 'Flow must be at least MinFlow' },
+      { id: 'named', condition: 'len(Name) > 0' }
+    ]
+  };
+
+  const childDefinition = {
+    ClassName: 'BoosterPump',
+    Extends: 'Pump',
+    Properties: {
+      Flow: { Type: 'double', Validation: { maximum: 50, minimum: null } },
+      Boost: { Type: 'double', Validation: { minimum: 1 } }
+    },
+    Constraints: [
+      { id: 'flowAboveMin', condition: 'Flow > MinFlow', errorMessage: 'Flow must exceed MinFlow' },
+      { id: 'named', disabled: true },
+      { id: 'boostLimit', condition: 'Boost * Flow <= 200' }
+    ]
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    validationManager = new ValidationManager(new MockApp());
+    // The child is loaded first, as definitions are not ordered
+    validationManager.loadModelDefinition(childDefinition);
+    validationManager.loadModelDefinition(baseDefinition);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should walk the class hierarchy from the top-most parent', () => {
+    expect(validationManager.getClassHierarchy('BoosterPump')).toEqual(['Pump', 'BoosterPump']);
+    expect(validationManager.getClassHierarchy('Pump')).toEqual(['Pump']);
+  });
+
+  test('should merge property validations of parent classes', () => {
+    expect(validationManager.getPropertyValidation('BoosterPump', 'Flow')).toEqual({ maximum: 50 });
+    expect(validationManager.getPropertyValidation('BoosterPump', 'Name')).toEqual({ pattern: '^[A-Z]' });
+    expect(validationManager.getPropertyValidation('Pump', 'Boost')).toBeNull();
+  });
+
+  test('should override, remove and extend parent constraints by id', () => {
+    const constraints = validationManager.getClassConstraints('BoosterPump');
+
+    expect(constraints.map(constraint => constraint.id)).toEqual(['flowAboveMin', 'boostLimit']);
+    expect(constraints[0].errorMessage).toBe('Flow must exceed MinFlow');
+    expect(validationManager.getClassConstraints('Pump').map(constraint => constraint.id))
+      .toEqual(['flowAboveMin', 'named']);
+  });
+
+  test('should return inherited rules for a changed property', () => {
+    const items = validationManager.getConstraintsForProperty('BoosterPump', 'Name');
+
+    expect(items).toEqual([{ type: 'property', validation: { pattern: '^[A-Z]' } }]);
+  });
+
+  test('should report every violation of a whole instance by path', () => {
+    const root = {
+      _className: 'Station',
+      Main: { _className: 'Pump', Flow: 120, MinFlow: 0, Name: 'main' },
+      Boosters: [
+        { _className: 'BoosterPump', Flow: 10, MinFlow: 10, Name: 'B1', Boost: 1 },
+        { _className: 'BoosterPump', Flow: 40, MinFlow: 0, Name: 'B2', Boost: 10 }
+      ]
+    };
+
+    const report = validationManager.validateInstance(root);
+
+    expect(report.valid).toBe(false);
+    expect(report.violations).toEqual([
+      { Path: 'RootModel.Main.Flow', ClassName: 'Pump', Type: 'property', PropertyName: 'Flow', Message: 'Value must be at most 100' },
+      { Path: 'RootModel.Main.Name', ClassName: 'Pump', Type: 'property', PropertyName: 'Name', Message: 'Value does not match the required pattern' },
+      { Path: 'RootModel.Boosters[0]', ClassName: 'BoosterPump', Type: 'constraint', ConstraintId: 'flowAboveMin', Message: 'Flow must exceed MinFlow' },
+      { Path: 'RootModel.Boosters[1]', ClassName: 'BoosterPump', Type: 'constraint', ConstraintId: 'boostLimit', Message: "Constraint 'boostLimit' violated" }
+    ]);
+  });
+
+  test('should validate an instance at a given path', () => {
+    const pump = { Flow: 5, MinFlow: 0, Name: 'P1', Boost: 0 };
+
+    const report = validationManager.validateInstance(pump, { className: 'BoosterPump', path: 'RootModel.Pumps[2]' });
+
+    expect(report.violations).toEqual([
+      expect.objectContaining({ Path: 'RootModel.Pumps[2].Boost', Message: 'Value must be at least 1' })
+    ]);
+    expect(validationManager.validateInstance({ _className: 'Pump', Flow: 5, MinFlow: 0, Name: 'P' }).valid).toBe(true);
+  });
+});
+
+describe('ValidationManager units', () => {
+  let mockApp;
+  let validationManager;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockApp = new MockApp();
+    validationManager = new ValidationManager(mockApp);
+    validationManager.loadModelDefinition({
+      ClassName: 'Dose',
+      Properties: {
+        Amount: { Type: 'double', Unit: 'mg' },
+        Concentration: { Type: 'quantity', Unit: 'ng/mL', DisplayUnit: 'ug/L' }
+      }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should return the unit of a changed property', () => {
+    expect(validationManager.getConstraintsForProperty('Dose', 'Amount'))
+      .toEqual([{ type: 'unit', unit: { Unit: 'mg', Type: 'double' } }]);
+  });
+
+  test('should reject values with a unit of another dimension', () => {
+    const concentration = validationManager.getPropertyUnit('Dose', 'Concentration');
+    const amount = validationManager.getPropertyUnit('Dose', 'Amount');
+
+    expect(validationManager.validatePropertyUnit({ Value: 5, Unit: 'mg/L' }, concentration)).toBeNull();
+    expect(validationManager.validatePropertyUnit({ Value: 5, Unit: 'mg' }, concentration))
+      .toBe('Unit mg (mass) is not compatible with ng/mL (mass/length^3)');
+    expect(validationManager.validatePropertyUnit({ Value: 5, Unit: 'furlong' }, concentration))
+      .toBe('Unknown unit: furlong');
+    expect(validationManager.validatePropertyUnit({ Value: 5, Unit: 'g' }, amount))
+      .toBe('Value must be a number in mg');
+    expect(validationManager.validatePropertyUnit(5, amount)).toBeNull();
+  });
+
+  test('should report values with incompatible units in a whole instance', () => {
+    const report = validationManager.validateInstance({ _className: 'Dose', Amount: 1, Concentration: { Value: 1, Unit: 'h' } });
+
+    expect(report.violations).toEqual([
+      { Path: 'RootModel.Concentration', ClassName: 'Dose', Type: 'property', PropertyName: 'Concentration', Message: 'Unit h (time) is not compatible with ng/mL (mass/length^3)' }
+    ]);
+  });
+
+  test('should report units that cannot be parsed as CLIENT_ERROR', () => {
+    const dispatchEventSpy = jest.spyOn(mockApp.eventManager, 'dispatchEvent');
+
+    validationManager.loadModelDefinition({
+      ClassName: 'Bad',
+      Properties: { Rate: { Type: 'double', Unit: 'mg/furlong' }, Volume: { Type: 'double', Unit: 'L', DisplayUnit: 'kg' } }
+    });
+
+    expect(validationManager.unitErrors.map(error => error.message)).toEqual([
+      "Unknown unit 'furlong' in mg/furlong",
+      'DisplayUnit kg is not compatible with L'
+    ]);
+    expect(validationManager.getPropertyUnit('Bad', 'Rate')).toBeNull();
+    expect(dispatchEventSpy).toHaveBeenCalledWith(EventTypes.CLIENT_ERROR, expect.objectContaining({
+      ID: 'UNIT_PARSE_ERROR',
+      Message: "Invalid unit of Bad.Rate: Unknown unit 'furlong' in mg/furlong"
+    }));
+  });
+});
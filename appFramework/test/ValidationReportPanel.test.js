@@ -0,0 +1,112 @@
+import { ValidationReportPanel } from '../view/components/ValidationReportPanel.js';
+import { BindingManager } from '../binding/BindingManager.js';
+import { EventTypes } from '../controller/EventTypes.js';
+import { MockApp } from './__mocks__/App.js';
+
+describe('ValidationReportPanel', () => {
+  let app;
+  let model;
+  let view;
+  let panel;
+
+  const violations = [
+    { Type: 'error', Path: 'RootModel.Pumps[0].Flow', Message: 'Flow must not exceed MaxFlow' },
+    { Type: 'warning', Path: 'RootModel.Name', Message: 'Name is required' }
+  ];
+
+  const items = () => [...panel.element.querySelectorAll('.validation-report-item')];
+  const title = () => panel.element.querySelector('.validation-report-title').textContent;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    app = new MockApp();
+    const bindingManager = new BindingManager({ app });
+    app.getBindingManager = () => bindingManager;
+    model = {
+      getValidationReport: jest.fn(() => ({ violations: [violations[0]] })),
+      validateAll: jest.fn()
+    };
+    app.getModel = () => model;
+    view = { getApp: () => app, log: jest.fn(), focusModelPath: jest.fn(() => true) };
+
+    panel = new ValidationReportPanel(view);
+  });
+
+  afterEach(() => {
+    if (panel.element) panel.destroy();
+    jest.restoreAllMocks();
+  });
+
+  describe('rendering', () => {
+    test('should show the report of the model when created', () => {
+      expect(title()).toBe('Problems (1)');
+      expect(items().map(item => item.className)).toEqual(['validation-report-item validation-report-error']);
+      expect(items()[0].querySelector('.validation-report-path').textContent).toBe('RootModel.Pumps[0].Flow');
+      expect(items()[0].querySelector('.validation-report-message').textContent).toBe('Flow must not exceed MaxFlow');
+    });
+
+    test('should replace the list when the validation report changes', () => {
+      app.eventManager.dispatchEvent(EventTypes.MODEL_VALIDATION_CHANGED, { Valid: false, Violations: violations });
+
+      expect(title()).toBe('Problems (2)');
+      expect(items().map(item => item.querySelector('.validation-report-path').textContent))
+        .toEqual(['RootModel.Pumps[0].Flow', 'RootModel.Name']);
+      expect(panel.getViolations()).toBe(violations);
+    });
+
+    test('should be hidden without violations', () => {
+      panel.showViolations([]);
+
+      expect(title()).toBe('Problems (0)');
+      expect(items()).toHaveLength(0);
+      expect(panel.element.style.display).toBe('none');
+    });
+
+    test('should use the configured title', () => {
+      const titled = new ValidationReportPanel(view, { Title: 'Issues' });
+
+      expect(titled.element.querySelector('.validation-report-title').textContent).toBe('Issues (1)');
+      titled.destroy();
+    });
+
+    test('should not interpret messages as HTML', () => {
+      panel.showViolations([{ Type: 'error', Path: 'RootModel.Name', Message: '<img src=x onerror=alert(1)>' }]);
+
+      expect(panel.element.querySelector('img')).toBeNull();
+    });
+  });
+
+  describe('selecting a violation', () => {
+    test('should ask the view to focus the field of the violation', () => {
+      const link = items()[0].querySelector('.validation-report-path');
+      const click = new MouseEvent('click', { cancelable: true });
+
+      link.dispatchEvent(click);
+
+      expect(view.focusModelPath).toHaveBeenCalledWith('RootModel.Pumps[0].Flow');
+      expect(click.defaultPrevented).toBe(true);
+    });
+  });
+
+  describe('revalidating', () => {
+    test.each([
+      ['a property', EventTypes.MODEL_TO_VIEW_PROPERTY_CHANGED, { ObjectPath: 'RootModel', Property: 'Name', Value: '' }],
+      ['an array', EventTypes.MODEL_TO_VIEW_ARRAY_CHANGED, { ObjectPath: 'RootModel', Property: 'Pumps', Operation: 'remove', Index: 0, Length: 0 }]
+    ])('should validate the model again when %s changes', (_, eventType, data) => {
+      app.eventManager.dispatchEvent(eventType, data);
+
+      expect(model.validateAll).toHaveBeenCalledTimes(1);
+    });
+
+    test('should stop listening when destroyed', () => {
+      panel.destroy();
+
+      app.eventManager.dispatchEvent(EventTypes.MODEL_TO_VIEW_PROPERTY_CHANGED, { ObjectPath: 'RootModel', Property: 'Name', Value: '' });
+      app.eventManager.dispatchEvent(EventTypes.MODEL_VALIDATION_CHANGED, { Valid: false, Violations: violations });
+
+      expect(model.validateAll).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,175 @@
+import { WebSocketServiceLayer } from '../controller/service/WebSocketServiceLayer.js';
+import { EventTypes } from '../controller/EventTypes.js';
+import { PROTOCOL_VERSION, HANDSHAKE_METHOD } from '../controller/service/WireProtocol.js';
+import { MockApp } from './__mocks__/App.js';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Minimal WebSocket stand-in that records sent messages and lets tests
+ * open, close and push messages from the "server" side
+ */
+class FakeWebSocket {
+  static OPEN = 1;
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    FakeWebSocket.instances.push(this);
+  }
+
+  send(message) {
+    this.sent.push(JSON.parse(message));
+  }
+
+  close() {
+    this.readyState = 3;
+    this.onclose?.();
+  }
+
+  serverOpen() {
+    this.readyState = FakeWebSocket.OPEN;
+    this.onopen?.();
+
+    // Answer the protocol handshake sent on every connect
+    const handshake = this.sent.find(message => message.Data.MethodName === HANDSHAKE_METHOD);
+    if (handshake) {
+      this.sent.splice(this.sent.indexOf(handshake), 1);
+      this.serverSend('matlab_method_call_response', {
+        RequestId: handshake.Data.RequestId,
+        Results: { ProtocolVersion: PROTOCOL_VERSION }
+      });
+    }
+  }
+
+  serverSend(Event, Data) {
+    this.onmessage?.({ data: JSON.stringify({ Event, Data }) });
+  }
+
+  serverClose() {
+    this.readyState = 3;
+    this.onclose?.();
+  }
+}
+
+const latestSocket = () => FakeWebSocket.instances.at(-1);
+
+describe('WebSocketServiceLayer', () => {
+  let serviceLayer;
+  let mockApp;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    FakeWebSocket.instances = [];
+    mockApp = new MockApp();
+    serviceLayer = new WebSocketServiceLayer(mockApp, {
+      url: 'ws://localhost:8080',
+      reconnectDelay: 10,
+      WebSocketImpl: FakeWebSocket
+    });
+
+    const initialized = serviceLayer.init();
+    await wait(0);
+    latestSocket().serverOpen();
+    await initialized;
+  });
+
+  afterEach(() => {
+    serviceLayer.destroy();
+    jest.restoreAllMocks();
+  });
+
+  test('should require a url', () => {
+    expect(() => new WebSocketServiceLayer(mockApp, { WebSocketImpl: FakeWebSocket }))
+      .toThrow('requires a url');
+  });
+
+  test('should send calls over the socket and resolve with the response', async () => {
+    expect(serviceLayer.isMATLABConnected()).toBe(true);
+
+    const promise = serviceLayer.callMethod('getSummary', 'RootModel', { Detail: true });
+    const [message] = latestSocket().sent;
+
+    expect(message.Event).toBe('matlab_method_call_request');
+    expect(message.Data).toEqual(expect.objectContaining({
+      MethodName: 'getSummary',
+      ObjectPath: 'RootModel',
+      Args: { Detail: true }
+    }));
+
+    latestSocket().serverSend('matlab_method_call_response', {
+      RequestId: message.Data.RequestId,
+      Results: { Count: 3 }
+    });
+
+    await expect(promise).resolves.toEqual({ Count: 3 });
+  });
+
+  test('should reject with the error message from the backend', async () => {
+    const promise = serviceLayer.callMethod('getSummary');
+    const { RequestId } = latestSocket().sent[0].Data;
+
+    latestSocket().serverSend('matlab_method_call_error', {
+      RequestId,
+      Error: { id: 'App:badInput', message: 'Bad input' }
+    });
+
+    await expect(promise).rejects.toThrow('Bad input');
+  });
+
+  test('should dispatch server notifications as events', () => {
+    const dispatchEventSpy = jest.spyOn(mockApp.eventManager, 'dispatchEvent');
+
+    latestSocket().serverSend('server_notification', {
+      EventID: 'SERVER_MODEL_PROPERTY_UPDATED',
+      EventData: { ObjectPath: 'RootModel', PropertyName: 'Name', Value: 'A', Source: 'server' }
+    });
+
+    expect(dispatchEventSpy).toHaveBeenCalledWith(
+      EventTypes.SERVER_MODEL_PROPERTY_UPDATED,
+      expect.objectContaining({ PropertyName: 'Name', Value: 'A' })
+    );
+  });
+
+  test('should fail pending calls when the connection closes', async () => {
+    const promise = serviceLayer.callMethod('slowMethod');
+
+    latestSocket().serverClose();
+
+    await expect(promise).rejects.toThrow('connection closed');
+    expect(serviceLayer.isMATLABConnected()).toBe(false);
+  });
+
+  test('should reconnect and send queued calls once the socket is open again', async () => {
+    serviceLayer.enableOfflineQueue({ storage: null });
+    latestSocket().serverClose();
+
+    const promise = serviceLayer.callMethod('updateProperty', 'RootModel', { PropertyName: 'Name', Value: 'B' });
+    expect(serviceLayer.getQueueStatus().QueuedCount).toBe(1);
+
+    await wait(20);
+    expect(FakeWebSocket.instances).toHaveLength(2);
+
+    latestSocket().serverOpen();
+
+    const [message] = latestSocket().sent;
+    expect(message.Data.Args).toEqual({ PropertyName: 'Name', Value: 'B' });
+    expect(serviceLayer.getQueueStatus()).toEqual({ Connected: true, QueueEnabled: true, QueuedCount: 0 });
+
+    latestSocket().serverSend('matlab_method_call_response', { RequestId: message.Data.RequestId, Results: {} });
+    await expect(promise).resolves.toEqual({});
+  });
+
+  test('should stop reconnecting when destroyed', async () => {
+    latestSocket().serverClose();
+    serviceLayer.destroy();
+
+    await wait(20);
+    expect(FakeWebSocket.instances).toHaveLength(1);
+  });
+});
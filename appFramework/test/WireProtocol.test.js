@@ -0,0 +1,78 @@
+import {
+  PROTOCOL_VERSION,
+  ProtocolSchema,
+  validateMessage,
+  isCompatibleVersion
+} from '../controller/service/WireProtocol.js';
+
+describe('WireProtocol', () => {
+  describe('validateMessage', () => {
+    test('should accept a valid method call request', () => {
+      expect(validateMessage('matlab_method_call_request', {
+        RequestId: 'updateproperty_1',
+        MethodName: 'updateProperty',
+        ObjectPath: 'RootModel.Parameters[0]',
+        Args: { PropertyName: 'Value', Value: 3 }
+      })).toEqual([]);
+    });
+
+    test('should report missing, mistyped and unexpected fields', () => {
+      const errors = validateMessage('matlab_method_call_request', {
+        RequestId: '',
+        MethodName: 'updateProperty',
+        Args: [],
+        Callback: 'oops'
+      });
+
+      expect(errors).toEqual(expect.arrayContaining([
+        'matlab_method_call_request.ObjectPath is required',
+        'matlab_method_call_request.RequestId must not be empty',
+        'matlab_method_call_request.Args must be of type object, got array',
+        'matlab_method_call_request.Callback is not allowed'
+      ]));
+    });
+
+    test('should accept MATLAB error structs and plain error messages', () => {
+      expect(validateMessage('matlab_method_call_error', {
+        RequestId: 'r1',
+        Error: { id: 'App:badInput', message: 'Bad input' }
+      })).toEqual([]);
+      expect(validateMessage('matlab_method_call_error', { RequestId: 'r1', Error: 'Bad input' })).toEqual([]);
+
+      expect(validateMessage('matlab_method_call_error', { RequestId: 'r1', Error: { id: 'App:badInput' } }))
+        .toEqual(['matlab_method_call_error.Error does not match any of the allowed formats']);
+    });
+
+    test('should allow extra fields in server messages', () => {
+      expect(validateMessage('matlab_method_call_response', {
+        RequestId: 'r1',
+        MethodName: 'getSummary',
+        ObjectPath: '',
+        Results: {},
+        Elapsed: 12
+      })).toEqual([]);
+    });
+
+    test('should report unknown message types', () => {
+      expect(validateMessage('matlab_event', {})).toEqual(['Unknown message type: matlab_event']);
+    });
+  });
+
+  test('should treat versions with the same major version as compatible', () => {
+    const [major] = PROTOCOL_VERSION.split('.');
+
+    expect(isCompatibleVersion(`${major}.99.0`)).toBe(true);
+    expect(isCompatibleVersion(`${Number(major) + 1}.0.0`)).toBe(false);
+    expect(isCompatibleVersion(undefined)).toBe(false);
+  });
+
+  test('should describe the protocol as a JSON document', () => {
+    expect(JSON.parse(JSON.stringify(ProtocolSchema))).toEqual(ProtocolSchema);
+    expect(Object.keys(ProtocolSchema.definitions)).toEqual(expect.arrayContaining([
+      'matlab_method_call_request',
+      'matlab_method_call_response',
+      'matlab_method_call_error',
+      'server_notification'
+    ]));
+  });
+});
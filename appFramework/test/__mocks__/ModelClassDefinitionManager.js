@@ -1,3 +1,9 @@
+import { ModelDataError } from '../../model/ModelValidationError.js';
+import { ModelObserver } from '../../model/ModelObserver.js';
+
+// Class hierarchy queries only read the registry, so the real ones are used
+const { ModelClassDefinitionManager } = jest.requireActual('../../model/ModelClassDefinitionManager.js');
+
 /**
  * Mock ModelClassDefinitionManager for testing
  */
@@ -14,6 +20,50 @@ export class MockModelClassDefinitionManager {
     this.getRegistrationStatus = jest.fn(this._mockGetRegistrationStatus.bind(this));
     this.loadDefinitions = jest.fn(this._mockLoadDefinitions.bind(this));
     this.clear = jest.fn(this._mockClear.bind(this));
+    this._strict = false;
+    this._collectedErrors = null;
+    this.setStrictMode = jest.fn(this._mockSetStrictMode.bind(this));
+    this.isStrictMode = jest.fn(() => this._strict);
+    this.reportValueError = jest.fn(this._mockReportValueError.bind(this));
+    this.collectErrors = jest.fn(this._mockCollectErrors.bind(this));
+    this._observer = new ModelObserver();
+    this.getObserver = jest.fn(() => this._observer);
+    this.getClassHierarchy = jest.fn(ModelClassDefinitionManager.prototype.getClassHierarchy.bind(this));
+    this.getProperties = jest.fn(ModelClassDefinitionManager.prototype.getProperties.bind(this));
+    this.isSubclassOf = jest.fn(ModelClassDefinitionManager.prototype.isSubclassOf.bind(this));
+    this.getSubclassNames = jest.fn(ModelClassDefinitionManager.prototype.getSubclassNames.bind(this));
+    this.resolveClassName = jest.fn(ModelClassDefinitionManager.prototype.resolveClassName.bind(this));
+  }
+
+  _mockSetStrictMode(strict = true) {
+    this._strict = Boolean(strict);
+    return this;
+  }
+
+  _mockReportValueError(error) {
+    if (!this._strict) {
+      console.warn(error.message);
+    } else if (this._collectedErrors) {
+      this._collectedErrors.push(error);
+    } else {
+      throw error;
+    }
+  }
+
+  _mockCollectErrors(fn) {
+    if (this._collectedErrors) {
+      return fn();
+    }
+    this._collectedErrors = [];
+    try {
+      const result = fn();
+      if (this._collectedErrors.length > 0) {
+        throw new ModelDataError(this._collectedErrors);
+      }
+      return result;
+    } finally {
+      this._collectedErrors = null;
+    }
   }
 
   _mockRegisterClass(className, constructor) {
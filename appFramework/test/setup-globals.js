@@ -5,6 +5,12 @@ const { TextEncoder, TextDecoder } = require('util');
 global.TextEncoder = TextEncoder;
 global.TextDecoder = TextDecoder;
 
+// jsdom does not provide structuredClone, which fake-indexeddb uses to store values
+if (typeof global.structuredClone === 'undefined') {
+  const v8 = require('v8');
+  global.structuredClone = (value) => v8.deserialize(v8.serialize(value));
+}
+
 // Mock requestAnimationFrame and cancelAnimationFrame
 global.requestAnimationFrame = (callback) => {
   return setTimeout(callback, 0);
@@ -14,27 +20,30 @@ global.cancelAnimationFrame = (id) => {
   clearTimeout(id);
 };
 
-// Mock matchMedia
-Object.defineProperty(window, 'matchMedia', {
-  writable: true,
-  value: jest.fn().mockImplementation(query => ({
-    matches: false,
-    media: query,
-    onchange: null,
-    addListener: jest.fn(),
-    removeListener: jest.fn(),
-    addEventListener: jest.fn(),
-    removeEventListener: jest.fn(),
-    dispatchEvent: jest.fn(),
-  })),
-});
+// Browser APIs missing from jsdom; tests of the Node servers run without a window
+if (typeof window !== 'undefined') {
+  // Mock matchMedia
+  Object.defineProperty(window, 'matchMedia', {
+    writable: true,
+    value: jest.fn().mockImplementation(query => ({
+      matches: false,
+      media: query,
+      onchange: null,
+      addListener: jest.fn(),
+      removeListener: jest.fn(),
+      addEventListener: jest.fn(),
+      removeEventListener: jest.fn(),
+      dispatchEvent: jest.fn(),
+    })),
+  });
 
-// Mock ResizeObserver
-if (typeof window.ResizeObserver === 'undefined') {
-  class ResizeObserverStub {
-    observe() {}
-    unobserve() {}
-    disconnect() {}
+  // Mock ResizeObserver
+  if (typeof window.ResizeObserver === 'undefined') {
+    class ResizeObserverStub {
+      observe() {}
+      unobserve() {}
+      disconnect() {}
+    }
+    window.ResizeObserver = ResizeObserverStub;
   }
-  window.ResizeObserver = ResizeObserverStub;
 }
@@ -0,0 +1,30 @@
+/**
+ * ClassHierarchy.js
+ * Inheritance chains of model classes, found by following the Extends of their definitions.
+ * Shared by the modules that merge what a class inherits from its parents (properties,
+ * validation rules, computed properties, references), whatever form they keep definitions in.
+ */
+
+/**
+ * Get the inheritance chain of a class
+ * The chain ends at the first class without a definition, and at an Extends cycle in
+ * hand-written definitions.
+ * @param {string} className - The name of the class
+ * @param {Function} getDefinition - Called with a class name; returns its definition, or undefined
+ * @returns {string[]} Class names from the top-most parent down to className; empty if
+ *   className has no definition
+ */
+export function getClassHierarchy(className, getDefinition) {
+  const hierarchy = [];
+  let current = className;
+
+  while (current && !hierarchy.includes(current)) {
+    const definition = getDefinition(current);
+    if (!definition) break;
+
+    hierarchy.unshift(current);
+    current = definition.Extends;
+  }
+
+  return hierarchy;
+}
@@ -0,0 +1,533 @@
+/**
+ * ConstraintExpression.js
+ * Parser and evaluator for the condition expressions of class Constraints.
+ * Expressions are parsed once into a syntax tree and evaluated without eval or
+ * new Function, so they work under a strict Content Security Policy.
+ *
+ * Syntax:
+ * - Literals: numbers, 'strings' or "strings", true, false, null
+ * - Arithmetic: + - * / %      Comparison: == != < <= > >= (=== and !== are accepted)
+ * - Boolean logic: && || ! (or and, or, not)      Conditional: a ? b : c
+ * - Properties of the validated object: Name or this.Name
+ * - Other objects, in ModelPathUtils notation: RootModel.Settings.MaxFlow, RootModel.Items[0].Value
+ * - Member access on an array maps over its elements: sum(Items.Value)
+ * - Functions: len, sum, min, max, avg, abs, round, floor, ceil, sqrt, pow, isempty
+ */
+
+/**
+ * Error for expressions that cannot be parsed
+ */
+export class ConstraintSyntaxError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {string} expression - The expression
+   * @param {number} position - Offset of the problem in the expression
+   */
+  constructor(message, expression, position) {
+    super(`${message} at position ${position} in "${expression}"`);
+    this.name = 'ConstraintSyntaxError';
+    this.expression = expression;
+    this.position = position;
+  }
+}
+
+/**
+ * Functions available in expressions
+ * Aggregates accept an array or several arguments.
+ */
+const FUNCTIONS = Object.freeze({
+  len: (value) => (value === null || value === undefined ? 0 : value.length ?? 0),
+  sum: (...args) => toNumbers(args).reduce((total, n) => total + n, 0),
+  min: (...args) => Math.min(...toNumbers(args)),
+  max: (...args) => Math.max(...toNumbers(args)),
+  avg: (...args) => {
+    const numbers = toNumbers(args);
+    return numbers.length ? numbers.reduce((total, n) => total + n, 0) / numbers.length : NaN;
+  },
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  sqrt: Math.sqrt,
+  pow: Math.pow,
+  isempty: (value) => value === null || value === undefined || value === '' ||
+    (Array.isArray(value) && value.length === 0)
+});
+
+// Names that must never be read from objects
+const BLOCKED_MEMBERS = new Set(['__proto__', 'prototype', 'constructor']);
+
+const KEYWORDS = {
+  true: true,
+  false: false,
+  null: null
+};
+
+const WORD_OPERATORS = { and: '&&', or: '||', not: '!' };
+
+// Binary operators by precedence, lowest first
+const BINARY_PRECEDENCE = [
+  ['||'],
+  ['&&'],
+  ['==', '!=', '===', '!=='],
+  ['<', '<=', '>', '>='],
+  ['+', '-'],
+  ['*', '/', '%']
+];
+
+const PUNCTUATORS = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||',
+  '<', '>', '+', '-', '*', '/', '%', '!', '(', ')', '[', ']', ',', '.', '?', ':'];
+
+/**
+ * A parsed constraint condition
+ */
+export class ConstraintExpression {
+  /**
+   * Parse an expression
+   * @param {string} source - The expression
+   * @throws {ConstraintSyntaxError} If the expression is invalid
+   */
+  constructor(source) {
+    if (typeof source !== 'string' || !source.trim()) {
+      throw new ConstraintSyntaxError('Expression is empty', String(source ?? ''), 0);
+    }
+
+    this.source = source;
+
+    /** @private */
+    this._ast = new Parser(source).parse();
+  }
+
+  /**
+   * Names of the properties of the validated object used by the expression
+   * @returns {string[]} Property names
+   */
+  get properties() {
+    const names = new Set();
+    walk(this._ast, node => {
+      if (node.type === 'Property') names.add(node.name);
+    });
+    return [...names];
+  }
+
+  /**
+   * Paths of other objects used by the expression, in ModelPathUtils notation
+   * Paths stop before the first index that is not a number literal.
+   * @returns {string[]} Paths such as 'RootModel.Settings.MaxFlow'
+   */
+  get paths() {
+    const paths = new Set();
+    walk(this._ast, node => {
+      if (node.type === 'RootPath') paths.add(node.staticPath);
+    });
+    return [...paths];
+  }
+
+  /**
+   * The syntax tree of the expression, for tools that translate it to other languages
+   * Nodes are Literal {value}, Property {name}, RootPath, Member {object, name},
+   * Index {object, index}, Call {name, args}, Unary {operator, argument},
+   * Binary {operator, left, right} and Conditional {test, consequent, alternate}.
+   * Word operators are given as their symbols (and as &&, or as ||, not as !).
+   * @returns {Object} The root node; it must not be modified
+   */
+  get syntaxTree() {
+    return this._ast;
+  }
+
+  /**
+   * Evaluate the expression
+   * @param {Object} self - The object being validated
+   * @param {Object} [root] - The root model instance, for RootModel paths
+   * @returns {*} The value of the expression
+   * @throws {Error} If the expression uses a value in an unsupported way
+   */
+  evaluate(self, root) {
+    return evaluateNode(this._ast, { self, root });
+  }
+}
+
+/**
+ * Split an expression into tokens
+ * @private
+ */
+function tokenize(source) {
+  const tokens = [];
+  let pos = 0;
+
+  while (pos < source.length) {
+    const char = source[pos];
+
+    if (/\s/.test(char)) {
+      pos++;
+      continue;
+    }
+
+    const number = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(source.slice(pos));
+    if (number && !(char === '.' && tokens.length && isValueEnd(tokens[tokens.length - 1]))) {
+      tokens.push({ type: 'number', value: Number(number[0]), pos });
+      pos += number[0].length;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let value = '';
+      let end = pos + 1;
+      while (end < source.length && source[end] !== char) {
+        if (source[end] === '\\' && end + 1 < source.length) end++;
+        value += source[end];
+        end++;
+      }
+      if (end >= source.length) {
+        throw new ConstraintSyntaxError('Unterminated string', source, pos);
+      }
+      tokens.push({ type: 'string', value, pos });
+      pos = end + 1;
+      continue;
+    }
+
+    const word = /^[A-Za-z_$][\w$]*/.exec(source.slice(pos));
+    if (word) {
+      const name = word[0];
+      if (hasOwn(WORD_OPERATORS, name)) {
+        tokens.push({ type: 'op', value: WORD_OPERATORS[name], pos });
+      } else if (hasOwn(KEYWORDS, name)) {
+        tokens.push({ type: 'literal', value: KEYWORDS[name], pos });
+      } else {
+        tokens.push({ type: 'name', value: name, pos });
+      }
+      pos += name.length;
+      continue;
+    }
+
+    const punctuator = PUNCTUATORS.find(p => source.startsWith(p, pos));
+    if (!punctuator) {
+      throw new ConstraintSyntaxError(`Unexpected character '${char}'`, source, pos);
+    }
+    tokens.push({ type: 'op', value: punctuator, pos });
+    pos += punctuator.length;
+  }
+
+  tokens.push({ type: 'end', pos });
+  return tokens;
+}
+
+/**
+ * Whether a token can end a value (so a following '.' is member access)
+ * @private
+ */
+function isValueEnd(token) {
+  return token.type === 'name' || (token.type === 'op' && (token.value === ')' || token.value === ']'));
+}
+
+/**
+ * Recursive descent parser producing a syntax tree
+ * @private
+ */
+class Parser {
+  constructor(source) {
+    this._source = source;
+    this._tokens = tokenize(source);
+    this._index = 0;
+  }
+
+  parse() {
+    const node = this._parseConditional();
+    if (this._peek().type !== 'end') {
+      this._fail(`Unexpected '${this._peek().value}'`);
+    }
+    return node;
+  }
+
+  _peek() {
+    return this._tokens[this._index];
+  }
+
+  _next() {
+    return this._tokens[this._index++];
+  }
+
+  _isOp(value) {
+    const token = this._peek();
+    return token.type === 'op' && token.value === value;
+  }
+
+  _expect(value) {
+    if (!this._isOp(value)) {
+      const token = this._peek();
+      this._fail(token.type === 'end' ? `Expected '${value}' but the expression ended` : `Expected '${value}'`);
+    }
+    return this._next();
+  }
+
+  _fail(message, token = this._peek()) {
+    throw new ConstraintSyntaxError(message, this._source, token.pos);
+  }
+
+  _parseConditional() {
+    const test = this._parseBinary(0);
+    if (!this._isOp('?')) return test;
+
+    this._next();
+    const consequent = this._parseConditional();
+    this._expect(':');
+    const alternate = this._parseConditional();
+    return { type: 'Conditional', test, consequent, alternate };
+  }
+
+  _parseBinary(level) {
+    if (level === BINARY_PRECEDENCE.length) {
+      return this._parseUnary();
+    }
+
+    let left = this._parseBinary(level + 1);
+    while (this._peek().type === 'op' && BINARY_PRECEDENCE[level].includes(this._peek().value)) {
+      const operator = this._next().value;
+      const right = this._parseBinary(level + 1);
+      left = { type: 'Binary', operator, left, right };
+    }
+    return left;
+  }
+
+  _parseUnary() {
+    if (this._isOp('!') || this._isOp('-') || this._isOp('+')) {
+      const operator = this._next().value;
+      return { type: 'Unary', operator, argument: this._parseUnary() };
+    }
+    return this._parsePostfix(this._parsePrimary());
+  }
+
+  _parsePrimary() {
+    const token = this._next();
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+      case 'literal':
+        return { type: 'Literal', value: token.value };
+
+      case 'name':
+        if (this._isOp('(')) {
+          return this._parseCall(token);
+        }
+        if (token.value === 'this') {
+          this._expect('.');
+          return { type: 'Property', name: this._expectName() };
+        }
+        if (token.value === 'RootModel') {
+          return { type: 'RootPath', staticPath: 'RootModel' };
+        }
+        if (BLOCKED_MEMBERS.has(token.value)) {
+          this._fail(`Access to '${token.value}' is not allowed`, token);
+        }
+        return { type: 'Property', name: token.value };
+
+      case 'op':
+        if (token.value === '(') {
+          const node = this._parseConditional();
+          this._expect(')');
+          return node;
+        }
+        return this._fail(`Unexpected '${token.value}'`, token);
+
+      default:
+        return this._fail('Unexpected end of expression', token);
+    }
+  }
+
+  _parseCall(nameToken) {
+    if (!hasOwn(FUNCTIONS, nameToken.value)) {
+      this._fail(`Unknown function '${nameToken.value}'`, nameToken);
+    }
+
+    this._expect('(');
+    const args = [];
+    if (!this._isOp(')')) {
+      do {
+        args.push(this._parseConditional());
+      } while (this._isOp(',') && this._next());
+    }
+    this._expect(')');
+    return { type: 'Call', name: nameToken.value, args };
+  }
+
+  _parsePostfix(node) {
+    for (;;) {
+      if (this._isOp('.')) {
+        this._next();
+        const name = this._expectName();
+        node = { type: 'Member', object: node, name };
+        if (node.object.type === 'RootPath' || node.object.staticPath) {
+          node.staticPath = `${node.object.staticPath}.${name}`;
+        }
+      } else if (this._isOp('[')) {
+        this._next();
+        const index = this._parseConditional();
+        this._expect(']');
+        const parentPath = node.staticPath;
+        node = { type: 'Index', object: node, index };
+        if (parentPath && index.type === 'Literal' && Number.isInteger(index.value)) {
+          node.staticPath = `${parentPath}[${index.value}]`;
+        }
+      } else {
+        return this._collapsePath(node);
+      }
+    }
+  }
+
+  /**
+   * Keep the longest static path of a RootModel reference on its RootPath node
+   */
+  _collapsePath(node) {
+    let root = node;
+    let longestPath = node.staticPath;
+    while (root.type === 'Member' || root.type === 'Index') {
+      root = root.object;
+      longestPath = longestPath || root.staticPath;
+    }
+    if (root.type === 'RootPath' && longestPath) {
+      root.staticPath = longestPath;
+    }
+    return node;
+  }
+
+  _expectName() {
+    const token = this._next();
+    if (token.type !== 'name') {
+      this._fail('Expected a property name', token);
+    }
+    if (BLOCKED_MEMBERS.has(token.value)) {
+      this._fail(`Access to '${token.value}' is not allowed`, token);
+    }
+    return token.value;
+  }
+}
+
+/**
+ * Evaluate a syntax tree node
+ * @private
+ */
+function evaluateNode(node, context) {
+  switch (node.type) {
+    case 'Literal':
+      return node.value;
+
+    case 'Property':
+      return readMember(context.self, node.name);
+
+    case 'RootPath':
+      return context.root;
+
+    case 'Member':
+      return readMember(evaluateNode(node.object, context), node.name);
+
+    case 'Index': {
+      const object = evaluateNode(node.object, context);
+      const index = evaluateNode(node.index, context);
+      if (typeof index === 'string' && BLOCKED_MEMBERS.has(index)) {
+        throw new Error(`Access to '${index}' is not allowed`);
+      }
+      return object === null || object === undefined ? undefined : readValue(object[index]);
+    }
+
+    case 'Call':
+      return FUNCTIONS[node.name](...node.args.map(arg => evaluateNode(arg, context)));
+
+    case 'Unary': {
+      const value = evaluateNode(node.argument, context);
+      if (node.operator === '!') return !value;
+      return node.operator === '-' ? -value : +value;
+    }
+
+    case 'Conditional':
+      return evaluateNode(node.test, context)
+        ? evaluateNode(node.consequent, context)
+        : evaluateNode(node.alternate, context);
+
+    case 'Binary':
+      return evaluateBinary(node, context);
+
+    default:
+      throw new Error(`Unknown expression node ${node.type}`);
+  }
+}
+
+/**
+ * @private
+ */
+function evaluateBinary(node, context) {
+  const left = evaluateNode(node.left, context);
+
+  // Short-circuit logic
+  if (node.operator === '&&') return left ? evaluateNode(node.right, context) : left;
+  if (node.operator === '||') return left ? left : evaluateNode(node.right, context);
+
+  const right = evaluateNode(node.right, context);
+  switch (node.operator) {
+    case '==':
+    case '===':
+      return left === right;
+    case '!=':
+    case '!==':
+      return left !== right;
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+    case '+': return left + right;
+    case '-': return left - right;
+    case '*': return left * right;
+    case '/': return left / right;
+    case '%': return left % right;
+    default:
+      throw new Error(`Unknown operator ${node.operator}`);
+  }
+}
+
+/**
+ * Read a member of a value; on arrays (other than length) read it from every element
+ * @private
+ */
+function readMember(object, name) {
+  if (object === null || object === undefined) return undefined;
+
+  if (Array.isArray(object) && name !== 'length') {
+    return object.map(item => readMember(item, name));
+  }
+  return readValue(object[name]);
+}
+
+/**
+ * Hide functions so that expressions can only read data
+ * @private
+ */
+function readValue(value) {
+  return typeof value === 'function' ? undefined : value;
+}
+
+/**
+ * Flatten aggregate function arguments into numbers
+ * @private
+ */
+function toNumbers(args) {
+  return args.flat(Infinity).filter(value => value !== null && value !== undefined).map(Number);
+}
+
+/**
+ * @private
+ */
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * Call a function for every node of a syntax tree
+ * @private
+ */
+function walk(node, callback) {
+  callback(node);
+  ['object', 'index', 'argument', 'left', 'right', 'test', 'consequent', 'alternate'].forEach(key => {
+    if (node[key]) walk(node[key], callback);
+  });
+  (node.args || []).forEach(arg => walk(arg, callback));
+}
@@ -0,0 +1,381 @@
+/**
+ * JsonPatch.js
+ * Translation between JSON Patch (RFC 6902) documents and the changes ClientModel
+ * applies to a model. Pointers are converted to object paths with ModelPathUtils,
+ * and changes have the shapes produced by ModelDiff:
+ *   { operation: 'set', path, value, oldValue }
+ *   { operation: 'insert' | 'remove', path, index, item }  - path is the path to the array
+ *   { operation: 'move', path, index, toIndex }
+ */
+import { ModelPathUtils } from './ModelPathUtils.js';
+import { ModelDiff, IDENTITY_KEY } from './ModelDiff.js';
+
+const OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+/**
+ * Error for patches that are malformed, cannot be applied or would make the model invalid
+ */
+export class JsonPatchError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {Object} [details] - Details of the problem
+   * @param {number} [details.index] - Index of the failing operation in the patch
+   * @param {Object} [details.operation] - The failing operation
+   * @param {Array<Object>} [details.violations] - Validation violations the patch would cause
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'JsonPatchError';
+    this.index = details.index ?? null;
+    this.operation = details.operation ?? null;
+    this.violations = details.violations || [];
+  }
+}
+
+export class JsonPatch {
+  /**
+   * Check that a patch is an array of well-formed operations
+   * @param {Array<Object>} operations - The patch
+   * @throws {JsonPatchError} If an operation is malformed
+   */
+  static validate(operations) {
+    if (!Array.isArray(operations)) {
+      throw new JsonPatchError('A JSON Patch must be an array of operations');
+    }
+
+    operations.forEach((operation, index) => {
+      const fail = (message) => {
+        throw new JsonPatchError(`Invalid patch operation ${index}: ${message}`, { index, operation });
+      };
+
+      if (!operation || typeof operation !== 'object') fail('not an object');
+      if (!OPERATIONS.includes(operation.op)) fail(`unknown op '${operation.op}'`);
+      if (typeof operation.path !== 'string') fail("'path' must be a string");
+      if (['move', 'copy'].includes(operation.op) && typeof operation.from !== 'string') {
+        fail("'from' must be a string");
+      }
+      if (['add', 'replace', 'test'].includes(operation.op) && !('value' in operation)) {
+        fail("'value' is required");
+      }
+    });
+  }
+
+  /**
+   * Apply a patch to a plain copy of the model and return the equivalent model changes
+   * The document is modified as the operations are applied. All operations succeed or
+   * the patch is rejected; the changes are meant to be replayed in order on the model.
+   * @param {Object} document - Plain copy of the model (see JsonPatch.clone)
+   * @param {Array<Object>} operations - The patch
+   * @param {Object} [options] - Options
+   * @param {Function} [options.prepareValue] - (objectPath, property, value) => the value to store in
+   *   the document for a value added at the property; used to tag new objects with their class
+   * @returns {Array<Object>} The changes
+   * @throws {JsonPatchError} If the patch is malformed or an operation cannot be applied
+   */
+  static toChanges(document, operations, options = {}) {
+    JsonPatch.validate(operations);
+
+    const changes = [];
+    const emit = (change) => {
+      applyChange(document, change, options.prepareValue);
+      changes.push(change);
+    };
+
+    operations.forEach((operation, index) => {
+      const fail = (message) => {
+        throw new JsonPatchError(
+          `Patch operation ${index} (${operation.op} '${operation.path}') failed: ${message}`,
+          { index, operation }
+        );
+      };
+      applyOperation(document, operation, emit, fail);
+    });
+
+    return changes;
+  }
+
+  /**
+   * Convert model changes to a patch
+   * Values are copied to plain JSON, so later edits to the model do not affect the patch.
+   * @param {Array<Object>} changes - Changes in the shapes listed above
+   * @returns {Array<Object>} The patch
+   */
+  static fromChanges(changes) {
+    return changes.map(change => {
+      const pointer = ModelPathUtils.objectPathToJsonPointer(change.path);
+
+      switch (change.operation) {
+        case 'set':
+          if (change.value === undefined) return { op: 'remove', path: pointer };
+          return { op: change.oldValue === undefined ? 'add' : 'replace', path: pointer, value: toPlain(change.value) };
+        case 'insert':
+          return { op: 'add', path: `${pointer}/${change.index}`, value: toPlain(change.item) };
+        case 'remove':
+          return { op: 'remove', path: `${pointer}/${change.index}` };
+        case 'move':
+          return { op: 'move', from: `${pointer}/${change.index}`, path: `${pointer}/${change.toIndex}` };
+        default:
+          throw new Error(`Unknown change operation '${change.operation}'`);
+      }
+    });
+  }
+
+  /**
+   * Copy a model into plain objects that keep their _className
+   * Other private (_-prefixed) fields and functions are dropped.
+   * @param {any} value - The model instance or value
+   * @returns {any} The copy
+   */
+  static clone(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => JsonPatch.clone(item));
+    }
+    if (value && typeof value === 'object') {
+      const copy = {};
+      Object.entries(value).forEach(([key, propValue]) => {
+        if ((key.startsWith('_') && key !== '_className') || typeof propValue === 'function') return;
+        copy[key] = JsonPatch.clone(propValue);
+      });
+      return copy;
+    }
+    return value;
+  }
+}
+
+/**
+ * @private
+ */
+function toPlain(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Copy a value without its Uids, so copies get new identities
+ * @private
+ */
+function withoutIdentity(value) {
+  if (Array.isArray(value)) return value.map(withoutIdentity);
+  if (value && typeof value === 'object') {
+    const copy = {};
+    Object.entries(value).forEach(([key, propValue]) => {
+      if (key !== IDENTITY_KEY) copy[key] = withoutIdentity(propValue);
+    });
+    return copy;
+  }
+  return value;
+}
+
+/**
+ * Compare JSON values, ignoring key order and private fields
+ * @private
+ */
+function isEqual(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length &&
+      a.every((item, index) => isEqual(item, b[index]));
+  }
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    const keysOf = (value) => Object.keys(value).filter(key => !key.startsWith('_') && value[key] !== undefined).sort();
+    const keys = keysOf(a);
+    return isEqual(keys, keysOf(b)) && keys.every(key => isEqual(a[key], b[key]));
+  }
+  return a === b;
+}
+
+/**
+ * Resolve a pointer to the place it refers to in the document
+ * @returns {Object} { path } for the root, { path, arrayPath, array, index } for array elements
+ *   (index is '-' for the end of the array) or { path, objectPath, property, parent } otherwise
+ * @private
+ */
+function locate(document, pointer, fail) {
+  const append = pointer.endsWith('/-');
+  let path;
+  try {
+    path = ModelPathUtils.jsonPointerToObjectPath(append ? pointer.slice(0, -2) : pointer);
+  } catch (error) {
+    fail(error.message);
+  }
+
+  if (append) {
+    return { path: `${path}[-]`, arrayPath: path, array: ModelPathUtils.getValueFromObjectPath(document, path), index: '-' };
+  }
+
+  const element = /^(.*)\[(\d+)\]$/.exec(path);
+  if (element) {
+    const arrayPath = element[1];
+    return { path, arrayPath, array: ModelPathUtils.getValueFromObjectPath(document, arrayPath), index: Number(element[2]) };
+  }
+
+  if (path === 'RootModel') {
+    return { path };
+  }
+
+  const objectPath = path.slice(0, path.lastIndexOf('.'));
+  return {
+    path,
+    objectPath,
+    property: path.slice(path.lastIndexOf('.') + 1),
+    parent: ModelPathUtils.getValueFromObjectPath(document, objectPath)
+  };
+}
+
+/**
+ * Get the value a location refers to, failing if there is none
+ * @private
+ */
+function valueAt(document, location, fail) {
+  if (!location.arrayPath && !location.objectPath) return document;
+
+  const value = location.arrayPath
+    ? (Array.isArray(location.array) && location.index !== '-' ? location.array[location.index] : undefined)
+    : (location.parent && typeof location.parent === 'object' ? location.parent[location.property] : undefined);
+
+  if (value === undefined) {
+    fail(`no value at ${location.path}`);
+  }
+  return value;
+}
+
+/**
+ * @private
+ */
+function applyOperation(document, operation, emit, fail) {
+  const target = () => locate(document, operation.path, fail);
+
+  switch (operation.op) {
+    case 'add':
+      addValue(document, target(), operation.value, emit, fail);
+      break;
+    case 'remove':
+      removeValue(document, target(), emit, fail);
+      break;
+    case 'replace': {
+      const location = target();
+      valueAt(document, location, fail);
+      if (location.arrayPath) {
+        removeValue(document, location, emit, fail);
+        addValue(document, locate(document, operation.path, fail), operation.value, emit, fail);
+      } else {
+        addValue(document, location, operation.value, emit, fail);
+      }
+      break;
+    }
+    case 'move': {
+      if (operation.path === operation.from) break;
+      if (operation.path.startsWith(`${operation.from}/`)) {
+        fail('cannot move a value into itself');
+      }
+
+      const from = locate(document, operation.from, fail);
+      const value = valueAt(document, from, fail);
+      const to = target();
+
+      if (from.arrayPath && to.arrayPath === from.arrayPath) {
+        const toIndex = to.index === '-' ? from.array.length - 1 : to.index;
+        if (toIndex >= from.array.length) fail(`index ${toIndex} is out of range`);
+        emit({ operation: 'move', path: from.arrayPath, index: from.index, toIndex });
+      } else {
+        removeValue(document, from, emit, fail);
+        addValue(document, target(), value, emit, fail);
+      }
+      break;
+    }
+    case 'copy': {
+      const value = valueAt(document, locate(document, operation.from, fail), fail);
+      addValue(document, target(), withoutIdentity(JsonPatch.clone(value)), emit, fail);
+      break;
+    }
+    case 'test':
+      if (!isEqual(valueAt(document, target(), fail), operation.value)) {
+        fail('test failed');
+      }
+      break;
+  }
+}
+
+/**
+ * @private
+ */
+function addValue(document, location, value, emit, fail) {
+  if (!location.arrayPath && !location.objectPath) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      fail('the root model must be an object');
+    }
+    ModelDiff.diff(document, value).forEach(emit);
+    return;
+  }
+
+  if (location.arrayPath) {
+    const { array } = location;
+    if (!Array.isArray(array)) fail(`${location.arrayPath} is not an array`);
+
+    const index = location.index === '-' ? array.length : location.index;
+    if (index > array.length) fail(`index ${index} is out of range`);
+    emit({ operation: 'insert', path: location.arrayPath, index, item: JsonPatch.clone(value) });
+    return;
+  }
+
+  const { parent } = location;
+  if (!parent || typeof parent !== 'object' || Array.isArray(parent)) {
+    fail(`${location.objectPath} is not an object`);
+  }
+  emit({ operation: 'set', path: location.path, value: JsonPatch.clone(value), oldValue: parent[location.property] });
+}
+
+/**
+ * @private
+ */
+function removeValue(document, location, emit, fail) {
+  if (!location.arrayPath && !location.objectPath) {
+    fail('the root model cannot be removed');
+  }
+
+  const value = valueAt(document, location, fail);
+  if (location.arrayPath) {
+    emit({ operation: 'remove', path: location.arrayPath, index: location.index, item: value });
+  } else {
+    emit({ operation: 'set', path: location.path, value: undefined, oldValue: value });
+  }
+}
+
+/**
+ * Apply a change to the plain document
+ * @private
+ */
+function applyChange(document, change, prepareValue) {
+  const { objectPath, property } = splitPath(change.path);
+  const prepare = (value) => (prepareValue ? prepareValue(objectPath, property, value) : value);
+
+  if (change.operation === 'set') {
+    const parent = ModelPathUtils.getValueFromObjectPath(document, objectPath);
+    if (change.value === undefined) {
+      delete parent[property];
+    } else {
+      parent[property] = prepare(change.value);
+    }
+    return;
+  }
+
+  const array = ModelPathUtils.getValueFromObjectPath(document, change.path);
+  switch (change.operation) {
+    case 'insert':
+      array.splice(change.index, 0, prepare(change.item));
+      break;
+    case 'remove':
+      array.splice(change.index, 1);
+      break;
+    case 'move':
+      array.splice(change.toIndex, 0, array.splice(change.index, 1)[0]);
+      break;
+  }
+}
+
+/**
+ * Split a property path at its last property name
+ * @private
+ */
+function splitPath(path) {
+  const lastDot = path.lastIndexOf('.');
+  return { objectPath: path.slice(0, lastDot), property: path.slice(lastDot + 1) };
+}
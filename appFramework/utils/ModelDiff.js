@@ -0,0 +1,180 @@
+/**
+ * ModelDiff.js
+ * Structural diff between a model instance and incoming model data.
+ * Produces the list of changes that turns the instance into the data, so server
+ * updates can be applied in place instead of reloading the whole model.
+ */
+import { convertNumericProperty } from './TypeConversionUtils.js';
+
+/**
+ * Field that identifies model objects across updates (assigned by MATLAB)
+ */
+export const IDENTITY_KEY = 'Uid';
+
+/**
+ * Field of model object data that names its class, so a property whose Type is a base class
+ * can hold objects of its subclasses, e.g. { "ClassName": "Tissue", "Name": "Liver" } in an
+ * array of Compartments
+ */
+export const CLASS_NAME_KEY = 'ClassName';
+
+export class ModelDiff {
+  /**
+   * Compute the changes that turn a model instance into incoming data
+   * Changes have the shapes used for array changes in ClientModel:
+   *   { operation: 'set', path, value, oldValue }
+   *   { operation: 'insert', path, index, item }  - path is the path to the array property
+   *   { operation: 'remove', path, index, item }
+   *   { operation: 'move', path, index, toIndex }
+   * Array items with a Uid are matched by Uid, so they keep their identity when items are
+   * added, removed or reordered; other items are matched by position. Arrays of plain values
+   * are set as a whole. Properties missing from the data and private (_-prefixed) properties
+   * are left alone.
+   * Changes must be applied in order: the indices of a change refer to the model as left by
+   * the changes before it.
+   * @param {Object} current - The current model instance
+   * @param {Object} incoming - The incoming data
+   * @param {string} [path='RootModel'] - The object path of the instance
+   * @returns {Array<Object>} The changes
+   */
+  static diff(current, incoming, path = 'RootModel') {
+    const changes = [];
+    diffObject(current, incoming, path, changes);
+    return changes;
+  }
+
+  /**
+   * Check whether an object and incoming data describe the same model object
+   * Objects are the same unless both have a Uid and the Uids differ, or the data names
+   * another class than the object's in its ClassName.
+   * @param {*} current - The current value
+   * @param {*} incoming - The incoming value
+   * @returns {boolean} True if the incoming data can be merged into the object
+   */
+  static isSameObject(current, incoming) {
+    if (!isObject(current) || !isObject(incoming)) return false;
+
+    const incomingClass = incoming[CLASS_NAME_KEY];
+    if (incomingClass !== undefined && current._className && incomingClass !== current._className) return false;
+
+    const currentId = current[IDENTITY_KEY];
+    const incomingId = incoming[IDENTITY_KEY];
+    return currentId === undefined || incomingId === undefined || currentId === incomingId;
+  }
+}
+
+/**
+ * @private
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Compare plain values, treating "Infinity" strings from MATLAB as numbers
+ * @private
+ */
+function isEqualValue(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => isEqualValue(item, b[index]));
+  }
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(b).filter(key => !key.startsWith('_'));
+    return keys.every(key => isEqualValue(a[key], b[key]));
+  }
+  if (typeof a === 'number' && typeof b === 'string') {
+    return Math.abs(a) === Infinity && convertNumericProperty(b) === a;
+  }
+  return Object.is(a, b) || a === b;
+}
+
+/**
+ * @private
+ */
+function diffObject(current, incoming, path, changes) {
+  Object.keys(incoming).forEach(key => {
+    if (key.startsWith('_') || key === CLASS_NAME_KEY) return;
+    diffValue(current[key], incoming[key], `${path}.${key}`, changes);
+  });
+}
+
+/**
+ * @private
+ */
+function diffValue(oldValue, newValue, path, changes) {
+  const hasObjects = (value) => Array.isArray(value) && value.some(isObject);
+
+  if (Array.isArray(oldValue) && Array.isArray(newValue) && (hasObjects(oldValue) || hasObjects(newValue))) {
+    diffArray(oldValue, newValue, path, changes);
+  } else if (ModelDiff.isSameObject(oldValue, newValue)) {
+    diffObject(oldValue, newValue, path, changes);
+  } else if (!isEqualValue(oldValue, newValue)) {
+    changes.push({ operation: 'set', path, value: newValue, oldValue });
+  }
+}
+
+/**
+ * Diff an array of objects
+ * @private
+ */
+function diffArray(oldArray, newArray, path, changes) {
+  const working = [...oldArray];
+  const hasId = (item) => isObject(item) && item[IDENTITY_KEY] !== undefined;
+
+  if (working.every(hasId) && newArray.every(hasId)) {
+    const newIds = new Set(newArray.map(item => item[IDENTITY_KEY]));
+
+    // Remove items that are gone, from the end so the indices stay valid
+    for (let index = working.length - 1; index >= 0; index--) {
+      if (!newIds.has(working[index][IDENTITY_KEY])) {
+        changes.push({ operation: 'remove', path, index, item: working[index] });
+        working.splice(index, 1);
+      }
+    }
+
+    newArray.forEach((item, index) => {
+      const id = item[IDENTITY_KEY];
+      const from = working.findIndex((candidate, candidateIndex) =>
+        candidateIndex >= index && candidate[IDENTITY_KEY] === id);
+
+      if (from === -1) {
+        changes.push({ operation: 'insert', path, index, item });
+        working.splice(index, 0, item);
+        return;
+      }
+      if (from !== index) {
+        changes.push({ operation: 'move', path, index: from, toIndex: index });
+        working.splice(index, 0, working.splice(from, 1)[0]);
+      }
+      if (ModelDiff.isSameObject(working[index], item)) {
+        diffObject(working[index], item, `${path}[${index}]`, changes);
+      } else {
+        // The object was replaced by one of another class
+        changes.push({ operation: 'remove', path, index, item: working[index] });
+        changes.push({ operation: 'insert', path, index, item });
+        working[index] = item;
+      }
+    });
+    return;
+  }
+
+  // Without Uids, items are matched by position and replaced if they are not the same object
+  const common = Math.min(working.length, newArray.length);
+  for (let index = 0; index < common; index++) {
+    const oldItem = working[index];
+    const newItem = newArray[index];
+
+    if (ModelDiff.isSameObject(oldItem, newItem)) {
+      diffObject(oldItem, newItem, `${path}[${index}]`, changes);
+    } else if (!isEqualValue(oldItem, newItem)) {
+      changes.push({ operation: 'remove', path, index, item: oldItem });
+      changes.push({ operation: 'insert', path, index, item: newItem });
+    }
+  }
+  for (let index = working.length - 1; index >= newArray.length; index--) {
+    changes.push({ operation: 'remove', path, index, item: working[index] });
+  }
+  for (let index = working.length; index < newArray.length; index++) {
+    changes.push({ operation: 'insert', path, index, item: newArray[index] });
+  }
+}
@@ -1,3 +1,5 @@
+import { ConstraintExpression } from './ConstraintExpression.js';
+
 /**
  * Utility class for working with standardized model object paths
  * Provides methods for creating, parsing, normalizing, and resolving object paths
@@ -248,4 +250,280 @@ export class ModelPathUtils {
     
     return null;
   }
+
+  /**
+   * Split a full property path into the path of the owning object and the property name
+   * @param {string} path - The full path (e.g. 'RootModel.A[0].B')
+   * @returns {{objectPath: string, property: string}} E.g. { objectPath: 'RootModel.A[0]', property: 'B' }
+   */
+  static splitPropertyPath(path) {
+    const separatorIndex = path.lastIndexOf('.');
+    return {
+      objectPath: path.substring(0, separatorIndex),
+      property: path.substring(separatorIndex + 1)
+    };
+  }
+
+  /**
+   * Convert an object path to a JSON Pointer (RFC 6901)
+   * @param {string} path - The object path (e.g. 'RootModel.Compartment[2].Name')
+   * @returns {string} The JSON Pointer (e.g. '/Compartment/2/Name'); '' for the root
+   */
+  static objectPathToJsonPointer(path) {
+    const tokens = [];
+    const tokenRegex = /([^.\[\]]+)|\[(\d+)\]/g;
+    let match;
+
+    while ((match = tokenRegex.exec(String(path || ''))) !== null) {
+      tokens.push(match[1] !== undefined ? match[1] : match[2]);
+    }
+
+    if (tokens[0] === 'RootModel') {
+      tokens.shift();
+    }
+
+    return tokens
+      .map(token => `/${token.replace(/~/g, '~0').replace(/\//g, '~1')}`)
+      .join('');
+  }
+
+  /**
+   * Convert a JSON Pointer (RFC 6901) to an object path
+   * Numeric tokens are read as array indices.
+   * @param {string} pointer - The JSON Pointer (e.g. '/Compartment/2/Name')
+   * @returns {string} The object path (e.g. 'RootModel.Compartment[2].Name')
+   * @throws {Error} If the pointer is malformed or cannot be expressed as an object path
+   */
+  static jsonPointerToObjectPath(pointer) {
+    if (pointer === '') return 'RootModel';
+
+    if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+      throw new Error(`Invalid JSON Pointer '${pointer}': must be empty or start with '/'`);
+    }
+
+    return pointer.slice(1).split('/').reduce((path, token, position) => {
+      if (/~[^01]|~$/.test(token)) {
+        throw new Error(`Invalid JSON Pointer '${pointer}': bad escape in '${token}'`);
+      }
+
+      const name = token.replace(/~1/g, '/').replace(/~0/g, '~');
+      if (/^(0|[1-9]\d*)$/.test(name)) {
+        if (position === 0) {
+          throw new Error(`Invalid JSON Pointer '${pointer}': the root model is not an array`);
+        }
+        return `${path}[${name}]`;
+      }
+
+      if (!name || /[.\[\]]/.test(name)) {
+        throw new Error(`JSON Pointer '${pointer}' cannot be expressed as an object path`);
+      }
+      return `${path}.${name}`;
+    }, 'RootModel');
+  }
+
+  /**
+   * Find the values matching a path query
+   * Queries are object paths that may also contain:
+   * - [*] for all items of an array, and .* for all properties of an object
+   * - [?condition] for the array items for which a condition is true, e.g. Parameters[?Use == true];
+   *   conditions are ConstraintExpressions evaluated with the item as the object
+   * - .. for an object and all objects within it, e.g. RootModel..Name for every Name in the model
+   * Properties starting with '_' are not searched by wildcards and recursive descent.
+   * @param {Object} root - The root model instance
+   * @param {string} query - The query (e.g. 'RootModel.Compartment[*].Species[?Amount > 0].Name')
+   * @returns {Array<Object>} The matches as { path, value }, with concrete object paths
+   * @throws {Error} If the query is malformed
+   */
+  static query(root, query) {
+    const steps = parseQuery(query);
+    let matches = root === null || root === undefined ? [] : [{ path: 'RootModel', value: root }];
+
+    steps.forEach(step => {
+      const seen = new Set();
+      matches = matches
+        .flatMap(match => applyQueryStep(step, match, root))
+        .filter(match => !seen.has(match.path) && seen.add(match.path));
+    });
+
+    return matches;
+  }
+}
+
+/**
+ * Split a path query into steps
+ * @private
+ */
+function parseQuery(query) {
+  const source = String(query ?? '').trim();
+  const fail = (message) => {
+    throw new Error(`Invalid path query '${source}': ${message}`);
+  };
+  if (!source) fail('the query is empty');
+
+  const steps = [];
+  let pos = source.startsWith('RootModel') && !/^RootModel[\w$]/.test(source) ? 'RootModel'.length : 0;
+  // A query without RootModel starts with a property of the root
+  let expectName = pos === 0;
+
+  const readName = () => {
+    if (source[pos] === '*') {
+      pos++;
+      return { type: 'anyProperty' };
+    }
+    const name = /^[^.\[\]\s]+/.exec(source.slice(pos));
+    if (!name) fail(`expected a property name at position ${pos}`);
+    pos += name[0].length;
+    return { type: 'property', name: name[0] };
+  };
+
+  while (pos < source.length) {
+    if (expectName) {
+      steps.push(readName());
+      expectName = false;
+    } else if (source.startsWith('..', pos)) {
+      pos += 2;
+      steps.push({ type: 'descendants' });
+      expectName = source[pos] !== '[';
+    } else if (source[pos] === '.') {
+      pos++;
+      expectName = true;
+    } else if (source[pos] === '[') {
+      const end = findClosingBracket(source, pos);
+      if (end < 0) fail(`missing ']' for '[' at position ${pos}`);
+      steps.push(parseBracket(source.slice(pos + 1, end).trim(), fail));
+      pos = end + 1;
+    } else {
+      fail(`unexpected '${source[pos]}' at position ${pos}`);
+    }
+  }
+  if (expectName) fail('the query ends with a separator');
+
+  return steps;
+}
+
+/**
+ * Parse the contents of [...] in a path query
+ * @private
+ */
+function parseBracket(contents, fail) {
+  if (contents === '*') {
+    return { type: 'anyIndex' };
+  }
+  if (/^\d+$/.test(contents)) {
+    return { type: 'index', index: Number(contents) };
+  }
+  if (contents.startsWith('?')) {
+    try {
+      return { type: 'filter', condition: new ConstraintExpression(contents.slice(1)) };
+    } catch (error) {
+      fail(error.message);
+    }
+  }
+  return fail(`'[${contents}]' is not an index, [*] or [?condition]`);
+}
+
+/**
+ * Find the ']' closing the '[' at a position, skipping nested brackets and strings
+ * @private
+ */
+function findClosingBracket(source, start) {
+  let depth = 0;
+  let quote = null;
+  for (let pos = start; pos < source.length; pos++) {
+    const char = source[pos];
+    if (quote) {
+      if (char === '\\') pos++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '[') {
+      depth++;
+    } else if (char === ']' && --depth === 0) {
+      return pos;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Apply a query step to a match
+ * @private
+ */
+function applyQueryStep(step, match, root) {
+  const { path, value } = match;
+  const isObject = value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  switch (step.type) {
+    case 'property':
+      return isObject && value[step.name] !== undefined && typeof value[step.name] !== 'function'
+        ? [{ path: `${path}.${step.name}`, value: value[step.name] }]
+        : [];
+
+    case 'anyProperty':
+      return isObject ? queryableEntries(value).map(([key, item]) => ({ path: `${path}.${key}`, value: item })) : [];
+
+    case 'index':
+      return Array.isArray(value) && step.index < value.length
+        ? [{ path: `${path}[${step.index}]`, value: value[step.index] }]
+        : [];
+
+    case 'anyIndex':
+      return Array.isArray(value) ? value.map((item, index) => ({ path: `${path}[${index}]`, value: item })) : [];
+
+    case 'filter': {
+      const candidates = Array.isArray(value)
+        ? value.map((item, index) => ({ path: `${path}[${index}]`, value: item }))
+        : [match];
+      return candidates.filter(candidate => isConditionTrue(step.condition, candidate.value, root));
+    }
+
+    case 'descendants':
+      return collectDescendants(match);
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Evaluate a filter condition; items it cannot be evaluated for do not match
+ * @private
+ */
+function isConditionTrue(condition, item, root) {
+  if (item === null || typeof item !== 'object') {
+    return false;
+  }
+  try {
+    return Boolean(condition.evaluate(item, root));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get a match and all values within it
+ * @private
+ */
+function collectDescendants(match, seen = new Set()) {
+  const { path, value } = match;
+  if (value === null || typeof value !== 'object') {
+    return [match];
+  }
+  if (seen.has(value)) {
+    return [];
+  }
+  seen.add(value);
+
+  const children = Array.isArray(value)
+    ? value.map((item, index) => ({ path: `${path}[${index}]`, value: item }))
+    : queryableEntries(value).map(([key, item]) => ({ path: `${path}.${key}`, value: item }));
+  return [match, ...children.flatMap(child => collectDescendants(child, seen))];
+}
+
+/**
+ * Get the properties of an object searched by wildcards
+ * @private
+ */
+function queryableEntries(object) {
+  return Object.entries(object).filter(([key, value]) => !key.startsWith('_') && typeof value !== 'function');
 }
@@ -74,3 +74,305 @@ export function convertNumericProperty(value) {
     }
     return Number(value);
 }
+
+
+/**
+ * Property types with built-in conversions, by the names accepted in definition files
+ * Any other Type is a model class (or an unchecked type).
+ */
+const TYPE_KINDS = {
+    number: 'number', double: 'number', single: 'number',
+    integer: 'integer', int: 'integer',
+    int8: 'integer', int16: 'integer', int32: 'integer', int64: 'integer',
+    uint8: 'integer', uint16: 'integer', uint32: 'integer', uint64: 'integer',
+    boolean: 'boolean', logical: 'boolean',
+    string: 'string', char: 'string',
+    date: 'date',
+    datetime: 'datetime',
+    duration: 'duration',
+    quantity: 'quantity',
+    matrix: 'matrix'
+};
+
+/**
+ * Get the kind of a property type
+ * Aliases are folded together, e.g. 'double' and 'single' are both 'number'.
+ * 
+ * @param {string} type - The Type from a property definition
+ * @returns {string|null} 'number', 'integer', 'boolean', 'string', 'date', 'datetime',
+ *   'duration', 'quantity' or 'matrix', or null for class and unknown types
+ */
+export function getTypeKind(type) {
+    return typeof type === 'string' ? TYPE_KINDS[type.toLowerCase()] || null : null;
+}
+
+/**
+ * Convert a value to the stored form of a property type
+ * The stored forms are plain JSON: integers and numbers, 'YYYY-MM-DD' strings for dates,
+ * ISO 8601 strings for datetimes, seconds for durations, { Value, Unit } for quantities and
+ * arrays of rows for matrices. null and undefined are returned unchanged.
+ * 
+ * @param {*} value - The value to convert
+ * @param {string} type - The Type from the property definition
+ * @param {Object} [propDef={}] - The property definition (Unit is the default unit of quantities)
+ * @returns {*} The converted value; values of class and unknown types are returned unchanged
+ * @throws {Error} If the value cannot be converted
+ */
+export function convertToType(value, type, propDef = {}) {
+    if (value === null || value === undefined) {
+        return value;
+    }
+
+    const fail = () => {
+        throw new Error(`Cannot convert ${JSON.stringify(value)} to ${type}`);
+    };
+
+    switch (getTypeKind(type)) {
+        case 'number': {
+            const number = typeof value === 'string' ? parseNumber(value) : Number(value);
+            return Number.isNaN(number) || typeof value === 'object' ? fail() : number;
+        }
+        case 'integer': {
+            const number = typeof value === 'string' ? parseNumber(value) : Number(value);
+            return Number.isInteger(number) && typeof value !== 'object' ? number : fail();
+        }
+        case 'boolean':
+            if (typeof value === 'string') {
+                return value.toLowerCase() === 'true';
+            }
+            return Boolean(value);
+        case 'string':
+            return typeof value === 'object' ? fail() : String(value);
+        case 'date': {
+            const date = toDate(value);
+            return date ? date.toISOString().slice(0, 10) : fail();
+        }
+        case 'datetime': {
+            const date = toDate(value);
+            return date ? date.toISOString() : fail();
+        }
+        case 'duration': {
+            const seconds = typeof value === 'string' ? parseDuration(value) : value;
+            return typeof seconds === 'number' && !Number.isNaN(seconds) ? seconds : fail();
+        }
+        case 'quantity': {
+            const quantity = parseQuantity(value, propDef.Unit);
+            return quantity || fail();
+        }
+        case 'matrix': {
+            const matrix = typeof value === 'string' ? parseMatrix(value) : toMatrix(value);
+            return matrix || fail();
+        }
+        default:
+            return value;
+    }
+}
+
+/**
+ * Check whether a value is in the stored form of a property type
+ * MATLAB's string forms of numbers ('Infinity') and dates are accepted.
+ * 
+ * @param {*} value - The value
+ * @param {string} type - The Type from the property definition
+ * @returns {boolean} True if the value has the type; always true for class and unknown types
+ */
+export function isValueOfType(value, type) {
+    switch (getTypeKind(type)) {
+        case 'number':
+            return typeof value === 'number' || (typeof value === 'string' && typeof convertNumericProperty(value) === 'number');
+        case 'integer':
+            return Number.isInteger(value);
+        case 'boolean':
+            return typeof value === 'boolean';
+        case 'string':
+            return typeof value === 'string';
+        case 'date':
+        case 'datetime':
+            return typeof value === 'string' && toDate(value) !== null;
+        case 'duration':
+            return typeof value === 'number';
+        case 'quantity':
+            return typeof value === 'number' ||
+                (isPlainObject(value) && typeof value.Value === 'number' && typeof value.Unit === 'string');
+        case 'matrix':
+            return Array.isArray(value) && toMatrix(value) !== null;
+        default:
+            return true;
+    }
+}
+
+/**
+ * Parse a duration
+ * Accepts seconds ('90'), clock notation ('1:30', '01:30:00') and ISO 8601 durations ('PT1H30M').
+ * 
+ * @param {string} text - The text to parse
+ * @returns {number} The duration in seconds, or NaN if the text is not a duration
+ */
+export function parseDuration(text) {
+    const trimmed = String(text).trim();
+    if (trimmed === '') {
+        return NaN;
+    }
+
+    const iso = trimmed.match(/^(-)?P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i);
+    if (iso && trimmed.length > 2) {
+        const [, sign, days = 0, hours = 0, minutes = 0, seconds = 0] = iso;
+        const total = Number(days) * 86400 + Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+        return sign ? -total : total;
+    }
+
+    const clock = trimmed.match(/^(-)?(?:(\d+):)?(\d+):(\d+(?:\.\d+)?)$/);
+    if (clock) {
+        const [, sign, hours = 0, minutes, seconds] = clock;
+        const total = Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+        return sign ? -total : total;
+    }
+
+    return Number(trimmed);
+}
+
+/**
+ * Format a duration in seconds as hh:mm:ss
+ * 
+ * @param {*} seconds - The duration in seconds
+ * @returns {*} The formatted duration, or the value unchanged if it is not a number
+ */
+export function formatDuration(seconds) {
+    if (typeof seconds !== 'number' || !Number.isFinite(seconds)) {
+        return seconds;
+    }
+
+    const sign = seconds < 0 ? '-' : '';
+    const absolute = Math.abs(seconds);
+    const hours = Math.floor(absolute / 3600);
+    const minutes = Math.floor((absolute % 3600) / 60);
+    const rest = Math.round((absolute % 60) * 1000) / 1000;
+    const pad = (number) => String(number).padStart(2, '0');
+    const secondsText = Number.isInteger(rest) ? pad(rest) : pad(Math.floor(rest)) + String(rest % 1).slice(1);
+    return `${sign}${pad(hours)}:${pad(minutes)}:${secondsText}`;
+}
+
+/**
+ * Parse a quantity: a number with a unit
+ * Accepts { Value, Unit } objects, numbers (in the default unit) and text such as '5 mg' or '5'.
+ * 
+ * @param {*} value - The value to parse
+ * @param {string} [defaultUnit=''] - The unit of values given without one
+ * @returns {{Value: number, Unit: string}|null} The quantity, or null if the value is not a quantity
+ */
+export function parseQuantity(value, defaultUnit = '') {
+    if (isPlainObject(value)) {
+        const number = convertNumericProperty(value.Value);
+        return typeof number === 'number' && !Number.isNaN(number)
+            ? { Value: number, Unit: typeof value.Unit === 'string' ? value.Unit : defaultUnit || '' }
+            : null;
+    }
+    if (typeof value === 'number') {
+        return { Value: value, Unit: defaultUnit || '' };
+    }
+    if (typeof value !== 'string') {
+        return null;
+    }
+
+    const match = value.trim().match(/^([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?|[-+]?inf(?:inity)?)\s*(.*)$/i);
+    if (!match) {
+        return null;
+    }
+    return { Value: parseInfinityInput(match[1]), Unit: match[2].trim() || defaultUnit || '' };
+}
+
+/**
+ * Format a quantity as text, e.g. '5 mg'
+ * 
+ * @param {*} quantity - The quantity
+ * @returns {*} The formatted quantity, or the value unchanged if it is not a quantity
+ */
+export function formatQuantity(quantity) {
+    if (!isPlainObject(quantity)) {
+        return quantity;
+    }
+    const value = formatInfinityForDisplay(quantity.Value);
+    return quantity.Unit ? `${value} ${quantity.Unit}` : String(value);
+}
+
+/**
+ * Parse a matrix in MATLAB notation
+ * Rows are separated by ';' or new lines and values by spaces or commas, e.g. '1 2; 3 4'.
+ * Surrounding brackets are optional.
+ * 
+ * @param {string} text - The text to parse
+ * @returns {Array<Array<number>>|null} The rows, or null if the text is not a rectangular numeric matrix
+ */
+export function parseMatrix(text) {
+    const body = String(text).trim().replace(/^\[/, '').replace(/\]$/, '').trim();
+    if (body === '') {
+        return [];
+    }
+
+    const rows = body.split(/\s*[;\n]\s*/).filter(row => row !== '')
+        .map(row => row.split(/[\s,]+/).filter(item => item !== '').map(parseInfinityInput));
+    return toMatrix(rows);
+}
+
+/**
+ * Format a matrix in MATLAB notation, e.g. '1 2; 3 4'
+ * 
+ * @param {*} matrix - The matrix
+ * @returns {*} The formatted matrix, or the value unchanged if it is not an array
+ */
+export function formatMatrix(matrix) {
+    if (!Array.isArray(matrix)) {
+        return matrix;
+    }
+    return matrix.map(row => (Array.isArray(row) ? row : [row]).map(formatInfinityForDisplay).join(' ')).join('; ');
+}
+
+/**
+ * Parse a number, accepting MATLAB's Infinity strings
+ * @private
+ */
+function parseNumber(text) {
+    const trimmed = text.trim();
+    if (trimmed === '') {
+        return NaN;
+    }
+    const number = convertInfinityStringsToNumbers(trimmed);
+    return typeof number === 'number' ? number : NaN;
+}
+
+/**
+ * Convert a Date, timestamp or date string to a valid Date
+ * @private
+ */
+function toDate(value) {
+    if (typeof value === 'string' && value.trim() === '') {
+        return null;
+    }
+    const date = value instanceof Date ? value : (typeof value === 'string' || typeof value === 'number') ? new Date(value) : null;
+    return date && !Number.isNaN(date.getTime()) ? date : null;
+}
+
+/**
+ * Convert an array to a rectangular matrix of numbers (or nulls); a flat array becomes one row
+ * @private
+ */
+function toMatrix(value) {
+    if (!Array.isArray(value)) {
+        return null;
+    }
+    const rows = value.length > 0 && !Array.isArray(value[0]) ? [value] : value;
+    if (!rows.every(row => Array.isArray(row) && row.length === rows[0].length)) {
+        return null;
+    }
+
+    // MATLAB encodes NaN as null
+    const matrix = rows.map(row => row.map(item => (item === null ? null : convertNumericProperty(item))));
+    return matrix.every(row => row.every(item => item === null || (typeof item === 'number' && !Number.isNaN(item)))) ? matrix : null;
+}
+
+/**
+ * @private
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
@@ -0,0 +1,371 @@
+/**
+ * UnitRegistry.js
+ * Physical units and dimensional analysis for numeric model properties.
+ * A unit expression combines unit names with '*', '/', '^', parentheses and numbers, e.g.
+ * 'mg', 'ng/mL', 'mL/min/kg', '1/h' or SimBiology's '1/(nanomolarity*hour)'. Units are
+ * reduced to a factor and the exponents of base dimensions (the SI dimensions and any an app
+ * defines, e.g. { mass: 1, length: -3 }), so two units can be converted into each other when
+ * their dimensions are equal.
+ */
+
+const PREFIXES = {
+  tera: 1e12, giga: 1e9, mega: 1e6, kilo: 1e3, deci: 1e-1, centi: 1e-2,
+  milli: 1e-3, micro: 1e-6, nano: 1e-9, pico: 1e-12, femto: 1e-15,
+  T: 1e12, G: 1e9, M: 1e6, k: 1e3, d: 1e-1, c: 1e-2,
+  m: 1e-3, u: 1e-6, 'µ': 1e-6, 'μ': 1e-6, n: 1e-9, p: 1e-12, f: 1e-15
+};
+
+// Longest first, so 'milli' is tried before 'm'
+const PREFIX_NAMES = Object.keys(PREFIXES).sort((a, b) => b.length - a.length);
+
+/**
+ * Units known to every registry: [name, definition, aliases, prefixable]
+ * A definition is a unit expression, or { dimension } for the base unit of a dimension.
+ */
+const DEFAULT_UNITS = [
+  ['g', { dimension: 'mass' }, ['gram'], true],
+  ['m', { dimension: 'length' }, ['meter', 'metre'], true],
+  ['s', { dimension: 'time' }, ['second', 'sec'], true],
+  ['mol', { dimension: 'amount' }, ['mole'], true],
+  ['A', { dimension: 'current' }, ['ampere'], true],
+  ['K', { dimension: 'temperature' }, ['kelvin'], true],
+  ['cd', { dimension: 'luminosity' }, ['candela'], false],
+  ['L', '0.001 m^3', ['l', 'liter', 'litre'], true],
+  ['cc', 'mL', [], false],
+  ['min', '60 s', ['minute'], false],
+  ['h', '60 min', ['hr', 'hour'], false],
+  ['day', '24 h', ['d'], false],
+  ['week', '7 day', ['wk'], false],
+  ['year', '365.25 day', ['yr'], false],
+  ['M', 'mol/L', ['molar', 'molarity'], true],
+  ['Da', '1.66053906660e-24 g', ['dalton'], true],
+  ['Hz', '1/s', ['hertz'], true],
+  ['N', 'kg*m/s^2', ['newton'], true],
+  ['Pa', 'N/m^2', ['pascal'], true],
+  ['J', 'N*m', ['joule'], true],
+  ['W', 'J/s', ['watt'], true],
+  ['%', '0.01', ['percent'], false],
+  ['dimensionless', '1', [], false]
+];
+
+/**
+ * Error for unit expressions that cannot be parsed and conversions between incompatible units
+ */
+export class UnitError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {Object} [details] - Details of the problem
+   * @param {string} [details.unit] - The unit expression
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'UnitError';
+    this.unit = details.unit ?? null;
+  }
+}
+
+export class UnitRegistry {
+  constructor() {
+    /** @private Unit name or alias -> { factor, dimensions, prefixable } */
+    this._units = new Map();
+
+    /** @private Unit expression -> parsed unit */
+    this._parsed = new Map();
+
+    /** @private Dimension -> name of its base unit */
+    this._baseUnits = new Map();
+
+    DEFAULT_UNITS.forEach(([name, definition, aliases, prefixable]) => {
+      this.define(name, definition, { aliases, prefixable });
+    });
+  }
+
+  /**
+   * Define a unit
+   * @param {string} name - The unit name, e.g. 'IU'
+   * @param {string|{dimension: string}} definition - A unit expression in terms of known units,
+   *   e.g. '0.001 m^3', or { dimension } to make the unit the base unit of a new dimension,
+   *   e.g. { dimension: 'activity' }
+   * @param {Object} [options] - Options
+   * @param {Array<string>} [options.aliases=[]] - Other names of the unit
+   * @param {boolean} [options.prefixable=false] - Whether SI prefixes may be used, e.g. 'mIU'
+   * @throws {UnitError} If the name or dimension is taken or the definition cannot be parsed
+   */
+  define(name, definition, options = {}) {
+    const { aliases = [], prefixable = false } = options;
+    const names = [name, ...aliases];
+
+    names.forEach(unitName => {
+      if (typeof unitName !== 'string' || !/^[^\s*/^()\d.+-][^\s*/^()]*$/.test(unitName)) {
+        throw new UnitError(`Invalid unit name: ${unitName}`, { unit: unitName });
+      }
+      if (this._units.has(unitName)) {
+        throw new UnitError(`Unit ${unitName} is already defined`, { unit: unitName });
+      }
+    });
+
+    let unit;
+    if (definition && typeof definition === 'object') {
+      const { dimension } = definition;
+      if (typeof dimension !== 'string' || !/^\w+$/.test(dimension)) {
+        throw new UnitError(`Invalid dimension of ${name}: ${dimension}`, { unit: name });
+      }
+      if (this._baseUnits.has(dimension)) {
+        throw new UnitError(`Dimension ${dimension} already has the base unit ${this._baseUnits.get(dimension)}`, { unit: name });
+      }
+      this._baseUnits.set(dimension, name);
+      unit = { factor: 1, dimensions: { [dimension]: 1 } };
+    } else {
+      unit = this.parse(definition);
+    }
+
+    names.forEach(unitName => this._units.set(unitName, { ...unit, prefixable }));
+    // Expressions may resolve differently now
+    this._parsed.clear();
+  }
+
+  /**
+   * Check whether a unit expression can be parsed
+   * @param {string} unit - The unit expression
+   * @returns {boolean} True if the unit is known
+   */
+  isKnown(unit) {
+    try {
+      this.parse(unit);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Parse a unit expression
+   * The empty expression is dimensionless.
+   * @param {string} unit - The unit expression
+   * @returns {{factor: number, dimensions: Object}} The factor to the base units and the
+   *   non-zero exponents of the base dimensions
+   * @throws {UnitError} If the expression is malformed or uses unknown units
+   */
+  parse(unit) {
+    if (typeof unit !== 'string') {
+      throw new UnitError(`Invalid unit: ${unit}`, { unit });
+    }
+    const expression = unit.trim();
+    if (!this._parsed.has(expression)) {
+      this._parsed.set(expression, expression === ''
+        ? { factor: 1, dimensions: {} }
+        : new UnitParser(expression, name => this._lookup(name)).parse());
+    }
+    const parsed = this._parsed.get(expression);
+    return { factor: parsed.factor, dimensions: { ...parsed.dimensions } };
+  }
+
+  /**
+   * Describe the dimension of a unit, e.g. 'mass/length^3' for 'ng/mL'
+   * @param {string} unit - The unit expression
+   * @returns {string} The dimension, or 'dimensionless'
+   * @throws {UnitError} If the unit cannot be parsed
+   */
+  getDimension(unit) {
+    const { dimensions } = this.parse(unit);
+    const describe = (exponents) => exponents
+      .map(({ name, exponent }) => (exponent === 1 ? name : `${name}^${exponent}`))
+      .join('*');
+
+    // In the order the dimensions were defined: mass, length, time, ...
+    const names = Array.from(this._baseUnits.keys()).filter(name => dimensions[name]);
+    const numerator = names.filter(name => dimensions[name] > 0)
+      .map(name => ({ name, exponent: dimensions[name] }));
+    const denominator = names.filter(name => dimensions[name] < 0)
+      .map(name => ({ name, exponent: -dimensions[name] }));
+
+    if (numerator.length === 0 && denominator.length === 0) {
+      return 'dimensionless';
+    }
+    const bottom = denominator.length > 1 ? `(${describe(denominator)})` : describe(denominator);
+    return `${numerator.length > 0 ? describe(numerator) : '1'}${denominator.length > 0 ? `/${bottom}` : ''}`;
+  }
+
+  /**
+   * Check whether values in one unit can be converted to another
+   * @param {string} fromUnit - A unit expression
+   * @param {string} toUnit - Another unit expression
+   * @returns {boolean} True if both units are known and have the same dimension
+   */
+  isCompatible(fromUnit, toUnit) {
+    try {
+      return sameDimensions(this.parse(fromUnit).dimensions, this.parse(toUnit).dimensions);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Convert a value from one unit to another
+   * @param {number} value - The value
+   * @param {string} fromUnit - The unit of the value
+   * @param {string} toUnit - The unit to convert to
+   * @returns {number} The converted value
+   * @throws {UnitError} If a unit cannot be parsed or the units have different dimensions
+   */
+  convert(value, fromUnit, toUnit) {
+    const from = this.parse(fromUnit);
+    const to = this.parse(toUnit);
+    if (!sameDimensions(from.dimensions, to.dimensions)) {
+      throw new UnitError(
+        `Cannot convert ${fromUnit} (${this.getDimension(fromUnit)}) to ${toUnit} (${this.getDimension(toUnit)})`,
+        { unit: fromUnit }
+      );
+    }
+    if (from.factor === to.factor) {
+      return value;
+    }
+    // Round away floating point noise such as 2.6 L -> 2600.0000000000005 mL
+    return Number((value * from.factor / to.factor).toPrecision(12));
+  }
+
+  /**
+   * Find a unit by name, with an optional SI prefix
+   * @private
+   */
+  _lookup(name) {
+    const candidates = [name];
+    // Plurals of long names, e.g. 'hours'
+    if (name.length > 3 && name.endsWith('s')) {
+      candidates.push(name.slice(0, -1));
+    }
+
+    for (const candidate of candidates) {
+      if (this._units.has(candidate)) {
+        return this._units.get(candidate);
+      }
+      const prefix = PREFIX_NAMES.find(prefixName => candidate.startsWith(prefixName) &&
+        this._units.get(candidate.slice(prefixName.length))?.prefixable);
+      if (prefix) {
+        const unit = this._units.get(candidate.slice(prefix.length));
+        return { factor: unit.factor * PREFIXES[prefix], dimensions: unit.dimensions };
+      }
+    }
+    return null;
+  }
+}
+
+/**
+ * Whether two units have the same dimension
+ * @private
+ */
+function sameDimensions(a, b) {
+  const names = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return Array.from(names).every(name => (a[name] || 0) === (b[name] || 0));
+}
+
+/**
+ * Combine the dimensions of two units, e.g. for a product (sign 1) or a quotient (sign -1)
+ * @private
+ */
+function combineDimensions(a, b, sign) {
+  const dimensions = { ...a };
+  Object.entries(b).forEach(([name, exponent]) => {
+    dimensions[name] = (dimensions[name] || 0) + sign * exponent;
+    if (dimensions[name] === 0) {
+      delete dimensions[name];
+    }
+  });
+  return dimensions;
+}
+
+/**
+ * Recursive descent parser for unit expressions
+ *   expression := term (('*' | '/')? term)*      juxtaposition multiplies, e.g. '1000 mol'
+ *   term       := factor ('^' integer)?
+ *   factor     := number | name | '(' expression ')'
+ * @private
+ */
+class UnitParser {
+  constructor(expression, lookup) {
+    this._expression = expression;
+    this._lookup = lookup;
+    this._tokens = expression.match(/\d+\.?\d*(?:e[-+]?\d+)?|\.\d+(?:e[-+]?\d+)?|[*/^()]|[-+]|[^\s*/^()]+/gi) || [];
+    this._position = 0;
+  }
+
+  parse() {
+    const unit = this._parseExpression();
+    if (this._position < this._tokens.length) {
+      this._fail(`unexpected '${this._tokens[this._position]}'`);
+    }
+    return unit;
+  }
+
+  _parseExpression() {
+    let unit = this._parseTerm();
+    while (this._position < this._tokens.length && this._peek() !== ')') {
+      const operator = this._peek() === '*' || this._peek() === '/' ? this._next() : '*';
+      const right = this._parseTerm();
+      const sign = operator === '/' ? -1 : 1;
+      unit = {
+        factor: sign > 0 ? unit.factor * right.factor : unit.factor / right.factor,
+        dimensions: combineDimensions(unit.dimensions, right.dimensions, sign)
+      };
+    }
+    return unit;
+  }
+
+  _parseTerm() {
+    const unit = this._parseFactor();
+    if (this._peek() !== '^') {
+      return unit;
+    }
+    this._next();
+    let text = this._next();
+    if (text === '-' || text === '+') {
+      text += this._next() ?? '';
+    }
+    const exponent = Number(text);
+    if (!Number.isInteger(exponent)) {
+      this._fail(`invalid exponent '${text}'`);
+    }
+    return {
+      factor: unit.factor ** exponent,
+      dimensions: combineDimensions({}, unit.dimensions, exponent)
+    };
+  }
+
+  _parseFactor() {
+    const token = this._next();
+    if (token === undefined) {
+      this._fail('unexpected end');
+    }
+    if (token === '(') {
+      const unit = this._parseExpression();
+      if (this._next() !== ')') {
+        this._fail("missing ')'");
+      }
+      return unit;
+    }
+    if (/^[\d.]/.test(token)) {
+      return { factor: Number(token), dimensions: {} };
+    }
+    if (/^[*/^)+-]$/.test(token)) {
+      this._fail(`unexpected '${token}'`);
+    }
+
+    const unit = this._lookup(token);
+    if (!unit) {
+      throw new UnitError(`Unknown unit '${token}' in ${this._expression}`, { unit: this._expression });
+    }
+    return { factor: unit.factor, dimensions: unit.dimensions };
+  }
+
+  _peek() {
+    return this._tokens[this._position];
+  }
+
+  _next() {
+    return this._tokens[this._position++];
+  }
+
+  _fail(message) {
+    throw new UnitError(`Invalid unit ${this._expression}: ${message}`, { unit: this._expression });
+  }
+}
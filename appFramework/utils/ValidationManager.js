@@ -2,36 +2,215 @@
  * ValidationManager.js
  * Manages validation rules and constraints for model properties.
  */
+import { EventTypes } from '../controller/EventTypes.js';
+import { ConstraintExpression } from './ConstraintExpression.js';
+import { UnitRegistry } from './UnitRegistry.js';
+import { getClassHierarchy } from './ClassHierarchy.js';
 
 export default class ValidationManager {
-  constructor(app) {
+  /**
+   * @param {Object} app - The app, used to report definition errors
+   * @param {Object} [options]
+   * @param {UnitRegistry} [options.unitRegistry] - The units used to check property Units
+   */
+  constructor(app, { unitRegistry = new UnitRegistry() } = {}) {
     this._app = app;
+    this.unitRegistry = unitRegistry;
     this.propertyValidations = new Map(); // "ClassName.propertyName" -> validation rules
+    this.propertyUnits = new Map();       // "ClassName.propertyName" -> { Unit, Type }
+    this.unitErrors = [];                 // Units that failed to parse: {className, propertyName, message}
     this.classConstraints = new Map();    // "ClassName" -> array of constraints
+    this.classParents = new Map();        // "ClassName" -> name of the class it Extends
+    this.constraintErrors = [];           // Conditions that failed to parse: {className, id, message}
+    this._expressions = new WeakMap();    // constraint -> ConstraintExpression (null if invalid)
   }
 
   /**
    * Load validation rules and constraints from a model definition
+   * Definitions can be loaded in any order; rules of parent classes (Extends) are
+   * merged in when they are looked up.
    * @param {Object} modelDef - The model class definition with validation rules
    */
   loadModelDefinition(modelDef) {
     const className = modelDef.ClassName;
     
+    if (modelDef.Extends) {
+      this.classParents.set(className, modelDef.Extends);
+    }
+    
     // Load property-level validations
     if (modelDef.Properties) {
       Object.entries(modelDef.Properties).forEach(([propName, propDef]) => {
         if (propDef.Validation) {
           this.propertyValidations.set(`${className}.${propName}`, propDef.Validation);
         }
+        if (propDef.Unit !== undefined) {
+          this._loadPropertyUnit(className, propName, propDef);
+        }
       });
     }
     
-    // Load class-level constraints
+    // Load class-level constraints, parsing their conditions once
+    // A disabled constraint only removes the parent constraint with the same id
     if (modelDef.Constraints) {
-      this.classConstraints.set(className, modelDef.Constraints);
+      const constraints = modelDef.Constraints.map(constraint => (constraint.disabled
+        ? constraint
+        : this._compileConstraint(className, constraint)));
+      this.classConstraints.set(className, constraints);
+    }
+  }
+
+  /**
+   * Parse the condition of a constraint
+   * Constraints without a properties list get the properties used by their condition.
+   * Parse errors are recorded in constraintErrors and reported as CLIENT_ERROR.
+   * @param {string} className - The class that defines the constraint
+   * @param {Object} constraint - The constraint from the model definition
+   * @returns {Object} The constraint to use for validation
+   * @private
+   */
+  _compileConstraint(className, constraint) {
+    let expression = null;
+    try {
+      expression = new ConstraintExpression(constraint.condition);
+    } catch (error) {
+      const id = constraint.id || 'unnamed';
+      this.constraintErrors.push({ className, id, message: error.message });
+      console.error(`Invalid condition for constraint '${id}' of ${className}:`, error.message);
+
+      if (this._app && this._app.eventManager) {
+        this._app.eventManager.dispatchEvent(EventTypes.CLIENT_ERROR, {
+          ID: 'CONSTRAINT_PARSE_ERROR',
+          Message: `Invalid condition for constraint '${id}' of ${className}: ${error.message}`,
+          Error: { ClassName: className, ConstraintId: id, Condition: constraint.condition }
+        });
+      }
+    }
+
+    const compiled = expression && !constraint.properties
+      ? { ...constraint, properties: expression.properties }
+      : constraint;
+    this._expressions.set(compiled, expression);
+    return compiled;
+  }
+
+  /**
+   * Record the Unit of a property, checking it and its DisplayUnit
+   * Units that cannot be parsed are recorded in unitErrors and reported as CLIENT_ERROR;
+   * values of such properties are not checked.
+   * @private
+   */
+  _loadPropertyUnit(className, propName, propDef) {
+    const { Unit: unit, DisplayUnit: displayUnit } = propDef;
+    let message = null;
+    
+    try {
+      this.unitRegistry.parse(unit);
+    } catch (error) {
+      message = error.message;
+    }
+    if (!message && displayUnit !== undefined && !this.unitRegistry.isCompatible(displayUnit, unit)) {
+      message = this.unitRegistry.isKnown(displayUnit)
+        ? `DisplayUnit ${displayUnit} is not compatible with ${unit}`
+        : `Unknown DisplayUnit ${displayUnit}`;
+    }
+    
+    if (!message) {
+      this.propertyUnits.set(`${className}.${propName}`, { Unit: unit, Type: propDef.Type });
+      return;
+    }
+    
+    this.unitErrors.push({ className, propertyName: propName, message });
+    console.error(`Invalid unit of ${className}.${propName}:`, message);
+    
+    if (this._app && this._app.eventManager) {
+      this._app.eventManager.dispatchEvent(EventTypes.CLIENT_ERROR, {
+        ID: 'UNIT_PARSE_ERROR',
+        Message: `Invalid unit of ${className}.${propName}: ${message}`,
+        Error: { ClassName: className, PropertyName: propName, Unit: unit, DisplayUnit: displayUnit }
+      });
     }
   }
 
+  /**
+   * Get the inheritance chain of a class
+   * @param {string} className - The class name
+   * @returns {string[]} - Class names from the top-most parent down to className
+   */
+  getClassHierarchy(className) {
+    // Only the parents of classes are kept, so every class counts as defined
+    return getClassHierarchy(className, name => ({ Extends: this.classParents.get(name) }));
+  }
+
+  /**
+   * Get the validation rules of a property, including rules inherited from parent classes
+   * A subclass Validation block extends the parent's: its keys override the parent's and
+   * a key set to null removes the parent rule.
+   * @param {string} className - The class name
+   * @param {string} propertyName - The property name
+   * @returns {Object|null} - The merged validation rules, or null if the property has none
+   */
+  getPropertyValidation(className, propertyName) {
+    let merged = null;
+    
+    this.getClassHierarchy(className).forEach(name => {
+      const validation = this.propertyValidations.get(`${name}.${propertyName}`);
+      if (validation) {
+        merged = { ...merged, ...validation };
+      }
+    });
+    
+    if (merged) {
+      Object.keys(merged).forEach(key => {
+        if (merged[key] === null) delete merged[key];
+      });
+    }
+    
+    return merged && Object.keys(merged).length > 0 ? merged : null;
+  }
+
+  /**
+   * Get the unit of a property, including units inherited from parent classes
+   * @param {string} className - The class name
+   * @param {string} propertyName - The property name
+   * @returns {{Unit: string, Type: string}|null} - The unit and type of the property, or null
+   *   if it has no (valid) unit
+   */
+  getPropertyUnit(className, propertyName) {
+    let unit = null;
+    
+    this.getClassHierarchy(className).forEach(name => {
+      unit = this.propertyUnits.get(`${name}.${propertyName}`) || unit;
+    });
+    
+    return unit;
+  }
+
+  /**
+   * Get the constraints of a class, including constraints inherited from parent classes
+   * A subclass constraint with the same id as a parent constraint replaces it, or removes it
+   * if it is marked disabled. Other constraints are added after the parent's.
+   * @param {string} className - The class name
+   * @returns {Array} - Array of constraints
+   */
+  getClassConstraints(className) {
+    const byId = new Map();
+    
+    this.getClassHierarchy(className).forEach(name => {
+      (this.classConstraints.get(name) || []).forEach(constraint => {
+        // Constraints without an id cannot be overridden
+        const key = constraint.id !== undefined ? constraint.id : Symbol('constraint');
+        if (constraint.disabled) {
+          byId.delete(key);
+        } else {
+          byId.set(key, constraint);
+        }
+      });
+    });
+    
+    return [...byId.values()];
+  }
+
   /**
    * Get all constraints that could be affected by a property change
    * @param {string} className - The class name
@@ -43,8 +222,7 @@ export default class ValidationManager {
     const propertyName = propertyPath.split('.').pop(); // Handle nested properties
     
     // Get property-specific validation
-    const propKey = `${className}.${propertyName}`;
-    const validation = this.propertyValidations.get(propKey);
+    const validation = this.getPropertyValidation(className, propertyName);
     
     if (validation) {
       result.push({
@@ -53,22 +231,124 @@ export default class ValidationManager {
       });
     }
     
+    const unit = this.getPropertyUnit(className, propertyName);
+    if (unit) {
+      result.push({
+        type: 'unit',
+        unit: unit
+      });
+    }
+    
     // Get class-level constraints that involve this property
-    const constraints = this.classConstraints.get(className);
-    if (constraints) {
-      constraints.forEach(constraint => {
-        if (constraint.properties && constraint.properties.includes(propertyName)) {
-          result.push({
-            type: 'constraint',
-            constraint: constraint
-          });
+    this.getClassConstraints(className).forEach(constraint => {
+      if (constraint.properties && constraint.properties.includes(propertyName)) {
+        result.push({
+          type: 'constraint',
+          constraint: constraint
+        });
+      }
+    });
+    
+    return result;
+  }
+
+  /**
+   * Validate a whole instance against every property Validation and class Constraint
+   * Objects in its properties and arrays are validated too, using their _className.
+   * @param {Object} instance - The instance to validate
+   * @param {Object} [options]
+   * @param {string} [options.className] - The class of the instance (default: instance._className)
+   * @param {string} [options.path='RootModel'] - The object path of the instance
+   * @param {Object} [options.rootInstance] - The root model instance (default: instance)
+   * @returns {{valid: boolean, violations: Array<Object>}} - The report; each violation has
+   *   Path, ClassName, Type ('property' or 'constraint'), PropertyName or ConstraintId, and Message
+   */
+  validateInstance(instance, { className, path = 'RootModel', rootInstance = instance } = {}) {
+    const violations = [];
+    this._collectViolations(instance, className || (instance && instance._className), path, rootInstance, violations, new Set());
+    
+    return { valid: violations.length === 0, violations };
+  }
+
+  /**
+   * Add the violations of an object and the objects it contains to a report
+   * @private
+   */
+  _collectViolations(obj, className, path, rootInstance, violations, visited) {
+    if (!obj || typeof obj !== 'object' || visited.has(obj)) return;
+    visited.add(obj);
+    
+    if (className) {
+      this._getValidatedProperties(className).forEach(propertyName => {
+        const validation = this.getPropertyValidation(className, propertyName);
+        if (!validation || obj[propertyName] === undefined) return;
+        
+        const message = this.validatePropertyValue(obj[propertyName], validation);
+        if (message) {
+          violations.push({ Path: `${path}.${propertyName}`, ClassName: className, Type: 'property', PropertyName: propertyName, Message: message });
+        }
+      });
+      
+      this._getPropertiesWithUnits(className).forEach(propertyName => {
+        if (obj[propertyName] === undefined) return;
+        
+        const message = this.validatePropertyUnit(obj[propertyName], this.getPropertyUnit(className, propertyName));
+        if (message) {
+          violations.push({ Path: `${path}.${propertyName}`, ClassName: className, Type: 'property', PropertyName: propertyName, Message: message });
+        }
+      });
+      
+      this.getClassConstraints(className).forEach(constraint => {
+        const message = this.evaluateConstraint(obj, constraint, rootInstance);
+        if (message) {
+          violations.push({ Path: path, ClassName: className, Type: 'constraint', ConstraintId: constraint.id, Message: message });
         }
       });
     }
     
-    // TODO: Get constraints from parent classes
+    Object.entries(obj).forEach(([key, value]) => {
+      if (key.startsWith('_') || !value || typeof value !== 'object') return;
+      
+      if (Array.isArray(value)) {
+        value.forEach((item, index) => {
+          this._collectViolations(item, item && item._className, `${path}.${key}[${index}]`, rootInstance, violations, visited);
+        });
+      } else {
+        this._collectViolations(value, value._className, `${path}.${key}`, rootInstance, violations, visited);
+      }
+    });
+  }
+
+  /**
+   * Get the names of the properties of a class that have validation rules
+   * @private
+   */
+  _getValidatedProperties(className) {
+    return this._getPropertyNames(className, this.propertyValidations);
+  }
+
+  /**
+   * Get the names of the properties of a class that have units
+   * @private
+   */
+  _getPropertiesWithUnits(className) {
+    return this._getPropertyNames(className, this.propertyUnits);
+  }
+
+  /**
+   * Get the names of the properties of a class (or its parents) in a "ClassName.propertyName" map
+   * @private
+   */
+  _getPropertyNames(className, map) {
+    const names = new Set();
+    const prefixes = this.getClassHierarchy(className).map(name => `${name}.`);
     
-    return result;
+    map.forEach((value, key) => {
+      const prefix = prefixes.find(candidate => key.startsWith(candidate));
+      if (prefix) names.add(key.slice(prefix.length));
+    });
+    
+    return [...names];
   }
 
   /**
@@ -116,23 +396,56 @@ export default class ValidationManager {
     return null; // No validation error
   }
 
+  /**
+   * Check that a value given with a unit has the dimension of its property's unit
+   * Values with a unit are quantities ({ Value, Unit }). Properties of type quantity keep the
+   * unit they are given; other properties with a Unit store plain numbers in that unit, so
+   * quantities must be converted before they are assigned.
+   * @param {*} value - The value to validate
+   * @param {{Unit: string, Type: string}} unit - The unit of the property (see getPropertyUnit)
+   * @returns {string|null} - Error message or null if valid
+   */
+  validatePropertyUnit(value, unit) {
+    if (!unit || !value || typeof value !== 'object' || Array.isArray(value) || typeof value.Unit !== 'string') {
+      return null;
+    }
+    
+    const registry = this.unitRegistry;
+    if (!registry.isKnown(value.Unit)) {
+      return `Unknown unit: ${value.Unit}`;
+    }
+    if (!registry.isCompatible(value.Unit, unit.Unit)) {
+      return `Unit ${value.Unit || '(none)'} (${registry.getDimension(value.Unit)}) is not compatible with ` +
+        `${unit.Unit || '(none)'} (${registry.getDimension(unit.Unit)})`;
+    }
+    if (String(unit.Type).toLowerCase() !== 'quantity') {
+      return `Value must be a number in ${unit.Unit}`;
+    }
+    
+    return null;
+  }
+
   /**
    * Evaluate an object against a constraint
    * @param {Object} obj - The object to validate
    * @param {Object} constraint - The constraint to check
+   * @param {Object} [rootInstance] - The root model instance, for conditions that use RootModel paths
    * @returns {string|null} - Error message or null if valid
    */
-  evaluateConstraint(obj, constraint) {
-    const { id, condition, errorMessage, properties } = constraint;
+  evaluateConstraint(obj, constraint, rootInstance) {
+    const { id, condition, errorMessage } = constraint;
     
     try {
-      // Create a function to evaluate the condition
-      // This approach allows for flexible expressions
-      const props = properties || [];
-      const args = props.map(prop => obj[prop]);
-      const conditionFn = new Function(...props, `return ${condition}`);
+      // Constraints that were not loaded from a definition are parsed on first use
+      if (!this._expressions.has(constraint)) {
+        this._expressions.set(constraint, new ConstraintExpression(condition));
+      }
+      const expression = this._expressions.get(constraint);
+      if (!expression) {
+        throw new Error(`Invalid condition: ${condition}`);
+      }
       
-      const isValid = conditionFn(...args);
+      const isValid = expression.evaluate(obj, rootInstance);
       
       if (!isValid) {
         return errorMessage || `Constraint '${id}' violated`;
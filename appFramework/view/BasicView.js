@@ -4,6 +4,8 @@ import { ModelPanel } from '../../appFramework/view/components/ModelPanel.js';
 import { ModelInspector } from '../../appFramework/view/components/ModelInspector.js';
 import { JSONViewer } from '../../appFramework/view/components/JSONViewer.js';
 import { LogConsole } from '../../appFramework/view/components/LogConsole.js';
+import { ValidationReportPanel } from '../../appFramework/view/components/ValidationReportPanel.js';
+import { EventTypes } from '../controller/EventTypes.js';
 
 /**
  * Example app specific View implementation
@@ -27,6 +29,75 @@ export class BasicView extends AbstractView {
         
         // Store component configurations
         this._componentConfigs = componentConfigs;
+        
+        /** @private */
+        this._boundHandleKeyDown = this._handleKeyDown.bind(this);
+    }
+    
+    /**
+     * Get the events this view is subscribed to
+     * @returns {Array<string>} Array of event types
+     */
+    getSubscribedEvents() {
+        return [
+            ...super.getSubscribedEvents(),
+            EventTypes.MODEL_HISTORY_CHANGED,
+            EventTypes.SERVER_CONNECTION_STATUS_CHANGED,
+            EventTypes.DOCUMENT_STATE_CHANGED
+        ];
+    }
+    
+    /**
+     * Handle model history changed event by refreshing the undo/redo buttons
+     * @param {Object} event - The event object
+     */
+    handle_model_history_changed(event) {
+        const toolstrip = this.components?.toolstrip;
+        if (!toolstrip) return;
+        
+        toolstrip.setButtonDisabled('undo-button', !event.CanUndo);
+        toolstrip.setButtonDisabled('redo-button', !event.CanRedo);
+    }
+    
+    /**
+     * Handle document state changes by marking the save button while there are unsaved changes
+     * @param {Object} event - The event object
+     */
+    handle_document_state_changed(event) {
+        const saveButton = this.components?.toolstrip?.getButton('save-button');
+        if (!saveButton) return;
+        
+        saveButton.classList.toggle('toolstrip-button-unsaved', event.Dirty);
+        saveButton.title = event.Dirty
+            ? 'Save (there are unsaved changes)'
+            : `Save${event.FileName ? ` (${event.FileName})` : ''}`;
+    }
+    
+    /**
+     * Handle server connection status changes by refreshing the toolstrip status
+     * @param {Object} event - The event object
+     */
+    handle_server_connection_status_changed(event) {
+        this._showConnectionStatus(event);
+    }
+    
+    /**
+     * Show the offline queue status in the toolstrip
+     * Nothing is shown while connected or when calls are not queued.
+     * @param {Object|null} status - The status ({Connected, QueueEnabled, QueuedCount})
+     * @private
+     */
+    _showConnectionStatus(status) {
+        const toolstrip = this.components?.toolstrip;
+        if (!toolstrip || !status) return;
+        
+        if (status.Connected || !status.QueueEnabled) {
+            toolstrip.setStatus('');
+        } else if (status.QueuedCount > 0) {
+            toolstrip.setStatus(`Offline – ${status.QueuedCount} change(s) waiting to be sent`, 'warning');
+        } else {
+            toolstrip.setStatus('Offline', 'warning');
+        }
     }
     
     /**
@@ -44,6 +115,7 @@ export class BasicView extends AbstractView {
             const modelInspector = new ModelInspector(this, this._componentConfigs.ModelInspector);
             const jsonViewer = new JSONViewer(this, this._componentConfigs.JSONViewer);
             const logConsole = new LogConsole(this, this._componentConfigs.LogConsole);
+            const validationReport = new ValidationReportPanel(this, this._componentConfigs.ValidationReportPanel);
             
             // Store references to components
             this.components = {
@@ -51,12 +123,14 @@ export class BasicView extends AbstractView {
                 modelPanel,
                 modelInspector,
                 jsonViewer,
-                logConsole
+                logConsole,
+                validationReport
             };
             
             // Add components to layout using base class method
             this._setComponent('header', toolstrip.element);
             this._setComponent('main', modelPanel.element);
+            this.layout.getMainContent().insertBefore(validationReport.element, modelPanel.element);
             this._setComponent('left', modelInspector.element);
             this._setComponent('right', jsonViewer.element);
             this._setComponent('bottom', logConsole.element);
@@ -77,6 +151,31 @@ export class BasicView extends AbstractView {
                 onClick: () => this._handleLoad()
             });
             
+            // Add separator
+            const historySeparator = document.createElement('div');
+            historySeparator.className = 'toolstrip-separator';
+            toolstrip.element.appendChild(historySeparator);
+            
+            // Add undo/redo buttons, disabled until there is history
+            toolstrip.addButton({
+                id: 'undo-button',
+                label: 'Undo',
+                icon: '↶', // Unicode undo arrow
+                disabled: true,
+                onClick: () => this._handleUndo()
+            });
+            
+            toolstrip.addButton({
+                id: 'redo-button',
+                label: 'Redo',
+                icon: '↷', // Unicode redo arrow
+                disabled: true,
+                onClick: () => this._handleRedo()
+            });
+            
+            // Keyboard shortcuts for undo/redo
+            document.addEventListener('keydown', this._boundHandleKeyDown);
+            
             // Add separator
             const separator = document.createElement('div');
             separator.className = 'toolstrip-separator';
@@ -101,6 +200,9 @@ export class BasicView extends AbstractView {
                 onClick: () => this._mockLoadModel()
             });
             
+            // Show the current connection status; later changes arrive as events
+            this._showConnectionStatus(this._app?.getServerConnectionStatus?.());
+            
             // Log initialization
             this.log('App View initialized', 'info');
         } catch (error) {
@@ -109,6 +211,20 @@ export class BasicView extends AbstractView {
         }
     }
     
+    /**
+     * Scroll to and focus the model panel field for a model path
+     * Used by the validation report to show the field of a violation.
+     * @param {string} path - The model path (e.g. 'RootModel.Pumps[0].Flow')
+     * @returns {boolean} True if a field was found
+     */
+    focusModelPath(path) {
+        const found = this.components?.modelPanel?.focusPath(path) || false;
+        if (!found) {
+            this.log(`No field is shown for ${path}`, 'warn');
+        }
+        return found;
+    }
+    
     /**
      * Load test model by calling the app's loadTestData method
      * @returns {Promise<void>}
@@ -121,6 +237,10 @@ export class BasicView extends AbstractView {
         this.log('Save button clicked', 'info');
         if (this._app?.onSave) {
             this._app.onSave();
+        } else if (this._app?.documentManager) {
+            if (this._app.documentManager.save()) {
+                this.log(`Model saved to ${this._app.documentManager.getFileName()}`, 'info');
+            }
         } else {
             console.log('Save functionality not implemented');
         }
@@ -134,16 +254,84 @@ export class BasicView extends AbstractView {
         this.log('Load button clicked', 'info');
         if (this._app?.onLoad) {
             this._app.onLoad();
+        } else if (this._app?.documentManager) {
+            // Failures are reported as CLIENT_ERROR by the document manager
+            this._app.documentManager.open().then(loaded => {
+                if (loaded) {
+                    this.log(`Model loaded from ${this._app.documentManager.getFileName()}`, 'info');
+                }
+            });
         } else {
             console.log('Load functionality not implemented');
         }
     }
     
+    /**
+     * Handle undo button click or shortcut
+     * @private
+     */
+    _handleUndo() {
+        const model = this._app?.model;
+        if (model?.canUndo?.()) {
+            model.undo();
+            this.log('Undo', 'info');
+        }
+    }
+    
+    /**
+     * Handle redo button click or shortcut
+     * @private
+     */
+    _handleRedo() {
+        const model = this._app?.model;
+        if (model?.canRedo?.()) {
+            model.redo();
+            this.log('Redo', 'info');
+        }
+    }
+    
+    /**
+     * Handle Ctrl+Z (undo) and Ctrl+Y / Ctrl+Shift+Z (redo)
+     * Text fields keep their native undo so typing can be reverted before it is committed
+     * @param {KeyboardEvent} event - The keyboard event
+     * @private
+     */
+    _handleKeyDown(event) {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+        
+        const target = event.target;
+        const isTextField = target && (target.isContentEditable ||
+            target.tagName === 'TEXTAREA' ||
+            (target.tagName === 'INPUT' && !['checkbox', 'radio', 'button'].includes(target.type)));
+        if (isTextField) return;
+        
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            this._handleUndo();
+        } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+            event.preventDefault();
+            this._handleRedo();
+        }
+    }
+    
+    /**
+     * Clean up resources and unsubscribe from events
+     */
+    destroy() {
+        document.removeEventListener('keydown', this._boundHandleKeyDown);
+        super.destroy();
+    }
+    
     /**
      * Load test model by calling the app's loadTestData method
      * @returns {Promise<void>}
      */
     async _mockLoadModel() {
+        if (this._app?.documentManager && !this._app.documentManager.confirmDiscard()) {
+            return;
+        }
+        
         try {
             this.log('Loading test model...', 'info');
             
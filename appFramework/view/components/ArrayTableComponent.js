@@ -6,6 +6,7 @@
 import { BaseComponent } from './BaseComponent.js';
 import { ModelPathUtils } from '../../utils/ModelPathUtils.js';
 import { parseInfinityInput, formatInfinityForDisplay } from '../../utils/TypeConversionUtils.js';
+import { EventTypes } from '../../controller/EventTypes.js';
 
 export class ArrayTableComponent extends BaseComponent {
     /**
@@ -18,6 +19,7 @@ export class ArrayTableComponent extends BaseComponent {
      * @param {string} [options.className] - Optional class name for the table container
      * @param {string} [options.title] - Optional title for the table
      * @param {Object} options.utils - PropertyRenderUtils instance
+     * @param {boolean} [options.allowStructureEdits=true] - Whether rows can be added, removed, duplicated and reordered
      */
     constructor(view, options) {
         super(view);
@@ -27,6 +29,16 @@ export class ArrayTableComponent extends BaseComponent {
         this._title = options.title;
         this._className = options.className || '';
         this._utils = options.utils;
+        this._allowStructureEdits = options.allowStructureEdits !== false;
+        
+        /** @private Index of the row being dragged */
+        this._dragIndex = null;
+        
+        // Rebuild the table when the model changes the structure of our array
+        const eventManager = this._view?.getApp?.()?.eventManager;
+        this._unsubscribeArrayChanged = eventManager
+            ? eventManager.addEventListener(EventTypes.MODEL_TO_VIEW_ARRAY_CHANGED, this._handleArrayChanged.bind(this))
+            : null;
         
         // Create component DOM
         this.element = this._createArrayTable();
@@ -78,9 +90,60 @@ export class ArrayTableComponent extends BaseComponent {
             container.appendChild(emptyMessage);
         }
         
+        // Add button to append a new row
+        if (this._allowStructureEdits) {
+            const addButton = document.createElement('button');
+            addButton.type = 'button';
+            addButton.className = 'array-table-add-button';
+            addButton.textContent = '+ Add';
+            addButton.title = `Add ${this._getPropertyDisplayName()} item`;
+            
+            // Arrays of a class with subclasses can hold items of any of them
+            const typeSelect = this._createItemTypeSelect();
+            
+            addButton.addEventListener('click', () => {
+                const length = Array.isArray(arrayData) ? arrayData.length : 0;
+                const extra = typeSelect ? { Data: { ClassName: typeSelect.value } } : {};
+                this._dispatchArrayChange('insert', length, extra);
+            });
+            if (typeSelect) {
+                container.appendChild(typeSelect);
+            }
+            container.appendChild(addButton);
+        }
+        
         return container;
     }
     
+    /**
+     * Create a select of the classes a new item can be, for arrays of a class with subclasses
+     * @private
+     * @returns {HTMLSelectElement|null} The select, or null if items can only be of one class
+     */
+    _createItemTypeSelect() {
+        const arrayPropDef = this._getArrayPropertyDefinition();
+        const clientModel = this._view?.getApp()?.getModel();
+        if (!arrayPropDef?.Type || !clientModel?.getSubclassNames) {
+            return null;
+        }
+        
+        const classNames = clientModel.getSubclassNames(arrayPropDef.Type);
+        if (classNames.length < 2) {
+            return null;
+        }
+        
+        const select = document.createElement('select');
+        select.className = 'array-table-add-type';
+        select.title = 'Add item of type';
+        classNames.forEach(className => {
+            const option = document.createElement('option');
+            option.value = className;
+            option.textContent = className;
+            select.appendChild(option);
+        });
+        return select;
+    }
+    
     /**
      * Create table header with column names
      * @private
@@ -90,6 +153,13 @@ export class ArrayTableComponent extends BaseComponent {
         const thead = document.createElement('thead');
         const headerRow = document.createElement('tr');
         
+        // Empty header above the drag handles
+        if (this._allowStructureEdits) {
+            const handleHeader = document.createElement('th');
+            handleHeader.className = 'array-table-handle-column';
+            headerRow.appendChild(handleHeader);
+        }
+        
         // Create header cells for each column
         this._columns.forEach(column => {
             const th = document.createElement('th');
@@ -97,6 +167,13 @@ export class ArrayTableComponent extends BaseComponent {
             headerRow.appendChild(th);
         });
         
+        // Empty header above the row actions
+        if (this._allowStructureEdits) {
+            const actionsHeader = document.createElement('th');
+            actionsHeader.className = 'array-table-actions-column';
+            headerRow.appendChild(actionsHeader);
+        }
+        
         thead.appendChild(headerRow);
         return thead;
     }
@@ -110,6 +187,11 @@ export class ArrayTableComponent extends BaseComponent {
      */
     _createTableRow(item, rowIndex) {
         const tr = document.createElement('tr');
+        tr.dataset.index = rowIndex;
+        
+        if (this._allowStructureEdits) {
+            tr.appendChild(this._createDragHandleCell(tr, rowIndex));
+        }
         
         // Create a cell for each column
         this._columns.forEach(column => {
@@ -121,9 +203,169 @@ export class ArrayTableComponent extends BaseComponent {
             tr.appendChild(cell);
         });
         
+        if (this._allowStructureEdits) {
+            tr.appendChild(this._createRowActionsCell(rowIndex));
+            this._addRowDropHandlers(tr, rowIndex);
+        }
+        
         return tr;
     }
     
+    /**
+     * Create the drag handle cell of a row
+     * Only the handle starts a drag so that text in the cell inputs can still be selected
+     * @param {HTMLElement} tr - The row element
+     * @param {number} rowIndex - The row index
+     * @private
+     * @returns {HTMLElement} The created cell
+     */
+    _createDragHandleCell(tr, rowIndex) {
+        const cell = document.createElement('td');
+        cell.className = 'array-table-handle';
+        cell.textContent = '⋮⋮';
+        cell.title = 'Drag to reorder';
+        
+        cell.addEventListener('mousedown', () => {
+            tr.draggable = true;
+        });
+        
+        tr.addEventListener('dragstart', (event) => {
+            this._dragIndex = rowIndex;
+            tr.classList.add('dragging');
+            if (event.dataTransfer) {
+                event.dataTransfer.effectAllowed = 'move';
+                event.dataTransfer.setData('text/plain', String(rowIndex));
+            }
+        });
+        
+        tr.addEventListener('dragend', () => {
+            tr.draggable = false;
+            tr.classList.remove('dragging');
+            this._dragIndex = null;
+        });
+        
+        return cell;
+    }
+    
+    /**
+     * Add drop target handlers to a row
+     * @param {HTMLElement} tr - The row element
+     * @param {number} rowIndex - The row index
+     * @private
+     */
+    _addRowDropHandlers(tr, rowIndex) {
+        tr.addEventListener('dragover', (event) => {
+            if (this._dragIndex === null) return;
+            event.preventDefault();
+            tr.classList.add('drag-over');
+        });
+        
+        tr.addEventListener('dragleave', () => {
+            tr.classList.remove('drag-over');
+        });
+        
+        tr.addEventListener('drop', (event) => {
+            event.preventDefault();
+            tr.classList.remove('drag-over');
+            
+            const fromIndex = this._dragIndex;
+            this._dragIndex = null;
+            
+            if (fromIndex !== null && fromIndex !== rowIndex) {
+                this._dispatchArrayChange('move', fromIndex, { ToIndex: rowIndex });
+            }
+        });
+    }
+    
+    /**
+     * Create the cell holding the duplicate and delete buttons of a row
+     * @param {number} rowIndex - The row index
+     * @private
+     * @returns {HTMLElement} The created cell
+     */
+    _createRowActionsCell(rowIndex) {
+        const cell = document.createElement('td');
+        cell.className = 'array-table-actions';
+        
+        const duplicateButton = document.createElement('button');
+        duplicateButton.type = 'button';
+        duplicateButton.className = 'array-table-duplicate-button';
+        duplicateButton.textContent = '⧉';
+        duplicateButton.title = 'Duplicate row';
+        duplicateButton.addEventListener('click', () => this._dispatchArrayChange('duplicate', rowIndex));
+        cell.appendChild(duplicateButton);
+        
+        const deleteButton = document.createElement('button');
+        deleteButton.type = 'button';
+        deleteButton.className = 'array-table-delete-button';
+        deleteButton.textContent = '✕';
+        deleteButton.title = 'Delete row';
+        deleteButton.addEventListener('click', () => this._dispatchArrayChange('remove', rowIndex));
+        cell.appendChild(deleteButton);
+        
+        return cell;
+    }
+    
+    /**
+     * Request a structural change of the array from the model
+     * @param {string} operation - 'insert', 'remove', 'move' or 'duplicate'
+     * @param {number} index - The index of the affected row
+     * @param {Object} [extra={}] - Additional event fields (e.g. ToIndex)
+     * @private
+     */
+    _dispatchArrayChange(operation, index, extra = {}) {
+        const eventManager = this._view?.getApp()?.eventManager;
+        if (!eventManager) {
+            console.error('Cannot change array: event manager not available');
+            return;
+        }
+        
+        const { objectPath, property } = this._getArrayLocation();
+        
+        eventManager.dispatchEvent(EventTypes.VIEW_TO_MODEL_ARRAY_CHANGED, {
+            ObjectPath: objectPath,
+            Property: property,
+            Operation: operation,
+            Index: index,
+            Source: 'component',
+            ...extra
+        });
+    }
+    
+    /**
+     * Split the property path into the owning object path and the array property name
+     * @private
+     * @returns {{objectPath: string, property: string}} E.g. { objectPath: 'RootModel', property: 'Parameters' }
+     */
+    _getArrayLocation() {
+        const { segments, indices } = ModelPathUtils.parseObjectPath(this._propertyPath);
+        return {
+            objectPath: ModelPathUtils.createObjectPath(segments.slice(0, -1), indices),
+            property: segments[segments.length - 1]
+        };
+    }
+    
+    /**
+     * Handle array structure changes from the model by rebuilding the table
+     * @param {Object} event - The MODEL_TO_VIEW_ARRAY_CHANGED event
+     * @private
+     */
+    _handleArrayChanged(event) {
+        const { objectPath, property } = this._getArrayLocation();
+        
+        // Normalize the event path the same way as our own path
+        const { segments, indices } = ModelPathUtils.parseObjectPath(event.ObjectPath);
+        const eventObjectPath = ModelPathUtils.createObjectPath(segments, indices);
+        
+        if (eventObjectPath !== objectPath || event.Property !== property) {
+            return;
+        }
+        
+        // Row indices have shifted, so all cell bindings must be recreated
+        this.removeBindings();
+        this.updateModel(this._model);
+    }
+    
     /**
      * Create input element for a table cell
      * @param {Object} rowItem - The row item data
@@ -148,7 +390,8 @@ export class ArrayTableComponent extends BaseComponent {
         
         // If we have a property definition, we can get the item class name
         if (arrayPropDef && arrayPropDef.Type) {
-            const itemClassName = arrayPropDef.Type;
+            // Items of a polymorphic array may be of a subclass of the array's Type
+            const itemClassName = rowItem._className || arrayPropDef.Type;
             
             // Get property definition for this specific cell
             propDef = this._utils.getPropertyDefinition(itemClassName, column.Key);
@@ -169,7 +412,8 @@ export class ArrayTableComponent extends BaseComponent {
         
         // Create the input element, passing propDef for combobox support
         // Note: The binding formatter will handle displaying inf/-inf for Infinity values
-        const input = this._utils.createPropertyInput(propType, propertyValue, { isEditable, propDef });
+        const referenceTargets = propDef?.Reference ? this._utils.getReferenceTargets(rowItem._className || arrayPropDef.Type, column.Key) : [];
+        const input = this._utils.createPropertyInput(propType, propertyValue, { isEditable, propDef, referenceTargets });
         
         // Create binding path for this cell
         const cellPath = `${this._propertyPath}[${rowIndex}].${column.Key}`;
@@ -186,7 +430,9 @@ export class ArrayTableComponent extends BaseComponent {
             // Add parser for numeric values to handle inf/-inf input and proper type conversion
             parser: propType === 'number' ? parseInfinityInput : val => val,
             // Add formatter to display inf/-inf while storing numeric Infinity in model
-            formatter: propType === 'number' ? formatInfinityForDisplay : val => val
+            formatter: propType === 'number' ? formatInfinityForDisplay : val => val,
+            // Dates, durations, quantities and matrices are converted when the edit is committed
+            ...this._utils.getValueConverters(propType, propDef)
         }, this);
         
         // Create dependent bindings for editability, visibility, etc.
@@ -356,4 +602,15 @@ export class ArrayTableComponent extends BaseComponent {
             this._utils.updateDependentBindings(this, model);
         }
     }
+    
+    /**
+     * Clean up resources when the component is destroyed
+     */
+    destroy() {
+        if (this._unsubscribeArrayChanged) {
+            this._unsubscribeArrayChanged();
+            this._unsubscribeArrayChanged = null;
+        }
+        super.destroy();
+    }
 }
@@ -93,9 +93,13 @@ export class DefaultWidgetComponent extends BaseComponent {
         label.textContent = this._label || propConfig.Label || this._utils.formatLabel(propPath.split('.').pop());
         fieldContainer.appendChild(label);
         
+        // Numbers with a Unit are shown and edited in the display unit
+        const displayUnit = this._utils.getDisplayUnit(propDef, propConfig);
+        
         // Create input using utils, passing property definition for ValidValues support
-        const input = this._utils.createPropertyInput(propType, propValue, { isEditable, propDef });
-        fieldContainer.appendChild(input);
+        const referenceTargets = this._utils.getReferenceTargets(this._model._className, propPath);
+        const input = this._utils.createPropertyInput(propType, propValue, { isEditable, propDef, displayUnit, referenceTargets });
+        fieldContainer.appendChild(this._utils.wrapWithUnitLabel(input, propType, propDef, displayUnit));
         
         // Add binding using utils
         const pathParts = propPath.split('.');
@@ -112,7 +116,8 @@ export class DefaultWidgetComponent extends BaseComponent {
             view: input,
             viewAttribute: isCheckbox ? 'checked' : 'value',
             viewEvent: isCheckbox ? 'change' : 'input',
-            parser: propType === 'number' ? val => parseFloat(val) : val => val
+            parser: propType === 'number' ? val => parseFloat(val) : val => val,
+            ...this._utils.getValueConverters(propType, propDef, { displayUnit })
         }, this);
         
         // Create dependent bindings if property config exists
@@ -85,8 +85,9 @@ export class ModelPanel extends BaseComponent {
     updateModel(model) {
         console.log('ModelPanel.updateModel called with model:', model ? model._className : 'null');
         
-        // Clear existing bindings before rebuilding the form
+        // Clear existing bindings and sections before rebuilding the form
         this.removeBindings();
+        this._destroySections();
         console.log('Cleared existing bindings');
         
         // Clear existing content
@@ -439,7 +440,7 @@ export class ModelPanel extends BaseComponent {
         
         // Check if property is explicitly set as editable/non-editable in config
         // If not specified, check if it's marked as ReadOnly in property info
-        let isEditable = propConfig.Editable !== false;
+        let isEditable = propConfig.Editable !== false && propDef?.Computed === undefined;
         
         // Create the appropriate widget based on type
         switch (widgetType) {
@@ -664,6 +665,54 @@ export class ModelPanel extends BaseComponent {
         return typeof value;
     }
     
+    /**
+     * Scroll to and focus the field bound to a model path
+     * For an object path, e.g. the Path of a constraint violation, the first field of the object is focused.
+     * Collapsed sections containing the field are expanded.
+     * @param {string} path - The model path (e.g. 'RootModel.Pumps[0].Flow')
+     * @returns {boolean} True if a field was found
+     */
+    focusPath(path) {
+        const bindingManager = this._view?.getApp()?.getBindingManager();
+        if (!bindingManager || !path) return false;
+        
+        // Bindings are created with and without the RootModel prefix
+        const normalize = (value) => (value || '').replace(/^RootModel(\.|$)/, '');
+        const target = normalize(path);
+        
+        const fields = bindingManager.bindings
+            .filter(binding => binding.view && binding.property && this.element.contains(binding.view))
+            .map(binding => {
+                const objectPath = normalize(binding.objectPath);
+                return {
+                    view: binding.view,
+                    objectPath,
+                    path: objectPath ? `${objectPath}.${binding.property}` : binding.property
+                };
+            });
+        
+        const field = fields.find(candidate => candidate.path === target) ||
+            fields.find(candidate => candidate.objectPath === target) ||
+            fields.find(candidate => target && (candidate.path.startsWith(`${target}.`) || candidate.path.startsWith(`${target}[`)));
+        if (!field) return false;
+        
+        // Expand collapsed sections so the field can be seen
+        let parent = field.view.parentElement;
+        while (parent && parent !== this.element) {
+            if (parent.classList.contains('section-content') && parent.classList.contains('collapsed')) {
+                parent.classList.remove('collapsed');
+                parent.previousElementSibling?.classList.remove('collapsed');
+            }
+            parent = parent.parentElement;
+        }
+        
+        if (typeof field.view.scrollIntoView === 'function') {
+            field.view.scrollIntoView({ block: 'center', behavior: 'smooth' });
+        }
+        field.view.focus();
+        return true;
+    }
+    
     /**
      * Get the shared PropertyRenderUtils instance
      * @returns {PropertyRenderUtils} The PropertyRenderUtils instance
@@ -671,4 +720,27 @@ export class ModelPanel extends BaseComponent {
     getPropertyRenderUtils() {
         return this._propertyRenderUtils;
     }
+    
+    /**
+     * Destroy the sections of the current form, so that their components stop listening for model events
+     * @private
+     */
+    _destroySections() {
+        if (this._sections) {
+            this._sections.forEach(section => {
+                if (section && typeof section.destroy === 'function') {
+                    section.destroy();
+                }
+            });
+        }
+        this._sections = [];
+    }
+    
+    /**
+     * Clean up resources when the component is destroyed
+     */
+    destroy() {
+        this._destroySections();
+        super.destroy();
+    }
 }
@@ -147,6 +147,11 @@ export class ModelPanelSection extends BaseComponent {
      * @protected
      */
     _isPropertyEditable(propConfig, propDef) {
+        // Computed properties follow the properties they are computed from
+        if (propDef && propDef.Computed !== undefined) {
+            return false;
+        }
+        
         // If Editable is explicitly set in config, use that
         if (propConfig && 'Editable' in propConfig) {
             return !!propConfig.Editable;
@@ -137,7 +137,8 @@ export class PropertyGroupSection extends ModelPanelSection {
         fieldContainer.appendChild(label);
         
         // Create input using utils
-        const input = this._modelPanel.getPropertyRenderUtils().createPropertyInput(propType, propValue, { isEditable });
+        const referenceTargets = this._modelPanel.getPropertyRenderUtils().getReferenceTargets(this._model._className, propPath);
+        const input = this._modelPanel.getPropertyRenderUtils().createPropertyInput(propType, propValue, { isEditable, propDef, referenceTargets });
         fieldContainer.appendChild(input);
         
         // Add binding using utils
@@ -150,7 +151,8 @@ export class PropertyGroupSection extends ModelPanelSection {
             objectPath: objectPath,
             property: property,
             view: input,
-            parser: propType === 'number' ? val => parseFloat(val) : val => val
+            parser: propType === 'number' ? val => parseFloat(val) : val => val,
+            ...this._modelPanel.getPropertyRenderUtils().getValueConverters(propType, propDef)
         }, this);
         
         // Create dependent bindings if property config exists
@@ -181,7 +183,8 @@ export class PropertyGroupSection extends ModelPanelSection {
             model: this._model,
             title: propConfig.Label,
             className: propConfig.ClassName || '',
-            utils: this._modelPanel.getPropertyRenderUtils()
+            utils: this._modelPanel.getPropertyRenderUtils(),
+            allowStructureEdits: propConfig.AllowStructureEdits !== false
         });
         
         // Add the table element to the container
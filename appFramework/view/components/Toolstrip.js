@@ -133,6 +133,23 @@ export class Toolstrip extends BaseComponent {
         }
     }
 
+    /**
+     * Show a status message at the end of the toolstrip
+     * @param {string} text - The message (an empty string hides the status)
+     * @param {string} [state='info'] - The kind of status ('info' or 'warning'), used as a CSS modifier
+     */
+    setStatus(text, state = 'info') {
+        if (!this._statusElement) {
+            this._statusElement = document.createElement('span');
+            this._statusElement.className = 'toolstrip-status';
+            this.element.appendChild(this._statusElement);
+        }
+        
+        this._statusElement.textContent = text;
+        this._statusElement.dataset.state = state;
+        this._statusElement.hidden = !text;
+    }
+
     /**
      * Update the toolstrip based on model changes
      * @param {Object} model - The model data
@@ -0,0 +1,145 @@
+import { BaseComponent } from './BaseComponent.js';
+import { EventTypes } from '../../controller/EventTypes.js';
+
+/**
+ * ValidationReportPanel component listing every validation violation in the model
+ * Shows the report of ClientModel.validateAll() and re-validates when the model changes.
+ * Clicking a violation calls the view's focusModelPath(path) to show the offending field.
+ */
+export class ValidationReportPanel extends BaseComponent {
+    /**
+     * Create a new ValidationReportPanel instance
+     * @param {Object} view - The parent view instance
+     * @param {Object} [config=null] - Optional configuration
+     * @param {string} [config.Title='Problems'] - Title shown above the list
+     */
+    constructor(view, config = null) {
+        super(view, config);
+        this._violations = [];
+        this.createValidationReportPanel();
+
+        // Store component reference on element for layout access
+        this.element.__component = this;
+
+        const app = this._view?.getApp?.();
+        const eventManager = app?.eventManager;
+
+        /** @private Functions that remove our event listeners */
+        this._unsubscribers = eventManager ? [
+            eventManager.addEventListener(EventTypes.MODEL_VALIDATION_CHANGED, event => this.showViolations(event.Violations)),
+            // Edits can fix or cause violations anywhere in the model, e.g. through constraints
+            eventManager.addEventListener(EventTypes.MODEL_TO_VIEW_PROPERTY_CHANGED, () => this._revalidate()),
+            eventManager.addEventListener(EventTypes.MODEL_TO_VIEW_ARRAY_CHANGED, () => this._revalidate())
+        ] : [];
+
+        this.showViolations(app?.getModel?.()?.getValidationReport?.()?.violations || []);
+    }
+
+    /**
+     * Create the panel DOM structure
+     */
+    createValidationReportPanel() {
+        this.element = document.createElement('div');
+        this.element.className = 'validation-report-panel';
+
+        const header = document.createElement('div');
+        header.className = 'validation-report-header';
+
+        this._titleElement = document.createElement('span');
+        this._titleElement.className = 'validation-report-title';
+        header.appendChild(this._titleElement);
+
+        this._listElement = document.createElement('ul');
+        this._listElement.className = 'validation-report-list';
+
+        this.element.appendChild(header);
+        this.element.appendChild(this._listElement);
+    }
+
+    /**
+     * Show a list of violations
+     * The panel is hidden when there are none.
+     * @param {Array<Object>} violations - Violations from ValidationManager.validateInstance()
+     */
+    showViolations(violations = []) {
+        this._violations = violations;
+        this._listElement.innerHTML = '';
+
+        const title = this._config?.Title || 'Problems';
+        this._titleElement.textContent = `${title} (${violations.length})`;
+        this.element.style.display = violations.length > 0 ? '' : 'none';
+
+        violations.forEach(violation => {
+            const item = document.createElement('li');
+            item.className = `validation-report-item validation-report-${violation.Type}`;
+
+            const link = document.createElement('a');
+            link.href = '#';
+            link.className = 'validation-report-path';
+            link.textContent = violation.Path;
+            link.title = 'Show this field';
+            link.addEventListener('click', event => {
+                event.preventDefault();
+                this._selectPath(violation.Path);
+            });
+
+            const message = document.createElement('span');
+            message.className = 'validation-report-message';
+            message.textContent = violation.Message;
+
+            item.appendChild(link);
+            item.appendChild(message);
+            this._listElement.appendChild(item);
+        });
+    }
+
+    /**
+     * Get the violations currently shown
+     * @returns {Array<Object>} The violations
+     */
+    getViolations() {
+        return this._violations;
+    }
+
+    /**
+     * Ask the view to show the field at a path
+     * @param {string} path - The model path of the violation
+     * @private
+     */
+    _selectPath(path) {
+        if (typeof this._view?.focusModelPath === 'function') {
+            this._view.focusModelPath(path);
+        } else {
+            console.warn('View cannot focus model paths');
+        }
+    }
+
+    /**
+     * Validate the whole model again
+     * @private
+     */
+    _revalidate() {
+        const model = this._view?.getApp?.()?.getModel?.();
+        if (model?.validateAll) {
+            model.validateAll();
+        }
+    }
+
+    /**
+     * Update the panel based on model changes
+     * The model validates itself when it is loaded, so there is nothing to do here.
+     * @param {Object} model - The model data
+     */
+    updateModel(model) {
+        // Reports arrive through MODEL_VALIDATION_CHANGED
+    }
+
+    /**
+     * Clean up resources when the component is destroyed
+     */
+    destroy() {
+        this._unsubscribers.forEach(unsubscribe => unsubscribe && unsubscribe());
+        this._unsubscribers = [];
+        super.destroy();
+    }
+}
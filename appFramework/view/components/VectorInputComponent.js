@@ -145,9 +145,12 @@ export class VectorInputComponent extends BaseComponent {
         // We're removing individual labels for each input box
         // This helps align the colons properly with the input boxes
         
+        // Numbers with a Unit are shown and edited in the display unit
+        const displayUnit = this._utils.getDisplayUnit(propDef, propConfig);
+        
         // Create input element with property definition for ValidValues support
-        const input = this._utils.createPropertyInput(propType, propValue, { isEditable, propDef });
-        fieldContainer.appendChild(input);
+        const input = this._utils.createPropertyInput(propType, propValue, { isEditable, propDef, displayUnit });
+        fieldContainer.appendChild(this._utils.wrapWithUnitLabel(input, propType, propDef, displayUnit));
         
         // Add binding
         const pathParts = propPath.split('.');
@@ -159,7 +162,8 @@ export class VectorInputComponent extends BaseComponent {
             objectPath: objectPath,
             property: property,
             view: input,
-            parser: propType === 'number' ? val => parseFloat(val) : val => val
+            parser: propType === 'number' ? val => parseFloat(val) : val => val,
+            ...this._utils.getValueConverters(propType, propDef, { displayUnit })
         }, this);
         
         // Create dependent bindings if needed
@@ -1,3 +1,17 @@
+import {
+    convertToType,
+    formatDuration,
+    formatInfinityForDisplay,
+    formatMatrix,
+    formatQuantity,
+    getTypeKind,
+    parseQuantity
+} from '../../utils/TypeConversionUtils.js';
+import { UnitRegistry } from '../../utils/UnitRegistry.js';
+
+/** Units used when no ClientModel is available */
+let fallbackUnitRegistry = null;
+
 /**
  * Utility class for property rendering and bindings
  * Centralizes functionality previously duplicated across PropertyGroupSection and ArrayPropertySection
@@ -96,6 +110,11 @@ export class PropertyRenderUtils {
      * @returns {boolean} Whether the property should be editable
      */
     isPropertyEditable(propConfig, propDef) {
+        // Computed properties follow the properties they are computed from
+        if (propDef && propDef.Computed !== undefined) {
+            return false;
+        }
+        
         // Check if explicit editable property is defined
         if (propConfig && propConfig.Editable !== undefined) {
             // If it's a string reference like "${Use}", it'll be handled by dependent bindings
@@ -114,6 +133,25 @@ export class PropertyRenderUtils {
         return true;
     }
 
+    /**
+     * Get the model objects a reference property can be set to, for its dropdown
+     * @param {string} className - The class of the object containing the property
+     * @param {string} propPath - The property path
+     * @returns {Array<{uid: string|number, label: string}>} The eligible objects in model order
+     */
+    getReferenceTargets(className, propPath) {
+        const clientModel = this._view?.getApp()?.getModel();
+        if (!clientModel?.getReferenceTargets || !className) {
+            return [];
+        }
+        
+        const propName = propPath.split('.').pop();
+        return clientModel.getReferenceTargets(className, propName).map(({ uid, instance }) => ({
+            uid,
+            label: instance.Name ?? instance.name ?? `${instance._className} ${uid}`
+        }));
+    }
+
     /**
      * Create an input element for a property
      * @param {string} propType - The property type
@@ -121,13 +159,34 @@ export class PropertyRenderUtils {
      * @param {Object} options - Additional options
      * @param {boolean} [options.isEditable=true] - Whether the input should be editable
      * @param {Object} [options.propDef] - Property definition (if available)
+     * @param {string} [options.displayUnit] - Unit to show numbers with a Unit in (see getDisplayUnit)
+     * @param {Array<Object>} [options.referenceTargets] - Objects a Reference property can be set to (see getReferenceTargets)
      * @returns {HTMLElement} The created input element
      */
-    createPropertyInput(propType, propValue, { isEditable = true, propDef = null } = {}) {
+    createPropertyInput(propType, propValue, { isEditable = true, propDef = null, displayUnit, referenceTargets = [] } = {}) {
         let input;
         
+        // References are chosen from the eligible objects in the model
+        if (propDef && propDef.Reference === true) {
+            input = document.createElement('select');
+            
+            const options = [{ uid: '', label: '(none)' }, ...referenceTargets];
+            // A dangling reference stays visible until another target is chosen
+            const isSet = propValue !== null && propValue !== undefined && propValue !== '';
+            if (isSet && !referenceTargets.some(target => String(target.uid) === String(propValue))) {
+                options.push({ uid: propValue, label: `${propValue} (missing)` });
+            }
+            options.forEach(target => {
+                const option = document.createElement('option');
+                option.value = String(target.uid);
+                option.textContent = target.label;
+                input.appendChild(option);
+            });
+            
+            input.value = isSet ? String(propValue) : '';
+        }
         // Check if property has ValidValues - create a select/combobox
-        if (propDef && Array.isArray(propDef.ValidValues) && propDef.ValidValues.length > 0) {
+        else if (propDef && Array.isArray(propDef.ValidValues) && propDef.ValidValues.length > 0) {
             // Create a select element for the combobox
             input = document.createElement('select');
             
@@ -145,21 +204,52 @@ export class PropertyRenderUtils {
             }
         } else {
             // No ValidValues, create standard input based on type
-            switch (propType.toLowerCase()) {
+            const typeKind = getTypeKind(propType);
+            const converters = this.getValueConverters(propType, propDef, { displayUnit });
+            const displayValue = converters.formatter?.(propValue) ?? propValue;
+            const inputUnit = converters.unit ?? propDef?.Unit ?? '';
+            // Numbers with a unit are typed as text so another unit can be entered, e.g. '5 mg'
+            const hasUnit = isMeasured(typeKind, propDef);
+            
+            switch (hasUnit ? 'quantity' : typeKind === 'integer' || typeKind === 'boolean' ? typeKind : propType.toLowerCase()) {
                 case 'boolean':
                     input = document.createElement('input');
                     input.type = 'checkbox';
                     input.checked = Boolean(propValue);
                     break;
                     
-                case 'int':
+                case 'integer':
                 case 'double':
                     input = document.createElement('input');
                     input.type = 'number';
-                    input.step = propType === 'int' ? '1' : 'any';
+                    input.step = typeKind === 'integer' ? '1' : 'any';
                     input.value = propValue !== null && propValue !== undefined ? propValue : '';
                     break;
                     
+                case 'date':
+                case 'datetime':
+                    input = document.createElement('input');
+                    input.type = typeKind === 'date' ? 'date' : 'datetime-local';
+                    input.value = displayValue ?? '';
+                    break;
+                    
+                case 'duration':
+                case 'quantity':
+                    input = document.createElement('input');
+                    input.type = 'text';
+                    input.placeholder = typeKind === 'duration' ? 'hh:mm:ss' : hasUnit ? inputUnit : `0 ${inputUnit}`.trim();
+                    input.value = displayValue ?? '';
+                    break;
+                    
+                case 'matrix':
+                    // MATLAB notation
+                    input = document.createElement('textarea');
+                    input.className = 'matrix-input';
+                    input.rows = Math.max(2, Array.isArray(propValue) ? propValue.length : 0);
+                    input.placeholder = '1 2; 3 4';
+                    input.value = displayValue ?? '';
+                    break;
+                    
                 case 'string':
                 default:
                     input = document.createElement('input');
@@ -188,6 +278,170 @@ export class PropertyRenderUtils {
         return input;
     }
 
+    /**
+     * Get the units of numeric properties
+     * @returns {UnitRegistry} The unit registry of the ClientModel
+     */
+    getUnitRegistry() {
+        const registry = this._view?.getApp()?.getModel()?.getUnitRegistry?.();
+        if (registry) {
+            return registry;
+        }
+        fallbackUnitRegistry = fallbackUnitRegistry || new UnitRegistry();
+        return fallbackUnitRegistry;
+    }
+
+    /**
+     * Get the unit a property with a Unit is displayed and edited in
+     * The DisplayUnit of the view configuration takes precedence over the DisplayUnit of the
+     * property definition; units that are not compatible with the property's Unit are ignored.
+     * @param {Object} [propDef] - The property definition
+     * @param {Object} [propConfig] - The property configuration from the view config
+     * @returns {string|null} The display unit, or null if the property has no Unit
+     */
+    getDisplayUnit(propDef, propConfig = null) {
+        if (!propDef || typeof propDef.Unit !== 'string') {
+            return null;
+        }
+        const registry = this.getUnitRegistry();
+        const displayUnit = [propConfig?.DisplayUnit, propDef.DisplayUnit]
+            .find(unit => typeof unit === 'string' && registry.isCompatible(unit, propDef.Unit));
+        return displayUnit ?? propDef.Unit;
+    }
+
+    /**
+     * Show the unit of a numeric input next to it
+     * @param {HTMLElement} input - The input created by createPropertyInput
+     * @param {string} propType - The property type
+     * @param {Object} [propDef] - The property definition
+     * @param {string} [displayUnit] - The unit the input is edited in
+     * @returns {HTMLElement} A container with the input and the unit, or the input itself if the
+     *   property has no unit (quantities show their unit in the input)
+     */
+    wrapWithUnitLabel(input, propType, propDef, displayUnit) {
+        if (!isMeasured(getTypeKind(propType), propDef) || !displayUnit) {
+            return input;
+        }
+        const container = document.createElement('div');
+        container.className = 'input-with-unit';
+        container.appendChild(input);
+        
+        const label = document.createElement('span');
+        label.className = 'unit-label';
+        label.textContent = displayUnit;
+        container.appendChild(label);
+        return container;
+    }
+
+    /**
+     * Get the parser and formatter for the input of a typed property
+     * Dates, datetimes, durations, quantities and matrices are edited as text (or date inputs)
+     * and converted to their stored form (see TypeConversionUtils.convertToType) when the edit
+     * is committed. Numbers with a Unit are shown in the display unit and converted back to the
+     * property's Unit; a number entered with a unit of another dimension is passed on as a
+     * quantity so validation rejects it. Text that cannot be converted is passed on unchanged so
+     * validation can report it; empty text becomes null for Nullable properties.
+     * @param {string} propType - The property type
+     * @param {Object} [propDef] - The property definition
+     * @param {Object} [options]
+     * @param {string} [options.displayUnit] - The unit to edit in (default: getDisplayUnit(propDef))
+     * @returns {{parser?: Function, formatter?: Function, viewEvent?: string, unit?: string}} Binding
+     *   options to merge into createBinding(), and the display unit of properties with a Unit;
+     *   empty for types without a conversion
+     */
+    getValueConverters(propType, propDef = null, { displayUnit } = {}) {
+        // References are edited with a dropdown of Uids, where no selection clears the reference
+        if (propDef?.Reference === true) {
+            return {
+                parser: value => (value === '' || value === undefined ? null : value),
+                formatter: value => (value === null || value === undefined ? '' : String(value)),
+                viewEvent: 'change'
+            };
+        }
+        
+        const typeKind = getTypeKind(propType);
+        if (typeof propDef?.Unit === 'string' && (typeKind === 'quantity' || isMeasured(typeKind, propDef))) {
+            return this._getUnitConverters(typeKind, propDef, displayUnit ?? this.getDisplayUnit(propDef));
+        }
+        
+        const formatters = {
+            integer: value => value,
+            date: value => (typeof value === 'string' ? value.slice(0, 10) : value),
+            datetime: formatDateTimeInput,
+            duration: formatDuration,
+            quantity: formatQuantity,
+            // One row per line
+            matrix: value => (Array.isArray(value) ? formatMatrix(value).replace(/; /g, ';\n') : value)
+        };
+        if (!formatters[typeKind]) {
+            return {};
+        }
+        
+        const parser = (text) => {
+            if (text === '' || text === null || text === undefined) {
+                return propDef?.Nullable ? null : text;
+            }
+            try {
+                return convertToType(text, propType, propDef || {});
+            } catch (error) {
+                return text;
+            }
+        };
+        
+        return {
+            parser,
+            formatter: value => {
+                const formatted = formatters[typeKind](value);
+                return formatted === null || formatted === undefined ? '' : formatted;
+            },
+            viewEvent: 'change'
+        };
+    }
+
+    /**
+     * Get the parser and formatter for a property with a Unit
+     * @private
+     */
+    _getUnitConverters(typeKind, propDef, displayUnit) {
+        const registry = this.getUnitRegistry();
+
+        const formatter = typeKind === 'quantity'
+            ? (value) => {
+                const quantity = parseQuantity(value, propDef.Unit);
+                if (!quantity || !registry.isCompatible(quantity.Unit, displayUnit)) {
+                    return formatQuantity(value);
+                }
+                return formatQuantity({ Value: registry.convert(quantity.Value, quantity.Unit, displayUnit), Unit: displayUnit });
+            }
+            : value => (typeof value === 'number' && registry.isCompatible(propDef.Unit, displayUnit)
+                ? formatInfinityForDisplay(registry.convert(value, propDef.Unit, displayUnit))
+                : value);
+        
+        const parser = (text) => {
+            if (text === '' || text === null || text === undefined) {
+                return propDef.Nullable ? null : text;
+            }
+            const quantity = parseQuantity(text, displayUnit);
+            if (!quantity) {
+                return text;
+            }
+            if (typeKind === 'quantity') {
+                // Quantities keep the unit they were entered in
+                return quantity;
+            }
+            return registry.isCompatible(quantity.Unit, propDef.Unit)
+                ? registry.convert(quantity.Value, quantity.Unit, propDef.Unit)
+                : quantity;
+        };
+        
+        return {
+            parser,
+            formatter: value => formatter(value) ?? '',
+            viewEvent: 'change',
+            unit: displayUnit
+        };
+    }
+
     /**
      * Create a binding for a property input
      * @param {Object} options - Binding options
@@ -555,3 +809,25 @@ export class PropertyRenderUtils {
         });
     }
 }
+
+/**
+ * Whether a property holds plain numbers in its Unit
+ * @private
+ */
+function isMeasured(typeKind, propDef) {
+    return typeof propDef?.Unit === 'string' && (typeKind === 'number' || typeKind === 'integer');
+}
+
+/**
+ * Format an ISO datetime for a datetime-local input, in local time
+ * @private
+ */
+function formatDateTimeInput(value) {
+    const date = typeof value === 'string' && value ? new Date(value) : null;
+    if (!date || Number.isNaN(date.getTime())) {
+        return value;
+    }
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
@@ -0,0 +1,277 @@
+/**
+ * Translation of constraint conditions to MATLAB for the generated model classes
+ * Conditions are parsed with the same ConstraintExpression parser the client uses, and
+ * every node of the syntax tree is translated, so that a condition means the same on
+ * both sides. Conditions that cannot be expressed in MATLAB are rejected with an error.
+ */
+
+import { ConstraintExpression } from '../../appFramework/utils/ConstraintExpression.js';
+
+/**
+ * Local functions appended to a generated class file for the conditions that use them
+ * MATLAB has no conditional operator and no len/isempty that treat string scalars as text.
+ */
+export const MATLAB_CONSTRAINT_HELPERS = Object.freeze({
+  constraintLength: [
+    'function n = constraintLength(value)',
+    '    % Length of a text or the number of elements of an array, as len() in constraints',
+    '    if isstring(value) && isscalar(value)',
+    '        n = strlength(value);',
+    '    else',
+    '        n = numel(value);',
+    '    end',
+    'end'
+  ].join('\n'),
+  constraintIsEmpty: [
+    'function tf = constraintIsEmpty(value)',
+    '    % True for empty values and empty text, as isempty() in constraints',
+    '    tf = isempty(value) || (isstring(value) && isscalar(value) && strlength(value) == 0);',
+    'end'
+  ].join('\n'),
+  constraintIf: [
+    'function value = constraintIf(test, whenTrue, whenFalse)',
+    '    % Evaluate only the selected branch, as test ? a : b in constraints',
+    '    if test',
+    '        value = whenTrue();',
+    '    else',
+    '        value = whenFalse();',
+    '    end',
+    'end'
+  ].join('\n')
+});
+
+/** Binary operators that MATLAB writes the same or with another symbol */
+const BINARY_OPERATORS = {
+  '&&': '&&',
+  '||': '||',
+  '==': '==',
+  '===': '==',
+  '!=': '~=',
+  '!==': '~=',
+  '<': '<',
+  '<=': '<=',
+  '>': '>',
+  '>=': '>=',
+  '+': '+',
+  '-': '-',
+  '*': '.*',
+  '/': './'
+};
+
+/** Aggregates, which take an array or several values */
+const AGGREGATES = {
+  sum: args => `sum(${args}, 'all')`,
+  avg: args => `mean(${args}, 'all')`,
+  min: args => `min(${args}, [], 'all')`,
+  max: args => `max(${args}, [], 'all')`
+};
+
+/**
+ * Translate a constraint condition to a MATLAB expression
+ * Properties of the validated object become obj.Name; RootModel paths start at obj.RootModel,
+ * or at obj in the root class. Member access on an array maps over its elements, as on the
+ * client, but MATLAB only allows the last object of a path to be an array.
+ * @param {string} condition - The condition of the constraint
+ * @param {Object} [options] - Translation options
+ * @param {boolean} [options.isRoot=false] - Whether the constraint belongs to the root class
+ * @returns {{condition: string, properties: string[], helpers: string[]}} The MATLAB expression,
+ *   the properties of the validated object it uses and the names of the local functions it calls
+ *   (see MATLAB_CONSTRAINT_HELPERS)
+ * @throws {Error} If the condition cannot be parsed or cannot be expressed in MATLAB
+ */
+export function translateConstraintCondition(condition, options = {}) {
+  const expression = new ConstraintExpression(condition);
+  const translator = new MatlabTranslator(condition, options);
+
+  return {
+    condition: translator.translate(expression.syntaxTree),
+    properties: expression.properties,
+    helpers: [...translator.helpers]
+  };
+}
+
+/**
+ * Translates the nodes of a syntax tree
+ * @private
+ */
+class MatlabTranslator {
+  constructor(condition, { isRoot = false } = {}) {
+    this._condition = condition;
+    this._isRoot = isRoot;
+    this.helpers = new Set();
+  }
+
+  translate(node) {
+    switch (node.type) {
+      case 'Literal':
+        return this._literal(node.value);
+
+      case 'Property':
+      case 'RootPath':
+      case 'Index':
+        return this._pathValue(node);
+
+      case 'Member':
+        if (node.name === 'length') {
+          return this._helper('constraintLength', this.translate(node.object));
+        }
+        return this._pathValue(node);
+
+      case 'Call':
+        return this._call(node);
+
+      case 'Unary':
+        return `(${node.operator === '!' ? '~' : node.operator}${this.translate(node.argument)})`;
+
+      case 'Binary':
+        return this._binary(node);
+
+      case 'Conditional':
+        return this._helper('constraintIf', this.translate(node.test),
+          `@() ${this.translate(node.consequent)}`, `@() ${this.translate(node.alternate)}`);
+
+      default:
+        return this._unsupported(`expression node ${node.type}`);
+    }
+  }
+
+  _literal(value) {
+    if (value === null) return '[]';
+    if (typeof value === 'string') return `"${value.replace(/"/g, '""')}"`;
+    return String(value);
+  }
+
+  /**
+   * A path, concatenated when more than one step may map over an array
+   */
+  _pathValue(node) {
+    const { text, steps } = this._path(node);
+    return steps > 1 ? `[${text}]` : text;
+  }
+
+  /**
+   * Translate a path to a MATLAB reference and count its member steps
+   */
+  _path(node) {
+    switch (node.type) {
+      case 'Property':
+        return { text: `obj.${node.name}`, steps: 1 };
+
+      case 'RootPath':
+        return { text: this._isRoot ? 'obj' : 'obj.RootModel', steps: 0 };
+
+      case 'Member': {
+        if (node.name === 'length') {
+          return this._unsupported('member access on length');
+        }
+        const { text, steps } = this._objectPath(node.object);
+        return { text: `${text}.${node.name}`, steps: steps + 1 };
+      }
+
+      case 'Index': {
+        const { text, steps } = this._objectPath(node.object);
+        const { index } = node;
+
+        // Settings['Name'] reads a property
+        if (index.type === 'Literal' && typeof index.value === 'string') {
+          if (!/^[A-Za-z]\w*$/.test(index.value)) {
+            return this._unsupported(`property name '${index.value}'`);
+          }
+          return { text: `${text}.${index.value}`, steps: steps + 1 };
+        }
+
+        // Indices are 0-based in expressions and 1-based in MATLAB
+        const position = index.type === 'Literal' && Number.isInteger(index.value)
+          ? String(index.value + 1)
+          : `${this.translate(index)} + 1`;
+        return { text: `${text}(${position})`, steps };
+      }
+
+      default:
+        return this._unsupported('member access or indexing on a computed value');
+    }
+  }
+
+  _objectPath(node) {
+    if (!['Property', 'RootPath', 'Member', 'Index'].includes(node.type)) {
+      return this._unsupported('member access or indexing on a computed value');
+    }
+    return this._path(node);
+  }
+
+  _call(node) {
+    const args = node.args.map(arg => this.translate(arg));
+
+    if (AGGREGATES[node.name]) {
+      if (args.length === 0) {
+        return this._unsupported(`${node.name}() without arguments`);
+      }
+      return AGGREGATES[node.name](args.length === 1 ? args[0] : `[${args.join(', ')}]`);
+    }
+
+    this._checkArgumentCount(node, node.name === 'pow' ? 2 : 1);
+    switch (node.name) {
+      case 'len':
+        return this._helper('constraintLength', ...args);
+      case 'isempty':
+        return this._helper('constraintIsEmpty', ...args);
+      case 'round':
+        // Math.round rounds halves up, MATLAB round away from zero
+        return `floor(${args[0]} + 0.5)`;
+      case 'pow':
+        return `power(${args[0]}, ${args[1]})`;
+      case 'abs':
+      case 'floor':
+      case 'ceil':
+      case 'sqrt':
+        return `${node.name}(${args[0]})`;
+      default:
+        return this._unsupported(`function ${node.name}`);
+    }
+  }
+
+  _checkArgumentCount(node, count) {
+    if (node.args.length !== count) {
+      this._unsupported(`${node.name}() with ${node.args.length} argument(s) instead of ${count}`);
+    }
+  }
+
+  _binary(node) {
+    const { operator, left, right } = node;
+
+    // Comparisons with null test for empty values; [] == x would be empty, not false
+    if (['==', '===', '!=', '!=='].includes(operator) &&
+        (isNullLiteral(left) || isNullLiteral(right))) {
+      const other = this.translate(isNullLiteral(left) ? right : left);
+      return operator.startsWith('=') ? `isempty(${other})` : `(~isempty(${other}))`;
+    }
+
+    const leftText = this.translate(left);
+    const rightText = this.translate(right);
+
+    // % keeps the sign of the dividend, like rem
+    if (operator === '%') {
+      return `rem(${leftText}, ${rightText})`;
+    }
+    if (!BINARY_OPERATORS[operator]) {
+      return this._unsupported(`operator ${operator}`);
+    }
+    return `(${leftText} ${BINARY_OPERATORS[operator]} ${rightText})`;
+  }
+
+  _helper(name, ...args) {
+    this.helpers.add(name);
+    return `${name}(${args.join(', ')})`;
+  }
+
+  _unsupported(what) {
+    throw new Error(`Cannot translate ${what} to MATLAB in constraint condition "${this._condition}"`);
+  }
+}
+
+/**
+ * @private
+ */
+function isNullLiteral(node) {
+  return node.type === 'Literal' && node.value === null;
+}
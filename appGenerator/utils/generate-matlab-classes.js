@@ -8,6 +8,7 @@ import { promises as fsPromises } from 'fs';
 import fs from 'fs';
 import { join, basename, dirname } from 'path';
 import { mkdir } from 'fs/promises';
+import { translateConstraintCondition, MATLAB_CONSTRAINT_HELPERS } from './constraint-to-matlab.js';
 
 /**
  * Generate MATLAB class files for an application from JSON model definitions
@@ -113,13 +114,13 @@ async function generateModelClass(jsonFile, targetDir, options = {}) {
   // Get class name from the definition or filename
   const className = modelDef.ClassName || basename(jsonFile, '.json');
   
-  // Always use one of our two standard superclasses
-  // Root classes use RootModel, all others use BaseObject
+  // Root classes use RootModel, subclasses the class they extend, all others use BaseObject
   let superClass;
   if (isRoot) {
     superClass = 'server.model.RootModel';
+  } else if (modelDef.Extends) {
+    superClass = modelDef.Extends.includes('.') || !appName ? modelDef.Extends : `${appName}.${modelDef.Extends}`;
   } else {
-    // Hardcode non-root models to always use server.model.BaseObject
     superClass = 'server.model.BaseObject';
   }
   
@@ -151,15 +152,22 @@ function generateClassFileContent(modelDef, superClass, appName) {
   const properties = modelDef.Properties || {};
   const constraints = modelDef.Constraints || [];
   
+  // Translate the constraint conditions; conditions MATLAB cannot express fail the generation
+  const isRoot = superClass === 'server.model.RootModel';
+  const translatedConstraints = constraints.map(constraint => {
+    try {
+      return { constraint, ...translateConstraintCondition(constraint.condition, { isRoot }) };
+    } catch (err) {
+      throw new Error(`Constraint ${constraint.id || 'unnamed'} of ${className}: ${err.message}`);
+    }
+  });
+  
   // Collect properties that need setters because they're involved in constraints
   const constrainedProps = new Set();
-  if (constraints.length > 0) {
-    constraints.forEach(constraint => {
-      if (constraint.properties && Array.isArray(constraint.properties)) {
-        constraint.properties.forEach(prop => constrainedProps.add(prop));
-      }
-    });
-  }
+  translatedConstraints.forEach(({ constraint, properties: usedProps }) => {
+    const constraintProps = Array.isArray(constraint.properties) ? constraint.properties : usedProps;
+    constraintProps.forEach(prop => constrainedProps.add(prop));
+  });
   
   // Start with the class definition and documentation
   let content = `classdef ${className} < ${superClass}\n`;
@@ -168,13 +176,13 @@ function generateClassFileContent(modelDef, superClass, appName) {
   content += '    %\n';
   content += '    % This class was automatically generated from a JSON model definition.\n';
   
-  // Separate properties into read-only and public
+  // Separate properties into read-only and public; computed properties are set by the app
   const readOnlyProps = {};
   const publicProps = {};
   
   for (const propName in properties) {
     const prop = properties[propName];
-    if (prop.ReadOnly) {
+    if (prop.ReadOnly || prop.Computed !== undefined) {
       readOnlyProps[propName] = prop;
     } else {
       publicProps[propName] = prop;
@@ -222,15 +230,15 @@ function generateClassFileContent(modelDef, superClass, appName) {
     for (const propName of constrainedProps) {
       // Skip properties that don't exist in the model definition
       if (!properties[propName]) continue;
-      // Skip read-only properties
-      if (properties[propName].ReadOnly) continue;
+      // Skip read-only and computed properties
+      if (properties[propName].ReadOnly || properties[propName].Computed !== undefined) continue;
       
       content += `        function set.${propName}(obj, value)\n`;
       content += `            % Setter for ${propName} with constraint validation\n`;
       
       // Add type checking for arrays if applicable
       const propDef = properties[propName];
-      if (propDef.IsArray && propDef.Type && !propDef.IsPrimitive) {
+      if (propDef.IsArray && propDef.Type && !propDef.IsPrimitive && !propDef.Reference) {
         // For arrays of custom objects
         content += '            % Verify array elements are of correct type\n';
         
@@ -269,36 +277,11 @@ function generateClassFileContent(modelDef, superClass, appName) {
     content += '            % This method is called from property setters and can be invoked manually\n';
     
     // Add each constraint check
-    constraints.forEach(constraint => {
-      const condition = constraint.condition;
+    translatedConstraints.forEach(({ constraint, condition }) => {
       const errorMessage = constraint.errorMessage || 'Constraint violation';
       
-      // Create a MATLAB if statement that checks the condition
-      // Condition is JS-like, needs translation for MATLAB:
-      // 1. Replace JavaScript equality operators
-      // 2. Replace JavaScript logical operators
-      // 3. Replace JavaScript property access (this.propertyName) with MATLAB style (obj.propertyName)
-      // 4. Handle any numeric operators consistently
-      
-      let matlabCondition = condition
-        // Replace equality operators
-        .replace(/===/g, '==')
-        .replace(/!==/g, '~=')
-        .replace(/!=/g, '~=')
-        
-        // Replace logical operators
-        .replace(/&&/g, '&')
-        .replace(/\|\|/g, '|')
-        .replace(/!/g, '~')
-        
-        // Replace property access - this is the key fix
-        // Pattern to match this.property or this['property']
-        .replace(/this\.([a-zA-Z0-9_]+)/g, 'obj.$1')
-        .replace(/this\['([a-zA-Z0-9_]+)'\]/g, 'obj.$1')
-        .replace(/this\["([a-zA-Z0-9_]+)"\]/g, 'obj.$1');
-      
       content += `            % Check constraint: ${constraint.id || 'unnamed'}\n`;
-      content += `            if ~(${matlabCondition})\n`;
+      content += `            if ~(${condition})\n`;
       content += `                error('${errorMessage.replace(/'/g, "''")}');\n`;
       content += '            end\n';
     });
@@ -309,9 +292,65 @@ function generateClassFileContent(modelDef, superClass, appName) {
   content += '    end\n';
   content += 'end  % classdef\n';
   
+  // Local functions used by the translated constraint conditions
+  const helpers = new Set(translatedConstraints.flatMap(({ helpers: names }) => names));
+  Object.keys(MATLAB_CONSTRAINT_HELPERS)
+    .filter(name => helpers.has(name))
+    .forEach(name => {
+      content += `\n${MATLAB_CONSTRAINT_HELPERS[name]}\n`;
+    });
+  
   return content;
 }
 
+/**
+ * MATLAB types for the typed property kinds of definition files
+ * Integers stay doubles (as jsondecode returns them) with an integer validator, quantities
+ * are structs with Value and Unit fields and matrices are 2-D doubles. Dates, datetimes and
+ * durations are sent as ISO 8601 text and seconds; server.model.BaseObject converts them.
+ */
+const TYPED_PROPERTY_MAP = {
+  'integer': { type: 'double', validator: 'mustBeInteger', empty: '[]', default: '0' },
+  'int': { type: 'double', validator: 'mustBeInteger', empty: '[]', default: '0' },
+  'date': { type: 'datetime', empty: 'datetime.empty', default: 'NaT' },
+  'datetime': { type: 'datetime', empty: 'datetime.empty', default: 'NaT' },
+  'duration': { type: 'duration', empty: 'duration.empty', default: 'seconds(0)' },
+  'quantity': { type: 'struct', empty: 'struct.empty' },
+  'matrix': { type: 'double', size: '(:,:)', empty: '[]', default: '[]' }
+};
+
+/**
+ * Format a default value of a typed property as a MATLAB expression
+ * @param {*} value - The DefaultValue from the definition
+ * @param {Object} prop - Property definition
+ * @returns {string} - MATLAB expression
+ */
+function formatTypedDefaultValue(value, prop) {
+  const kind = prop.Type.toLowerCase();
+  if (value === null) {
+    return TYPED_PROPERTY_MAP[kind].empty;
+  }
+  
+  switch (kind) {
+    case 'date':
+    case 'datetime':
+      return `datetime("${value}")`;
+    case 'duration':
+      // Durations are seconds or hh:mm:ss text
+      return typeof value === 'number' ? `seconds(${value})` : `duration("${value}")`;
+    case 'quantity': {
+      const quantity = typeof value === 'object' ? value : { Value: value, Unit: prop.Unit || '' };
+      return `struct('Value', ${quantity.Value}, 'Unit', "${quantity.Unit || prop.Unit || ''}")`;
+    }
+    case 'matrix': {
+      const rows = Array.isArray(value[0]) ? value : [value];
+      return `[${rows.map(row => row.join(' ')).join('; ')}]`;
+    }
+    default:
+      return String(value);
+  }
+}
+
 /**
  * Generate a property definition with validation
  * @param {string} propName - Property name
@@ -320,16 +359,30 @@ function generateClassFileContent(modelDef, superClass, appName) {
  * @returns {string} - MATLAB property definition
  */
 function generatePropertyDefinition(propName, prop, appName) {
-  // Add property comment
-  let propDef = `        % ${prop.Description || propName}\n`;
+  // Add property comment, with the target of references and the unit of the property
+  const unit = typeof prop.Unit === 'string' && prop.Unit ? ` [${prop.Unit}]` : '';
+  const target = prop.Reference === true ? ` (Uid of a ${prop.Type})` : '';
+  let propDef = `        % ${prop.Description || propName}${target}${unit}\n`;
   propDef += `        ${propName}`;
   
-  // Add size validation
+  // References hold the Uid of their target, or nothing when they are not set
+  if (prop.Reference === true) {
+    propDef += prop.IsArray
+      ? ' (:,1) string = string.empty'
+      : ` string {mustBeScalarOrEmpty(${propName})} = string.empty`;
+    return propDef + '\n\n';
+  }
+  
+  const typed = prop.Type ? TYPED_PROPERTY_MAP[prop.Type.toLowerCase()] : null;
+  
+  // Add size validation; nullable scalars may also be empty
   if (prop.Size) {
     propDef += ` (${prop.Size})`;
+  } else if (typed && typed.size) {
+    propDef += ` ${typed.size}`;
   } else if (prop.IsArray) {
     propDef += ` (:,1)`;
-  } else {
+  } else if (!prop.Nullable) {
     propDef += ` (1,1)`;
   }
   
@@ -343,7 +396,9 @@ function generatePropertyDefinition(propName, prop, appName) {
   };
   
   // Add type validation
-  if (prop.Type) {
+  if (typed) {
+    propDef += ` ${typed.type}`;
+  } else if (prop.Type) {
     let propType = prop.Type;
     
     // Convert JavaScript types to MATLAB types
@@ -361,10 +416,19 @@ function generatePropertyDefinition(propName, prop, appName) {
     propDef += ` ${propType}`;
   }
   
+  const validations = [];
+  
+  // Add validation of the typed property kinds
+  if (typed && typed.validator) {
+    validations.push(`${typed.validator}(${propName})`);
+  }
+  if (prop.Nullable && !prop.Size && !prop.IsArray && !(typed && typed.size)) {
+    validations.push(`mustBeScalarOrEmpty(${propName})`);
+  }
+  
   // Add validation from the Validation block
   if (prop.Validation) {
     const validation = prop.Validation;
-    const validations = [];
     
     // Handle minimum value constraint
     if (validation.minimum !== undefined) {
@@ -392,11 +456,11 @@ function generatePropertyDefinition(propName, prop, appName) {
         validations.push(validation.customValidation.replace(/\${propName}/g, propName));
       }
     }
-    
-    // Apply the validations if any exist
-    if (validations.length > 0) {
-      propDef += ` {${validations.join(', ')}}`;      
-    }
+  }
+  
+  // Apply the validations if any exist
+  if (validations.length > 0) {
+    propDef += ` {${validations.join(', ')}}`;      
   }
   
   // Add validation for enum values 
@@ -416,7 +480,17 @@ function generatePropertyDefinition(propName, prop, appName) {
   }
   
   // Add default value
-  if (prop.DefaultValue !== undefined) {
+  if (typed && prop.DefaultValue !== undefined) {
+    propDef += ` = ${formatTypedDefaultValue(prop.DefaultValue, prop)}`;
+  } else if (typed) {
+    if (prop.Nullable || prop.IsArray) {
+      propDef += ` = ${typed.empty}`;
+    } else if (typed.default) {
+      propDef += ` = ${typed.default}`;
+    } else if (prop.Type.toLowerCase() === 'quantity') {
+      propDef += ` = struct('Value', 0, 'Unit', "${prop.Unit || ''}")`;
+    }
+  } else if (prop.DefaultValue !== undefined) {
     let defaultValue = prop.DefaultValue;
     
     if (typeof defaultValue === 'string') {
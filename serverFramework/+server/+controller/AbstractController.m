@@ -12,6 +12,13 @@ classdef AbstractController < handle
         RootModel server.model.RootModel {mustBeScalarOrEmpty} = server.model.RootModel.empty
     end
     
+    properties (Constant)
+        % Version of the wire protocol spoken with the client (see
+        % appFramework/controller/service/WireProtocol.js). Clients are
+        % compatible when the major version matches.
+        ProtocolVersion = "1.0.0"
+    end
+    
     methods
         function obj = AbstractController(uiHTML)
             arguments
@@ -38,6 +45,33 @@ classdef AbstractController < handle
             
             % Create listener for ModelChanged events
             addlistener(obj.RootModel, 'ModelChanged', @obj.onModelChanged);
+            
+            % Create listener for structural changes of array properties
+            addlistener(obj.RootModel, 'ArrayChanged', @obj.onArrayChanged);
+        end
+        
+        function onArrayChanged(obj, ~, eventData)
+            % ONARRAYCHANGED Handle ArrayChanged events from the RootModel
+            %   Notifies the client that an item was inserted into, removed from
+            %   or moved within an array property
+            
+            objectPath = obj.RootModel.getPathFromUid(eventData.UpdatedObject.Uid);
+            
+            notification = struct(...
+                'ObjectPath', objectPath, ...
+                'PropertyName', eventData.PropertyName, ...
+                'Operation', eventData.Operation, ...
+                'Index', eventData.Index, ...
+                'Source', 'server');
+            if strcmp(eventData.Operation, 'move')
+                notification.ToIndex = eventData.ToIndex;
+            elseif strcmp(eventData.Operation, 'insert')
+                notification.Item = eventData.Item;
+            end
+            
+            obj.notifyApp('server_notification', struct(...
+                'EventID', 'SERVER_MODEL_ARRAY_CHANGED', ...
+                'EventData', notification));
         end
         
         function onModelChanged(obj, ~, eventData)
@@ -97,6 +131,28 @@ classdef AbstractController < handle
 
     % App-accessible API via dispatch
     methods (Access=protected)        
+        function results = handle_handshake(obj, inputs)
+            % HANDLE_HANDSHAKE Exchange wire protocol versions with the client
+            %   The client sends its ProtocolVersion at startup and checks the
+            %   returned version; a mismatch is only logged here.
+            arguments
+                obj (1,1)
+                inputs.ProtocolVersion (1,1) string
+                inputs.Client (1,1) string = ""
+            end
+
+            clientMajor = extractBefore(inputs.ProtocolVersion + ".", ".");
+            serverMajor = extractBefore(obj.ProtocolVersion + ".", ".");
+            if clientMajor ~= serverMajor
+                warning("AbstractController:protocolMismatch", ...
+                    "Client %s speaks protocol version %s, server speaks %s", ...
+                    inputs.Client, inputs.ProtocolVersion, obj.ProtocolVersion);
+            end
+
+            results.ProtocolVersion = obj.ProtocolVersion;
+            results.Server = string(class(obj));
+        end
+
         function results = handle_resetRootModel(obj)
             arguments
                 obj (1,1)
@@ -128,12 +184,64 @@ classdef AbstractController < handle
             % No returned results
             results = struct;
 
+            % The Timestamp lets clients discard recovery snapshots older than this model
+            timestamp = datetime("now", "TimeZone", "UTC", ...
+                "Format", "yyyy-MM-dd'T'HH:mm:ss.SSS'Z'");
             broadcastNotification = struct(...
                 "EventID", "SERVER_MODEL_UPDATED", ...
                 "EventData", struct(...
-                    "Data", obj.RootModel.toData()));
+                    "Data", obj.RootModel.toData(), ...
+                    "Timestamp", string(timestamp)));
             obj.notifyApp("server_notification", broadcastNotification);
         end
+
+        function results = handle_applyPropertyChanges(obj, inputs)
+            % HANDLE_APPLYPROPERTYCHANGES Apply a batch of property changes atomically
+            %   Changes is an array of structs with fields ObjectPath, PropertyName
+            %   and Value. The changes are applied inside a RootModel transaction;
+            %   if any change fails, the previous values are restored and the
+            %   error is returned to the client.
+            arguments
+                obj (1,1)
+                inputs.Changes = struct.empty
+                inputs.Source (1,1) string = ""
+            end
+
+            if isempty(obj.RootModel)
+                error("Cannot apply property changes: Root model not initialized");
+            end
+
+            % jsondecode yields a cell array when the changes have values of different types
+            changes = inputs.Changes;
+            if ~iscell(changes)
+                changes = num2cell(changes);
+            end
+
+            applied = cell(0, 3);
+            obj.RootModel.beginTransaction();
+            try
+                for i = 1:numel(changes)
+                    change = changes{i};
+                    targetObj = obj.getObjFromPath(change.ObjectPath);
+                    propName = char(change.PropertyName);
+                    oldValue = targetObj.(propName);
+
+                    targetObj.setPropertyFromData(propName, change.Value);
+                    applied(end+1, :) = {targetObj, propName, oldValue}; %#ok<AGROW>
+                end
+                obj.RootModel.commitTransaction();
+            catch ex
+                % Restore previous values in reverse order before reporting the error
+                for i = size(applied, 1):-1:1
+                    applied{i, 1}.(applied{i, 2}) = applied{i, 3};
+                end
+                obj.RootModel.rollbackTransaction();
+                rethrow(ex);
+            end
+
+            % No returned results
+            results = struct;
+        end
     end
     
     methods (Abstract, Access=protected)
@@ -0,0 +1,23 @@
+classdef (ConstructOnLoad) ArrayChangedEventData < event.EventData
+   % ARRAYCHANGEDEVENTDATA Event data for items inserted into, removed from or moved within an array property
+   %   Index and ToIndex are 0-based so they can be passed to JavaScript unchanged.
+   properties
+      UpdatedObject
+      PropertyName
+      Operation
+      Index
+      ToIndex
+      Item
+   end
+   
+   methods
+      function data = ArrayChangedEventData(updatedObject, propertyName, operation, index, toIndex, item)
+         data.UpdatedObject = updatedObject;
+         data.PropertyName = propertyName;
+         data.Operation = operation;
+         data.Index = index;
+         data.ToIndex = toIndex;
+         data.Item = item;
+      end
+   end
+end
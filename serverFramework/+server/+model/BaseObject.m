@@ -1,7 +1,9 @@
-classdef (Abstract) BaseObject < handle
+classdef (Abstract) BaseObject < handle & matlab.mixin.Heterogeneous
     % BASEOBJECT Base class for all model objects in the template app framework
     %   This class provides common functionality for all model objects,
     %   including data serialization, object identity, and property change notifications.
+    %   Arrays may hold objects of different subclasses of their property's class; the data
+    %   of such objects names their class in its ClassName field.
     
     properties (GetAccess=public, SetAccess=protected)
         % Unique identifier for the object
@@ -118,7 +120,8 @@ classdef (Abstract) BaseObject < handle
                     fieldName = dataFields{i};
                     
                     % Skip Uid field - will be assigned by rootModel.registerObject
-                    if strcmp(fieldName, 'Uid')
+                    % Skip ClassName field - the class was chosen from it by the caller
+                    if strcmp(fieldName, 'Uid') || strcmp(fieldName, 'ClassName')
                         continue;
                     end
                     
@@ -216,7 +219,8 @@ classdef (Abstract) BaseObject < handle
                                 for j = 1:numElements
                                     element = propValue{j};
                                     if isstruct(element) && isscalar(element)
-                                        objArray{j} = feval(targetClass, obj.RootModel, element);
+                                        itemClass = obj.resolveItemClass(targetClass, element);
+                                        objArray{j} = feval(itemClass, obj.RootModel, element);
                                     else
                                         % Direct assignment for non-struct elements
                                         objArray{j} = element;
@@ -236,7 +240,8 @@ classdef (Abstract) BaseObject < handle
                                 
                                 % Process each element
                                 for j = 1:numElements
-                                    objArray{j} = feval(targetClass.Name, obj.RootModel, propValue(j));
+                                    itemClass = obj.resolveItemClass(targetClass, propValue(j));
+                                    objArray{j} = feval(itemClass, obj.RootModel, propValue(j));
                                 end
                                 
                                 % Convert to array
@@ -245,13 +250,19 @@ classdef (Abstract) BaseObject < handle
                             return;
                         elseif isstruct(propValue) && isscalar(propValue)
                             % Single object
-                            obj.(propName) = feval(targetClass.Name, obj.RootModel, propValue);
+                            itemClass = obj.resolveItemClass(targetClass, propValue);
+                            obj.(propName) = feval(itemClass, obj.RootModel, propValue);
                             return;
                         end
                     end
                 end
             end
             
+            % Dates, datetimes and durations arrive in their JSON form
+            if ~isempty(prop) && ~isempty(prop.Validation) && ~isempty(prop.Validation.Class)
+                propValue = server.model.BaseObject.convertTypedFromJS(propValue, prop.Validation.Class);
+            end
+            
             % If we get here, just do direct assignment
             % Convert char to strings
             if ischar(propValue)
@@ -282,6 +293,174 @@ classdef (Abstract) BaseObject < handle
             % No return args
             results = struct;
         end
+
+        function results = handle_insertArrayItem(obj, inputs)
+            % HANDLE_INSERTARRAYITEM Insert a new item into an array property
+            %   Index is 0-based (from JavaScript). Data initialises the new item;
+            %   for arrays of model objects it is passed to the item class constructor.
+            arguments
+                obj (1,1)
+                inputs.PropertyName (1,1) string = missing
+                inputs.Index (1,1) double {mustBeInteger, mustBeNonnegative} = 0
+                inputs.Data = struct
+                inputs.Source (1,1) string = ""
+            end
+
+            propName = obj.getArrayPropertyName(inputs);
+            value = obj.(propName);
+            if inputs.Index > numel(value)
+                error("Index %d is out of range for property %s", inputs.Index, propName);
+            end
+
+            item = obj.createArrayItem(propName, inputs.Data);
+            idx = inputs.Index + 1;
+            newValue = [value(1:idx-1), item, value(idx:end)];
+
+            if isa(item, 'server.model.BaseObject')
+                itemData = item.toData();
+            else
+                itemData = server.model.BaseObject.convertInfsForJS( ...
+                    server.model.BaseObject.convertTypedForJS(item));
+            end
+            obj.RootModel.applyArrayChange(obj, propName, newValue, 'insert', inputs.Index, [], itemData);
+
+            results.Item = itemData;
+        end
+
+        function results = handle_removeArrayItem(obj, inputs)
+            % HANDLE_REMOVEARRAYITEM Remove an item from an array property
+            %   Index is 0-based (from JavaScript).
+            arguments
+                obj (1,1)
+                inputs.PropertyName (1,1) string = missing
+                inputs.Index (1,1) double {mustBeInteger, mustBeNonnegative} = 0
+                inputs.Source (1,1) string = ""
+            end
+
+            propName = obj.getArrayPropertyName(inputs);
+            value = obj.(propName);
+            if inputs.Index >= numel(value)
+                error("Index %d is out of range for property %s", inputs.Index, propName);
+            end
+
+            newValue = value;
+            newValue(inputs.Index + 1) = [];
+            obj.RootModel.applyArrayChange(obj, propName, newValue, 'remove', inputs.Index, [], []);
+
+            % No return args
+            results = struct;
+        end
+
+        function results = handle_moveArrayItem(obj, inputs)
+            % HANDLE_MOVEARRAYITEM Move an item within an array property
+            %   Index and ToIndex are 0-based (from JavaScript). ToIndex is the
+            %   position the item occupies after the move.
+            arguments
+                obj (1,1)
+                inputs.PropertyName (1,1) string = missing
+                inputs.Index (1,1) double {mustBeInteger, mustBeNonnegative} = 0
+                inputs.ToIndex (1,1) double {mustBeInteger, mustBeNonnegative} = 0
+                inputs.Source (1,1) string = ""
+            end
+
+            propName = obj.getArrayPropertyName(inputs);
+            value = obj.(propName);
+            if inputs.Index >= numel(value) || inputs.ToIndex >= numel(value)
+                error("Index %d or %d is out of range for property %s", ...
+                    inputs.Index, inputs.ToIndex, propName);
+            end
+
+            order = 1:numel(value);
+            order(inputs.Index + 1) = [];
+            order = [order(1:inputs.ToIndex), inputs.Index + 1, order(inputs.ToIndex+1:end)];
+            obj.RootModel.applyArrayChange(obj, propName, value(order), 'move', ...
+                inputs.Index, inputs.ToIndex, []);
+
+            % No return args
+            results = struct;
+        end
+    end
+
+    methods (Access=private)
+        function propName = getArrayPropertyName(obj, inputs)
+            % GETARRAYPROPERTYNAME Validate the PropertyName input of an array handler
+            if ismissing(inputs.PropertyName)
+                error("Must specify Property Name");
+            end
+
+            propName = char(inputs.PropertyName);
+            if ~isprop(obj, propName)
+                error("Property %s not found in object of type %s", propName, class(obj));
+            end
+            if isempty(obj.RootModel)
+                error("Cannot change array property %s: object is not part of a model", propName);
+            end
+        end
+
+        function item = createArrayItem(obj, propName, data)
+            % CREATEARRAYITEM Create a new element for an array property
+            %   Uses the class validator of the property, or the subclass of it named
+            %   by ClassName in the data, as setPropertyFromData does; without one the
+            %   data is used as the element itself.
+            prop = findprop(obj, propName);
+            targetClass = [];
+            if ~isempty(prop) && ~isempty(prop.Validation)
+                targetClass = prop.Validation.Class;
+            end
+            
+            if ~isempty(targetClass) && targetClass <= ?server.model.BaseObject
+                if ~isstruct(data)
+                    data = struct;
+                end
+                itemClass = obj.resolveItemClass(targetClass, data);
+                item = feval(itemClass, obj.RootModel, data);
+            elseif ~isempty(targetClass) && any(strcmp(targetClass.Name, {'datetime', 'duration'}))
+                item = server.model.BaseObject.convertTypedFromJS(data, targetClass);
+            else
+                item = server.model.BaseObject.convertInfsFromJS(data);
+            end
+        end
+
+        function className = resolveItemClass(obj, targetClass, data)
+            % RESOLVEITEMCLASS Get the class of the object to create from data
+            %   The data may name a subclass of the property's class in its ClassName
+            %   field, e.g. ClassName "Tissue" for an item of an array of Compartments.
+            %   Names without a package are looked up in the package of the property's
+            %   class, then in the package of this object's class.
+            %
+            %   Parameters:
+            %       targetClass: meta.class of the property's class validator
+            %       data: Struct the object is created from
+            %
+            %   Returns:
+            %       className: Full name of the class to create
+            className = targetClass.Name;
+            if ~isstruct(data) || ~isscalar(data) || ~isfield(data, 'ClassName') || isempty(data.ClassName)
+                return;
+            end
+
+            name = char(data.ClassName);
+            candidates = {name};
+            if ~contains(name, '.')
+                packages = {targetClass.ContainingPackage, metaclass(obj).ContainingPackage};
+                packages = packages(~cellfun(@isempty, packages));
+                candidates = [cellfun(@(p) [p.Name '.' name], packages, 'UniformOutput', false), {name}];
+            end
+
+            for i = 1:numel(candidates)
+                itemClass = meta.class.fromName(candidates{i});
+                if ~isempty(itemClass)
+                    break;
+                end
+            end
+            if isempty(itemClass)
+                error("Unknown class '%s' in ClassName", name);
+            end
+            if ~(itemClass <= targetClass)
+                error("Class %s is not %s or a subclass of it", name, targetClass.Name);
+            end
+            className = itemClass.Name;
+        end
     end
 
     methods (Access=public)
@@ -303,6 +482,15 @@ classdef (Abstract) BaseObject < handle
             props = properties(obj);
             data = struct();
             
+            % Objects of a subclass of another model class name their class, as on
+            % the client, so they are loaded as the subclass again
+            mc = metaclass(obj);
+            isModelSubclass = @(c) c <= ?server.model.BaseObject && ...
+                c ~= ?server.model.BaseObject && c ~= ?server.model.RootModel;
+            if any(arrayfun(isModelSubclass, mc.SuperclassList))
+                data.ClassName = regexprep(mc.Name, '^.*\.', '');
+            end
+            
             for i = 1:numel(props)
                 prop = props{i};
                 value = obj.(prop);
@@ -330,7 +518,7 @@ classdef (Abstract) BaseObject < handle
                         data.(prop) = [dataArray{:}];
                     else
                         % Regular array
-                        data.(prop) = value;
+                        data.(prop) = server.model.BaseObject.convertTypedForJS(value);
                     end
                 % Then handle scalar objects
                 elseif isa(value, 'server.model.BaseObject')
@@ -340,8 +528,9 @@ classdef (Abstract) BaseObject < handle
                     % Object with toData method
                     data.(prop) = value.toData();
                 else
-                    % Regular value - convert inf/-inf to strings for JavaScript
-                    data.(prop) = server.model.BaseObject.convertInfsForJS(value);
+                    % Regular value - convert inf/-inf, dates and durations for JavaScript
+                    data.(prop) = server.model.BaseObject.convertInfsForJS( ...
+                        server.model.BaseObject.convertTypedForJS(value));
                 end
             end
         end
@@ -371,6 +560,63 @@ classdef (Abstract) BaseObject < handle
             end
         end
         
+        function value = convertTypedForJS(value)
+            % CONVERTTYPEDFORJS Convert datetimes and durations to their JSON form
+            %   jsonencode writes datetimes in their display format, so they are sent as
+            %   ISO 8601 text in UTC ('2024-05-01T08:30:00.000Z'); unzoned datetimes are
+            %   taken to be in UTC. Durations are sent as seconds. Other values are
+            %   returned unchanged.
+            %
+            %   Parameters:
+            %       value: The value to convert
+            %
+            %   Returns:
+            %       value: The converted value (char for a scalar datetime, string
+            %              array for datetime arrays, NaT as missing)
+            
+            if isdatetime(value)
+                value.TimeZone = 'UTC';
+                value.Format = 'yyyy-MM-dd''T''HH:mm:ss.SSS''Z''';
+                value = string(value);
+                if isscalar(value) && ~ismissing(value)
+                    value = char(value);
+                end
+            elseif isduration(value)
+                value = seconds(value);
+            end
+        end
+        
+        function value = convertTypedFromJS(value, targetClass)
+            % CONVERTTYPEDFROMJS Convert the JSON form of a datetime or duration
+            %   Dates and datetimes arrive as ISO 8601 text ('2024-05-01' or
+            %   '2024-05-01T08:30:00.000Z'), durations as seconds. Values of other
+            %   classes, and values already converted, are returned unchanged.
+            %
+            %   Parameters:
+            %       value: The value from JavaScript
+            %       targetClass: meta.class of the property's class validator
+            %
+            %   Returns:
+            %       value: The converted value
+            
+            switch targetClass.Name
+                case 'datetime'
+                    if ischar(value) || isstring(value) || iscellstr(value)
+                        text = string(value);
+                        if all(strlength(text) == 10)
+                            value = datetime(text, 'InputFormat', 'yyyy-MM-dd');
+                        else
+                            value = datetime(text, 'InputFormat', 'yyyy-MM-dd''T''HH:mm:ss.SSSXXX', ...
+                                'TimeZone', 'UTC');
+                        end
+                    end
+                case 'duration'
+                    if isnumeric(value)
+                        value = seconds(value);
+                    end
+            end
+        end
+        
         function value = convertInfsFromJS(value)
             % CONVERTINFSFROMJS Convert JavaScript Infinity strings to MATLAB inf/-inf
             %   Converts "Infinity" or "+Infinity" to inf and "-Infinity" to -inf.
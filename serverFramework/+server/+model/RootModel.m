@@ -9,6 +9,10 @@ classdef RootModel < server.model.BaseObject
         % ModelChanged event occurs when any property in any model object is changed
         % Event data will include object path, property name, and new value
         ModelChanged
+
+        % ArrayChanged event occurs when an item is inserted into, removed from
+        % or moved within an array property of any model object
+        ArrayChanged
     end
     
     properties (Access=protected, Transient)
@@ -27,6 +31,10 @@ classdef RootModel < server.model.BaseObject
         
         % Objects pending registration
         PendingRegistrations cell = {}
+
+        % Whether ModelChanged notifications are suppressed while an array
+        % change is applied (ArrayChanged is sent instead)
+        InArrayChange logical = false
         end
     
     methods
@@ -330,6 +338,11 @@ classdef RootModel < server.model.BaseObject
                 return;
             end
             
+            % Array changes are reported through the ArrayChanged event
+            if obj.InArrayChange
+                return;
+            end
+            
             % Notify listeners of the ModelChanged event
             notify(obj, 'ModelChanged', server.controller.ModelChangedEventData(event.AffectedObject, event.Source.Name));
         end
@@ -363,6 +376,30 @@ classdef RootModel < server.model.BaseObject
     end
     
     methods
+        function applyArrayChange(obj, targetObj, propName, newValue, operation, index, toIndex, item)
+            % APPLYARRAYCHANGE Assign a new value to an array property and notify ArrayChanged
+            %
+            % Parameters:
+            %   targetObj: The object owning the array property
+            %   propName: The name of the array property
+            %   newValue: The complete new array
+            %   operation: 'insert', 'remove' or 'move'
+            %   index: The 0-based index of the affected item
+            %   toIndex: The 0-based destination index for 'move', otherwise empty
+            %   item: The inserted item for 'insert', otherwise empty
+            %
+            % The assignment does not raise ModelChanged, so clients receive a single
+            % structural notification instead of a replacement of the whole array.
+            
+            obj.InArrayChange = true;
+            cleanup = onCleanup(@() obj.endArrayChange());
+            targetObj.(propName) = newValue;
+            clear cleanup;
+            
+            notify(obj, 'ArrayChanged', server.controller.ArrayChangedEventData( ...
+                targetObj, propName, operation, index, toIndex, item));
+        end
+        
         function beginTransaction(obj)
             % BEGINTRANSACTION Start an atomic registration transaction
             %   Call this before creating a group of objects that need to be registered atomically
@@ -425,4 +462,12 @@ classdef RootModel < server.model.BaseObject
             obj.PendingRegistrations = {};
         end
     end
+    
+    methods (Access=private)
+        function endArrayChange(obj)
+            if isvalid(obj)
+                obj.InArrayChange = false;
+            end
+        end
+    end
 end
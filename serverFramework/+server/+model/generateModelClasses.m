@@ -185,9 +185,15 @@ function classContent = generateClassContent(jsonData, pkgName, isRoot, verbose)
     % Initialize output
     classContent = '';
 
-    % Determine superclass - always use server.model.BaseObject for non-root models
+    % Determine superclass - root models use RootModel, subclasses the class they
+    % extend, all other models server.model.BaseObject
     if isRoot
         superClass = 'server.model.RootModel';
+    elseif isfield(jsonData, 'Extends') && ~isempty(jsonData.Extends)
+        superClass = char(jsonData.Extends);
+        if ~isempty(pkgName) && ~contains(superClass, '.')
+            superClass = [pkgName '.' superClass];
+        end
     else
         superClass = 'server.model.BaseObject';
     end
@@ -10,6 +10,10 @@ classdef TestConcreteObject < server.model.BaseObject
         Value double
         % Test property for child object
         Child server.model.BaseObject
+        % Test property for a datetime
+        Started datetime
+        % Test property for a duration
+        Elapsed duration
     end
     
     methods (Access={?server.model.RootModel, ?server.controller.AbstractController, ?matlab.unittest.TestCase})
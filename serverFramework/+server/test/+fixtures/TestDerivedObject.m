@@ -0,0 +1,23 @@
+classdef TestDerivedObject < server.test.fixtures.TestConcreteObject
+    % TESTDERIVEDOBJECT A subclass of TestConcreteObject for testing
+    %   This class is used in unit tests to verify that objects of model
+    %   subclasses name their class in their data.
+    
+    properties
+        % Test property only the subclass has
+        Organ char
+    end
+    
+    methods (Access={?server.model.RootModel, ?server.controller.AbstractController, ?matlab.unittest.TestCase})
+        function obj = TestDerivedObject(rootModel)
+            % Constructor
+            %   Creates a new TestDerivedObject instance
+            %
+            % Parameters:
+            %   rootModel: The root model to associate with this object
+            
+            % Call parent constructor
+            obj = obj@server.test.fixtures.TestConcreteObject(rootModel);
+        end
+    end
+end
@@ -129,6 +129,41 @@ classdef testBaseObject < matlab.unittest.TestCase
             delete(dynamicPropInfo);
         end
         
+        function testTypedValues(testCase)
+            % Test that datetimes and durations are converted from and to their JSON form
+            import server.test.fixtures.TestConcreteObject;
+            
+            obj = TestConcreteObject(testCase.RootModel);
+            obj.setPropertyFromData('Started', '2024-05-01T08:30:00.000Z');
+            obj.setPropertyFromData('Elapsed', 90);
+            
+            testCase.verifyEqual(obj.Started, datetime(2024, 5, 1, 8, 30, 0, 'TimeZone', 'UTC'), ...
+                'ISO 8601 text should become a datetime');
+            testCase.verifyEqual(obj.Elapsed, seconds(90), 'Seconds should become a duration');
+            
+            data = obj.toData();
+            testCase.verifyEqual(data.Started, '2024-05-01T08:30:00.000Z', ...
+                'Datetimes should be sent as ISO 8601 text in UTC');
+            testCase.verifyEqual(data.Elapsed, 90, 'Durations should be sent as seconds');
+        end
+        
+        function testClassNameOfSubclasses(testCase)
+            % Test that objects of model subclasses name their class in their data
+            import server.test.fixtures.TestConcreteObject;
+            import server.test.fixtures.TestDerivedObject;
+            
+            base = TestConcreteObject(testCase.RootModel);
+            derived = TestDerivedObject(testCase.RootModel);
+            derived.Organ = 'liver';
+            
+            testCase.verifyFalse(isfield(base.toData(), 'ClassName'), ...
+                'Objects of a class extending BaseObject should not name their class');
+            data = derived.toData();
+            testCase.verifyEqual(data.ClassName, 'TestDerivedObject', ...
+                'Objects of a subclass should name their class');
+            testCase.verifyEqual(data.Organ, 'liver', 'Subclass properties should be serialized');
+        end
+        
         function testObjectDeletion(testCase)
             % Test that objects are unregistered when deleted
             
@@ -146,5 +181,27 @@ classdef testBaseObject < matlab.unittest.TestCase
             % Verify object is unregistered
             testCase.verifyEmpty(testCase.RootModel.getObjectByUid(uid), 'Object should be unregistered after deletion');
         end
+        
+        function testArrayItemHandlers(testCase)
+            % Test inserting, moving and removing items of an array property
+            import server.test.fixtures.TestConcreteObject;
+            
+            obj = TestConcreteObject(testCase.RootModel);
+            obj.register();
+            obj.Value = [1 2 3];
+            
+            % Indices are 0-based, as sent from JavaScript
+            obj.handle_insertArrayItem(PropertyName="Value", Index=1, Data=9);
+            testCase.verifyEqual(obj.Value, [1 9 2 3], 'Item should be inserted at index 1');
+            
+            obj.handle_moveArrayItem(PropertyName="Value", Index=0, ToIndex=3);
+            testCase.verifyEqual(obj.Value, [9 2 3 1], 'Item should be moved to the end');
+            
+            obj.handle_removeArrayItem(PropertyName="Value", Index=1);
+            testCase.verifyEqual(obj.Value, [9 3 1], 'Item at index 1 should be removed');
+            
+            testCase.verifyError(@() obj.handle_removeArrayItem(PropertyName="Value", Index=3), ?MException, ...
+                'Out-of-range index should be rejected');
+        end
     end
 end
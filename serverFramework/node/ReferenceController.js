@@ -0,0 +1,376 @@
+/**
+ * ReferenceController.js
+ *
+ * A plain JavaScript stand-in for server.controller.AbstractController.
+ * It keeps the root model as JSON data and answers the same method calls as the
+ * MATLAB controller (RequestId/MethodName/ObjectPath/Args), sending the same
+ * server_notification events back to the client.
+ */
+
+/**
+ * Version of the wire protocol (see appFramework/controller/service/WireProtocol.js)
+ * @type {string}
+ */
+const PROTOCOL_VERSION = '1.0.0';
+
+/**
+ * Names that would reach into prototypes instead of the model data
+ * @private
+ */
+const FORBIDDEN_NAMES = new Set(['__proto__', 'constructor', 'prototype']);
+
+/**
+ * Resolve a method call target and dispatch it to its handle_<MethodName> function
+ * Handlers for calls on model objects receive the target object; handlers for
+ * calls with an empty ObjectPath are called on the controller itself.
+ */
+class ReferenceController {
+    /**
+     * Create a new ReferenceController
+     * @param {Object} [options] - Configuration options
+     * @param {Function} [options.notify] - Called with (eventName, eventData) to notify connected clients
+     * @param {Object} [options.rootModelData] - Initial root model data
+     */
+    constructor(options = {}) {
+        const { notify = () => {}, rootModelData = {} } = options;
+
+        /** @private */
+        this._notify = notify;
+
+        /** @private */
+        this._nextUid = 1;
+
+        /** @private Custom method handlers registered with registerMethod() */
+        this._methods = new Map();
+
+        this.RootModel = this._assignUids(this._clone(rootModelData));
+    }
+
+    /**
+     * Register a handler for an app-specific method
+     * @param {string} methodName - The method name (without the handle_ prefix)
+     * @param {Function} handler - Called with (target, args, controller); returns the results struct
+     */
+    registerMethod(methodName, handler) {
+        this._methods.set(methodName, handler);
+    }
+
+    /**
+     * Dispatch a method call request
+     * @param {Object} request - The request ({RequestId, MethodName, ObjectPath, Args})
+     * @returns {Object} The reply ({RequestId, MethodName, ObjectPath, Results}) or ({..., Error})
+     */
+    dispatch(request) {
+        const { Args, ...reply } = request;
+
+        try {
+            if (!request.MethodName) {
+                throw new Error('Missing MethodName');
+            }
+
+            const target = this.getObjFromPath(request.ObjectPath);
+            reply.Results = this._invoke(request.MethodName, target, Args || {}) || {};
+            return reply;
+        } catch (error) {
+            reply.Error = { id: error.id || '', message: error.message };
+            return reply;
+        }
+    }
+
+    /**
+     * Get the object at an object path
+     * @param {string} path - The path (e.g. 'RootModel.Parameters[0]'); empty for the controller
+     * @returns {Object} The target object
+     */
+    getObjFromPath(path) {
+        if (!path) return this;
+
+        let target = this;
+        for (const segment of path.split('.')) {
+            const match = segment.match(/^([^[\]]+)(?:\[(\d+)\])?$/);
+            if (!match) {
+                throw new Error(`Invalid path segment "${segment}" in ${path}`);
+            }
+
+            const [, propName, index] = match;
+            if (!hasModelProperty(target, propName)) {
+                throw new Error(`Property "${propName}" not found in path ${path}`);
+            }
+
+            target = target[propName];
+            if (index !== undefined) {
+                if (!Array.isArray(target) || Number(index) >= target.length) {
+                    throw new Error(`Invalid array index ${index} for property "${propName}"`);
+                }
+                target = target[Number(index)];
+            }
+        }
+        return target;
+    }
+
+    /**
+     * Get the path of a model object from its UID
+     * @param {string} uid - The UID to look for
+     * @returns {string|null} The path (e.g. 'RootModel.Parameters[0]'), or null if not found
+     */
+    getPathFromUid(uid) {
+        const search = (obj, path) => {
+            if (!obj || typeof obj !== 'object') return null;
+            if (obj.Uid === uid) return path;
+
+            for (const [key, value] of Object.entries(obj)) {
+                if (Array.isArray(value)) {
+                    for (let i = 0; i < value.length; i++) {
+                        const found = search(value[i], `${path}.${key}[${i}]`);
+                        if (found) return found;
+                    }
+                } else if (value && typeof value === 'object') {
+                    const found = search(value, `${path}.${key}`);
+                    if (found) return found;
+                }
+            }
+            return null;
+        };
+        return search(this.RootModel, 'RootModel');
+    }
+
+    // Controller methods (ObjectPath '')
+
+    /**
+     * Exchange wire protocol versions with the client
+     * @param {Object} args - Arguments with the client's ProtocolVersion
+     * @returns {Object} Results with the server's ProtocolVersion
+     */
+    handle_handshake(args) {
+        if (!args.ProtocolVersion) {
+            throw new Error('Missing required input field ProtocolVersion.');
+        }
+        if (String(args.ProtocolVersion).split('.')[0] !== PROTOCOL_VERSION.split('.')[0]) {
+            console.warn(`Client ${args.Client || ''} speaks protocol version ${args.ProtocolVersion}, server speaks ${PROTOCOL_VERSION}`);
+        }
+        return { ProtocolVersion: PROTOCOL_VERSION, Server: 'ReferenceController' };
+    }
+
+    /**
+     * Replace the root model with an empty one
+     * @returns {Object} Results with the new RootModel data
+     */
+    handle_resetRootModel() {
+        this.RootModel = this._assignUids({});
+        return { RootModel: this._clone(this.RootModel) };
+    }
+
+    /**
+     * Replace the root model and broadcast SERVER_MODEL_UPDATED
+     * @param {Object} args - Arguments with RootModelData
+     * @returns {Object} Empty results
+     */
+    handle_setRootModel(args) {
+        if (!args.RootModelData) {
+            throw new Error('Missing required input field RootModelData.');
+        }
+
+        this.RootModel = this._assignUids(this._clone(args.RootModelData));
+        this._notifyClient('SERVER_MODEL_UPDATED', {
+            Data: this._clone(this.RootModel),
+            Timestamp: new Date().toISOString()
+        });
+        return {};
+    }
+
+    /**
+     * Apply a batch of property changes atomically
+     * If any change fails, the previous values are restored and the error is returned.
+     * @param {Object} args - Arguments with Changes ([{ObjectPath, PropertyName, Value}])
+     * @returns {Object} Empty results
+     */
+    handle_applyPropertyChanges(args) {
+        const changes = args.Changes || [];
+        const applied = [];
+
+        try {
+            changes.forEach(change => {
+                const target = this.getObjFromPath(change.ObjectPath);
+                this._checkProperty(target, change.PropertyName);
+                applied.push({ target, propertyName: change.PropertyName, oldValue: target[change.PropertyName] });
+                target[change.PropertyName] = change.Value;
+            });
+        } catch (error) {
+            // Restore previous values in reverse order before reporting the error
+            applied.reverse().forEach(({ target, propertyName, oldValue }) => {
+                target[propertyName] = oldValue;
+            });
+            throw error;
+        }
+
+        applied.forEach(({ target, propertyName }) => this._notifyPropertyChanged(target, propertyName));
+        return {};
+    }
+
+    /**
+     * Invoke a method on a target
+     * @private
+     */
+    _invoke(methodName, target, args) {
+        if (this._methods.has(methodName)) {
+            return this._methods.get(methodName)(target, args, this);
+        }
+
+        const handlerName = `handle_${methodName}`;
+        if (target === this) {
+            if (typeof this[handlerName] !== 'function') {
+                throw new Error(`Unknown method ${methodName}`);
+            }
+            return this[handlerName](args);
+        }
+
+        if (typeof ModelMethods[handlerName] !== 'function') {
+            throw new Error(`Unknown method ${methodName}`);
+        }
+        return ModelMethods[handlerName].call(this, target, args);
+    }
+
+    /**
+     * Throw if a target has no such property
+     * @private
+     */
+    _checkProperty(target, propertyName) {
+        if (!propertyName) {
+            throw new Error('Must specify Property Name');
+        }
+        if (!hasModelProperty(target, propertyName)) {
+            throw new Error(`Property ${propertyName} not found`);
+        }
+    }
+
+    /**
+     * Assign UIDs to all objects that don't have one
+     * @private
+     */
+    _assignUids(data) {
+        if (Array.isArray(data)) {
+            data.forEach(item => this._assignUids(item));
+        } else if (data && typeof data === 'object') {
+            if (!data.Uid) {
+                data.Uid = String(this._nextUid++);
+            }
+            Object.entries(data).forEach(([key, value]) => {
+                if (key !== 'Uid') this._assignUids(value);
+            });
+        }
+        return data;
+    }
+
+    /**
+     * @private
+     */
+    _clone(data) {
+        return data === undefined ? undefined : JSON.parse(JSON.stringify(data));
+    }
+
+    /**
+     * @private
+     */
+    _notifyPropertyChanged(target, propertyName) {
+        this._notifyClient('SERVER_MODEL_PROPERTY_UPDATED', {
+            ObjectPath: this.getPathFromUid(target.Uid) || target.Uid,
+            PropertyName: propertyName,
+            Value: this._clone(target[propertyName]),
+            Source: 'server'
+        });
+    }
+
+    /**
+     * @private
+     */
+    _notifyClient(eventId, eventData) {
+        this._notify('server_notification', { EventID: eventId, EventData: eventData });
+    }
+}
+
+/**
+ * Methods available on every model object, mirroring server.model.BaseObject
+ * Called with the controller as `this`.
+ */
+const ModelMethods = {
+    handle_updateProperty(target, args) {
+        this._checkProperty(target, args.PropertyName);
+        if (!('Value' in args)) {
+            throw new Error('Must specify new Value');
+        }
+
+        target[args.PropertyName] = args.Value;
+        this._notifyPropertyChanged(target, args.PropertyName);
+        return {};
+    },
+
+    handle_insertArrayItem(target, args) {
+        const array = getArray(target, args.PropertyName);
+        const index = args.Index ?? array.length;
+        if (!Number.isInteger(index) || index < 0 || index > array.length) {
+            throw new Error(`Index ${index} is out of range for property ${args.PropertyName}`);
+        }
+
+        const item = this._assignUids(this._clone(args.Data ?? {}));
+        array.splice(index, 0, item);
+        notifyArrayChanged.call(this, target, args.PropertyName, { Operation: 'insert', Index: index, Item: this._clone(item) });
+        return { Item: this._clone(item) };
+    },
+
+    handle_removeArrayItem(target, args) {
+        const array = getArray(target, args.PropertyName);
+        if (!Number.isInteger(args.Index) || args.Index < 0 || args.Index >= array.length) {
+            throw new Error(`Index ${args.Index} is out of range for property ${args.PropertyName}`);
+        }
+
+        array.splice(args.Index, 1);
+        notifyArrayChanged.call(this, target, args.PropertyName, { Operation: 'remove', Index: args.Index });
+        return {};
+    },
+
+    handle_moveArrayItem(target, args) {
+        const array = getArray(target, args.PropertyName);
+        const inRange = i => Number.isInteger(i) && i >= 0 && i < array.length;
+        if (!inRange(args.Index) || !inRange(args.ToIndex)) {
+            throw new Error(`Index ${args.Index} or ${args.ToIndex} is out of range for property ${args.PropertyName}`);
+        }
+
+        array.splice(args.ToIndex, 0, array.splice(args.Index, 1)[0]);
+        notifyArrayChanged.call(this, target, args.PropertyName,
+            { Operation: 'move', Index: args.Index, ToIndex: args.ToIndex });
+        return {};
+    }
+};
+
+/**
+ * Check whether a name is a property of the model data itself
+ * Only own properties count, so calls cannot reach Object.prototype and the like; names with a
+ * leading underscore are private to the controller.
+ * @private
+ */
+function hasModelProperty(target, name) {
+    return target !== null && typeof target === 'object' && typeof name === 'string' &&
+        !FORBIDDEN_NAMES.has(name) && !name.startsWith('_') &&
+        Object.prototype.hasOwnProperty.call(target, name);
+}
+
+function getArray(target, propertyName) {
+    if (!propertyName) {
+        throw new Error('Must specify Property Name');
+    }
+    if (!hasModelProperty(target, propertyName) || !Array.isArray(target[propertyName])) {
+        throw new Error(`Property ${propertyName} is not an array`);
+    }
+    return target[propertyName];
+}
+
+function notifyArrayChanged(target, propertyName, change) {
+    this._notifyClient('SERVER_MODEL_ARRAY_CHANGED', {
+        ObjectPath: this.getPathFromUid(target.Uid) || target.Uid,
+        PropertyName: propertyName,
+        Source: 'server',
+        ...change
+    });
+}
+
+module.exports = { ReferenceController, PROTOCOL_VERSION };
@@ -0,0 +1,227 @@
+/**
+ * referenceServer.js
+ *
+ * A small Node backend that speaks the same protocol as the MATLAB controller,
+ * so apps can run in a plain browser with WebSocketServiceLayer.
+ *
+ * - WebSocket messages are JSON objects {Event, Data}. Clients send
+ *   matlab_method_call_request events; the server answers with
+ *   matlab_method_call_response or matlab_method_call_error and broadcasts
+ *   server_notification events to all clients.
+ * - POST /api/call accepts a single request ({MethodName, ObjectPath, Args})
+ *   and returns the reply as JSON, in the style of MATLAB Production Server.
+ * - Other GET requests serve static files from the root folder, like live-server.
+ *
+ * The server listens on 127.0.0.1 only unless given another --host. Method calls from web pages
+ * are accepted only from pages on this machine (localhost origins) or the allowed origins, so
+ * other sites open in the developer's browser cannot change the model.
+ *
+ * Usage:
+ * node serverFramework/node/referenceServer.js [--port 8080] [--host 127.0.0.1] [--root .] [--data model.json]
+ *   [--allowed-origins https://app.example.com,...]
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { WebSocketServer } = require('ws');
+const { ReferenceController } = require('./ReferenceController.js');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html',
+    '.js': 'text/javascript',
+    '.mjs': 'text/javascript',
+    '.css': 'text/css',
+    '.json': 'application/json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon'
+};
+
+/**
+ * Host names of pages on this machine, whose method calls are always accepted
+ * @private
+ */
+const LOCAL_HOSTNAMES = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+/**
+ * Create the reference server
+ * @param {Object} [options] - Server options
+ * @param {string} [options.root=process.cwd()] - Folder to serve static files from
+ * @param {Object} [options.rootModelData] - Initial root model data
+ * @param {ReferenceController} [options.controller] - Controller to use instead of a new ReferenceController
+ * @param {string[]} [options.allowedOrigins=[]] - Origins of other web pages allowed to call methods
+ * @returns {{server: http.Server, wss: WebSocketServer, controller: ReferenceController}} The server parts
+ */
+function createReferenceServer(options = {}) {
+    const { root = process.cwd(), rootModelData = {}, allowedOrigins = [] } = options;
+
+    const server = http.createServer();
+    const wss = new WebSocketServer({
+        server,
+        verifyClient: ({ origin }) => isAllowedOrigin(origin, allowedOrigins)
+    });
+
+    const broadcast = (eventName, eventData) => {
+        const message = JSON.stringify({ Event: eventName, Data: eventData });
+        wss.clients.forEach(client => {
+            if (client.readyState === client.OPEN) {
+                client.send(message);
+            }
+        });
+    };
+
+    const controller = options.controller || new ReferenceController({ notify: broadcast, rootModelData });
+
+    wss.on('connection', socket => {
+        socket.on('message', raw => {
+            let message;
+            try {
+                message = JSON.parse(raw.toString());
+            } catch (error) {
+                console.warn('Ignoring malformed message:', error.message);
+                return;
+            }
+
+            if (!message || typeof message !== 'object') {
+                console.warn('Ignoring message that is not an object');
+                return;
+            }
+
+            if (message.Event !== 'matlab_method_call_request' || !message.Data) {
+                console.warn(`Ignoring unknown event: ${message.Event}`);
+                return;
+            }
+
+            const reply = controller.dispatch(message.Data);
+            socket.send(JSON.stringify({
+                Event: reply.Error ? 'matlab_method_call_error' : 'matlab_method_call_response',
+                Data: reply
+            }));
+        });
+    });
+
+    server.on('request', (req, res) => {
+        if (req.method === 'POST' && req.url === '/api/call') {
+            if (!isAllowedOrigin(req.headers.origin, allowedOrigins)) {
+                res.writeHead(403).end();
+                return;
+            }
+            handleHttpCall(controller, req, res);
+        } else if (req.method === 'GET') {
+            serveStaticFile(root, req, res);
+        } else {
+            res.writeHead(405).end();
+        }
+    });
+
+    return { server, wss, controller };
+}
+
+/**
+ * Check whether method calls from an origin are accepted
+ * Requests without an Origin header do not come from a web page (e.g. Node clients or curl).
+ * @private
+ */
+function isAllowedOrigin(origin, allowedOrigins) {
+    if (!origin) return true;
+    if (allowedOrigins.includes(origin)) return true;
+
+    try {
+        return LOCAL_HOSTNAMES.has(new URL(origin).hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Answer a method call made over HTTP
+ * @private
+ */
+function handleHttpCall(controller, req, res) {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        let request;
+        try {
+            request = JSON.parse(body || '{}');
+        } catch (error) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ Error: { id: 'BadRequest', message: error.message } }));
+            return;
+        }
+
+        if (!request || typeof request !== 'object') {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ Error: { id: 'BadRequest', message: 'Request must be an object' } }));
+            return;
+        }
+
+        const reply = controller.dispatch(request);
+        res.writeHead(reply.Error ? 500 : 200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(reply));
+    });
+}
+
+/**
+ * Serve a file from the root folder
+ * @private
+ */
+function serveStaticFile(root, req, res) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (error) {
+        res.writeHead(400).end();
+        return;
+    }
+    const rootPath = path.resolve(root);
+    let filePath = path.resolve(rootPath, `.${urlPath}`);
+
+    // Never serve files outside the root folder
+    if (filePath !== rootPath && !filePath.startsWith(rootPath + path.sep)) {
+        res.writeHead(403).end();
+        return;
+    }
+
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+        filePath = path.join(filePath, 'index.html');
+    }
+
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            res.writeHead(404).end();
+            return;
+        }
+        const contentType = CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream';
+        res.writeHead(200, { 'Content-Type': contentType });
+        res.end(data);
+    });
+}
+
+/**
+ * Read --name value pairs from the command line
+ * @private
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        args[argv[i].replace(/^--/, '')] = argv[i + 1];
+    }
+    return args;
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    const port = Number(args.port || 8080);
+    const host = args.host || '127.0.0.1';
+    const rootModelData = args.data ? JSON.parse(fs.readFileSync(args.data, 'utf8')) : {};
+    const allowedOrigins = args['allowed-origins'] ? args['allowed-origins'].split(',') : [];
+
+    const { server } = createReferenceServer({ root: args.root || process.cwd(), rootModelData, allowedOrigins });
+    server.listen(port, host, () => {
+        console.log(`Reference server listening on http://${host}:${port} (WebSocket: ws://${host}:${port})`);
+    });
+}
+
+module.exports = { createReferenceServer };